@@ -1,5 +1,13 @@
-import alertManager from './src/alerts/alert-manager.js';
+import alertManager, { AlertStateError, ConfigReloadError } from './src/alerts/alert-manager.js';
 import alertAnalyzer from './src/ai-integration/alert-analyzer.js';
+import { SilenceValidationError, SILENCE_STATES } from './src/alerts/silences.js';
+import { TemplateError } from './src/utils/template.js';
+import { OUTBOX_STATUSES } from './src/alerts/outbox.js';
+import { ScheduleValidationError } from './src/alerts/schedules.js';
+import { RuleValidationError } from './src/alerts/rule-validation.js';
+import { PrometheusRulesError, exportPrometheusRules, importPrometheusRules } from './src/alerts/prometheus-rules.js';
+import { ChannelValidationError, redactChannel } from './src/alerts/channels.js';
+import { getMetrics, metricsContentType } from './src/data-collectors/prometheus-collector.js';
 import fs from 'fs/promises';
 import path from 'path';
 import dotenv from 'dotenv';
@@ -56,11 +64,68 @@ const sampleMemoryMetrics = {
   }
 };
 
+// Map alert manager states to the statuses used by the dashboards
+const ALERT_STATUS_MAP = {
+  pending: 'pending',
+  firing: 'active',
+  resolved: 'resolved'
+};
+
+// Convert an alert manager alert into the format expected by the frontend
+function formatAlert(alert) {
+  let status = ALERT_STATUS_MAP[alert.status] || 'resolved';
+  if (alert.status === 'firing') {
+    if (alert.silencedBy?.length > 0 || alert.maintenanceWindowId) {
+      status = 'silenced';
+    } else if (alert.inhibitedBy?.length > 0) {
+      status = 'inhibited';
+    } else if (alert.acknowledgedAt) {
+      status = 'acknowledged';
+    }
+  }
+  
+  return {
+    id: alert.id,
+    fingerprint: alert.fingerprint,
+    ruleId: alert.ruleId,
+    name: alert.ruleName,
+    description: alert.annotations?.description || 'Alert triggered',
+    severity: alert.severity,
+    status,
+    createdAt: alert.timestamp,
+    pendingSince: alert.pendingSince,
+    source: alert.source || 'prometheus',
+    relatedMetric: alert.value,
+    relatedService: alert.labels?.service || 'system',
+    labels: alert.labels || {},
+    silencedBy: alert.silencedBy || [],
+    maintenanceWindowId: alert.maintenanceWindowId || null,
+    inhibitedBy: alert.inhibitedBy || [],
+    acknowledgedAt: alert.acknowledgedAt || null,
+    acknowledgedBy: alert.acknowledgedBy || null,
+    comment: alert.acknowledgementComment || null,
+    resolvedAt: alert.resolvedAt || null,
+    resolvedBy: alert.resolvedBy || null,
+    resolution: alert.resolution || null,
+    rootCause: alert.rootCause || null
+  };
+}
+
 // API Routes
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metricsContentType);
+    res.send(await getMetrics());
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+});
+
 app.get('/api/metrics', (req, res) => {
   try {
     // Return current metrics in the format expected by the frontend
@@ -94,21 +159,488 @@ app.get('/api/alerts', (req, res) => {
     return res.json({ alerts: [] });
   }
   
-  const alerts = Array.from(alertManager.activeAlerts.values()).map(alert => ({
-    id: alert.id,
-    name: alert.ruleName,
-    description: alert.annotations?.description || 'Alert triggered',
-    severity: alert.severity,
-    status: alert.status === 'firing' ? 'active' : 'resolved',
-    createdAt: alert.timestamp,
-    source: alert.source || 'prometheus',
-    relatedMetric: alert.value,
-    relatedService: alert.labels?.service || 'system'
-  }));
+  const alerts = alertManager.getActiveAlerts().map(formatAlert);
   
   res.json({ alerts });
 });
 
+app.get('/api/alerts/:id', (req, res) => {
+  const alert = alertManager.getAlert(req.params.id);
+  
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  
+  res.json(formatAlert(alert));
+});
+
+app.post('/api/alerts/:id/acknowledge', async (req, res) => {
+  try {
+    const { user, comment } = req.body || {};
+    const alert = await alertManager.acknowledgeAlert(req.params.id, { user, comment });
+    
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    res.json(formatAlert(alert));
+  } catch (error) {
+    const status = error instanceof AlertStateError ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.post('/api/alerts/:id/resolve', async (req, res) => {
+  try {
+    const { user, resolution, rootCause } = req.body || {};
+    const alert = await alertManager.resolveAlertManually(req.params.id, { user, resolution, rootCause });
+    
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    res.json(formatAlert(alert));
+  } catch (error) {
+    const status = error instanceof AlertStateError ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Config reload
+app.post('/api/config/reload', async (req, res) => {
+  try {
+    res.json(await alertManager.reloadConfig());
+  } catch (error) {
+    if (error instanceof ConfigReloadError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alert rules
+app.get('/api/rules', (req, res) => {
+  res.json({ rules: alertManager.alertRules });
+});
+
+// Prometheus rule files, sent as YAML or as JSON `{ yaml, ... }`
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'];
+
+app.post('/api/rules/import', express.text({ type: YAML_TYPES }), async (req, res) => {
+  const body = typeof req.body === 'string' ? { ...req.query, yaml: req.body } : (req.body || {});
+  const flag = (value) => value === true || value === 'true';
+  
+  if (typeof body.yaml !== 'string') {
+    return res.status(400).json({ error: 'yaml: must be the content of a Prometheus rule file' });
+  }
+  
+  try {
+    const { rules, groups, skipped, warnings } = importPrometheusRules(body.yaml, {
+      source: body.source || undefined,
+      severity: body.severity || undefined
+    });
+    
+    if (flag(body.dryRun)) {
+      return res.json({ rules, groups, created: [], updated: [], skipped, warnings });
+    }
+    
+    const result = await alertManager.importRules(rules, { overwrite: flag(body.overwrite), groups });
+    res.json({ rules, groups, ...result, skipped: [...skipped, ...result.skipped], warnings });
+  } catch (error) {
+    if (error instanceof PrometheusRulesError || error instanceof RuleValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/rules/export', (req, res) => {
+  const { yaml } = exportPrometheusRules(alertManager.alertRules, {
+    groups: alertManager.ruleGroups,
+    group: req.query.group || undefined
+  });
+  res.type('application/yaml').send(yaml);
+});
+
+app.get('/api/rules/groups', (req, res) => {
+  res.json({ groups: alertManager.getRuleGroups() });
+});
+
+app.get('/api/rules/:id', (req, res) => {
+  const rule = alertManager.getRule(req.params.id);
+  
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  
+  res.json({ rule });
+});
+
+app.post('/api/rules', async (req, res) => {
+  try {
+    const rule = await alertManager.createRule(req.body || {});
+    res.status(201).json({ rule });
+  } catch (error) {
+    if (error instanceof RuleValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/rules/:id', async (req, res) => {
+  try {
+    const rule = await alertManager.updateRule(req.params.id, req.body || {});
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    res.json({ rule });
+  } catch (error) {
+    if (error instanceof RuleValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    const rule = await alertManager.deleteRule(req.params.id);
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    res.json({ rule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+for (const action of ['enable', 'disable']) {
+  app.post(`/api/rules/:id/${action}`, async (req, res) => {
+    try {
+      const rule = await alertManager.setRuleEnabled(req.params.id, action === 'enable');
+      
+      if (!rule) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      
+      res.json({ rule });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+// Silences
+app.get('/api/silences', (req, res) => {
+  const { state } = req.query;
+  
+  if (state && !SILENCE_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of: ${SILENCE_STATES.join(', ')}` });
+  }
+  
+  res.json({ silences: alertManager.getSilences({ state }) });
+});
+
+app.get('/api/silences/:id', (req, res) => {
+  const silence = alertManager.silences.get(req.params.id);
+  
+  if (!silence) {
+    return res.status(404).json({ error: 'Silence not found' });
+  }
+  
+  res.json({ silence });
+});
+
+app.post('/api/silences', async (req, res) => {
+  try {
+    const silence = await alertManager.createSilence(req.body || {});
+    res.status(201).json({ silence });
+  } catch (error) {
+    const status = error instanceof SilenceValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.delete('/api/silences/:id', async (req, res) => {
+  try {
+    const silence = await alertManager.expireSilence(req.params.id);
+    
+    if (!silence) {
+      return res.status(404).json({ error: 'Silence not found' });
+    }
+    
+    res.json({ silence });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Maintenance windows
+app.get('/api/maintenance-windows', (req, res) => {
+  if (!alertManager.initialized) {
+    return res.json({ windows: [] });
+  }
+  
+  const active = req.query.active === 'true';
+  res.json({ windows: alertManager.getMaintenanceWindows({ active }) });
+});
+
+// Notification channels; secrets are never returned
+app.get('/api/channels', (req, res) => {
+  res.json({ channels: alertManager.channels.map(redactChannel) });
+});
+
+app.get('/api/channels/:id', (req, res) => {
+  const channel = alertManager.getChannel(req.params.id);
+  
+  if (!channel) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  
+  res.json({ channel: redactChannel(channel) });
+});
+
+app.post('/api/channels', async (req, res) => {
+  try {
+    const channel = await alertManager.createChannel(req.body || {});
+    res.status(201).json({ channel: redactChannel(channel) });
+  } catch (error) {
+    if (error instanceof ChannelValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/channels/:id', async (req, res) => {
+  try {
+    const channel = await alertManager.updateChannel(req.params.id, req.body || {});
+    
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    
+    res.json({ channel: redactChannel(channel) });
+  } catch (error) {
+    if (error instanceof ChannelValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/channels/:id', async (req, res) => {
+  try {
+    const channel = await alertManager.deleteChannel(req.params.id);
+    
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    
+    res.json({ channel: redactChannel(channel) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/channels/:id/test', async (req, res) => {
+  const result = await alertManager.testChannel(req.params.id);
+  
+  if (!result) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  
+  res.status(result.success ? 200 : 502).json(result);
+});
+
+// Notification routing
+app.get('/api/routes', (req, res) => {
+  res.json({ route: alertManager.getRoutes() });
+});
+
+app.post('/api/routes/test', (req, res) => {
+  const { labels } = req.body || {};
+  
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    return res.status(400).json({ error: 'labels must be an object of label names to values' });
+  }
+  
+  res.json(alertManager.testRoutes(labels));
+});
+
+// Escalation policies
+app.get('/api/escalation-policies', (req, res) => {
+  res.json({ policies: alertManager.getEscalationPolicies() });
+});
+
+// On-call schedules
+const MAX_SHIFT_DAYS = 90;
+
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: alertManager.schedules.list().map((schedule) => alertManager.schedules.serialize(schedule)) });
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = alertManager.schedules.get(req.params.id);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  res.json({ schedule: alertManager.schedules.serialize(schedule) });
+});
+
+app.get('/api/schedules/:id/on-call', (req, res) => {
+  const schedule = alertManager.schedules.get(req.params.id);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const onCall = alertManager.schedules.getOnCall(schedule);
+  const contact = alertManager.contacts.get(onCall.user);
+  res.json({ scheduleId: schedule.id, onCall, contact: contact ? { id: contact.id, name: contact.name } : null });
+});
+
+app.get('/api/schedules/:id/shifts', (req, res) => {
+  const schedule = alertManager.schedules.get(req.params.id);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const days = req.query.days === undefined ? 7 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHIFT_DAYS) {
+    return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_SHIFT_DAYS}` });
+  }
+  
+  const now = Date.now();
+  res.json({ scheduleId: schedule.id, shifts: alertManager.schedules.getShifts(schedule, now, now + days * 24 * 60 * 60 * 1000) });
+});
+
+app.post('/api/schedules/:id/overrides', async (req, res) => {
+  try {
+    const override = await alertManager.schedules.addOverride(req.params.id, req.body || {});
+    
+    if (!override) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.status(201).json({ override });
+  } catch (error) {
+    const status = error instanceof ScheduleValidationError ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id/overrides/:overrideId', async (req, res) => {
+  try {
+    const override = await alertManager.schedules.removeOverride(req.params.id, req.params.overrideId);
+    
+    if (!override) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+    
+    res.json({ override });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notification outbox
+app.get('/api/outbox', (req, res) => {
+  const { status, channelId } = req.query;
+  
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+  }
+  
+  res.json({
+    entries: alertManager.outbox.list({ status, channelId }),
+    counts: alertManager.outbox.getCounts()
+  });
+});
+
+app.get('/api/outbox/:id', (req, res) => {
+  const entry = alertManager.outbox.get(req.params.id);
+  
+  if (!entry) {
+    return res.status(404).json({ error: 'Outbox entry not found' });
+  }
+  
+  res.json({ entry });
+});
+
+app.post('/api/outbox/replay', async (req, res) => {
+  try {
+    const { channelId } = req.body || {};
+    res.json(await alertManager.outbox.replayDead({ channelId }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/outbox/:id/replay', async (req, res) => {
+  try {
+    const result = await alertManager.outbox.replay(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Outbox entry not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/outbox/:id', async (req, res) => {
+  try {
+    const entry = await alertManager.outbox.remove(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Outbox entry not found' });
+    }
+    
+    res.json({ entry });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notification templates
+app.post('/api/templates/preview', (req, res) => {
+  const { template, alert, alerts, alertId } = req.body || {};
+  
+  if (typeof template !== 'string') {
+    return res.status(400).json({ error: 'template must be a string' });
+  }
+  if (alerts !== undefined && !Array.isArray(alerts)) {
+    return res.status(400).json({ error: 'alerts must be an array of alert fields' });
+  }
+  
+  try {
+    const output = alertManager.previewTemplate(template, {
+      alerts: alerts || (alert ? [alert] : undefined),
+      alertId
+    });
+    
+    if (output === null) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    
+    res.json({ output });
+  } catch (error) {
+    const status = error instanceof TemplateError ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 app.get('/api/insights', (req, res) => {
   // Return AI-generated insights from the alert manager
   if (alertManager.recentInsights && alertManager.recentInsights.length > 0) {
@@ -149,7 +681,9 @@ app.get('/api/stats', (req, res) => {
   if (!alertManager.initialized) {
     return res.json({
       activeAlertCount: 0,
+      pendingAlertCount: 0,
       acknowledgedAlertCount: 0,
+      activeMaintenanceWindows: [],
       totalAlertCount: 0,
       avgCpuUsage: 45.2,
       avgMemoryUsage: 62.8,
@@ -159,9 +693,13 @@ app.get('/api/stats', (req, res) => {
     });
   }
   
+  const firingAlerts = alertManager.getActiveAlerts({ status: 'firing' });
+  
   const stats = {
-    activeAlertCount: alertManager.activeAlerts.size,
-    acknowledgedAlertCount: 0,
+    activeAlertCount: firingAlerts.length,
+    pendingAlertCount: alertManager.getPendingAlerts().length,
+    acknowledgedAlertCount: firingAlerts.filter((alert) => alert.acknowledgedAt).length,
+    activeMaintenanceWindows: alertManager.getMaintenanceWindows({ active: true }),
     totalAlertCount: alertManager.alertHistory.length,
     avgCpuUsage: 62.5,
     avgMemoryUsage: 74.8,
@@ -170,8 +708,8 @@ app.get('/api/stats', (req, res) => {
       { serviceName: 'api-server', cpuUsage: 76.8, memoryUsage: 68.4 },
       { serviceName: 'frontend', cpuUsage: 45.3, memoryUsage: 58.7 }
     ],
-    systemHealth: alertManager.activeAlerts.size > 5 ? 'critical' : 
-                  alertManager.activeAlerts.size > 0 ? 'warning' : 'healthy',
+    systemHealth: firingAlerts.length > 5 ? 'critical' : 
+                  firingAlerts.length > 0 ? 'warning' : 'healthy',
     lastUpdated: Date.now()
   };
   
@@ -195,17 +733,7 @@ app.get('/api/dashboard/all', (req, res) => {
   }));
   
   const alerts = !alertManager.initialized ? [] : 
-    Array.from(alertManager.activeAlerts.values()).map(alert => ({
-      id: alert.id,
-      name: alert.ruleName,
-      description: alert.annotations?.description || 'Alert triggered',
-      severity: alert.severity,
-      status: alert.status === 'firing' ? 'active' : 'resolved',
-      createdAt: alert.timestamp,
-      source: alert.source || 'prometheus',
-      relatedMetric: alert.value,
-      relatedService: alert.labels?.service || 'system'
-    }));
+    alertManager.getActiveAlerts().map(formatAlert);
   
   // Use generated insights if available, otherwise use static examples
   const insights = alertManager.recentInsights && alertManager.recentInsights.length > 0
@@ -235,9 +763,16 @@ app.get('/api/dashboard/all', (req, res) => {
         }
       ];
   
+  const firingAlerts = !alertManager.initialized ? [] :
+    alertManager.getActiveAlerts({ status: 'firing' });
+  const firingAlertCount = firingAlerts.length;
+  
   const stats = {
-    activeAlertCount: !alertManager.initialized ? 0 : alertManager.activeAlerts.size,
-    acknowledgedAlertCount: 0,
+    activeAlertCount: firingAlertCount,
+    pendingAlertCount: !alertManager.initialized ? 0 : alertManager.getPendingAlerts().length,
+    acknowledgedAlertCount: firingAlerts.filter((alert) => alert.acknowledgedAt).length,
+    activeMaintenanceWindows: !alertManager.initialized ? [] :
+      alertManager.getMaintenanceWindows({ active: true }),
     totalAlertCount: !alertManager.initialized ? 0 : alertManager.alertHistory.length,
     avgCpuUsage: 62.5,
     avgMemoryUsage: 74.8,
@@ -247,8 +782,8 @@ app.get('/api/dashboard/all', (req, res) => {
       { serviceName: 'message-queue', cpuUsage: 48.6, memoryUsage: 62.3 }
     ],
     systemHealth: !alertManager.initialized ? 'healthy' : 
-                  alertManager.activeAlerts.size > 5 ? 'critical' : 
-                  alertManager.activeAlerts.size > 0 ? 'degraded' : 'healthy',
+                  firingAlertCount > 5 ? 'critical' : 
+                  firingAlertCount > 0 ? 'degraded' : 'healthy',
     lastUpdated: Date.now()
   };
   
@@ -272,6 +807,16 @@ async function startSystem() {
     alertManager.recentInsights = [];
     
     console.log("Alert manager initialized successfully");
+    
+    // Pick up edits to the rules and channels files without a restart
+    if (process.env.ALERT_CONFIG_WATCH !== 'false') {
+      alertManager.watchConfig();
+    }
+    process.on('SIGHUP', () => {
+      console.log("SIGHUP received, reloading config");
+      // Failures are logged by the alert manager and the current config is kept
+      alertManager.reloadConfig().catch(() => {});
+    });
     console.log(`WebSocket server running on port ${process.env.WS_PORT || 3002}`);
     
     // Register event listeners
@@ -279,10 +824,26 @@ async function startSystem() {
       console.log(`🔔 Alert triggered: ${alert.ruleName} (${alert.severity})`);
     });
     
+    alertManager.on('alert_pending', (alert) => {
+      console.log(`⏳ Alert pending: ${alert.ruleName} (fires if it holds for its duration)`);
+    });
+    
     alertManager.on('alert_resolved', (alert) => {
       console.log(`✅ Alert resolved: ${alert.ruleName}`);
     });
     
+    alertManager.on('maintenance_window_started', (window) => {
+      console.log(`🔧 Maintenance window started: ${window.name || window.id} (${window.action})`);
+    });
+    
+    alertManager.on('maintenance_window_ended', (window) => {
+      console.log(`🔧 Maintenance window ended: ${window.id}`);
+    });
+    
+    alertManager.on('config_reload_failed', (error) => {
+      console.error(`⚠️  Config reload failed, keeping the current config:\n  ${error.errors.join('\n  ')}`);
+    });
+    
     alertManager.on('alert_patterns', (patterns) => {
       console.log(`📊 Detected ${patterns.patterns.length} alert patterns`);
     });
@@ -1,12 +1,14 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
 import { useMonitoring } from '@/context/MonitoringContext';
 import { AlertData, AlertSeverity, AlertStatus } from '@/types/metrics';
 
 interface AlertCardProps {
   alert: AlertData;
+  highlighted?: boolean;
 }
 
-const AlertCard: React.FC<AlertCardProps> = ({ alert }) => {
+const AlertCard: React.FC<AlertCardProps> = ({ alert, highlighted = false }) => {
   const getSeverityColor = (severity: AlertSeverity) => {
     switch (severity) {
       case 'critical': return 'bg-red-100 border-red-500 text-red-700';
@@ -19,8 +21,14 @@ const AlertCard: React.FC<AlertCardProps> = ({ alert }) => {
   
   const getStatusBadge = (status: AlertStatus) => {
     switch (status) {
+      case 'pending': 
+        return <span className="bg-gray-500 text-white text-xs px-2 py-1 rounded">Pending</span>;
       case 'active': 
         return <span className="bg-red-500 text-white text-xs px-2 py-1 rounded">Active</span>;
+      case 'silenced': 
+        return <span className="bg-purple-500 text-white text-xs px-2 py-1 rounded">Silenced</span>;
+      case 'inhibited': 
+        return <span className="bg-indigo-400 text-white text-xs px-2 py-1 rounded">Inhibited</span>;
       case 'acknowledged': 
         return <span className="bg-yellow-500 text-white text-xs px-2 py-1 rounded">Acknowledged</span>;
       case 'resolved': 
@@ -35,7 +43,10 @@ const AlertCard: React.FC<AlertCardProps> = ({ alert }) => {
   };
   
   return (
-    <div className={`border-l-4 p-4 rounded-md shadow-sm mb-4 ${getSeverityColor(alert.severity)}`}>
+    <div
+      id={`alert-${alert.id}`}
+      className={`border-l-4 p-4 rounded-md shadow-sm mb-4 ${getSeverityColor(alert.severity)} ${highlighted ? 'ring-2 ring-blue-500' : ''}`}
+    >
       <div className="flex justify-between items-start">
         <h3 className="text-lg font-medium">{alert.name}</h3>
         {getStatusBadge(alert.status)}
@@ -51,6 +62,11 @@ const AlertCard: React.FC<AlertCardProps> = ({ alert }) => {
         {alert.relatedService && 
           <span className="bg-gray-200 px-2 py-1 rounded">{alert.relatedService}</span>
         }
+        {alert.labels && Object.entries(alert.labels).map(([name, value]) => (
+          <span key={name} className="bg-white border border-gray-300 px-2 py-1 rounded font-mono text-xs">
+            {name}={value}
+          </span>
+        ))}
       </div>
       
       {alert.relatedActions && alert.relatedActions.length > 0 && (
@@ -77,6 +93,16 @@ export default function AlertsPanel() {
   const { alerts, isLoading, triggerNewAlert } = useMonitoring();
   const [filter, setFilter] = useState<AlertStatus | 'all'>('all');
   
+  // Links from notifications open the dashboard with ?alert=<id>
+  const router = useRouter();
+  const linkedAlertId = typeof router.query.alert === 'string' ? router.query.alert : null;
+  
+  useEffect(() => {
+    if (linkedAlertId) {
+      document.getElementById(`alert-${linkedAlertId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [linkedAlertId, alerts.length]);
+  
   const filteredAlerts = filter === 'all' 
     ? alerts 
     : alerts.filter(alert => alert.status === filter);
@@ -106,6 +132,8 @@ export default function AlertsPanel() {
           >
             <option value="all">All Alerts</option>
             <option value="active">Active</option>
+            <option value="silenced">Silenced</option>
+            <option value="inhibited">Inhibited</option>
             <option value="acknowledged">Acknowledged</option>
             <option value="resolved">Resolved</option>
           </select>
@@ -122,7 +150,7 @@ export default function AlertsPanel() {
       <div>
         {filteredAlerts.length > 0 ? (
           filteredAlerts.map((alert) => (
-            <AlertCard key={alert.id} alert={alert} />
+            <AlertCard key={alert.id} alert={alert} highlighted={alert.id === linkedAlertId} />
           ))
         ) : (
           <p className="text-gray-500">No alerts found</p>
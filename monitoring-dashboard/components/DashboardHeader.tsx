@@ -77,6 +77,18 @@ export default function DashboardHeader() {
         </div>
       </div>
       
+      {stats?.activeMaintenanceWindows && stats.activeMaintenanceWindows.length > 0 && (
+        <div className="mt-4 bg-blue-50 border-l-4 border-blue-500 text-blue-700 p-3 rounded text-sm">
+          {stats.activeMaintenanceWindows.map((window) => (
+            <div key={window.id}>
+              Maintenance window <span className="font-medium">{window.name || window.id}</span> is active
+              {window.endsAt && ` until ${new Date(window.endsAt).toLocaleString()}`}
+              {window.action === 'skip_evaluation' ? ' (rules paused)' : ' (notifications suppressed)'}
+            </div>
+          ))}
+        </div>
+      )}
+      
       {stats && (
         <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4">
           <div>
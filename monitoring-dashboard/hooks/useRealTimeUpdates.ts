@@ -229,6 +229,18 @@ export default function useRealTimeUpdates(initialData?: Partial<UpdatedData>) {
           updateAlert(message.data as AlertData);
         }
         break;
+      case 'pending':
+        // Condition holds but the rule's duration has not elapsed yet
+        if (message.alert) {
+          updateAlert({ ...message.alert, status: 'pending' } as AlertData);
+        }
+        break;
+      case 'pending_cleared':
+        // Pending alert stopped matching before it fired
+        if (message.alert) {
+          removeAlert(message.alert.id);
+        }
+        break;
       case 'resolve':
         // Handle alert resolution
         if (message.alert) {
@@ -288,6 +300,13 @@ export default function useRealTimeUpdates(initialData?: Partial<UpdatedData>) {
     });
   };
   
+  const removeAlert = (alertId: string) => {
+    setData(prevData => ({
+      ...prevData,
+      alerts: prevData.alerts.filter(a => a.id !== alertId)
+    }));
+  };
+  
   const updateInsight = (newInsight: AIInsight) => {
     setData(prevData => {
       const insights = [...prevData.insights];
@@ -3,7 +3,7 @@ export type MetricName = string;
 export type Timestamp = number;
 export type MetricValue = number;
 export type AlertSeverity = 'info' | 'warning' | 'critical' | 'error';
-export type AlertStatus = 'active' | 'acknowledged' | 'resolved';
+export type AlertStatus = 'pending' | 'active' | 'silenced' | 'inhibited' | 'acknowledged' | 'resolved';
 export type InsightType = 'anomaly' | 'trend' | 'correlation' | 'recommendation' | 'prediction';
 export type WSMessageType = 
   | 'metric-update' 
@@ -11,6 +11,8 @@ export type WSMessageType =
   | 'insight-update'
   | 'metrics'
   | 'alert'
+  | 'pending'
+  | 'pending_cleared'
   | 'resolve'
   | 'insight';
 
@@ -39,17 +41,24 @@ export type MetricHistory = Record<MetricName, TimeSeriesPoint[]>;
 // Alert related types
 export interface AlertData {
   id: string;
+  fingerprint?: string;
+  ruleId?: string;
   name: string;
   description: string;
   severity: AlertSeverity;
   status: AlertStatus;
   createdAt: Timestamp;
+  pendingSince?: Timestamp;
   acknowledgedAt?: Timestamp;
   resolvedAt?: Timestamp;
   source: string;
   relatedMetric?: MetricName;
   relatedService?: string;
   relatedActions?: string[];
+  labels?: Record<string, string>;
+  silencedBy?: string[];
+  maintenanceWindowId?: string | null;
+  inhibitedBy?: string[];
   metadata?: Record<string, any>;
 }
 
@@ -68,6 +77,19 @@ export interface AIInsight {
   metadata?: Record<string, any>;
 }
 
+// Maintenance window as reported by the alert manager
+export interface MaintenanceWindow {
+  id: string;
+  name?: string;
+  action: 'skip_evaluation' | 'suppress_notifications';
+  schedule: string;
+  duration: string;
+  timezone: string;
+  active: boolean;
+  startsAt: string | null;
+  endsAt: string | null;
+}
+
 // Dashboard stats
 export interface DashboardStats {
   activeAlertCount: number;
@@ -81,6 +103,7 @@ export interface DashboardStats {
     memoryUsage: number;
   }>;
   systemHealth: 'healthy' | 'degraded' | 'critical';
+  activeMaintenanceWindows?: MaintenanceWindow[];
   lastUpdated: Timestamp;
 }
 
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Alert Config Utility
+ *
+ * This script checks the alerting config files before they are deployed.
+ * It can be used to:
+ * - Validate alert rules, notification channels and the AI config against their schemas
+ * - Find legacy settings and suggest how to migrate them
+ * - Import Prometheus alerting rule files into the rules file, and export rules to one
+ *
+ * Usage:
+ *   node scripts/alert-config.js lint
+ *   node scripts/alert-config.js lint config/alerts/rules.json config/alerts/channels.json
+ *   node scripts/alert-config.js lint --kind rules config/alert-rules.json
+ *   node scripts/alert-config.js import node-alerts.yml --dry-run
+ *   node scripts/alert-config.js export --output alerts.yml
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { program } from 'commander';
+import { CONFIG_KINDS, DEFAULT_CONFIG_FILES, lintConfigFile } from '../src/alerts/config-lint.js';
+import { exportPrometheusRules, importPrometheusRules } from '../src/alerts/prometheus-rules.js';
+
+const RULES_FILE = path.join('config', 'alerts', 'rules.json');
+
+/**
+ * Read a rules file, accepting both a flat array and `{ rules: [] }`
+ * @param {string} file - Rules file
+ * @returns {Promise<Object>} - File content with a `rules` array
+ */
+async function readRulesFile(file) {
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  return Array.isArray(data) ? { rules: data } : { ...data, rules: data.rules || [] };
+}
+
+/**
+ * Print problems under a heading
+ * @param {string} heading - What the problems are
+ * @param {Array<string>} problems - Problems
+ */
+function printProblems(heading, problems) {
+  if (problems.length > 0) {
+    console.error(`${heading}:`);
+    problems.forEach((problem) => console.error(`  ${problem}`));
+  }
+}
+
+// Configure the command-line interface
+program
+  .name('alert-config')
+  .description('Checks and migrations for alerting config files')
+  .version('1.0.0');
+
+// Lint command
+program
+  .command('lint')
+  .description('Validate config files and suggest migrations for legacy settings')
+  .argument('[files...]', 'Config files to check', DEFAULT_CONFIG_FILES)
+  .option('--kind <kind>', `What the files configure (${CONFIG_KINDS.join(', ')}), detected by default`)
+  .action(async (files, options) => {
+    if (options.kind && !CONFIG_KINDS.includes(options.kind)) {
+      console.error(`Unknown kind: ${options.kind}, expected one of ${CONFIG_KINDS.join(', ')}`);
+      process.exit(2);
+    }
+
+    let errorCount = 0;
+    for (const file of files) {
+      const { kind, errors, migrations } = await lintConfigFile(file, options.kind);
+      errorCount += errors.length;
+
+      if (errors.length === 0 && migrations.length === 0) {
+        console.log(`✓ ${file} (${kind})`);
+        continue;
+      }
+
+      console.log(`${errors.length > 0 ? '✗' : '!'} ${file}${kind ? ` (${kind})` : ''}`);
+      for (const error of errors) {
+        console.log(`  error    ${error}`);
+      }
+      for (const migration of migrations) {
+        console.log(`  migrate  ${migration}`);
+      }
+    }
+
+    if (errorCount > 0) {
+      console.error(`\n${errorCount} problem${errorCount === 1 ? '' : 's'} found`);
+      process.exit(1);
+    }
+  });
+
+// Import command
+program
+  .command('import')
+  .description('Convert a Prometheus alerting rule file and add its rules to the rules file')
+  .argument('<file>', 'Prometheus rule file (YAML)')
+  .option('--rules <file>', 'Rules file to add the rules to', RULES_FILE)
+  .option('--source <source>', 'Source of the metrics the rules query', 'prometheus')
+  .option('--severity <severity>', 'Severity of rules without a valid severity label', 'warning')
+  .option('--overwrite', 'Replace rules and rule groups with the same id or name')
+  .option('--dry-run', 'Print the converted rules instead of saving them')
+  .action(async (file, options) => {
+    try {
+      const { rules, groups, skipped, warnings } = importPrometheusRules(await fs.readFile(file, 'utf8'), {
+        source: options.source,
+        severity: options.severity
+      });
+      printProblems('Not imported', skipped);
+      printProblems('Warnings', warnings);
+
+      if (options.dryRun) {
+        console.log(JSON.stringify({ groups, rules }, null, 2));
+        return;
+      }
+
+      const data = await readRulesFile(options.rules);
+      data.groups = data.groups || [];
+      for (const group of groups) {
+        const index = data.groups.findIndex((existing) => existing.name === group.name);
+        if (index === -1) {
+          data.groups.push(group);
+        } else if (options.overwrite) {
+          data.groups[index] = group;
+        }
+      }
+
+      let created = 0;
+      let updated = 0;
+      for (const rule of rules) {
+        const index = data.rules.findIndex((existing) => existing.id === rule.id);
+        if (index === -1) {
+          data.rules.push(rule);
+          created++;
+        } else if (options.overwrite) {
+          data.rules[index] = rule;
+          updated++;
+        } else {
+          console.error(`  ${rule.id}: a rule with this id already exists, use --overwrite to replace it`);
+        }
+      }
+
+      // Written atomically, as a running alert manager may be watching the file
+      const tmpFile = `${options.rules}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+      await fs.rename(tmpFile, options.rules);
+      console.log(`${created} rule${created === 1 ? '' : 's'} added and ${updated} replaced in ${options.rules}`);
+    } catch (error) {
+      console.error('Error importing rules:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Export command
+program
+  .command('export')
+  .description('Convert the rules file to a Prometheus alerting rule file')
+  .option('--rules <file>', 'Rules file to export', RULES_FILE)
+  .option('--group <name>', 'Name of the group for rules without one', 'alerting-monitor')
+  .option('--output <file>', 'Output file path, printed if not given')
+  .action(async (options) => {
+    try {
+      const { rules, groups } = await readRulesFile(options.rules);
+      const { yaml, skipped } = exportPrometheusRules(rules, { groups, group: options.group });
+      if (options.output) {
+        printProblems('Not exported', skipped);
+        await fs.writeFile(options.output, yaml);
+        console.log(`Rules exported to ${options.output}`);
+      } else {
+        process.stdout.write(yaml);
+      }
+    } catch (error) {
+      console.error('Error exporting rules:', error.message);
+      process.exit(1);
+    }
+  });
+
+program.parse();
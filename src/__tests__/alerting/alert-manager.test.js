@@ -56,8 +56,8 @@ jest.mock('winston', () => ({
   }
 }));
 
-// Import after mocks are set up
-import { setupAlertSystem } from '../../alerting/alert-manager.js';
+// Import after mocks are set up; a static import would be evaluated before them
+const { setupAlertSystem } = await import('../../alerting/alert-manager.js');
 
 describe('Alert Manager', () => {
   let mockIO;
@@ -72,6 +72,13 @@ describe('Alert Manager', () => {
     
     // Reset mocks between tests
     jest.clearAllMocks();
+
+    // The alert system schedules evaluations that would keep Jest running
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
   });
 
   it('should set up the alert system correctly', async () => {
@@ -0,0 +1,319 @@
+import { jest } from '@jest/globals';
+import alertAnalyzer from '../../ai-integration/alert-analyzer.js';
+import { AlertManager, AlertStateError } from '../../alerts/alert-manager.js';
+import { alertFingerprint } from '../../alerts/fingerprint.js';
+
+function createManager(rules) {
+  const manager = new AlertManager();
+  manager.alertRules = rules;
+  manager.channels = [];
+  manager.initialized = true;
+  return manager;
+}
+
+const cpuRule = {
+  id: 'cpu_high',
+  name: 'High CPU Usage',
+  type: 'threshold',
+  source: 'prometheus',
+  query: 'system_cpu_usage',
+  condition: '>',
+  threshold: 80,
+  duration: '5m',
+  severity: 'warning',
+  enabled: true
+};
+
+describe('AlertManager pending state', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps an alert pending until the rule duration has elapsed', async () => {
+    const manager = createManager([cpuRule]);
+    const fired = jest.fn();
+    manager.on('alert', fired);
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    expect(manager.getPendingAlerts()).toHaveLength(1);
+    expect(fired).not.toHaveBeenCalled();
+
+    jest.setSystemTime(new Date('2024-01-01T00:04:00Z'));
+    await manager.processMetrics({ system_cpu_usage: 92 }, 'prometheus');
+    expect(manager.getPendingAlerts()).toHaveLength(1);
+
+    jest.setSystemTime(new Date('2024-01-01T00:05:00Z'));
+    await manager.processMetrics({ system_cpu_usage: 91 }, 'prometheus');
+    expect(fired).toHaveBeenCalledTimes(1);
+    expect(manager.getActiveAlerts({ status: 'firing' })).toHaveLength(1);
+  });
+
+  it('clears a pending alert without resolving when the condition stops holding', async () => {
+    const manager = createManager([cpuRule]);
+    const resolved = jest.fn();
+    const cleared = jest.fn();
+    manager.on('alert_resolved', resolved);
+    manager.on('alert_pending_cleared', cleared);
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+    await manager.processMetrics({ system_cpu_usage: 40 }, 'prometheus');
+
+    expect(manager.getActiveAlerts()).toHaveLength(0);
+    expect(cleared).toHaveBeenCalledTimes(1);
+    expect(resolved).not.toHaveBeenCalled();
+    expect(manager.getAlertHistory()).toHaveLength(0);
+  });
+
+  it('fires immediately when the rule has no duration', async () => {
+    const manager = createManager([{ ...cpuRule, duration: undefined }]);
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    expect(manager.getActiveAlerts({ status: 'firing' })).toHaveLength(1);
+  });
+});
+
+describe('AlertManager rate of change rules', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('fires when a counter grows faster than the configured rate', async () => {
+    const manager = createManager([
+      {
+        id: 'http_error_burst',
+        name: 'HTTP Error Burst',
+        type: 'rate_of_change',
+        source: 'prometheus',
+        query: 'http_errors_total',
+        changeType: 'rate',
+        counter: true,
+        per: '1m',
+        window: '5m',
+        condition: '>',
+        threshold: 50,
+        severity: 'error',
+        enabled: true
+      }
+    ]);
+
+    await manager.processMetrics({ http_errors_total: 100 }, 'prometheus');
+    jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+    await manager.processMetrics({ http_errors_total: 130 }, 'prometheus');
+    expect(manager.getActiveAlerts()).toHaveLength(0);
+
+    // Counter restarted and climbed to 80: 30 + 80 = 110 errors over 2 minutes
+    jest.setSystemTime(new Date('2024-01-01T00:02:00Z'));
+    await manager.processMetrics({ http_errors_total: 80 }, 'prometheus');
+
+    const [alert] = manager.getActiveAlerts();
+    expect(alert.status).toBe('firing');
+    expect(alert.value).toBe(55);
+  });
+});
+
+describe('AlertManager per-series alerts', () => {
+  const coreRule = { ...cpuRule, duration: undefined, labels: { team: 'infrastructure' } };
+
+  function cpuMetrics(core0, core3) {
+    return {
+      system_cpu_usage: [
+        { core: 'core-0', value: core0 },
+        { core: 'core-3', value: core3 }
+      ]
+    };
+  }
+
+  it('creates one alert per matching label set', async () => {
+    const manager = createManager([coreRule]);
+
+    await manager.processMetrics(cpuMetrics(95, 91), 'prometheus');
+
+    const alerts = manager.getActiveAlerts();
+    expect(alerts).toHaveLength(2);
+    expect(alerts.map((alert) => alert.labels)).toEqual(
+      expect.arrayContaining([
+        { core: 'core-0', team: 'infrastructure' },
+        { core: 'core-3', team: 'infrastructure' }
+      ])
+    );
+    expect(alerts[0].id).not.toBe(alerts[1].id);
+    expect(alerts.every((alert) => alert.ruleId === 'cpu_high')).toBe(true);
+  });
+
+  it('keeps the same fingerprint across evaluations', async () => {
+    const manager = createManager([coreRule]);
+
+    await manager.processMetrics(cpuMetrics(95, 40), 'prometheus');
+    const [first] = manager.getActiveAlerts();
+    await manager.processMetrics(cpuMetrics(97, 40), 'prometheus');
+
+    expect(manager.getActiveAlerts().map((alert) => alert.id)).toEqual([first.id]);
+    expect(first.fingerprint).toBe(first.id);
+  });
+
+  it('resolves each series on its own', async () => {
+    const manager = createManager([coreRule]);
+    const resolved = jest.fn();
+    manager.on('alert_resolved', resolved);
+
+    await manager.processMetrics(cpuMetrics(95, 91), 'prometheus');
+    await manager.processMetrics(cpuMetrics(95, 30), 'prometheus');
+
+    expect(resolved).toHaveBeenCalledTimes(1);
+    expect(resolved.mock.calls[0][0].labels.core).toBe('core-3');
+    expect(manager.getActiveAlerts().map((alert) => alert.labels.core)).toEqual(['core-0']);
+  });
+
+  it('renders $labels and $value in annotations', async () => {
+    const manager = createManager([{
+      ...coreRule,
+      annotations: {
+        summary: 'CPU high on {{ $labels.core }}',
+        description: '{{ $labels.core }} is at {{ $value }}% ({{ $labels.team | uppercase }})',
+        runbook: 'https://runbooks.example.com/{{ $labels.missing | default: "cpu" }}'
+      }
+    }]);
+
+    await manager.processMetrics(cpuMetrics(95, 40), 'prometheus');
+
+    const [alert] = manager.getActiveAlerts();
+    expect(alert.annotations).toEqual({
+      summary: 'CPU high on core-0',
+      description: 'core-0 is at 95% (INFRASTRUCTURE)',
+      runbook: 'https://runbooks.example.com/cpu'
+    });
+  });
+
+  it('keeps annotations that fail to render as written', async () => {
+    const manager = createManager([{ ...coreRule, annotations: { summary: 'CPU {{ $value | bogus }}' } }]);
+
+    await manager.processMetrics(cpuMetrics(95, 40), 'prometheus');
+
+    expect(manager.getActiveAlerts()[0].annotations.summary).toBe('CPU {{ $value | bogus }}');
+  });
+});
+
+describe('AlertManager template previews', () => {
+  it('renders group templates against example alerts', () => {
+    const manager = createManager([]);
+
+    const output = manager.previewTemplate(
+      '{{ counts.firing }} firing:{% for a in alerts %} {{ a.labels.instance }}{% endfor %}',
+      { alerts: [{}, { labels: { instance: 'web-2:9100' } }] }
+    );
+
+    expect(output).toBe('2 firing: web-1:9100 web-2:9100');
+  });
+
+  it('returns null for unknown alert ids', () => {
+    expect(createManager([]).previewTemplate('{{ alert.name }}', { alertId: 'nope' })).toBeNull();
+  });
+});
+
+describe('AlertManager acknowledge and resolve', () => {
+  it('records who acknowledged an alert and broadcasts it', async () => {
+    const manager = createManager([{ ...cpuRule, duration: undefined }]);
+    manager.broadcastAlert = jest.fn();
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    const [alert] = manager.getActiveAlerts();
+
+    await manager.acknowledgeAlert(alert.id, { user: 'alice', comment: 'Looking into it' });
+
+    expect(alert).toMatchObject({ acknowledgedBy: 'alice', acknowledgementComment: 'Looking into it' });
+    expect(manager.broadcastAlert).toHaveBeenLastCalledWith(alert, 'acknowledge');
+  });
+
+  it('resolves firing alerts on behalf of a user', async () => {
+    const manager = createManager([{ ...cpuRule, duration: undefined }]);
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    const [alert] = manager.getActiveAlerts();
+
+    const resolved = await manager.resolveAlertManually(alert.id, { user: 'alice', resolution: 'Restarted the job' });
+
+    expect(resolved).toMatchObject({ status: 'resolved', resolvedBy: 'alice', resolution: 'Restarted the job' });
+    expect(manager.getActiveAlerts()).toHaveLength(0);
+    expect(manager.getAlert(alert.id)).toBe(resolved);
+    await expect(manager.resolveAlertManually(alert.id)).resolves.toBeNull();
+  });
+
+  it('rejects changes to pending alerts', async () => {
+    const manager = createManager([cpuRule]);
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    const [alert] = manager.getPendingAlerts();
+
+    await expect(manager.resolveAlertManually(alert.id)).rejects.toThrow(AlertStateError);
+    await expect(manager.acknowledgeAlert(alert.id)).rejects.toThrow(AlertStateError);
+  });
+});
+
+describe('AlertManager AI feedback', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds the explanation to the alert that is grouped for notification', async () => {
+    const manager = createManager([{ ...cpuRule, duration: undefined }]);
+    manager.channels = [
+      { id: 'ai_analysis', type: 'ai_feedback', enabled: true, config: { feedback_type: 'explanation' } },
+      { id: 'ops', type: 'webhook', enabled: true, config: { url: 'http://localhost/hook' } }
+    ];
+    jest.spyOn(alertAnalyzer, 'explainAnomaly').mockResolvedValue({ explanation: 'CPU bound batch job' });
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    const [alert] = manager.getActiveAlerts();
+    const [group] = manager.dispatcher.groups.values();
+
+    expect(alert.annotations.explanation).toBe('CPU bound batch job');
+    expect(group.alerts.get(alert.fingerprint)).toBe(alert);
+    manager.dispatcher.stop();
+  });
+
+  it('adds recommendations without undoing changes made while they were generated', async () => {
+    const manager = createManager([{ ...cpuRule, duration: undefined }]);
+    let respond;
+    jest.spyOn(alertAnalyzer, 'generateRecommendations').mockImplementation(() => new Promise((resolve) => {
+      respond = resolve;
+    }));
+    const recommendations = { recommendations: [{ priority: 'high', description: 'Scale out' }] };
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    const [alert] = manager.getActiveAlerts();
+    const pending = manager.getAiRecommendations(alert);
+    await manager.acknowledgeAlert(alert.id, { user: 'oncall@example.com' });
+    respond(recommendations);
+    await pending;
+
+    expect(manager.activeAlerts.get(alert.id)).toBe(alert);
+    expect(alert).toMatchObject({ acknowledgedBy: 'oncall@example.com', annotations: { recommendations: '[HIGH] Scale out' } });
+
+    const resolving = manager.getAiRecommendations(alert);
+    await manager.processMetrics({ system_cpu_usage: 50 }, 'prometheus');
+    respond(recommendations);
+    await resolving;
+
+    expect(manager.getActiveAlerts()).toEqual([]);
+  });
+});
+
+describe('alertFingerprint', () => {
+  it('does not depend on label order', () => {
+    expect(alertFingerprint('cpu_high', { core: 'core-0', host: 'a' }))
+      .toBe(alertFingerprint('cpu_high', { host: 'a', core: 'core-0' }));
+    expect(alertFingerprint('cpu_high', { core: 'core-0' }))
+      .not.toBe(alertFingerprint('cpu_high', { core: 'core-3' }));
+    expect(alertFingerprint('cpu_high', { core: 'core-0' }))
+      .not.toBe(alertFingerprint('memory_high', { core: 'core-0' }));
+  });
+});
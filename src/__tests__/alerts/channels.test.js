@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AlertManager } from '../../alerts/alert-manager.js';
+import {
+  ChannelValidationError,
+  REDACTED,
+  getChannelErrors,
+  redactChannel,
+  restoreChannelSecrets
+} from '../../alerts/channels.js';
+
+const slack = {
+  id: 'slack_ops',
+  name: 'Slack - Operations',
+  type: 'slack',
+  enabled: true,
+  config: { webhook_url: 'https://hooks.slack.com/services/T000/B000/secret', channel: '#ops' }
+};
+
+const email = {
+  id: 'email_ops',
+  type: 'email',
+  enabled: false,
+  config: {
+    recipients: ['ops@example.com'],
+    smtp: { host: 'smtp.example.com', auth: { user: 'alerts@example.com', pass: 'hunter2' } }
+  }
+};
+
+describe('channel secrets', () => {
+  it('redacts secrets at any depth', () => {
+    const webhook = {
+      id: 'hook',
+      type: 'webhook',
+      config: { url: 'https://example.com/hook', secret: 's3cret', headers: { Authorization: 'Bearer abc', 'X-Source': 'alerts' } }
+    };
+
+    expect(redactChannel(slack).config).toEqual({ webhook_url: REDACTED, channel: '#ops' });
+    expect(redactChannel(email).config.smtp.auth).toEqual({ user: 'alerts@example.com', pass: REDACTED });
+    expect(redactChannel(webhook).config).toEqual({
+      url: 'https://example.com/hook',
+      secret: REDACTED,
+      headers: { Authorization: REDACTED, 'X-Source': 'alerts' }
+    });
+    expect(slack.config.webhook_url).toBe('https://hooks.slack.com/services/T000/B000/secret');
+  });
+
+  it('keeps stored secrets that an update sent back redacted', () => {
+    const update = redactChannel({ ...email, config: { ...email.config, recipients: ['oncall@example.com'] } });
+
+    expect(restoreChannelSecrets(update, email).config).toEqual({
+      recipients: ['oncall@example.com'],
+      smtp: email.config.smtp
+    });
+  });
+
+  it('reports invalid channels', () => {
+    expect(getChannelErrors(slack)).toEqual([]);
+    expect(getChannelErrors({ id: 'teams', type: 'msteams', config: { timeout: 'soon' } })).toEqual([
+      'config.webhook_url: is required',
+      expect.stringMatching(/^config\.timeout: /)
+    ]);
+    expect(getChannelErrors({ id: 'sms', type: 'sms' })).toEqual([
+      'type: must be one of console, websocket, ai_feedback, email, slack, pagerduty, msteams, webhook'
+    ]);
+  });
+});
+
+describe('AlertManager channel changes', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'channels-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function createManager(channels) {
+    const manager = new AlertManager();
+    manager.channelsPath = path.join(dir, 'channels.json');
+    await fs.writeFile(manager.channelsPath, JSON.stringify({ channels }));
+    manager.channels = channels;
+    return manager;
+  }
+
+  async function readChannels(manager) {
+    return JSON.parse(await fs.readFile(manager.channelsPath, 'utf-8')).channels;
+  }
+
+  it('persists created, updated and deleted channels', async () => {
+    const manager = await createManager([slack]);
+
+    await manager.createChannel(email);
+    await manager.updateChannel('slack_ops', redactChannel({ ...slack, config: { ...slack.config, channel: '#alerts' } }));
+    await manager.deleteChannel('email_ops');
+
+    const expected = [{ ...slack, config: { ...slack.config, channel: '#alerts' } }];
+    expect(await readChannels(manager)).toEqual(expected);
+    expect(manager.channels).toEqual(expected);
+  });
+
+  it('rejects invalid changes without saving them', async () => {
+    const manager = await createManager([slack]);
+
+    await expect(manager.createChannel(slack)).rejects.toThrow('Channel slack_ops already exists');
+    await expect(manager.createChannel({ id: 'hook', type: 'webhook' })).rejects.toThrow(ChannelValidationError);
+    await expect(manager.updateChannel('slack_ops', { ...slack, id: 'other' })).rejects.toThrow('id: cannot be changed');
+    await expect(manager.deleteChannel('missing')).resolves.toBeNull();
+    expect(await readChannels(manager)).toEqual([slack]);
+  });
+
+  it('sends a sample alert through the delivery path of the channel', async () => {
+    const manager = await createManager([slack, { id: 'console', type: 'console', enabled: true, config: {} }]);
+    manager.deliverGroupNotification = jest.fn().mockResolvedValue();
+    manager.deliverRealtimeNotification = jest.fn().mockResolvedValue();
+
+    expect(await manager.testChannel('slack_ops')).toMatchObject({ channelId: 'slack_ops', success: true });
+    const [channel, notification] = manager.deliverGroupNotification.mock.calls[0];
+    expect(channel).toBe(slack);
+    expect(notification.alerts).toEqual([expect.objectContaining({ status: 'firing', severity: 'critical' })]);
+
+    await manager.testChannel('console');
+    expect(manager.deliverRealtimeNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'console' }),
+      expect.objectContaining({ id: 'test-console' })
+    );
+
+    await expect(manager.testChannel('missing')).resolves.toBeNull();
+  });
+
+  it('reports why a test send failed', async () => {
+    const manager = await createManager([{ id: 'hook', type: 'webhook', enabled: true, config: {} }]);
+
+    expect(await manager.testChannel('hook')).toEqual({
+      channelId: 'hook',
+      success: false,
+      error: 'Webhook channel hook has no url'
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import path from 'path';
+import { detectConfigKind, lintConfig, lintConfigFile } from '../../alerts/config-lint.js';
+
+const configDir = path.join(process.cwd(), 'config');
+
+const cpuRule = {
+  id: 'cpu_high',
+  name: 'High CPU Usage',
+  type: 'threshold',
+  source: 'prometheus',
+  query: 'system_cpu_usage > 80',
+  severity: 'warning'
+};
+
+describe('config lint', () => {
+  it('reports problems with their path in the file', () => {
+    const { errors } = lintConfig('rules', {
+      rules: [cpuRule, { ...cpuRule, labels: { 'team-name': 1 }, duration: 'soon' }],
+      inhibit_rules: [{ source_matchers: [] }]
+    });
+
+    expect(errors).toEqual([
+      expect.stringMatching(/^rules\[1\]\.duration: must be a duration/),
+      'rules[1].labels["team-name"]: must be a string',
+      'rules[1].id: "cpu_high" is used more than once',
+      expect.stringMatching(/^inhibit_rules\[0\]: /)
+    ]);
+  });
+
+  it('suggests migrations for the legacy rules file', async () => {
+    const result = await lintConfigFile(path.join(configDir, 'alert-rules.json'));
+
+    expect(result.kind).toBe('rules');
+    expect(result.migrations).toEqual(expect.arrayContaining([
+      'rules[0].type: "prometheus" is a legacy rule type, use "type": "threshold" with "source": "prometheus"',
+      'rules[2].type: "azure" is a legacy rule type, use "type": "threshold" with "source": "azure"',
+      'rules[2].metricName: use "query": "Http5xx" instead'
+    ]));
+  });
+
+  it('suggests snake_case keys for legacy channel configs', () => {
+    const channel = { id: 'ai', name: 'AI', type: 'ai_feedback', config: { minSeverity: 'warning', feedbackType: 'explanation' } };
+
+    expect(lintConfig('channels', [channel])).toEqual({
+      errors: [],
+      migrations: [
+        '(root): wrap the list in { "channels": [...] }',
+        '[0].config.minSeverity: rename to "min_severity"',
+        '[0].config.feedbackType: rename to "feedback_type"'
+      ]
+    });
+  });
+
+  it('validates the AI config', async () => {
+    expect(await lintConfigFile(path.join(configDir, 'ai-alerts', 'config.json'))).toMatchObject({ kind: 'ai', errors: [] });
+    expect(lintConfig('ai', {
+      analysis: { patternAnalysis: { interval: 10 } },
+      models: { analysis: { temperature: 3 } }
+    }).errors).toEqual([
+      'analysis.patternAnalysis.interval: must be >= 1000',
+      'models.analysis.model: is required',
+      'models.analysis.temperature: must be <= 2'
+    ]);
+  });
+
+  it('ships valid default configs', async () => {
+    for (const file of ['rules.json', 'channels.json']) {
+      expect(await lintConfigFile(path.join(configDir, 'alerts', file))).toMatchObject({ errors: [], migrations: [] });
+    }
+  });
+
+  it('tells flat lists apart by file name', () => {
+    expect(detectConfigKind('my-rules.json', [])).toBe('rules');
+    expect(detectConfigKind('x.json', { channels: [] })).toBe('channels');
+    expect(detectConfigKind('x.json', [])).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AlertManager, ConfigReloadError } from '../../alerts/alert-manager.js';
+import { ConfigWatcher } from '../../alerts/config-watcher.js';
+
+const cpuRule = {
+  id: 'cpu_high',
+  name: 'High CPU Usage',
+  type: 'threshold',
+  source: 'prometheus',
+  query: 'system_cpu_usage',
+  condition: '>',
+  threshold: 80,
+  severity: 'warning',
+  enabled: true
+};
+
+const memoryRule = {
+  ...cpuRule,
+  id: 'memory_high',
+  name: 'High Memory Usage',
+  query: 'system_memory_usage'
+};
+
+const consoleChannel = { id: 'console', name: 'Console', type: 'console', enabled: false, config: {} };
+
+describe('AlertManager config reload', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-reload-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function writeConfig(manager, rules, channels) {
+    await fs.writeFile(manager.rulesPath, JSON.stringify({ rules, inhibit_rules: [] }));
+    await fs.writeFile(manager.channelsPath, typeof channels === 'string' ? channels : JSON.stringify({ channels }));
+  }
+
+  async function createManager() {
+    const manager = new AlertManager();
+    manager.rulesPath = path.join(dir, 'rules.json');
+    manager.channelsPath = path.join(dir, 'channels.json');
+    manager.alertRules = [cpuRule, memoryRule];
+    manager.channels = [];
+    manager.initialized = true;
+    await writeConfig(manager, manager.alertRules, []);
+    return manager;
+  }
+
+  it('keeps the alerts of unchanged rules and resolves those of removed rules', async () => {
+    const manager = await createManager();
+    await manager.processMetrics({ system_cpu_usage: 95, system_memory_usage: 90, disk_usage_percent: 97 }, 'prometheus');
+    const [cpuAlert, memoryAlert] = manager.getActiveAlerts();
+
+    const diskRule = { ...cpuRule, id: 'disk_full', name: 'Disk Full', query: 'disk_usage_percent', threshold: 95 };
+    await writeConfig(manager, [cpuRule, diskRule], [consoleChannel]);
+    const result = await manager.reloadConfig();
+
+    expect(result.rules).toEqual({ added: ['disk_full'], updated: [], removed: ['memory_high'] });
+    expect(result.channels).toEqual({ added: ['console'], updated: [], removed: [] });
+    expect(manager.channels).toEqual([consoleChannel]);
+    expect(manager.getRuleAlerts('cpu_high')).toEqual([cpuAlert]);
+    expect(manager.getAlert(memoryAlert.id)).toMatchObject({ status: 'resolved', resolutionReason: 'Rule deleted' });
+    expect(manager.getRuleAlerts('disk_full')).toHaveLength(1);
+  });
+
+  it('keeps the running config when a file is invalid', async () => {
+    const manager = await createManager();
+    await writeConfig(manager, [{ ...cpuRule, severity: 'urgent' }, cpuRule], '{"channels": [');
+
+    const reload = manager.reloadConfig();
+
+    await expect(reload).rejects.toThrow(ConfigReloadError);
+    await expect(reload).rejects.toMatchObject({
+      errors: [
+        'rules.json: rules[0].severity: must be one of info, warning, error, critical',
+        'rules.json: rules[1].id: "cpu_high" is used more than once',
+        expect.stringMatching(/^channels\.json: /)
+      ]
+    });
+    expect(manager.alertRules).toEqual([cpuRule, memoryRule]);
+    expect(manager.channels).toEqual([]);
+  });
+});
+
+describe('ConfigWatcher', () => {
+  let dir;
+  let watcher;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-watcher-'));
+  });
+
+  afterEach(async () => {
+    watcher?.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reports a replaced file once', async () => {
+    const file = path.join(dir, 'rules.json');
+    await fs.writeFile(file, '{}');
+
+    const changes = [];
+    const changed = new Promise((resolve) => {
+      watcher = new ConfigWatcher({
+        files: [file],
+        debounce: '50ms',
+        onChange: (files) => {
+          changes.push(files);
+          resolve();
+        }
+      });
+    });
+    watcher.start();
+
+    await fs.writeFile(path.join(dir, 'other.json'), '{}');
+    await fs.writeFile(`${file}.tmp`, '{"rules": []}');
+    await fs.rename(`${file}.tmp`, file);
+    await changed;
+
+    expect(changes).toEqual([[file]]);
+  });
+});
@@ -0,0 +1,201 @@
+import { jest } from '@jest/globals';
+import { NotificationDispatcher, getGroupLabels } from '../../alerts/dispatcher.js';
+import { compileRoute } from '../../alerts/routing.js';
+import { AlertManager } from '../../alerts/alert-manager.js';
+
+const route = {
+  group_by: ['team'],
+  group_wait: '30s',
+  group_interval: '5m',
+  repeat_interval: '1h'
+};
+
+function alert(id, team, status = 'firing') {
+  return { id, fingerprint: id, ruleId: 'cpu', ruleName: 'High CPU Usage', severity: 'warning', status, labels: { team } };
+}
+
+function createDispatcher(options = {}) {
+  const notifications = [];
+  const dispatcher = new NotificationDispatcher({
+    notify: async (notification) => {
+      notifications.push(notification);
+    },
+    logger: { error: jest.fn() },
+    ...options
+  });
+  dispatcher.setRoute(route);
+  return { dispatcher, notifications };
+}
+
+describe('NotificationDispatcher', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('waits group_wait and sends one notification per group', async () => {
+    const { dispatcher, notifications } = createDispatcher();
+
+    dispatcher.add(alert('a1', 'infra'));
+    dispatcher.add(alert('a2', 'infra'));
+    dispatcher.add(alert('b1', 'db'));
+
+    await jest.advanceTimersByTimeAsync(29 * 1000);
+    expect(notifications).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(notifications).toHaveLength(2);
+
+    const infra = notifications.find((n) => n.groupLabels.team === 'infra');
+    expect(infra.alerts.map((a) => a.id)).toEqual(['a1', 'a2']);
+    expect(infra.counts).toEqual({ firing: 2, resolved: 0 });
+    expect(infra.commonLabels).toEqual({ team: 'infra' });
+    dispatcher.stop();
+  });
+
+  it('batches later changes into the next group_interval', async () => {
+    const { dispatcher, notifications } = createDispatcher();
+
+    dispatcher.add(alert('a1', 'infra'));
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(notifications).toHaveLength(1);
+
+    dispatcher.add(alert('a2', 'infra'));
+    dispatcher.add(alert('a1', 'infra', 'resolved'));
+    await jest.advanceTimersByTimeAsync(4 * 60 * 1000);
+    expect(notifications).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(notifications).toHaveLength(2);
+    expect(notifications[1].status).toBe('firing');
+    expect(notifications[1].counts).toEqual({ firing: 1, resolved: 1 });
+    expect(notifications[1].alerts.map((a) => a.id)).toEqual(['a2', 'a1']);
+    dispatcher.stop();
+  });
+
+  it('repeats unchanged groups only after repeat_interval', async () => {
+    const { dispatcher, notifications } = createDispatcher();
+
+    dispatcher.add(alert('a1', 'infra'));
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    await jest.advanceTimersByTimeAsync(55 * 60 * 1000);
+    expect(notifications).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(notifications).toHaveLength(2);
+    expect(notifications[1].counts).toEqual({ firing: 1, resolved: 0 });
+    dispatcher.stop();
+  });
+
+  it('drops groups once their alerts resolve and skips resolutions nobody saw firing', async () => {
+    const { dispatcher, notifications } = createDispatcher();
+
+    dispatcher.add(alert('a1', 'infra'));
+    dispatcher.add(alert('a1', 'infra', 'resolved'));
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(notifications).toHaveLength(0);
+    expect(dispatcher.getGroups()).toEqual([]);
+  });
+
+  it('leaves muted alerts out of notifications', async () => {
+    const muted = new Set(['a2']);
+    const { dispatcher, notifications } = createDispatcher({ isMuted: (a) => muted.has(a.id) });
+
+    dispatcher.add(alert('a1', 'infra'));
+    dispatcher.add(alert('a2', 'infra'));
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(notifications[0].alerts.map((a) => a.id)).toEqual(['a1']);
+
+    muted.clear();
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(notifications[1].alerts.map((a) => a.id)).toEqual(['a1', 'a2']);
+    dispatcher.stop();
+  });
+
+  it('sends resolutions of muted alerts seen firing and drops groups of muted alerts', async () => {
+    const muted = new Set();
+    const { dispatcher, notifications } = createDispatcher({ isMuted: (a) => muted.has(a.id) });
+
+    dispatcher.add(alert('a1', 'infra'));
+    dispatcher.add(alert('b1', 'db'));
+    muted.add('b1');
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(notifications.map((n) => n.groupLabels.team)).toEqual(['infra']);
+    expect(dispatcher.getGroups().map((group) => group.groupLabels.team)).toEqual(['infra']);
+
+    muted.add('a1');
+    dispatcher.update(alert('a1', 'infra', 'resolved'));
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(notifications[1]).toMatchObject({ status: 'resolved', counts: { firing: 0, resolved: 1 } });
+    expect(dispatcher.getGroups()).toEqual([]);
+  });
+});
+
+describe('route settings', () => {
+  it('groups by every label with "..."', () => {
+    const compiled = compileRoute({ group_by: ['...'] });
+    expect(getGroupLabels(compiled, alert('a1', 'infra'))).toMatchObject({
+      alertname: 'High CPU Usage',
+      team: 'infra'
+    });
+  });
+
+  it('rejects invalid timers', () => {
+    expect(() => compileRoute({ group_interval: 'soon' })).toThrow(/group_interval/);
+    expect(() => compileRoute({ repeat_interval: '0s' })).toThrow(/greater than zero/);
+  });
+});
+
+describe('AlertManager grouping', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('notifies console per alert and external channels once per group', async () => {
+    const manager = new AlertManager();
+    manager.alertRules = [{
+      id: 'cpu_high',
+      name: 'High CPU Usage',
+      type: 'threshold',
+      source: 'prometheus',
+      query: 'cpu_usage',
+      condition: '>',
+      threshold: 80,
+      severity: 'warning',
+      labels: { team: 'infra' },
+      enabled: true
+    }];
+    manager.channels = [
+      { id: 'console', type: 'console', enabled: true, config: {} },
+      { id: 'slack_ops', type: 'slack', enabled: true, config: { channel: '#ops' } }
+    ];
+    manager.dispatcher.setRoute(route);
+    manager.initialized = true;
+    manager.sendConsoleNotification = jest.fn();
+
+    const groups = [];
+    manager.on('notification_group', (notification) => groups.push(notification));
+
+    await manager.processMetrics({
+      cpu_usage: [{ host: 'a', value: 95 }, { host: 'b', value: 90 }, { host: 'c', value: 99 }]
+    }, 'prometheus');
+
+    expect(manager.sendConsoleNotification).toHaveBeenCalledTimes(3);
+    expect(groups).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].groupLabels).toEqual({ team: 'infra' });
+    expect(groups[0].counts).toEqual({ firing: 3, resolved: 0 });
+    manager.dispatcher.stop();
+  });
+});
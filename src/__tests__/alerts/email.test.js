@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { EmailNotifier, renderEmailBodies, buildTransportOptions } from '../../alerts/notifiers/email.js';
+import { AlertManager } from '../../alerts/alert-manager.js';
+
+const config = {
+  recipients: ['ops@example.com'],
+  from: 'alerts@example.com',
+  subject_template: '[{{severity | uppercase}}] {{alert.name}}',
+  body_template: 'Alert: {{alert.name}}\nStatus: {{alert.status}}\n\n{{alert.annotations.description}}'
+};
+
+function alert(id, status = 'firing') {
+  return {
+    id,
+    fingerprint: id,
+    ruleName: 'High CPU Usage',
+    severity: 'warning',
+    status,
+    timestamp: new Date('2024-01-01T10:00:00Z'),
+    resolvedAt: status === 'resolved' ? new Date('2024-01-01T10:10:00Z') : undefined,
+    labels: { host: id },
+    annotations: { description: 'CPU <above> 80%' }
+  };
+}
+
+function notification(alerts) {
+  const firing = alerts.filter((a) => a.status === 'firing').length;
+  return {
+    groupLabels: { team: 'infra' },
+    status: firing > 0 ? 'firing' : 'resolved',
+    alerts,
+    counts: { firing, resolved: alerts.length - firing }
+  };
+}
+
+/**
+ * Start a minimal SMTP sink that records the messages it receives
+ */
+async function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while (inData ? (index = buffer.indexOf('\r\n.\r\n')) !== -1 : (index = buffer.indexOf('\r\n')) !== -1) {
+        if (inData) {
+          messages.push(buffer.slice(0, index));
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          socket.write('250 OK\r\n');
+          continue;
+        }
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 sink\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, messages, port: server.address().port };
+}
+
+describe('Email notifier', () => {
+  it('renders templated plain-text and escaped HTML bodies', () => {
+    const { text, html } = renderEmailBodies('[FIRING:1] team=infra', [alert('web-1')], config);
+
+    expect(text).toContain('Alert: High CPU Usage\nStatus: firing\n\nCPU <above> 80%');
+    expect(text).toContain('Labels: host=web-1');
+    expect(html).toContain('CPU &lt;above&gt; 80%');
+    expect(html).toContain('border-left:4px solid #FBC02D');
+  });
+
+  it('builds transport options for TLS and auth', () => {
+    expect(buildTransportOptions({ smtp: { host: 'smtp.test', port: 465, auth: { user: 'u', pass: 'p' } } }))
+      .toMatchObject({ host: 'smtp.test', port: 465, secure: true, auth: { user: 'u', pass: 'p' } });
+    expect(buildTransportOptions({ smtp: { host: 'smtp.test', port: 587, require_tls: true } }))
+      .toMatchObject({ secure: false, requireTLS: true });
+  });
+
+  it('mails firing alerts at once and batches resolved notices', async () => {
+    jest.useFakeTimers();
+    const transport = { sendMail: jest.fn(async () => ({ messageId: 'x' })) };
+    const notifier = new EmailNotifier({ id: 'email_ops', config }, { transport });
+
+    try {
+      await notifier.send(notification([alert('web-1'), alert('web-2')]));
+      expect(transport.sendMail).toHaveBeenCalledTimes(1);
+      expect(transport.sendMail.mock.calls[0][0]).toMatchObject({
+        to: 'ops@example.com',
+        subject: '[WARNING] High CPU Usage (+1 more)'
+      });
+
+      await notifier.send(notification([alert('web-1', 'resolved')]));
+      await notifier.send(notification([alert('web-3'), alert('web-2', 'resolved')]));
+      expect(transport.sendMail).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+      expect(transport.sendMail).toHaveBeenCalledTimes(3);
+      const batch = transport.sendMail.mock.calls[2][0];
+      expect(batch.subject).toBe('[RESOLVED] 2 alerts resolved');
+      expect(batch.text).toContain('Resolved after 10m');
+    } finally {
+      notifier.stop();
+      jest.useRealTimers();
+    }
+  });
+
+  it('rejects channels without recipients', async () => {
+    const previous = process.env.EMAIL_RECIPIENTS;
+    delete process.env.EMAIL_RECIPIENTS;
+    const notifier = new EmailNotifier({ id: 'email_ops', config: {} }, { transport: { sendMail: jest.fn() } });
+
+    await expect(notifier.send(notification([alert('web-1')]))).rejects.toThrow(/no recipients/);
+    if (previous !== undefined) {
+      process.env.EMAIL_RECIPIENTS = previous;
+    }
+  });
+
+  it('delivers over SMTP', async () => {
+    const sink = await startSmtpSink();
+    const notifier = new EmailNotifier({
+      id: 'email_ops',
+      config: { ...config, smtp: { host: '127.0.0.1', port: sink.port, ignore_tls: true } }
+    });
+
+    try {
+      await notifier.send(notification([alert('web-1')]));
+      expect(sink.messages).toHaveLength(1);
+      expect(sink.messages[0]).toContain('Subject: [WARNING] High CPU Usage');
+      expect(sink.messages[0]).toContain('text/html');
+    } finally {
+      notifier.stop();
+      notifier.transport.close();
+      await new Promise((resolve) => sink.server.close(resolve));
+    }
+  });
+});
+
+describe('AlertManager resolved email batches', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'email-batch-'));
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T10:10:00Z'));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('queues the batch in the outbox and retries it when mailing fails', async () => {
+    const channel = { id: 'email_ops', type: 'email', enabled: true, config };
+    const transport = { sendMail: jest.fn().mockRejectedValueOnce(new Error('SMTP down')).mockResolvedValue({}) };
+    const manager = new AlertManager();
+    manager.channels = [channel];
+    manager.emailNotifiers.set(channel.id, new EmailNotifier(channel, { transport }));
+    manager.outbox.filePath = path.join(dir, 'outbox.json');
+    await manager.outbox.load();
+
+    await manager.outbox.enqueue({ kind: 'group', channel, payload: notification([alert('web-1', 'resolved')]) });
+    await manager.outbox.enqueue({ kind: 'group', channel, payload: notification([alert('web-2', 'resolved')]) });
+    expect(transport.sendMail).not.toHaveBeenCalled();
+
+    const stored = JSON.parse(await fs.readFile(manager.outbox.filePath, 'utf-8')).entries;
+    expect(stored).toEqual([expect.objectContaining({
+      kind: 'resolved_batch',
+      nextAttemptAt: '2024-01-01T10:15:00.000Z',
+      payload: { alerts: [expect.objectContaining({ id: 'web-1' }), expect.objectContaining({ id: 'web-2' })] }
+    })]);
+
+    jest.setSystemTime(new Date('2024-01-01T10:15:00Z'));
+    await manager.outbox.processDue();
+    expect(manager.outbox.list()).toEqual([expect.objectContaining({ kind: 'resolved_batch', attemptCount: 1 })]);
+
+    jest.setSystemTime(new Date('2024-01-01T10:16:00Z'));
+    await manager.outbox.processDue();
+    expect(manager.outbox.list()).toEqual([]);
+    expect(transport.sendMail).toHaveBeenLastCalledWith(expect.objectContaining({ subject: '[RESOLVED] 2 alerts resolved' }));
+    manager.outbox.stop();
+  });
+});
@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import { AlertManager } from '../../alerts/alert-manager.js';
+import {
+  EscalationManager,
+  compileEscalationPolicy,
+  serializeEscalationPolicy
+} from '../../alerts/escalation.js';
+import { compileContact, parseTarget } from '../../alerts/contacts.js';
+
+const logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+
+const policy = {
+  id: 'critical',
+  matchers: ['severity="critical"'],
+  steps: [
+    { delay: '5m', targets: ['user:alice'] },
+    { delay: '10m', targets: ['slack_ops', 'user:bob'] }
+  ]
+};
+
+function alert(overrides = {}) {
+  return {
+    id: 'f1',
+    fingerprint: 'f1',
+    ruleId: 'cpu_high',
+    ruleName: 'High CPU Usage',
+    severity: 'critical',
+    status: 'firing',
+    labels: { host: 'web-1' },
+    annotations: { summary: 'CPU is high' },
+    ...overrides
+  };
+}
+
+describe('escalation policy config', () => {
+  it('parses channel, contact and schedule targets', () => {
+    expect(parseTarget('slack_ops')).toEqual({ type: 'channel', id: 'slack_ops' });
+    expect(parseTarget('user:alice')).toEqual({ type: 'user', id: 'alice' });
+    expect(parseTarget('schedule:primary')).toEqual({ type: 'schedule', id: 'primary' });
+  });
+
+  it('compiles steps and serializes them back', () => {
+    const compiled = compileEscalationPolicy(policy, 0);
+
+    expect(compiled.steps.map((step) => step.delayMs)).toEqual([300000, 600000]);
+    expect(serializeEscalationPolicy(compiled)).toEqual({
+      ...policy,
+      name: 'critical',
+      matchers: [{ name: 'severity', value: 'critical', isRegex: false, isEqual: true }]
+    });
+  });
+
+  it('reports which policy and step is invalid', () => {
+    expect(() => compileEscalationPolicy({ steps: [] }, 2)).toThrow('Escalation policy escalation_2: steps');
+    expect(() => compileEscalationPolicy({ id: 'p', steps: [{ delay: 'soon', targets: ['a'] }] }, 0))
+      .toThrow(/Escalation policy p: step 1: delay/);
+    expect(() => compileEscalationPolicy({ id: 'p', steps: [{ targets: [] }] }, 0))
+      .toThrow(/step 1: targets/);
+  });
+
+  it('validates contact methods', () => {
+    expect(compileContact({ id: 'alice', methods: [{ channel: 'email_ops' }] }, 0))
+      .toEqual({ id: 'alice', name: 'alice', methods: [{ channel: 'email_ops', config: {} }] });
+    expect(() => compileContact({ id: 'alice', methods: [{}] }, 0)).toThrow(/method 0 needs a channel/);
+  });
+});
+
+describe('EscalationManager', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function createManager(alerts) {
+    const notify = jest.fn().mockResolvedValue();
+    const manager = new EscalationManager({ notify, getAlert: (id) => alerts.get(id), logger });
+    manager.setPolicies([policy]);
+    return { manager, notify };
+  }
+
+  it('runs each step after its delay until the policy is exhausted', async () => {
+    const firing = alert();
+    const { manager, notify } = createManager(new Map([['f1', firing]]));
+
+    manager.start(firing);
+    expect(manager.get('f1').nextStepAt).toEqual(new Date('2024-01-01T00:05:00Z'));
+
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(notify).toHaveBeenCalledWith(firing, expect.objectContaining({ id: 'critical' }), 0);
+
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(notify).toHaveBeenLastCalledWith(firing, expect.anything(), 1);
+    expect(manager.get('f1')).toBeUndefined();
+  });
+
+  it('stops once the alert is acknowledged', async () => {
+    const firing = alert();
+    const { manager, notify } = createManager(new Map([['f1', firing]]));
+
+    manager.start(firing);
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    firing.acknowledgedAt = new Date();
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(manager.get('f1')).toBeUndefined();
+  });
+
+  it('ignores alerts no policy matches', () => {
+    const { manager } = createManager(new Map());
+
+    expect(manager.start(alert({ severity: 'warning' }))).toBeNull();
+  });
+});
+
+describe('AlertManager escalations', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function createManager() {
+    const manager = new AlertManager();
+    manager.channels = [
+      { id: 'email_ops', type: 'email', enabled: true, config: { recipients: ['ops@example.com'] } },
+      { id: 'slack_ops', type: 'slack', enabled: true, config: { channel: '#ops' } }
+    ];
+    manager.contacts = new Map([
+      ['alice', compileContact({ id: 'alice', methods: [{ channel: 'email_ops', config: { recipients: ['alice@example.com'] } }] }, 0)],
+      ['bob', compileContact({ id: 'bob', methods: [{ channel: 'slack_ops', config: { channel: '@bob' } }] }, 1)]
+    ]);
+    manager.dispatcher.setRoute({ receivers: [] });
+    manager.escalations.setPolicies([policy]);
+    manager.deliverGroupNotification = jest.fn().mockResolvedValue();
+    return manager;
+  }
+
+  it('notifies each step with the contact overrides until acknowledged', async () => {
+    const manager = createManager();
+    const firing = alert();
+    manager.activeAlerts.set(firing.id, firing);
+
+    await manager.sendNotifications(firing);
+    expect(firing.escalationPolicyId).toBe('critical');
+
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(manager.deliverGroupNotification).toHaveBeenCalledTimes(1);
+    const [channel, notification] = manager.deliverGroupNotification.mock.calls[0];
+    expect(channel).toMatchObject({ id: 'email_ops:alice', config: { recipients: ['alice@example.com'] } });
+    expect(notification.escalation).toEqual({ policyId: 'critical', step: 1, steps: 2 });
+    expect(firing.escalationHistory).toEqual([
+      expect.objectContaining({ policyId: 'critical', step: 1, targets: ['user:alice'] })
+    ]);
+
+    await manager.acknowledgeAlert('f1', { user: 'alice' });
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(manager.deliverGroupNotification).toHaveBeenCalledTimes(1);
+    expect(manager.createSafeAlertCopy(firing).nextEscalationAt).toBeNull();
+  });
+
+  it('records steps for suppressed alerts without notifying anyone', async () => {
+    const manager = createManager();
+    const firing = alert();
+    manager.activeAlerts.set(firing.id, firing);
+    await manager.sendNotifications(firing);
+
+    firing.silencedBy = ['s1'];
+    await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+
+    expect(manager.deliverGroupNotification).not.toHaveBeenCalled();
+    expect(firing.escalationHistory.map((record) => record.skipped)).toEqual(['suppressed', 'suppressed']);
+  });
+});
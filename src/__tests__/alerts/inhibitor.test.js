@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { Inhibitor } from '../../alerts/inhibitor.js';
+import { AlertManager } from '../../alerts/alert-manager.js';
+
+const hostDownRule = {
+  source_matchers: ['alertname="Host Down"'],
+  target_matchers: ['alertname=~"High CPU Usage|High Memory Usage"'],
+  equal: ['host']
+};
+
+function alert(id, ruleName, labels, status = 'firing') {
+  return { id, ruleId: id, ruleName, severity: 'warning', status, labels };
+}
+
+describe('Inhibitor', () => {
+  it('inhibits targets sharing the equal labels with a firing source', () => {
+    const inhibitor = new Inhibitor();
+    inhibitor.setRules([hostDownRule]);
+
+    const hostDown = alert('down-a', 'Host Down', { host: 'a' });
+    const cpuA = alert('cpu-a', 'High CPU Usage', { host: 'a' });
+    const cpuB = alert('cpu-b', 'High CPU Usage', { host: 'b' });
+    const active = [hostDown, cpuA, cpuB];
+
+    expect(inhibitor.getInhibitingIds(cpuA, active)).toEqual(['down-a']);
+    expect(inhibitor.getInhibitingIds(cpuB, active)).toEqual([]);
+    expect(inhibitor.getInhibitingIds(hostDown, active)).toEqual([]);
+  });
+
+  it('ignores sources that are not firing yet', () => {
+    const inhibitor = new Inhibitor();
+    inhibitor.setRules([hostDownRule]);
+
+    const pendingHostDown = alert('down-a', 'Host Down', { host: 'a' }, 'pending');
+    const cpuA = alert('cpu-a', 'High CPU Usage', { host: 'a' });
+
+    expect(inhibitor.getInhibitingIds(cpuA, [pendingHostDown, cpuA])).toEqual([]);
+  });
+
+  it('rejects rules without matchers', () => {
+    const inhibitor = new Inhibitor();
+    expect(() => inhibitor.setRules([{ target_matchers: ['a="b"'] }])).toThrow(/source_matchers/);
+  });
+});
+
+describe('AlertManager inhibition', () => {
+  it('marks dependent alerts inhibited and only notifies once the source resolves', async () => {
+    const manager = new AlertManager();
+    manager.alertRules = [
+      {
+        id: 'host_down',
+        name: 'Host Down',
+        type: 'threshold',
+        source: 'prometheus',
+        query: 'up == 0',
+        severity: 'critical',
+        enabled: true
+      },
+      {
+        id: 'cpu_high',
+        name: 'High CPU Usage',
+        type: 'threshold',
+        source: 'prometheus',
+        query: 'cpu_usage',
+        condition: '>',
+        threshold: 80,
+        severity: 'warning',
+        enabled: true
+      }
+    ];
+    manager.inhibitor.setRules([hostDownRule]);
+    manager.channels = [{ id: 'console', type: 'console', enabled: true, config: {} }];
+    manager.initialized = true;
+    manager.sendConsoleNotification = jest.fn();
+
+    await manager.processMetrics({
+      up: [{ host: 'a', value: 0 }],
+      cpu_usage: [{ host: 'a', value: 95 }]
+    }, 'prometheus');
+
+    const cpuAlert = manager.getRuleAlerts('cpu_high')[0];
+    const hostAlert = manager.getRuleAlerts('host_down')[0];
+    expect(cpuAlert.inhibitedBy).toEqual([hostAlert.id]);
+    expect(manager.sendConsoleNotification).toHaveBeenCalledTimes(1);
+    expect(manager.sendConsoleNotification.mock.calls[0][1].ruleId).toBe('host_down');
+
+    await manager.processMetrics({
+      up: [{ host: 'a', value: 1 }],
+      cpu_usage: [{ host: 'a', value: 95 }]
+    }, 'prometheus');
+
+    expect(cpuAlert.inhibitedBy).toEqual([]);
+    const notifiedRules = manager.sendConsoleNotification.mock.calls.map(([, sent]) => sent.ruleId);
+    expect(notifiedRules).toEqual(['host_down', 'host_down', 'cpu_high']);
+  });
+});
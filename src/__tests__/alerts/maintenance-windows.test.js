@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { MaintenanceWindows, compileMaintenanceWindow } from '../../alerts/maintenance-windows.js';
+import { AlertManager } from '../../alerts/alert-manager.js';
+import { nextCronTime, previousCronTime } from '../../utils/cron.js';
+
+// Wednesday
+const WEDNESDAY = Date.parse('2024-01-03T10:00:00Z');
+
+const patchWindow = {
+  id: 'weekly_patching',
+  schedule: '0 2 * * SUN',
+  duration: '2h',
+  timezone: 'UTC',
+  action: 'suppress_notifications',
+  matchers: ['team="infrastructure"']
+};
+
+function createWindows(...definitions) {
+  const windows = new MaintenanceWindows('unused.json');
+  windows.windows = definitions.map(compileMaintenanceWindow);
+  return windows;
+}
+
+describe('cron schedules', () => {
+  it('finds the next and previous run in a time zone', () => {
+    expect(new Date(nextCronTime('0 2 * * 0', WEDNESDAY)).toISOString()).toBe('2024-01-07T02:00:00.000Z');
+    expect(new Date(previousCronTime('0 2 * * SUN', WEDNESDAY)).toISOString()).toBe('2023-12-31T02:00:00.000Z');
+    expect(new Date(nextCronTime('30 9 * * 1-5', WEDNESDAY, { timeZone: 'America/New_York' })).toISOString())
+      .toBe('2024-01-03T14:30:00.000Z');
+  });
+});
+
+describe('MaintenanceWindows', () => {
+  it('is active only between the scheduled start and its duration', () => {
+    const windows = createWindows(patchWindow);
+    const [window] = windows.windows;
+
+    expect(windows.getWindowState(window, Date.parse('2024-01-07T01:59:00Z')).active).toBe(false);
+    expect(windows.getWindowState(window, Date.parse('2024-01-07T02:00:00Z')).active).toBe(true);
+    expect(windows.getWindowState(window, Date.parse('2024-01-07T03:59:00Z'))).toEqual({
+      active: true,
+      startsAt: new Date('2024-01-07T02:00:00Z'),
+      endsAt: new Date('2024-01-07T04:00:00Z')
+    });
+    expect(windows.getWindowState(window, Date.parse('2024-01-07T04:00:00Z')).active).toBe(false);
+  });
+
+  it('applies the window time zone', () => {
+    const windows = createWindows({ ...patchWindow, timezone: 'Asia/Kolkata' });
+    const [window] = windows.windows;
+
+    // 02:00 IST on Sunday is 20:30 UTC on Saturday
+    expect(windows.getWindowState(window, Date.parse('2024-01-06T21:00:00Z')).active).toBe(true);
+    expect(windows.getWindowState(window, Date.parse('2024-01-07T02:30:00Z')).active).toBe(false);
+  });
+
+  it('targets rules by id or label', () => {
+    const sunday = Date.parse('2024-01-07T03:00:00Z');
+    const windows = createWindows(
+      { ...patchWindow, id: 'by_id', action: 'skip_evaluation', matchers: [], rule_ids: ['disk_usage_growth'] },
+      patchWindow
+    );
+
+    expect(windows.findRuleWindow({ id: 'disk_usage_growth' }, sunday).id).toBe('by_id');
+    expect(windows.findRuleWindow({ id: 'cpu_high', labels: { team: 'infrastructure' } }, sunday)).toBeNull();
+    expect(windows.findAlertWindow({ ruleId: 'cpu_high', labels: { team: 'infrastructure' } }, sunday).id)
+      .toBe('weekly_patching');
+    expect(windows.findAlertWindow({ ruleId: 'cpu_high', labels: { team: 'data' } }, sunday)).toBeNull();
+  });
+
+  it('rejects invalid windows', () => {
+    expect(() => compileMaintenanceWindow({ ...patchWindow, schedule: '0 2 * *' })).toThrow(/weekly_patching/);
+    expect(() => compileMaintenanceWindow({ ...patchWindow, timezone: 'Mars/Olympus' })).toThrow(/timezone/);
+    expect(() => compileMaintenanceWindow({ ...patchWindow, action: 'ignore' })).toThrow(/action/);
+  });
+});
+
+describe('AlertManager maintenance windows', () => {
+  const rule = {
+    id: 'cpu_high',
+    name: 'High CPU Usage',
+    type: 'threshold',
+    source: 'prometheus',
+    query: 'system_cpu_usage',
+    condition: '>',
+    threshold: 80,
+    severity: 'warning',
+    labels: { team: 'infrastructure' },
+    enabled: true
+  };
+
+  function createManager(window) {
+    const manager = new AlertManager();
+    manager.alertRules = [rule];
+    manager.channels = [{ id: 'console', type: 'console', enabled: true, config: {} }];
+    manager.maintenanceWindows = createWindows(window);
+    manager.initialized = true;
+    manager.sendConsoleNotification = jest.fn();
+    return manager;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(Date.parse('2024-01-07T03:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('skips evaluation of targeted rules while the window is open', async () => {
+    const manager = createManager({ ...patchWindow, action: 'skip_evaluation' });
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    expect(manager.getActiveAlerts()).toHaveLength(0);
+  });
+
+  it('looks up the open windows once per metrics ingest', async () => {
+    const manager = createManager(patchWindow);
+    manager.alertRules = [rule, { ...rule, id: 'cpu_critical' }, { ...rule, id: 'cpu_very_high' }];
+    const lookup = jest.spyOn(manager.maintenanceWindows, 'getActiveWindows');
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    expect(manager.getActiveAlerts().map((alert) => alert.maintenanceWindowId)).toEqual(Array(3).fill('weekly_patching'));
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+
+  it('suppresses notifications until the window closes', async () => {
+    const manager = createManager(patchWindow);
+    const started = jest.fn();
+    manager.on('maintenance_window_started', started);
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    expect(started).toHaveBeenCalledTimes(1);
+    expect(manager.getActiveAlerts()[0].maintenanceWindowId).toBe('weekly_patching');
+    expect(manager.sendConsoleNotification).not.toHaveBeenCalled();
+
+    jest.setSystemTime(Date.parse('2024-01-07T04:01:00Z'));
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    expect(manager.getActiveAlerts()[0].maintenanceWindowId).toBeNull();
+    expect(manager.sendConsoleNotification).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,84 @@
+import http from 'http';
+import { buildTeamsPayload, sendTeamsNotification } from '../../alerts/notifiers/msteams.js';
+
+function alert(overrides = {}) {
+  return {
+    id: 'f1',
+    fingerprint: 'f1',
+    ruleName: 'High CPU Usage',
+    severity: 'warning',
+    status: 'firing',
+    timestamp: new Date('2024-01-01T10:00:00Z'),
+    labels: { host: 'web-1' },
+    annotations: { description: 'CPU above 80%' },
+    ...overrides
+  };
+}
+
+function notification(alerts) {
+  const firing = alerts.filter((a) => a.status === 'firing').length;
+  return {
+    groupLabels: { team: 'infrastructure' },
+    status: firing > 0 ? 'firing' : 'resolved',
+    alerts,
+    counts: { firing, resolved: alerts.length - firing }
+  };
+}
+
+describe('Teams notifier', () => {
+  it('builds an Adaptive Card styled by severity with dashboard links', () => {
+    const payload = buildTeamsPayload(notification([
+      alert(),
+      alert({ id: 'f2', severity: 'critical' }),
+      alert({ id: 'f3', status: 'resolved', resolvedAt: new Date('2024-01-01T10:05:00Z') })
+    ]), {
+      title_template: '{{alert.name}} ({{alert.severity | uppercase}})',
+      message_template: '{{alert.annotations.description}} - {{alert.status}}',
+      dashboard_url: 'https://monitoring.example.com/'
+    });
+
+    const card = payload.attachments[0].content;
+    expect(payload.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.type).toBe('AdaptiveCard');
+
+    const [header, warning, critical, resolved] = card.body;
+    expect(header.style).toBe('attention');
+    expect(header.items[0].text).toBe('[FIRING:2 RESOLVED:1] team=infrastructure');
+
+    expect(warning.style).toBe('warning');
+    expect(warning.items[0].text).toBe('High CPU Usage (WARNING)');
+    expect(warning.items[1].text).toBe('CPU above 80% - firing');
+    expect(warning.items[2].facts).toEqual([{ title: 'host', value: 'web-1' }]);
+    expect(warning.items[3].actions[0].url).toBe('https://monitoring.example.com/?alert=f1');
+
+    expect(critical.style).toBe('attention');
+    expect(resolved.style).toBe('good');
+    expect(resolved.items[3].text).toBe('Resolved after 5m');
+    expect(card.actions[0].url).toBe('https://monitoring.example.com');
+  });
+
+  it('posts the card to the webhook', async () => {
+    const bodies = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        bodies.push(JSON.parse(body));
+        res.end('1');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const status = await sendTeamsNotification({
+        id: 'teams_general',
+        config: { webhook_url: `http://127.0.0.1:${server.address().port}/webhook` }
+      }, notification([alert()]));
+
+      expect(status).toBe(200);
+      expect(bodies[0].type).toBe('message');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { NotificationOutbox, getBackoffDelay, resolveRetryPolicy } from '../../alerts/outbox.js';
+
+const logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+
+const channel = {
+  id: 'slack_ops',
+  type: 'slack',
+  config: { retry: { max_attempts: 3, initial_backoff: '10s', max_backoff: '15s' } }
+};
+
+const notification = { groupKey: 'root:{}', alerts: [{ id: 'a1', timestamp: new Date('2024-01-01T00:00:00Z') }] };
+
+describe('retry policy', () => {
+  it('doubles the delay after every failure up to the maximum', () => {
+    const policy = resolveRetryPolicy({ initial_backoff: '30s', max_backoff: '5m' });
+
+    expect(policy.maxAttempts).toBe(8);
+    expect([1, 2, 3, 4, 5].map((failures) => getBackoffDelay(policy, failures)))
+      .toEqual([30000, 60000, 120000, 240000, 300000]);
+  });
+
+  it('rejects invalid attempt caps', () => {
+    expect(() => resolveRetryPolicy({ max_attempts: 0 })).toThrow(/max_attempts/);
+  });
+});
+
+describe('NotificationOutbox', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function createOutbox(deliver, onResult) {
+    const outbox = new NotificationOutbox({ filePath: path.join(dir, 'outbox.json'), deliver, onResult, logger });
+    await outbox.load();
+    return outbox;
+  }
+
+  it('removes deliveries that succeed', async () => {
+    const deliver = jest.fn().mockResolvedValue();
+    const onResult = jest.fn();
+    const outbox = await createOutbox(deliver, onResult);
+
+    expect(await outbox.enqueue({ kind: 'group', channel, payload: notification })).toBeNull();
+
+    expect(deliver).toHaveBeenCalledWith(expect.objectContaining({
+      kind: 'group',
+      channelId: 'slack_ops',
+      payload: { groupKey: 'root:{}', alerts: [{ id: 'a1', timestamp: '2024-01-01T00:00:00.000Z' }] }
+    }));
+    expect(onResult).toHaveBeenCalledWith(expect.any(Object), 'success');
+    expect(outbox.list()).toEqual([]);
+    expect(JSON.parse(await fs.readFile(path.join(dir, 'outbox.json'), 'utf-8'))).toEqual({ entries: [] });
+  });
+
+  it('retries with backoff and dead-letters after the last attempt', async () => {
+    const deliver = jest.fn().mockRejectedValue(new Error('HTTP 500'));
+    const onResult = jest.fn();
+    const outbox = await createOutbox(deliver, onResult);
+
+    const entry = await outbox.enqueue({ kind: 'group', channel, payload: notification });
+    expect(entry).toMatchObject({ status: 'pending', attemptCount: 1, lastError: 'HTTP 500' });
+    expect(entry.nextAttemptAt).toBe('2024-01-01T00:00:10.000Z');
+
+    jest.setSystemTime(new Date('2024-01-01T00:00:10Z'));
+    await outbox.processDue();
+    expect(entry.attemptCount).toBe(2);
+    expect(entry.nextAttemptAt).toBe('2024-01-01T00:00:25.000Z');
+
+    jest.setSystemTime(new Date('2024-01-01T00:00:20Z'));
+    await outbox.processDue();
+    expect(deliver).toHaveBeenCalledTimes(2);
+
+    jest.setSystemTime(new Date('2024-01-01T00:00:25Z'));
+    await outbox.processDue();
+    expect(entry.status).toBe('dead');
+    expect(entry.attempts).toHaveLength(3);
+    expect(onResult.mock.calls.map(([, outcome]) => outcome)).toEqual(['failure', 'failure', 'dead']);
+    expect(outbox.getCounts()).toEqual({ pending: 0, dead: 1 });
+    outbox.stop();
+  });
+
+  it('replays dead letters', async () => {
+    const deliver = jest.fn().mockRejectedValue(new Error('HTTP 500'));
+    const outbox = await createOutbox(deliver);
+    const entry = await outbox.enqueue({
+      kind: 'group',
+      channel: { ...channel, config: { retry: { max_attempts: 1 } } },
+      payload: notification
+    });
+    expect(entry.status).toBe('dead');
+
+    deliver.mockResolvedValue();
+    expect(await outbox.replay(entry.id)).toEqual({ entry, delivered: true });
+    expect(outbox.list()).toEqual([]);
+    expect(await outbox.replay('missing')).toBeNull();
+  });
+
+  it('keeps pending deliveries across restarts', async () => {
+    const failing = await createOutbox(jest.fn().mockRejectedValue(new Error('timeout')));
+    const entry = await failing.enqueue({ kind: 'group', channel, payload: notification });
+    failing.stop();
+
+    const deliver = jest.fn().mockResolvedValue();
+    const restarted = await createOutbox(deliver);
+    await restarted.load();
+    expect(restarted.get(entry.id)).toMatchObject({ status: 'pending', attemptCount: 1 });
+
+    jest.setSystemTime(new Date('2024-01-01T00:00:10Z'));
+    await restarted.processDue();
+    expect(deliver).toHaveBeenCalledTimes(1);
+    expect(restarted.list()).toEqual([]);
+  });
+});
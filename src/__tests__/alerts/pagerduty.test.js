@@ -0,0 +1,122 @@
+import http from 'http';
+import { buildPagerDutyEvent, sendPagerDutyNotification } from '../../alerts/notifiers/pagerduty.js';
+import { AlertManager } from '../../alerts/alert-manager.js';
+
+const config = {
+  service_key: 'service-key',
+  severity_mapping: { critical: 'critical', error: 'error', warning: 'warning', info: 'info' },
+  min_severity: 'error'
+};
+
+function alert(overrides = {}) {
+  return {
+    id: 'f1',
+    fingerprint: 'f1',
+    ruleId: 'cpu_high',
+    ruleName: 'High CPU Usage',
+    severity: 'critical',
+    status: 'firing',
+    timestamp: new Date('2024-01-01T10:00:00Z'),
+    value: 97,
+    labels: { host: 'web-1', team: 'infrastructure', resource: 'cpu' },
+    annotations: { summary: 'CPU above 80%' },
+    ...overrides
+  };
+}
+
+/**
+ * Start a local Events API stand-in that records the events it receives
+ */
+async function startEventsStub() {
+  const events = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const event = JSON.parse(body);
+      events.push(event);
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'success', dedup_key: event.dedup_key }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, events, url: `http://127.0.0.1:${server.address().port}/v2/enqueue` };
+}
+
+describe('PagerDuty notifier', () => {
+  let stub;
+
+  beforeEach(async () => {
+    stub = await startEventsStub();
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  it('builds trigger events with a dedup key from the fingerprint', () => {
+    const event = buildPagerDutyEvent({ ...config, severity_mapping: { critical: 'error' } }, alert(), 'trigger');
+
+    expect(event).toMatchObject({
+      routing_key: 'service-key',
+      event_action: 'trigger',
+      dedup_key: 'alert-f1',
+      payload: {
+        summary: 'High CPU Usage: CPU above 80%',
+        source: 'web-1',
+        severity: 'error',
+        component: 'cpu',
+        group: 'infrastructure',
+        class: 'cpu_high'
+      }
+    });
+    expect(buildPagerDutyEvent(config, alert(), 'resolve')).toEqual({
+      routing_key: 'service-key',
+      event_action: 'resolve',
+      dedup_key: 'alert-f1'
+    });
+  });
+
+  it('triggers and resolves alerts at or above min_severity', async () => {
+    const channel = { id: 'pd', type: 'pagerduty', config: { ...config, events_url: stub.url } };
+    const sent = await sendPagerDutyNotification(channel, {
+      alerts: [
+        alert(),
+        alert({ id: 'f2', fingerprint: 'f2', severity: 'warning' }),
+        alert({ id: 'f3', fingerprint: 'f3', status: 'resolved' })
+      ]
+    });
+
+    expect(sent).toBe(2);
+    expect(stub.events.map((e) => [e.event_action, e.dedup_key])).toEqual([
+      ['trigger', 'alert-f1'],
+      ['resolve', 'alert-f3']
+    ]);
+  });
+
+  it('acknowledges incidents when alerts are acknowledged locally', async () => {
+    const manager = new AlertManager();
+    manager.channels = [{ id: 'pd', type: 'pagerduty', enabled: true, config: { ...config, events_url: stub.url } }];
+    const firing = alert();
+    manager.activeAlerts.set(firing.id, firing);
+
+    const acknowledged = await manager.acknowledgeAlert('f1', { user: 'alice@example.com' });
+
+    expect(acknowledged.acknowledgedBy).toBe('alice@example.com');
+    expect(acknowledged.acknowledgedAt).toBeInstanceOf(Date);
+    expect(stub.events).toEqual([{ routing_key: 'service-key', event_action: 'acknowledge', dedup_key: 'alert-f1' }]);
+
+    // Repeat notifications leave the acknowledged incident alone
+    await sendPagerDutyNotification(manager.channels[0], { alerts: [acknowledged] });
+    expect(stub.events).toHaveLength(1);
+
+    await expect(manager.acknowledgeAlert('missing')).resolves.toBeNull();
+    manager.activeAlerts.set('p1', alert({ id: 'p1', status: 'pending' }));
+    await expect(manager.acknowledgeAlert('p1')).rejects.toThrow(/Only firing alerts/);
+  });
+
+  it('rejects severities PagerDuty does not accept', () => {
+    expect(() => buildPagerDutyEvent({ severity_mapping: { critical: 'p1' } }, alert(), 'trigger'))
+      .toThrow(/does not accept/);
+  });
+});
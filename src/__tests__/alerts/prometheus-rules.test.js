@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import { AlertManager } from '../../alerts/alert-manager.js';
+import { PrometheusRulesError, exportPrometheusRules, importPrometheusRules } from '../../alerts/prometheus-rules.js';
+
+const ruleFile = `
+groups:
+  - name: node
+    interval: 30s
+    rules:
+      - alert: HighCPUUsage
+        expr: avg by (instance) (rate(node_cpu_seconds_total{mode!="idle"}[5m])) > 0.9
+        for: 10m
+        labels:
+          severity: critical
+          team: infra
+        annotations:
+          summary: "CPU high on {{ $labels.instance }}"
+          description: "CPU at {{ $value | humanizePercentage }}"
+      - alert: HighCPUUsage
+        expr: avg by (instance) (rate(node_cpu_seconds_total{mode!="idle"}[5m])) > 0.8
+        labels:
+          severity: page
+      - record: instance:up:sum
+        expr: sum by (instance) (up)
+      - alert: TargetMissing
+        expr: absent(up{job="node"})
+`;
+
+describe('Prometheus rule import', () => {
+  it('converts alerting rules and reports what it cannot convert', () => {
+    const { rules, groups, skipped, warnings } = importPrometheusRules(ruleFile);
+
+    expect(rules).toEqual([
+      {
+        id: 'high_cpu_usage',
+        name: 'HighCPUUsage',
+        type: 'threshold',
+        source: 'prometheus',
+        query: 'avg by (instance) (rate(node_cpu_seconds_total{mode!="idle"}[5m])) > 0.9',
+        severity: 'critical',
+        enabled: true,
+        duration: '10m',
+        labels: { team: 'infra' },
+        annotations: { summary: 'CPU high on {{ $labels.instance }}', description: 'CPU at {{ $value | humanizePercentage }}' },
+        group: 'node'
+      },
+      expect.objectContaining({ id: 'high_cpu_usage_2', severity: 'warning', group: 'node' })
+    ]);
+    expect(groups).toEqual([{ name: 'node', interval: '30s' }]);
+    expect(skipped).toEqual([
+      'groups[0].rules[2]: recording rule instance:up:sum is not supported',
+      'groups[0].rules[3] (TargetMissing): expr: absent is not supported'
+    ]);
+    expect(warnings).toEqual([
+      expect.stringMatching(/^groups\[0\]\.rules\[0\] \(HighCPUUsage\): annotations\.description: Unknown template filter "humanizePercentage"/),
+      'groups[0].rules[1] (HighCPUUsage): severity "page" is not one of info, warning, error, critical, using warning'
+    ]);
+  });
+
+  it('rejects files that are not rule files', () => {
+    expect(() => importPrometheusRules('groups: [')).toThrow(PrometheusRulesError);
+    expect(() => importPrometheusRules('rules: []')).toThrow('groups: must be a list of rule groups');
+  });
+});
+
+describe('Prometheus rule export', () => {
+  it('writes the condition of each rule into its expression', () => {
+    const { yaml: text, skipped } = exportPrometheusRules([
+      { id: 'cpu_high', name: 'High CPU', type: 'threshold', query: 'system_cpu_usage', condition: '>=', threshold: 80, severity: 'warning', duration: 300000, description: 'CPU is high' },
+      { id: 'errors', name: 'Errors', type: 'threshold', query: 'errors > 0', severity: 'error', labels: { team: 'web' } },
+      { id: 'disk', name: 'Disk Growth', type: 'rate_of_change', query: 'disk_used', changeType: 'rate', counter: true, window: '15m', per: '1m', threshold: 5, severity: 'info' },
+      { id: 'ai_cpu', name: 'AI CPU', type: 'ai', severity: 'warning' },
+      { id: 'off', name: 'Off', type: 'threshold', query: 'up == 0', severity: 'info', enabled: false }
+    ]);
+
+    expect(skipped).toEqual(['rules[3] (ai_cpu): ai rules are evaluated by the AI integration', 'rules[4] (off): rule is disabled']);
+    expect(text).toMatch(/^# Not exported:\n# {3}rules\[3\] \(ai_cpu\)/);
+    expect(yaml.load(text).groups).toEqual([{
+      name: 'alerting-monitor',
+      rules: [
+        { alert: 'High CPU', expr: 'system_cpu_usage >= 80', for: '5m', labels: { severity: 'warning' }, annotations: { description: 'CPU is high' } },
+        { alert: 'Errors', expr: 'errors > 0', labels: { team: 'web', severity: 'error' } },
+        { alert: 'Disk Growth', expr: 'rate(disk_used[15m]) * 60 > 5', labels: { severity: 'info' } }
+      ]
+    }]);
+  });
+
+  it('writes a group per rule group', () => {
+    const { yaml: text } = exportPrometheusRules([
+      { id: 'a', name: 'A', type: 'threshold', query: 'a > 1', severity: 'info' },
+      { id: 'b', name: 'B', type: 'threshold', query: 'b > 1', severity: 'info', group: 'node' }
+    ], { groups: [{ name: 'node', interval: 60000 }] });
+
+    expect(yaml.load(text).groups).toEqual([
+      { name: 'alerting-monitor', rules: [expect.objectContaining({ alert: 'A' })] },
+      { name: 'node', interval: '1m', rules: [expect.objectContaining({ alert: 'B' })] }
+    ]);
+  });
+
+  it('round-trips imported rules', () => {
+    const { rules, groups } = importPrometheusRules(ruleFile);
+    expect(importPrometheusRules(exportPrometheusRules(rules, { groups }).yaml)).toMatchObject({ rules, groups });
+  });
+});
+
+describe('AlertManager rule import', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rule-import-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('adds new rules and only replaces existing ones when asked to', async () => {
+    const { rules, groups } = importPrometheusRules(ruleFile);
+    const manager = new AlertManager();
+    manager.rulesPath = path.join(dir, 'rules.json');
+    manager.alertRules = [{ ...rules[0], query: 'system_cpu_usage > 95' }];
+    manager.channels = [];
+    manager.initialized = true;
+    await fs.writeFile(manager.rulesPath, JSON.stringify({ rules: manager.alertRules }));
+
+    await expect(manager.importRules(rules)).rejects.toThrow('group: "node" is not defined');
+    expect(await manager.importRules(rules, { groups })).toEqual({
+      created: ['high_cpu_usage_2'],
+      updated: [],
+      skipped: ['high_cpu_usage: a rule with this id already exists']
+    });
+    expect(await manager.importRules(rules, { overwrite: true })).toEqual({
+      created: [],
+      updated: ['high_cpu_usage', 'high_cpu_usage_2'],
+      skipped: []
+    });
+    expect(JSON.parse(await fs.readFile(manager.rulesPath, 'utf-8'))).toEqual({ groups, rules });
+    manager.stopRuleGroups();
+  });
+});
@@ -0,0 +1,117 @@
+import { SeriesBuffer } from '../../alerts/series-buffer.js';
+import { parseQuery, hasCondition, getMaxRange, QueryParseError } from '../../alerts/query-parser.js';
+import { evaluateQuery, QueryEvaluationError } from '../../alerts/query-evaluator.js';
+
+const NOW = 1700000000000;
+
+function createBuffer() {
+  const buffer = new SeriesBuffer();
+
+  buffer.append('system_cpu_usage', { core: 'core-0', host: 'a' }, 90, NOW);
+  buffer.append('system_cpu_usage', { core: 'core-1', host: 'a' }, 70, NOW);
+  buffer.append('system_cpu_usage', { core: 'core-0', host: 'b' }, 95, NOW);
+  buffer.append('system_memory_usage_bytes', { type: 'used' }, 15, NOW);
+  buffer.append('system_memory_usage_bytes', { type: 'total' }, 16, NOW);
+
+  for (const [offset, ok, errors] of [[300000, 1000, 10], [0, 1600, 70]]) {
+    buffer.append('http_requests_total', { status: '200' }, ok, NOW - offset);
+    buffer.append('http_requests_total', { status: '500' }, errors, NOW - offset);
+  }
+
+  return buffer;
+}
+
+function query(expression) {
+  return evaluateQuery(expression, createBuffer(), { now: NOW });
+}
+
+function values(result) {
+  return result.samples.map((sample) => sample.value).sort((a, b) => a - b);
+}
+
+describe('Query parser', () => {
+  it('recognises queries that carry their own condition', () => {
+    expect(hasCondition(parseQuery('avg(system_cpu_usage) > 80'))).toBe(true);
+    expect(hasCondition(parseQuery('(a > 1) or b'))).toBe(true);
+    expect(hasCondition(parseQuery('a > bool 1'))).toBe(false);
+    expect(hasCondition(parseQuery('system_memory_usage_percent'))).toBe(false);
+  });
+
+  it('finds the longest range a query reads', () => {
+    expect(getMaxRange(parseQuery('rate(http_requests_total[5m]) > max_over_time(http_requests_total[2h])'))).toBe(2 * 60 * 60 * 1000);
+    expect(getMaxRange(parseQuery('avg(system_cpu_usage) > 80'))).toBe(0);
+  });
+
+  it('reports the position of syntax errors', () => {
+    expect(() => parseQuery('sum(system_cpu_usage')).toThrow(QueryParseError);
+    expect(() => parseQuery('x{core~"a"}')).toThrow(/position 6/);
+  });
+});
+
+describe('Query evaluator', () => {
+  it('applies equality and regex label matchers', () => {
+    expect(values(query('system_cpu_usage{core="core-0"}'))).toEqual([90, 95]);
+    expect(values(query('system_cpu_usage{core!="core-0"}'))).toEqual([70]);
+    expect(values(query('system_cpu_usage{core=~"core-(0|1)", host!~"b"}'))).toEqual([70, 90]);
+  });
+
+  it('filters vectors with comparisons', () => {
+    const result = query('system_cpu_usage > 80');
+    expect(values(result)).toEqual([90, 95]);
+    expect(result.samples[0].labels.__name__).toBe('system_cpu_usage');
+  });
+
+  it('aggregates with by and without', () => {
+    expect(values(query('avg(system_cpu_usage) > 80'))).toEqual([85]);
+    expect(query('max by (host) (system_cpu_usage)').samples).toEqual(
+      expect.arrayContaining([
+        { labels: { host: 'a' }, value: 90 },
+        { labels: { host: 'b' }, value: 95 }
+      ])
+    );
+    expect(values(query('count without (core) (system_cpu_usage)'))).toEqual([1, 2]);
+    expect(values(query('sum(system_cpu_usage) by (core)'))).toEqual([70, 185]);
+  });
+
+  it('evaluates the memory query shipped in the rule config', () => {
+    const result = query(
+      '(system_memory_usage_bytes{type="used"} / ignoring(type) ' +
+        'system_memory_usage_bytes{type="total"}) * 100 > 85'
+    );
+    expect(values(result)).toEqual([93.75]);
+  });
+
+  it('evaluates rates over range selectors', () => {
+    const result = query(
+      'sum(rate(http_requests_total{status=~"5.."}[5m])) / sum(rate(http_requests_total[5m])) * 100'
+    );
+    // 60 errors out of 660 requests
+    expect(values(result)[0]).toBeCloseTo(9.09);
+  });
+
+  it('supports and, or and unless', () => {
+    expect(values(query('system_cpu_usage > 80 and system_cpu_usage{host="b"}'))).toEqual([95]);
+    expect(values(query('system_cpu_usage{host="b"} or system_cpu_usage'))).toEqual([70, 90, 95]);
+    expect(values(query('system_cpu_usage unless system_cpu_usage{core="core-0"}'))).toEqual([70]);
+  });
+
+  it('respects operator precedence', () => {
+    expect(query('2 + 3 * 4 ^ 2').value).toBe(50);
+    expect(query('-2 ^ 2').value).toBe(-4);
+  });
+
+  it('ignores stale series', () => {
+    const result = evaluateQuery('system_cpu_usage', createBuffer(), { now: NOW + 600000 });
+    expect(result.samples).toHaveLength(0);
+  });
+
+  it('rejects many-to-many matches', () => {
+    expect(() => query('system_memory_usage_bytes / on() system_memory_usage_bytes'))
+      .toThrow(QueryEvaluationError);
+  });
+
+  it('rejects vector() and scalar() without exactly one argument', () => {
+    expect(() => query('vector()')).toThrow(new QueryEvaluationError('vector() expects exactly one argument'));
+    expect(() => query('scalar(system_cpu_usage, 1)')).toThrow(QueryEvaluationError);
+  });
+});
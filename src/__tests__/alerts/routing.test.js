@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { compileRoute, matchRoutes } from '../../alerts/routing.js';
+import { AlertManager } from '../../alerts/alert-manager.js';
+
+const tree = {
+  receivers: ['slack_ops'],
+  group_by: ['team'],
+  group_wait: '30s',
+  routes: [
+    {
+      id: 'critical',
+      matchers: ['severity="critical"'],
+      receivers: ['pager'],
+      continue: true
+    },
+    {
+      id: 'infra',
+      matchers: ['team="infrastructure"'],
+      receivers: ['email_ops'],
+      group_wait: '1m',
+      routes: [
+        { id: 'infra_storage', matchers: ['resource="storage"'], repeat_interval: '12h' }
+      ]
+    },
+    {
+      id: 'infra_shadow',
+      matchers: ['team="infrastructure"'],
+      receivers: ['never']
+    }
+  ]
+};
+
+function routeIds(labels) {
+  return matchRoutes(compileRoute(tree), labels).map((route) => route.id);
+}
+
+describe('routing tree', () => {
+  it('falls back to the root route when no child matches', () => {
+    expect(routeIds({ team: 'backend', severity: 'warning' })).toEqual(['root']);
+  });
+
+  it('stops at the first matching sibling unless continue is set', () => {
+    expect(routeIds({ team: 'infrastructure', severity: 'warning' })).toEqual(['infra']);
+    expect(routeIds({ team: 'infrastructure', severity: 'critical' })).toEqual(['critical', 'infra']);
+    expect(routeIds({ team: 'backend', severity: 'critical' })).toEqual(['critical']);
+  });
+
+  it('descends into child routes that inherit unset settings', () => {
+    const [route] = matchRoutes(compileRoute(tree), { team: 'infrastructure', resource: 'storage' });
+
+    expect(route.id).toBe('infra_storage');
+    expect(route.receivers).toEqual(['email_ops']);
+    expect(route.group_by).toEqual(['team']);
+    expect(route.groupWaitMs).toBe(60 * 1000);
+    expect(route.repeatIntervalMs).toBe(12 * 60 * 60 * 1000);
+  });
+
+  it('rejects invalid routes', () => {
+    expect(() => compileRoute({ matchers: ['team="a"'] })).toThrow(/root route/);
+    expect(() => compileRoute({ routes: [{ matchers: ['team'] }] })).toThrow(/Route root.0/);
+    expect(() => compileRoute({ receivers: 'slack_ops' })).toThrow(/receivers/);
+  });
+});
+
+describe('AlertManager routing', () => {
+  function createManager() {
+    const manager = new AlertManager();
+    manager.channels = [
+      { id: 'console', type: 'console', enabled: true, config: {} },
+      { id: 'slack_ops', type: 'slack', enabled: true, config: { channel: '#ops' } },
+      { id: 'pager', type: 'pagerduty', enabled: true, config: {} },
+      { id: 'email_ops', type: 'email', enabled: false, config: { recipients: [] } }
+    ];
+    manager.dispatcher.setRoute(tree);
+    return manager;
+  }
+
+  it('answers which channels an alert would reach', () => {
+    const result = createManager().testRoutes({ team: 'backend', severity: 'critical' });
+
+    expect(result.routes.map((route) => route.id)).toEqual(['critical']);
+    expect(result.routes[0].groupLabels).toEqual({ team: 'backend' });
+    expect(result.channels).toEqual(['console', 'pager']);
+  });
+
+  it('only delivers group notifications to the route receivers', async () => {
+    const manager = createManager();
+    const sent = [];
+    manager.sendGroupNotification = jest.fn(async (notification, route) => {
+      sent.push(manager.getRouteChannels(route).map((channel) => channel.id));
+    });
+    manager.sendConsoleNotification = jest.fn();
+
+    jest.useFakeTimers();
+    try {
+      await manager.sendNotifications({
+        id: 'a1',
+        fingerprint: 'a1',
+        ruleId: 'disk',
+        ruleName: 'High Disk Usage',
+        severity: 'critical',
+        status: 'firing',
+        labels: { team: 'infrastructure' }
+      });
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+    } finally {
+      manager.dispatcher.stop();
+      jest.useRealTimers();
+    }
+
+    // Disabled email_ops is skipped even though the infra route names it
+    expect(sent).toEqual([['pager'], []]);
+  });
+});
@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { AlertManager } from '../../alerts/alert-manager.js';
+import { lintConfig } from '../../alerts/config-lint.js';
+import { getMetrics } from '../../data-collectors/prometheus-collector.js';
+
+const cpuRule = {
+  id: 'cpu_high',
+  name: 'High CPU Usage',
+  type: 'threshold',
+  source: 'prometheus',
+  query: 'system_cpu_usage > 80',
+  severity: 'warning',
+  enabled: true
+};
+
+const memoryRule = { ...cpuRule, id: 'memory_high', name: 'High Memory Usage', query: 'system_memory_usage > 80' };
+const brokenRule = { ...cpuRule, id: 'broken', name: 'Broken', query: 'absent(system_cpu_usage)' };
+
+describe('AlertManager rule groups', () => {
+  let dir;
+  let manager;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rule-groups-'));
+  });
+
+  afterEach(async () => {
+    manager?.stopRuleGroups();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function createManager(rules, ruleGroups) {
+    manager = new AlertManager();
+    manager.rulesPath = path.join(dir, 'rules.json');
+    manager.alertRules = rules;
+    manager.ruleGroups = ruleGroups;
+    manager.channels = [];
+    manager.initialized = true;
+    return manager;
+  }
+
+  it('evaluates groups with an interval on their own schedule', async () => {
+    createManager([{ ...cpuRule, group: 'node' }, { ...memoryRule, group: 'node' }, brokenRule], [{ name: 'node', interval: '30s' }]);
+    manager.scheduleRuleGroups();
+
+    await manager.processMetrics({ system_cpu_usage: 95, system_memory_usage: 90 }, 'prometheus');
+    expect(manager.getActiveAlerts()).toHaveLength(0);
+
+    await manager.runRuleGroup('node');
+    expect(manager.getActiveAlerts().map((alert) => alert.ruleId)).toEqual(['cpu_high', 'memory_high']);
+
+    expect(manager.getRuleGroups()).toEqual([
+      expect.objectContaining({ name: 'node', interval: '30s', rules: ['cpu_high', 'memory_high'], health: 'ok', evaluationCount: 1, errorCount: 0 }),
+      expect.objectContaining({
+        name: 'default',
+        interval: null,
+        rules: ['broken'],
+        health: 'err',
+        evaluationCount: 1,
+        errorCount: 1,
+        lastError: 'broken: Unknown function: absent()'
+      })
+    ]);
+    expect(await getMetrics()).toMatch(/rule_group_evaluation_failures_total\{rule_group="default"[^}]*\} 1/);
+  });
+
+  it('only evaluates rules of a group with an interval once their source sent metrics', async () => {
+    const azureRule = { ...cpuRule, id: 'azure_cpu_high', source: 'azure', group: 'node' };
+    createManager([{ ...cpuRule, group: 'node' }, azureRule], [{ name: 'node', interval: '30s' }]);
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    await manager.runRuleGroup('node');
+    expect(manager.getActiveAlerts().map((alert) => alert.ruleId)).toEqual(['cpu_high']);
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'azure');
+    await manager.runRuleGroup('node');
+    expect(manager.getActiveAlerts().map((alert) => alert.ruleId)).toEqual(['cpu_high', 'azure_cpu_high']);
+  });
+
+  it('leaves out invalid groups when loading and never schedules them', async () => {
+    createManager([], []);
+    await fs.writeFile(manager.rulesPath, JSON.stringify({
+      groups: [{ name: 'fast', interval: '0s' }, { name: 'later', interval: 'soon' }, { name: 'node', interval: '1m' }],
+      rules: [{ ...cpuRule, group: 'fast' }]
+    }));
+
+    await manager.loadAlertRules();
+    expect(manager.ruleGroups).toEqual([{ name: 'node', interval: '1m' }]);
+
+    manager.ruleGroups.push({ name: 'fast', interval: 0 });
+    manager.scheduleRuleGroups();
+    expect(Array.from(manager.ruleGroupTimers.keys())).toEqual(['node']);
+  });
+
+  it('evaluates rules in order within a group and groups concurrently', async () => {
+    createManager([
+      { ...cpuRule, group: 'a' },
+      { ...memoryRule, group: 'a' },
+      { ...cpuRule, id: 'cpu_critical', group: 'b' }
+    ], [{ name: 'a' }, { name: 'b' }]);
+
+    const events = [];
+    jest.spyOn(manager, 'evaluateRule').mockImplementation(async (rule) => {
+      events.push(`start ${rule.id}`);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      events.push(`end ${rule.id}`);
+      return false;
+    });
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    expect(events).toEqual([
+      'start cpu_high',
+      'start cpu_critical',
+      'end cpu_high',
+      'start memory_high',
+      'end cpu_critical',
+      'end memory_high'
+    ]);
+  });
+
+  it('keeps the alerts of a rule that fails to evaluate', async () => {
+    createManager([{ ...cpuRule, query: 'system_cpu_usage' }], []);
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    const [alert] = manager.getActiveAlerts();
+
+    manager.alertRules = [{ ...cpuRule, query: 'absent(system_cpu_usage)' }];
+    await manager.processMetrics({ system_cpu_usage: 50 }, 'prometheus');
+
+    expect(manager.getActiveAlerts()).toEqual([alert]);
+  });
+
+  it('rejects rules of unknown groups', async () => {
+    createManager([], [{ name: 'node', interval: '1m' }]);
+    await fs.writeFile(manager.rulesPath, JSON.stringify({ groups: manager.ruleGroups, rules: [] }));
+
+    await expect(manager.createRule({ ...cpuRule, group: 'web' })).rejects.toThrow('group: "web" is not defined');
+    await expect(manager.createRule({ ...cpuRule, group: 'node' })).resolves.toMatchObject({ group: 'node' });
+  });
+});
+
+describe('rule group config', () => {
+  it('reports invalid groups and unknown group references', () => {
+    const { errors } = lintConfig('rules', {
+      groups: [{ name: 'node', interval: '500ms' }, { name: 'node' }, { name: 'web', every: '1m' }],
+      rules: [{ ...cpuRule, group: 'db' }, { ...memoryRule, group: 'default' }]
+    });
+
+    expect(errors).toEqual([
+      'groups[0].interval: must be at least 1s',
+      'groups[1].name: "node" is used more than once',
+      'groups[2].every: is not a known setting',
+      'rules[0].group: "db" is not defined in groups'
+    ]);
+  });
+});
@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AlertManager } from '../../alerts/alert-manager.js';
+import { RuleValidationError, getRuleErrors, validateRule } from '../../alerts/rule-validation.js';
+
+const cpuRule = {
+  id: 'cpu_high',
+  name: 'High CPU Usage',
+  type: 'threshold',
+  source: 'prometheus',
+  query: 'system_cpu_usage',
+  condition: '>',
+  threshold: 80,
+  severity: 'warning',
+  enabled: true
+};
+
+describe('rule validation', () => {
+  it('accepts the rule types the manager evaluates', () => {
+    expect(getRuleErrors(cpuRule)).toEqual([]);
+    expect(getRuleErrors({ ...cpuRule, query: 'system_cpu_usage > 80', condition: undefined, threshold: undefined })).toEqual([]);
+    expect(getRuleErrors({
+      ...cpuRule,
+      type: 'rate_of_change',
+      query: 'disk_usage_percent{mountpoint="/"}',
+      changeType: 'delta',
+      window: '1h'
+    })).toEqual([]);
+    expect(getRuleErrors({ ...cpuRule, type: 'ai_anomaly', query: undefined, resourceType: 'vm' })).toEqual([]);
+  });
+
+  it('reports every problem with the field it is about', () => {
+    expect(getRuleErrors({ ...cpuRule, severity: 'urgent', duration: 'soon', query: 'cpu >', labels: { team: 1 } })).toEqual([
+      'severity: must be one of info, warning, error, critical',
+      expect.stringMatching(/^duration: /),
+      'labels.team: must be a string',
+      expect.stringMatching(/^query: /)
+    ]);
+    expect(getRuleErrors({ ...cpuRule, type: 'rate_of_change', query: 'avg(cpu)', threshold: undefined })).toEqual([
+      'threshold: is required',
+      expect.stringMatching(/^query: must be a metric selector/)
+    ]);
+    expect(getRuleErrors({ ...cpuRule, type: 'sql' })).toEqual(['type: must be one of threshold, rate_of_change, ai, ai_anomaly']);
+    expect(getRuleErrors({ ...cpuRule, condition: undefined, threshold: undefined })).toEqual([
+      'threshold: is required when the query has no comparison',
+      'condition: is required when the query has no comparison'
+    ]);
+  });
+
+  it('rejects functions the evaluator does not support or calls with the wrong arguments', () => {
+    expect(getRuleErrors({ ...cpuRule, query: 'foo(system_cpu_usage) > 1' })).toEqual(['query: Unknown function: foo()']);
+    expect(getRuleErrors({ ...cpuRule, query: 'vector() > 1' })).toEqual(['query: vector() expects exactly one argument']);
+    expect(getRuleErrors({ ...cpuRule, query: 'rate(http_requests_total) > 1' }))
+      .toEqual(['query: rate() expects a single range vector argument']);
+  });
+
+  it('throws a single error listing the problems', () => {
+    expect(() => validateRule({ ...cpuRule, name: '' })).toThrow(new RuleValidationError('Invalid rule cpu_high: name: must not be empty'));
+  });
+});
+
+describe('AlertManager rule changes', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rules-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function createManager(rules) {
+    const manager = new AlertManager();
+    manager.rulesPath = path.join(dir, 'rules.json');
+    await fs.writeFile(manager.rulesPath, JSON.stringify({ rules, inhibit_rules: [{ equal: ['host'] }] }));
+    manager.alertRules = rules;
+    manager.channels = [];
+    manager.initialized = true;
+    return manager;
+  }
+
+  async function readRules(manager) {
+    return JSON.parse(await fs.readFile(manager.rulesPath, 'utf-8'));
+  }
+
+  it('persists created, updated and deleted rules', async () => {
+    const manager = await createManager([cpuRule]);
+
+    const created = await manager.createRule({ ...cpuRule, id: 'cpu_critical', threshold: 95, enabled: undefined });
+    expect(created.enabled).toBe(true);
+    await manager.updateRule('cpu_high', { ...cpuRule, threshold: 85 });
+    await manager.deleteRule('cpu_critical');
+
+    expect(await readRules(manager)).toEqual({
+      rules: [{ ...cpuRule, threshold: 85 }],
+      inhibit_rules: [{ equal: ['host'] }]
+    });
+    expect(manager.alertRules).toEqual([{ ...cpuRule, threshold: 85 }]);
+  });
+
+  it('rejects invalid changes without saving them', async () => {
+    const manager = await createManager([cpuRule]);
+
+    await expect(manager.createRule({ ...cpuRule, query: undefined })).rejects.toThrow(RuleValidationError);
+    await expect(manager.createRule({ ...cpuRule, id: 'foo', query: 'foo(cpu) > 1' })).rejects.toThrow('query: Unknown function: foo()');
+    await expect(manager.createRule({ ...cpuRule, id: 'vec', query: 'vector() > 1' }))
+      .rejects.toThrow('query: vector() expects exactly one argument');
+    await expect(manager.createRule({ ...cpuRule, id: 'memory', query: 'system_memory_usage_percent', condition: undefined, threshold: undefined }))
+      .rejects.toThrow('threshold: is required when the query has no comparison');
+    await expect(manager.createRule(cpuRule)).rejects.toThrow('Rule cpu_high already exists');
+    await expect(manager.updateRule('cpu_high', { ...cpuRule, id: 'other' })).rejects.toThrow('id: cannot be changed');
+    await expect(manager.updateRule('missing', cpuRule)).resolves.toBeNull();
+    expect((await readRules(manager)).rules).toEqual([cpuRule]);
+  });
+
+  it('evaluates changed rules against the latest metrics', async () => {
+    const manager = await createManager([]);
+    await manager.processMetrics({ system_cpu_usage: 90 }, 'prometheus');
+
+    await manager.createRule(cpuRule);
+    expect(manager.getActiveAlerts({ status: 'firing' })).toHaveLength(1);
+
+    await manager.updateRule('cpu_high', { ...cpuRule, threshold: 95 });
+    expect(manager.getActiveAlerts()).toHaveLength(0);
+  });
+
+  it('keeps samples for the longest range a rule query reads', async () => {
+    const manager = await createManager([]);
+    await manager.createRule({ ...cpuRule, query: 'max_over_time(system_cpu_usage[2h]) > 90', condition: undefined, threshold: undefined });
+
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    try {
+      await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+      jest.setSystemTime(new Date('2024-01-01T01:30:00Z'));
+      await manager.processMetrics({ system_cpu_usage: 50 }, 'prometheus');
+
+      expect(manager.getActiveAlerts()).toEqual([expect.objectContaining({ status: 'firing', value: 95 })]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('resolves the alerts of disabled rules', async () => {
+    const manager = await createManager([cpuRule]);
+    await manager.processMetrics({ system_cpu_usage: 90 }, 'prometheus');
+    const [alert] = manager.getActiveAlerts();
+
+    const disabled = await manager.setRuleEnabled('cpu_high', false);
+
+    expect(disabled.enabled).toBe(false);
+    expect(manager.getActiveAlerts()).toHaveLength(0);
+    expect(manager.getAlert(alert.id)).toMatchObject({ status: 'resolved', resolutionReason: 'Rule disabled' });
+  });
+});
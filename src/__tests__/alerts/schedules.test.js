@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AlertManager } from '../../alerts/alert-manager.js';
+import { compileContact } from '../../alerts/contacts.js';
+import { OnCallSchedules, compileSchedule } from '../../alerts/schedules.js';
+
+const weekly = {
+  id: 'primary',
+  timezone: 'Europe/London',
+  rotation: { type: 'weekly', users: ['alice', 'bob'], start: '2024-01-01', handoff_day: 'monday', handoff_time: '09:00' }
+};
+
+const at = (iso) => new Date(iso).getTime();
+
+function createSchedules(schedules, filePath) {
+  const store = new OnCallSchedules(filePath);
+  store.setSchedules(schedules);
+  return store;
+}
+
+describe('OnCallSchedules', () => {
+  it('rotates weekly at the handoff time', () => {
+    const store = createSchedules([weekly]);
+    const schedule = store.get('primary');
+
+    expect(store.getOnCall(schedule, at('2024-01-01T08:59:00Z')).user).toBe('bob');
+    expect(store.getOnCall(schedule, at('2024-01-01T09:00:00Z'))).toEqual({
+      user: 'alice',
+      start: new Date('2024-01-01T09:00:00Z'),
+      end: new Date('2024-01-08T09:00:00Z'),
+      overrideId: null
+    });
+    expect(store.getOnCall(schedule, at('2024-01-10T12:00:00Z')).user).toBe('bob');
+    expect(store.getOnCall(schedule, at('2024-01-15T09:00:00Z')).user).toBe('alice');
+  });
+
+  it('hands off daily at local time across daylight saving changes', () => {
+    const store = createSchedules([{
+      id: 'daily',
+      timezone: 'Europe/Berlin',
+      rotation: { type: 'daily', users: ['alice', 'bob', 'carol'], start: '2024-03-30', handoff_time: '09:00' }
+    }]);
+
+    const shifts = store.getShifts(store.get('daily'), at('2024-03-30T08:00:00Z'), at('2024-04-01T07:00:00Z'));
+
+    expect(shifts.map(({ user, start, end }) => [user, start.toISOString(), end.toISOString()])).toEqual([
+      ['alice', '2024-03-30T08:00:00.000Z', '2024-03-31T07:00:00.000Z'],
+      ['bob', '2024-03-31T07:00:00.000Z', '2024-04-01T07:00:00.000Z']
+    ]);
+  });
+
+  it('applies overrides on top of the rotation', () => {
+    const store = createSchedules([{
+      ...weekly,
+      overrides: [{ id: 'o1', user: 'carol', start: '2024-01-03T12:00:00Z', end: '2024-01-04T12:00:00Z' }]
+    }]);
+
+    const shifts = store.getShifts(store.get('primary'), at('2024-01-01T09:00:00Z'), at('2024-01-15T09:00:00Z'));
+
+    expect(shifts.map(({ user, overrideId }) => [user, overrideId])).toEqual([
+      ['alice', null],
+      ['carol', 'o1'],
+      ['alice', null],
+      ['bob', null]
+    ]);
+    expect(shifts[1].end).toEqual(new Date('2024-01-04T12:00:00Z'));
+    expect(store.getOnCall(store.get('primary'), at('2024-01-03T13:00:00Z')).user).toBe('carol');
+  });
+
+  it('rejects invalid schedules', () => {
+    expect(() => compileSchedule({ ...weekly, rotation: { ...weekly.rotation, start: '2024-01-02' } }))
+      .toThrow('Schedule primary: rotation start must be a monday');
+    expect(() => compileSchedule({ ...weekly, timezone: 'Mars/Olympus' })).toThrow(/unknown timezone/);
+    expect(() => compileSchedule({ ...weekly, rotation: { ...weekly.rotation, users: [] } })).toThrow(/users/);
+  });
+
+  describe('overrides', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'schedules-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('persists added and removed overrides', async () => {
+      const filePath = path.join(dir, 'schedules.json');
+      const store = createSchedules([weekly], filePath);
+
+      const override = await store.addOverride('primary', {
+        user: 'carol',
+        start: '2024-01-03T12:00:00Z',
+        end: '2024-01-04T12:00:00Z'
+      });
+
+      const reloaded = new OnCallSchedules(filePath);
+      await reloaded.load();
+      expect(reloaded.get('primary').overrides).toEqual([
+        expect.objectContaining({ id: override.id, user: 'carol', end: new Date('2024-01-04T12:00:00Z') })
+      ]);
+
+      await expect(store.addOverride('primary', { user: 'carol', start: 'soon' })).rejects.toThrow(/start/);
+      await expect(store.addOverride('missing', { user: 'carol' })).resolves.toBeNull();
+
+      expect(await store.removeOverride('primary', override.id)).toEqual(override);
+      await reloaded.load();
+      expect(reloaded.get('primary').overrides).toEqual([]);
+    });
+  });
+});
+
+describe('AlertManager schedule targets', () => {
+  it('delivers to the contact on call', () => {
+    const manager = new AlertManager();
+    manager.channels = [
+      { id: 'email_ops', type: 'email', enabled: true, config: { recipients: ['ops@example.com'] } }
+    ];
+    manager.contacts = new Map(['alice', 'bob'].map((id, index) => [
+      id,
+      compileContact({ id, methods: [{ channel: 'email_ops', config: { recipients: [`${id}@example.com`] } }] }, index)
+    ]));
+    manager.schedules.setSchedules([weekly]);
+    manager.dispatcher.setRoute({ receivers: ['schedule:primary', 'user:bob'] });
+
+    const onCall = manager.schedules.getOnCall(manager.schedules.get('primary')).user;
+    const deliveries = manager.getRouteDeliveries(manager.dispatcher.route);
+
+    // Someone both on call and targeted directly is only notified once
+    expect(deliveries.map((delivery) => delivery.contactId)).toEqual(onCall === 'bob' ? ['bob'] : ['alice', 'bob']);
+    expect(deliveries[0].channelConfig).toEqual({ recipients: [`${onCall}@example.com`] });
+  });
+});
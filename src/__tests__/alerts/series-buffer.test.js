@@ -0,0 +1,84 @@
+import { SeriesBuffer, calculateChange, flattenMetrics } from '../../alerts/series-buffer.js';
+
+describe('Series buffer', () => {
+  it('flattens nested metrics into labelled series', () => {
+    const samples = flattenMetrics({
+      system_cpu_usage: 85,
+      cpu: {
+        usage: 80,
+        cores: [
+          { core: '0', usage: 90 },
+          { core: '1', usage: 70 }
+        ]
+      },
+      system_memory_usage_bytes: [
+        { labels: { type: 'used' }, value: 10 },
+        { labels: { type: 'total' }, value: 16 }
+      ]
+    });
+
+    expect(samples).toEqual(
+      expect.arrayContaining([
+        { name: 'system_cpu_usage', labels: {}, value: 85 },
+        { name: 'cpu_usage', labels: {}, value: 80 },
+        { name: 'cpu_cores_usage', labels: { core: '0' }, value: 90 },
+        { name: 'cpu_cores_usage', labels: { core: '1' }, value: 70 },
+        { name: 'system_memory_usage_bytes', labels: { type: 'used' }, value: 10 }
+      ])
+    );
+  });
+
+  it('drops samples outside the retention window', () => {
+    const buffer = new SeriesBuffer({ retentionMs: 60000 });
+
+    buffer.ingest({ disk_usage_percent: 40 }, 0);
+    buffer.ingest({ disk_usage_percent: 45 }, 30000);
+    buffer.ingest({ disk_usage_percent: 50 }, 90000);
+
+    const [series] = buffer.select('disk_usage_percent');
+    expect(series.samples.map((sample) => sample.value)).toEqual([45, 50]);
+  });
+
+  it('caps the number of samples per series', () => {
+    const buffer = new SeriesBuffer({ maxSamplesPerSeries: 3 });
+
+    for (let i = 0; i < 5; i++) {
+      buffer.append('queue_length', {}, i, Date.now());
+    }
+
+    expect(buffer.select('queue_length')[0].samples).toHaveLength(3);
+  });
+});
+
+describe('calculateChange', () => {
+  const samples = [
+    { timestamp: 0, value: 100 },
+    { timestamp: 30000, value: 130 },
+    { timestamp: 60000, value: 150 }
+  ];
+
+  it('computes absolute and percent change', () => {
+    expect(calculateChange(samples, { changeType: 'delta' })).toBe(50);
+    expect(calculateChange(samples, { changeType: 'percent' })).toBe(50);
+  });
+
+  it('computes per-second and per-minute rates', () => {
+    expect(calculateChange(samples, { changeType: 'rate' })).toBeCloseTo(50 / 60);
+    expect(calculateChange(samples, { changeType: 'rate', perMs: 60000 })).toBe(50);
+  });
+
+  it('handles counter resets', () => {
+    const counter = [
+      { timestamp: 0, value: 100 },
+      { timestamp: 30000, value: 120 },
+      { timestamp: 60000, value: 15 }
+    ];
+
+    expect(calculateChange(counter, { changeType: 'delta', counter: true })).toBe(35);
+    expect(calculateChange(counter, { changeType: 'delta' })).toBe(-85);
+  });
+
+  it('returns null without enough samples', () => {
+    expect(calculateChange([{ timestamp: 0, value: 1 }])).toBeNull();
+  });
+});
@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SilenceStore, SilenceValidationError } from '../../alerts/silences.js';
+import { AlertManager } from '../../alerts/alert-manager.js';
+
+const NOW = new Date('2024-01-01T00:00:00Z').getTime();
+
+let tempDir;
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'silences-'));
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+function createStore() {
+  return new SilenceStore(path.join(tempDir, 'silences.json'));
+}
+
+const hotCoreAlert = {
+  ruleId: 'cpu_high',
+  ruleName: 'High CPU Usage',
+  severity: 'warning',
+  labels: { core: 'core-3', team: 'infrastructure' }
+};
+
+describe('SilenceStore', () => {
+  it('matches alerts with equality and regex matchers while active', async () => {
+    const store = createStore();
+    const silence = await store.create({
+      matchers: ['alertname="High CPU Usage"', { name: 'core', value: 'core-[0-3]', isRegex: true }],
+      endsAt: NOW + 60 * 60 * 1000,
+      createdBy: 'oncall@example.com',
+      comment: 'Investigating noisy cores'
+    });
+
+    expect(silence.status.state).toBe('active');
+    expect(store.getSilencingIds(hotCoreAlert)).toEqual([silence.id]);
+    expect(store.getSilencingIds({ ...hotCoreAlert, labels: { core: 'core-7' } })).toEqual([]);
+    expect(store.getSilencingIds(hotCoreAlert, NOW + 2 * 60 * 60 * 1000)).toEqual([]);
+  });
+
+  it('does not apply silences before they start', async () => {
+    const store = createStore();
+    await store.create({
+      matchers: ['rule_id="cpu_high"'],
+      startsAt: NOW + 60000,
+      endsAt: NOW + 120000,
+      createdBy: 'oncall@example.com'
+    });
+
+    expect(store.list({ state: 'pending' })).toHaveLength(1);
+    expect(store.getSilencingIds(hotCoreAlert)).toEqual([]);
+  });
+
+  it('persists silences and keeps expired ones listed', async () => {
+    const store = createStore();
+    const silence = await store.create({
+      matchers: ['severity="warning"'],
+      endsAt: NOW + 60000,
+      createdBy: 'oncall@example.com'
+    });
+    await store.expire(silence.id);
+
+    const reloaded = createStore();
+    await reloaded.load();
+
+    expect(reloaded.get(silence.id).status.state).toBe('expired');
+    expect(reloaded.get(silence.id).matchers).toEqual([
+      { name: 'severity', value: 'warning', isRegex: false, isEqual: true }
+    ]);
+    expect(reloaded.getSilencingIds(hotCoreAlert)).toEqual([]);
+  });
+
+  it('deletes silences that expired longer than the retention period ago', async () => {
+    const store = createStore();
+    const old = await store.create({ matchers: ['severity="warning"'], endsAt: NOW + 60000, createdBy: 'me' });
+    const recent = await store.create({ matchers: ['severity="info"'], endsAt: NOW + 6 * 60 * 60 * 1000, createdBy: 'me' });
+
+    // Old expired silences are dropped when the file is loaded
+    jest.setSystemTime(NOW + 121 * 60 * 60 * 1000);
+    const reloaded = createStore();
+    await reloaded.load();
+    expect(reloaded.list().map((silence) => silence.id)).toEqual([recent.id]);
+    expect(JSON.parse(await fs.readFile(reloaded.filePath, 'utf-8')).silences).toHaveLength(1);
+
+    // and by the periodic collection while running
+    const gc = jest.spyOn(store, 'gc');
+    store.startGc();
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect(await gc.mock.results[0].value).toBe(1);
+    expect(store.get(old.id)).toBeNull();
+    expect(store.get(recent.id)).not.toBeNull();
+
+    jest.setSystemTime(NOW + 127 * 60 * 60 * 1000);
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect(await gc.mock.results[1].value).toBe(1);
+    expect(store.list()).toEqual([]);
+    store.stopGc();
+  });
+
+  it('rejects invalid silences', async () => {
+    const store = createStore();
+    const base = { matchers: ['core="core-3"'], endsAt: NOW + 60000, createdBy: 'me' };
+
+    await expect(store.create({ ...base, matchers: [] })).rejects.toThrow(SilenceValidationError);
+    await expect(store.create({ ...base, matchers: ['core=~"("'] })).rejects.toThrow(SilenceValidationError);
+    await expect(store.create({ ...base, endsAt: NOW - 1 })).rejects.toThrow(/endsAt/);
+    await expect(store.create({ ...base, createdBy: undefined })).rejects.toThrow(/createdBy/);
+  });
+});
+
+describe('AlertManager silences', () => {
+  function createManager() {
+    const manager = new AlertManager();
+    manager.alertRules = [{
+      id: 'cpu_high',
+      name: 'High CPU Usage',
+      type: 'threshold',
+      source: 'prometheus',
+      query: 'system_cpu_usage',
+      condition: '>',
+      threshold: 80,
+      severity: 'warning',
+      enabled: true
+    }];
+    manager.channels = [{ id: 'console', type: 'console', enabled: true, config: {} }];
+    manager.silences = createStore();
+    manager.initialized = true;
+    manager.sendConsoleNotification = jest.fn();
+    return manager;
+  }
+
+  it('tracks silenced alerts without notifying', async () => {
+    const manager = createManager();
+    await manager.createSilence({
+      matchers: ['alertname="High CPU Usage"'],
+      endsAt: NOW + 60 * 60 * 1000,
+      createdBy: 'oncall@example.com'
+    });
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    const [alert] = manager.getActiveAlerts();
+    expect(alert.status).toBe('firing');
+    expect(alert.silencedBy).toHaveLength(1);
+    expect(manager.sendConsoleNotification).not.toHaveBeenCalled();
+  });
+
+  it('notifies once the silence is expired', async () => {
+    const manager = createManager();
+    const silence = await manager.createSilence({
+      matchers: ['rule_id="cpu_high"'],
+      endsAt: NOW + 60 * 60 * 1000,
+      createdBy: 'oncall@example.com'
+    });
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+
+    await manager.expireSilence(silence.id);
+
+    expect(manager.getActiveAlerts()[0].silencedBy).toEqual([]);
+    expect(manager.sendConsoleNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('tells channels that saw an alert firing when it resolves while silenced', async () => {
+    const manager = createManager();
+    manager.channels.push({ id: 'slack_ops', type: 'slack', enabled: true, config: { channel: '#ops' } });
+    const notifications = [];
+    manager.sendGroupNotification = jest.fn(async (notification) => notifications.push(notification));
+
+    await manager.processMetrics({ system_cpu_usage: 95 }, 'prometheus');
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    await manager.createSilence({
+      matchers: ['rule_id="cpu_high"'],
+      endsAt: NOW + 60 * 60 * 1000,
+      createdBy: 'oncall@example.com'
+    });
+    await manager.processMetrics({ system_cpu_usage: 50 }, 'prometheus');
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+
+    expect(notifications.map((notification) => notification.status)).toEqual(['firing', 'resolved']);
+    expect(manager.dispatcher.getGroups()).toEqual([]);
+  });
+});
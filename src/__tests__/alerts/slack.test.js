@@ -0,0 +1,107 @@
+import http from 'http';
+import { buildSlackPayload, resolveWebhookUrl, sendSlackNotification } from '../../alerts/notifiers/slack.js';
+
+function alert(overrides = {}) {
+  return {
+    id: 'a1',
+    fingerprint: 'a1',
+    ruleId: 'cpu_high',
+    ruleName: 'High CPU Usage',
+    severity: 'critical',
+    status: 'firing',
+    timestamp: new Date('2024-01-01T10:00:00Z'),
+    labels: { team: 'infrastructure', host: 'web-1' },
+    annotations: { description: 'CPU above 80%' },
+    ...overrides
+  };
+}
+
+function notification(alerts) {
+  const firing = alerts.filter((a) => a.status === 'firing').length;
+  return {
+    groupKey: 'root:{team="infrastructure"}',
+    groupLabels: { team: 'infrastructure' },
+    status: firing > 0 ? 'firing' : 'resolved',
+    alerts,
+    counts: { firing, resolved: alerts.length - firing }
+  };
+}
+
+describe('Slack notifier', () => {
+  it('builds a Block Kit message with colours, labels and recommendations', () => {
+    const payload = buildSlackPayload(notification([
+      alert({ annotations: { description: 'CPU above 80%', recommendations: '[HIGH] Scale out' } }),
+      alert({
+        id: 'a2',
+        severity: 'warning',
+        status: 'resolved',
+        resolvedAt: new Date('2024-01-01T10:30:00Z'),
+        resolutionReason: 'Condition no longer met'
+      })
+    ]), {
+      channel: '#ops',
+      message_template: '*[{{alert.severity | uppercase}}] {{alert.name}}* is {{alert.status}}'
+    });
+
+    expect(payload.channel).toBe('#ops');
+    expect(payload.username).toBeUndefined();
+    expect(payload.text).toBe('[FIRING:1 RESOLVED:1] team=infrastructure');
+
+    const [firing, resolved] = payload.attachments;
+    expect(firing.color).toBe('#D32F2F');
+    expect(firing.blocks[0].text.text).toBe('*[CRITICAL] High CPU Usage* is firing');
+    expect(firing.blocks[1].elements[0].text).toBe('`team=infrastructure`  `host=web-1`');
+    expect(firing.blocks[2].text.text).toContain('[HIGH] Scale out');
+
+    expect(resolved.color).toBe('#2E7D32');
+    expect(resolved.blocks[2].elements[0].text).toBe(
+      ':white_check_mark: Resolved after 30m (Condition no longer met)'
+    );
+  });
+
+  it('keeps the webhook path when the base URL is overridden', () => {
+    expect(resolveWebhookUrl('https://hooks.slack.com/services/T0/B0/x', 'http://localhost:9000/stub/'))
+      .toBe('http://localhost:9000/stub/services/T0/B0/x');
+    expect(resolveWebhookUrl('https://hooks.slack.com/services/T0/B0/x')).toBe('https://hooks.slack.com/services/T0/B0/x');
+  });
+
+  it('posts the payload to the webhook', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const status = await sendSlackNotification({
+        id: 'slack_ops',
+        config: {
+          webhook_url: 'https://hooks.slack.com/services/T0/B0/secret',
+          webhook_base_url: `http://127.0.0.1:${server.address().port}`
+        }
+      }, notification([alert()]));
+
+      expect(status).toBe(200);
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url).toBe('/services/T0/B0/secret');
+      expect(requests[0].body.attachments).toHaveLength(1);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('fails without a webhook URL', async () => {
+    const previous = process.env.SLACK_WEBHOOK_URL;
+    delete process.env.SLACK_WEBHOOK_URL;
+    await expect(sendSlackNotification({ id: 'slack_ops', config: {} }, notification([alert()])))
+      .rejects.toThrow(/webhook_url/);
+    if (previous !== undefined) {
+      process.env.SLACK_WEBHOOK_URL = previous;
+    }
+  });
+});
@@ -0,0 +1,138 @@
+import http from 'http';
+import crypto from 'crypto';
+import {
+  buildAlertmanagerPayload,
+  buildNativePayload,
+  sendWebhookNotification
+} from '../../alerts/notifiers/webhook.js';
+
+const notification = {
+  groupKey: 'root:{team="infrastructure"}',
+  groupLabels: { team: 'infrastructure' },
+  commonLabels: { team: 'infrastructure' },
+  commonAnnotations: { summary: 'High CPU' },
+  status: 'firing',
+  counts: { firing: 1, resolved: 1 },
+  alerts: [
+    {
+      id: 'f1',
+      fingerprint: 'f1',
+      ruleId: 'cpu_high',
+      ruleName: 'High CPU Usage',
+      severity: 'warning',
+      status: 'firing',
+      value: 91,
+      timestamp: new Date('2024-01-01T10:00:00Z'),
+      labels: { team: 'infrastructure', host: 'web-1' },
+      annotations: { summary: 'High CPU' }
+    },
+    {
+      id: 'f2',
+      fingerprint: 'f2',
+      ruleId: 'cpu_high',
+      ruleName: 'High CPU Usage',
+      severity: 'warning',
+      status: 'resolved',
+      timestamp: new Date('2024-01-01T09:00:00Z'),
+      resolvedAt: new Date('2024-01-01T09:30:00Z'),
+      labels: { team: 'infrastructure', host: 'web-2' },
+      annotations: { summary: 'High CPU' }
+    }
+  ]
+};
+
+const channel = { id: 'hooks', type: 'webhook', config: { dashboard_url: 'https://monitoring.example.com' } };
+
+describe('Webhook notifier', () => {
+  it('builds Alertmanager v4 payloads', () => {
+    const payload = buildAlertmanagerPayload(notification, channel);
+
+    expect(payload).toMatchObject({
+      version: '4',
+      status: 'firing',
+      receiver: 'hooks',
+      groupLabels: { team: 'infrastructure' },
+      commonAnnotations: { summary: 'High CPU' },
+      externalURL: 'https://monitoring.example.com'
+    });
+    expect(payload.alerts[0]).toEqual({
+      status: 'firing',
+      labels: { alertname: 'High CPU Usage', severity: 'warning', team: 'infrastructure', host: 'web-1' },
+      annotations: { summary: 'High CPU' },
+      startsAt: '2024-01-01T10:00:00.000Z',
+      endsAt: '0001-01-01T00:00:00Z',
+      generatorURL: 'https://monitoring.example.com/?alert=f1',
+      fingerprint: 'f1'
+    });
+    expect(payload.alerts[1].endsAt).toBe('2024-01-01T09:30:00.000Z');
+  });
+
+  it('builds native payloads', () => {
+    const payload = buildNativePayload(notification, channel);
+
+    expect(payload.counts).toEqual({ firing: 1, resolved: 1 });
+    expect(payload.alerts[0]).toMatchObject({ id: 'f1', ruleId: 'cpu_high', value: 91, endsAt: null });
+  });
+
+  it('sends signed requests with custom headers and method', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, headers: req.headers, body });
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const status = await sendWebhookNotification({
+        id: 'hooks',
+        config: {
+          url: `http://127.0.0.1:${server.address().port}/alerts`,
+          method: 'put',
+          format: 'alertmanager',
+          headers: { 'X-Source': 'tests' },
+          secret: 's3cret'
+        }
+      }, notification);
+
+      expect(status).toBe(204);
+      const [request] = requests;
+      expect(request.method).toBe('PUT');
+      expect(request.headers['x-source']).toBe('tests');
+
+      const expected = crypto.createHmac('sha256', 's3cret').update(request.body).digest('hex');
+      expect(request.headers['x-signature-256']).toBe(`sha256=${expected}`);
+      expect(JSON.parse(request.body).version).toBe('4');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('times out slow receivers', async () => {
+    const server = http.createServer(() => {
+      // Never respond
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      await expect(sendWebhookNotification({
+        id: 'hooks',
+        config: { url: `http://127.0.0.1:${server.address().port}/`, timeout: '200ms' }
+      }, notification)).rejects.toThrow(/timeout/);
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('rejects invalid formats and methods', async () => {
+    await expect(sendWebhookNotification({ id: 'hooks', config: { url: 'http://x', format: 'xml' } }, notification))
+      .rejects.toThrow(/format/);
+    await expect(sendWebhookNotification({ id: 'hooks', config: { url: 'http://x', method: 'GET' } }, notification))
+      .rejects.toThrow(/method/);
+  });
+});
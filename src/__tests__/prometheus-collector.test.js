@@ -57,10 +57,19 @@ jest.mock('winston', () => {
   };
 });
 
-// Import after mocks are setup
-import { setupPrometheus } from '../data-collectors/prometheus-collector.js';
+// Import after mocks are setup; a static import would be evaluated before them
+const { setupPrometheus } = await import('../data-collectors/prometheus-collector.js');
 
 describe('Prometheus Collector', () => {
+  // The collector schedules metric updates that would keep Jest running
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
   it('should setup the Prometheus collector correctly', async () => {
     const prometheusClient = await setupPrometheus();
     
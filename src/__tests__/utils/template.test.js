@@ -0,0 +1,71 @@
+import { compileTemplate, renderTemplate, TemplateError } from '../../utils/template.js';
+
+const context = {
+  status: 'firing',
+  counts: { firing: 2, resolved: 0 },
+  alert: {
+    name: 'High CPU Usage',
+    severity: 'critical',
+    value: 0.923,
+    startsAt: new Date('2024-01-01T10:05:03Z'),
+    labels: { host: 'web-1', team: 'infra' },
+    annotations: { description: 'CPU is high' }
+  },
+  alerts: [
+    { name: 'High CPU Usage', labels: { host: 'web-1' } },
+    { name: 'High CPU Usage', labels: { host: 'web-2' } }
+  ],
+  $labels: { instance: 'web-1:9100' },
+  bytes: 1610612736
+};
+
+describe('renderTemplate', () => {
+  it('resolves dotted paths and renders missing values as empty text', () => {
+    expect(renderTemplate('{{alert.labels.host}} {{ $labels.instance }}|{{ alert.labels.nope.deeper }}|', context))
+      .toBe('web-1 web-1:9100||');
+    expect(renderTemplate('{{ alert.labels.constructor }}', context)).toBe('');
+  });
+
+  it('applies filters with arguments', () => {
+    expect(renderTemplate('[{{ alert.severity | uppercase }}] {{ alert.name | lowercase }}', context))
+      .toBe('[CRITICAL] high cpu usage');
+    expect(renderTemplate('{{ alert.name | truncate: 8 }}', context)).toBe('High CP…');
+    expect(renderTemplate('{{ alert.name | truncate: 8, "..." }}', context)).toBe('High ...');
+    expect(renderTemplate('{{ bytes | humanize_bytes }} {{ alert.value | humanize_percent }}', context))
+      .toBe('1.5 GiB 92.3%');
+    expect(renderTemplate('{{ alert.labels | json }}', context)).toBe('{"host":"web-1","team":"infra"}');
+    expect(renderTemplate('{{ alert.runbook | default: "none" }} {{ alerts | length }}', context)).toBe('none 2');
+  });
+
+  it('formats dates in UTC or a given time zone', () => {
+    expect(renderTemplate('{{ alert.startsAt | date }}', context)).toBe('2024-01-01 10:05:03 UTC');
+    expect(renderTemplate('{{ alert.startsAt | date: "%d %b %H:%M", "Asia/Tokyo" }}', context)).toBe('01 Jan 19:05');
+  });
+
+  it('evaluates conditionals', () => {
+    const template = '{% if alert.severity == "critical" and counts.firing > 1 %}page{% elif alert.value %}warn' +
+      '{% else %}ok{% endif %}';
+
+    expect(renderTemplate(template, context)).toBe('page');
+    expect(renderTemplate(template, { ...context, counts: { firing: 1 } })).toBe('warn');
+    expect(renderTemplate(template, { alert: {} })).toBe('ok');
+    expect(renderTemplate('{% if not alert.runbook %}no runbook{% endif %}', context)).toBe('no runbook');
+  });
+
+  it('loops over lists and objects', () => {
+    const template = '{% for a in alerts -%}\n  {{ loop.index }}. {{ a.labels.host }}{% if not loop.last %},{% endif %}\n{%- endfor %}';
+
+    expect(renderTemplate(template, context)).toBe('1. web-1,2. web-2');
+    expect(renderTemplate('{% for name, value in alert.labels %}{{ name }}={{ value }} {% endfor %}', context))
+      .toBe('host=web-1 team=infra ');
+    expect(renderTemplate('{% for a in resolved %}{{ a.name }}{% else %}none{% endfor %}', context)).toBe('none');
+  });
+
+  it('reports syntax errors with their position', () => {
+    expect(() => compileTemplate('{{ alert.name | bogus }}')).toThrow(TemplateError);
+    expect(() => compileTemplate('{{ alert.name | bogus }}')).toThrow('Unknown template filter "bogus" at position 16');
+    expect(() => compileTemplate('{% if alert %}unclosed')).toThrow('Unclosed "if"');
+    expect(() => compileTemplate('{% for a in alerts %}{% endif %}')).toThrow('Unexpected "endif"');
+    expect(() => compileTemplate('{{ alert.name')).toThrow('Unclosed "{{"');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Schema of the AI alerting config (config/ai-alerts/config.json)
+ *
+ * Intervals and look-back periods are in milliseconds, confidences and
+ * thresholds between 0 and 1. Every section is optional.
+ */
+
+import { compileSchema, getSchemaErrors } from '../utils/schema.js';
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+const milliseconds = { type: 'integer', minimum: 1000 };
+const count = { type: 'integer', minimum: 1 };
+const ratio = { type: 'number', minimum: 0, maximum: 1 };
+const channelIds = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+/**
+ * Schema of an object whose keys are all known
+ * @param {Object} properties - Property schemas
+ * @returns {Object} - Object schema rejecting unknown keys
+ */
+function section(properties) {
+  return { type: 'object', additionalProperties: false, properties };
+}
+
+export const AI_CONFIG_SCHEMA = section({
+  analysis: section({
+    patternAnalysis: section({
+      enabled: { type: 'boolean' },
+      interval: milliseconds,
+      maxHistorySize: count,
+      minAlertsForAnalysis: count
+    }),
+    anomalyDetection: section({
+      enabled: { type: 'boolean' },
+      resourceTypes: { type: 'array', items: { type: 'string' } },
+      minConfidence: ratio,
+      maxAnomaliesPerResource: count
+    }),
+    recommendations: section({
+      enabled: { type: 'boolean' },
+      maxRecommendations: count,
+      minSeverity: { enum: SEVERITIES },
+      includeHistoricalContext: { type: 'boolean' }
+    }),
+    correlations: section({
+      enabled: { type: 'boolean' },
+      maxCorrelations: count,
+      minSignificance: { enum: ['low', 'medium', 'high'] },
+      lookbackPeriod: milliseconds
+    }),
+    predictions: section({
+      enabled: { type: 'boolean' },
+      forecastHours: { type: 'number', exclusiveMinimum: 0 },
+      intervalHours: { type: 'number', exclusiveMinimum: 0 },
+      minConfidence: ratio
+    })
+  }),
+  notifications: section({
+    aiInsights: section({
+      enabled: { type: 'boolean' },
+      channels: channelIds,
+      minSeverity: { enum: SEVERITIES },
+      includeRecommendations: { type: 'boolean' },
+      includeCorrelations: { type: 'boolean' }
+    }),
+    predictions: section({
+      enabled: { type: 'boolean' },
+      channels: channelIds,
+      threshold: ratio,
+      includeTrends: { type: 'boolean' }
+    })
+  }),
+  models: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      required: ['model'],
+      additionalProperties: false,
+      properties: {
+        model: { type: 'string', minLength: 1 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        maxTokens: count
+      }
+    }
+  },
+  logging: section({
+    level: { enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'] },
+    file: { type: 'string', minLength: 1 },
+    maxSize: { type: 'string', pattern: '^\\d+[kmg]?$' },
+    maxFiles: count
+  })
+});
+
+const validateAiConfigSchema = compileSchema(AI_CONFIG_SCHEMA);
+
+/**
+ * Collect the problems of an AI config
+ * @param {Object} config - AI config
+ * @returns {Array<string>} - Problems as `<path>: <problem>`, empty if the config is valid
+ */
+export function getAiConfigErrors(config) {
+  return getSchemaErrors(validateAiConfigSchema, config);
+}
@@ -2,6 +2,10 @@ import winston from 'winston';
 import nodeCron from 'node-cron';
 import path from 'path';
 import fs from 'fs/promises';
+import { SeriesBuffer } from '../alerts/series-buffer.js';
+import { hasCondition } from '../alerts/query-parser.js';
+import { evaluateQuery, getQueryAst, resultToSamples } from '../alerts/query-evaluator.js';
+import { alertFingerprint, buildAlertLabels } from '../alerts/fingerprint.js';
 
 // Configure logger
 const logger = winston.createLogger({
@@ -19,7 +23,7 @@ const logger = winston.createLogger({
 
 // Alert configuration
 let alertRules = [];
-let activeAlerts = new Map();
+let activeAlerts = new Map(); // Key: alert fingerprint
 let alertHistory = [];
 let notificationChannels = [];
 
@@ -110,7 +114,7 @@ async function loadAlertRules() {
         description: 'Alert when memory usage is above 90% for 10 minutes',
         type: 'threshold',
         source: 'prometheus',
-        query: 'system_memory_usage_bytes{type="used"} / system_memory_usage_bytes{type="total"} * 100 > 90',
+        query: 'system_memory_usage_bytes{type="used"} / ignoring(type) system_memory_usage_bytes{type="total"} * 100 > 90',
         duration: '10m',
         severity: 'warning',
         enabled: true,
@@ -224,33 +228,36 @@ function scheduleAlertEvaluation(prometheusClient, gcpMonitoringClient, aiClient
 
 /**
  * Evaluate a Prometheus alert rule
+ *
+ * Each matching series gets its own alert, keyed by the fingerprint of the
+ * rule id and the series labels, and resolves independently.
  */
 async function evaluatePrometheusRule(rule, prometheusClient, io) {
   try {
-    // In a real system, this would execute the actual PromQL query
-    // For this example, we're using simulated data
+    // Evaluate the rule query against the local Prometheus registry
+    const { series } = await queryRegistry(rule, prometheusClient);
+    const firingFingerprints = new Set();
     
-    // Get metric value (simulate query execution)
-    const result = simulatePrometheusQuery(rule.query);
-    
-    // Check if alert should fire
-    if (result.firing) {
-      const alertId = `${rule.id}_${Date.now()}`;
+    for (const sample of series) {
+      const labels = buildAlertLabels(rule, sample.labels);
+      const fingerprint = alertFingerprint(rule.id, labels);
+      firingFingerprints.add(fingerprint);
       
       // Create alert if not already active
-      if (!activeAlerts.has(rule.id)) {
+      if (!activeAlerts.has(fingerprint)) {
         const alert = {
-          id: alertId,
+          id: `${rule.id}_${fingerprint}_${Date.now()}`,
+          fingerprint,
           ruleId: rule.id,
           name: rule.name,
           description: rule.description,
           severity: rule.severity,
           status: 'firing',
           source: 'prometheus',
-          value: result.value,
-          labels: { ...rule.labels },
+          value: sample.value,
+          labels,
           annotations: {
-            summary: `${rule.name} (${result.value})`,
+            summary: `${rule.name} (${sample.value})`,
             description: rule.description
           },
           startsAt: new Date(),
@@ -259,11 +266,11 @@ async function evaluatePrometheusRule(rule, prometheusClient, io) {
         
         createAlert(alert, prometheusClient, io);
       }
-    } else {
-      // Resolve alert if it was active
-      if (activeAlerts.has(rule.id)) {
-        const alert = activeAlerts.get(rule.id);
-        
+    }
+    
+    // Resolve alerts of series that no longer match
+    for (const alert of Array.from(activeAlerts.values())) {
+      if (alert.ruleId === rule.id && !firingFingerprints.has(alert.fingerprint)) {
         resolveAlert(alert.id, {
           resolvedAt: new Date(),
           autoResolved: true,
@@ -295,8 +302,10 @@ async function evaluateGcpRule(rule, gcpMonitoringClient, io) {
     
     if (result && result.triggered) {
       // Create an alert
+      const alertId = `gcp-${rule.id}-${Date.now()}`;
       const alert = {
-        id: `gcp-${rule.id}-${Date.now()}`,
+        id: alertId,
+        fingerprint: alertId,
         ruleName: rule.name,
         severity: rule.severity,
         status: 'firing',
@@ -341,11 +350,13 @@ function evaluateAiAnomaly(rule, anomalyResult, io) {
     const resultSeverityLevel = severityLevels[anomalyResult.severity] || 0;
     
     // Check if severity meets the threshold and there are anomalies
+    const fingerprint = alertFingerprint(rule.id, rule.labels);
+    
     if (resultSeverityLevel >= minSeverityLevel && anomalyResult.anomalies.length > 0) {
       const alertId = `${rule.id}_${Date.now()}`;
       
       // Create alert if not already active
-      if (!activeAlerts.has(rule.id)) {
+      if (!activeAlerts.has(fingerprint)) {
         // Format anomalies for the alert
         const anomaliesText = anomalyResult.anomalies
           .map(a => `- ${a.description} (${a.severity})`)
@@ -353,6 +364,7 @@ function evaluateAiAnomaly(rule, anomalyResult, io) {
         
         const alert = {
           id: alertId,
+          fingerprint,
           ruleId: rule.id,
           name: rule.name,
           description: `AI-detected anomalies: ${anomalyResult.anomalies.length}`,
@@ -377,8 +389,8 @@ function evaluateAiAnomaly(rule, anomalyResult, io) {
       }
     } else {
       // Resolve alert if it was active
-      if (activeAlerts.has(rule.id)) {
-        const alert = activeAlerts.get(rule.id);
+      if (activeAlerts.has(fingerprint)) {
+        const alert = activeAlerts.get(fingerprint);
         
         resolveAlert(alert.id, {
           resolvedAt: new Date(),
@@ -403,7 +415,7 @@ function createAlert(alert, prometheusClient, io) {
     }
     
     // Store in active alerts
-    activeAlerts.set(alert.ruleId, alert);
+    activeAlerts.set(alert.fingerprint, alert);
     
     // Add to history
     alertHistory.push({ ...alert });
@@ -451,7 +463,7 @@ function acknowledgeAlert(alertId) {
   activeAlert.acknowledgedAt = new Date();
   
   // Update in active alerts
-  activeAlerts.set(activeAlert.ruleId, activeAlert);
+  activeAlerts.set(activeAlert.fingerprint, activeAlert);
   
   logger.info('Alert acknowledged', { id: alertId });
   
@@ -476,7 +488,7 @@ function resolveAlert(alertId, resolution) {
   activeAlert.resolution = resolution;
   
   // Remove from active alerts
-  activeAlerts.delete(activeAlert.ruleId);
+  activeAlerts.delete(activeAlert.fingerprint);
   
   // Update history
   const historyIndex = alertHistory.findIndex(a => a.id === alertId);
@@ -544,7 +556,7 @@ function sendAlertNotifications(alert, io) {
  * Find an active alert by its ID
  */
 function findActiveAlertById(alertId) {
-  for (const [ruleId, alert] of activeAlerts.entries()) {
+  for (const alert of activeAlerts.values()) {
     if (alert.id === alertId) {
       return alert;
     }
@@ -675,38 +687,34 @@ function deleteNotificationChannel(channelId) {
 }
 
 /**
- * Simulate a Prometheus query result
- * In a real system, this would be replaced with actual PromQL execution
+ * Evaluate a rule query against the metrics in the local Prometheus registry
+ * @param {Object} rule - The alert rule
+ * @param {Object} prometheusClient - Client returned by setupPrometheus()
+ * @returns {Promise<Object>} - The series that fire ({ series: [{ labels, value }] })
  */
-function simulatePrometheusQuery(query) {
-  // This is just a simulation to demonstrate the concept
-  // In a real system, this would execute the actual PromQL query
-  
-  // Parse query to extract metric and threshold
-  const cpuMatch = query.match(/system_cpu_usage.*?(\d+)/);
-  const memoryMatch = query.match(/system_memory_usage_bytes.*?(\d+)/);
-  
-  if (cpuMatch) {
-    const threshold = parseInt(cpuMatch[1], 10);
-    const value = Math.floor(Math.random() * 100); // Random CPU value 0-100
-    return { 
-      firing: value > threshold,
-      value
-    };
-  } else if (memoryMatch) {
-    const threshold = parseInt(memoryMatch[1], 10);
-    const value = Math.floor(Math.random() * 100); // Random memory percentage 0-100
-    return { 
-      firing: value > threshold,
-      value
-    };
+async function queryRegistry(rule, prometheusClient) {
+  if (!prometheusClient?.register) {
+    logger.warn(`Skipping Prometheus rule ${rule.id} - Prometheus client not available`);
+    return { series: [] };
   }
   
-  // Default - randomly fire 10% of the time
-  return {
-    firing: Math.random() < 0.1,
-    value: Math.random() * 100
-  };
+  // Snapshot the registry into a sample buffer the query evaluator can read
+  const buffer = new SeriesBuffer();
+  const now = Date.now();
+  
+  for (const metric of await prometheusClient.register.getMetricsAsJSON()) {
+    for (const sample of metric.values) {
+      buffer.append(sample.metricName || metric.name, sample.labels || {}, sample.value, now);
+    }
+  }
+  
+  const ast = getQueryAst(rule.query);
+  const samples = resultToSamples(evaluateQuery(ast, buffer, { now }));
+  
+  // Queries without a comparison fire on any non-zero result
+  const firingSamples = hasCondition(ast) ? samples : samples.filter((s) => s.value !== 0);
+  
+  return { series: firingSamples };
 }
 
 /**
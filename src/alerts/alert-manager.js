@@ -5,6 +5,48 @@ import { EventEmitter } from 'events';
 import { WebSocketServer, WebSocket } from 'ws';
 import alertAnalyzer from '../ai-integration/alert-analyzer.js';
 import { prettyPrintAlert, createPrettyConsoleTransport } from '../utils/pretty-logger.js';
+import { parseDuration } from '../utils/duration.js';
+import { SeriesBuffer, calculateChange } from './series-buffer.js';
+import { getMaxRange, hasCondition, matchLabels } from './query-parser.js';
+import { evaluateQuery, getQueryAst, resultToSamples } from './query-evaluator.js';
+import { alertFingerprint, buildAlertLabels } from './fingerprint.js';
+import { SilenceStore } from './silences.js';
+import { MaintenanceWindows } from './maintenance-windows.js';
+import { Inhibitor } from './inhibitor.js';
+import { NotificationDispatcher, getGroupLabels } from './dispatcher.js';
+import { flattenRoutes, serializeRoute } from './routing.js';
+import { NotificationOutbox } from './outbox.js';
+import { EscalationManager, buildEscalationNotification, serializeEscalationPolicy } from './escalation.js';
+import { compileContact, parseTarget, formatTarget } from './contacts.js';
+import {
+  DEFAULT_RULE_GROUP,
+  MIN_GROUP_INTERVAL_MS,
+  RuleValidationError,
+  getRuleGroupErrors,
+  validateRule
+} from './rule-validation.js';
+import { ChannelValidationError, validateChannel, restoreChannelSecrets } from './channels.js';
+import { lintConfig } from './config-lint.js';
+import { OnCallSchedules } from './schedules.js';
+import { ConfigWatcher } from './config-watcher.js';
+import { sendSlackNotification } from './notifiers/slack.js';
+import { EmailNotifier } from './notifiers/email.js';
+import { sendPagerDutyNotification, sendPagerDutyEvent } from './notifiers/pagerduty.js';
+import { sendTeamsNotification } from './notifiers/msteams.js';
+import { sendWebhookNotification } from './notifiers/webhook.js';
+import {
+  SEVERITY_LEVELS,
+  buildAlertContext,
+  buildNotificationContext,
+  buildSampleAlert
+} from './notifiers/format.js';
+import { renderTemplate } from '../utils/template.js';
+import {
+  recordNotificationDelivery,
+  recordRuleGroupEvaluation,
+  removeRuleGroupMetrics,
+  setNotificationOutboxSize
+} from '../data-collectors/prometheus-collector.js';
 
 // Ensure logs directory exists
 async function ensureLogDirectory() {
@@ -35,32 +77,182 @@ const logger = winston.createLogger({
   ]
 });
 
+// winston loads its transports lazily; look this one up while the module
+// loads rather than after the directory exists, when tests may have finished
+const FileTransport = winston.transports.File;
+
 // Ensure logs directory exists and update logger
 (async () => {
   try {
     await ensureLogDirectory();
     // Add file transport after ensuring directory exists
-    logger.add(new winston.transports.File({ filename: 'logs/alerts.log' }));
+    logger.add(new FileTransport({ filename: 'logs/alerts.log' }));
   } catch (error) {
     console.error('Error initializing logger:', error);
   }
 })();
 
-// Alert severity levels
-const SEVERITY_LEVELS = {
-  'info': 0,
-  'warning': 1,
-  'error': 2,
-  'critical': 3
+// WebSocket message type for each alert state
+const WS_MESSAGE_TYPES = {
+  'pending': 'pending',
+  'firing': 'alert',
+  'resolved': 'resolve',
+  'inactive': 'pending_cleared'
 };
 
+// Channels notified per alert as soon as it changes state; every other
+// channel type receives grouped notifications from the dispatcher
+const REALTIME_CHANNEL_TYPES = ['console', 'websocket', 'ai_feedback'];
+
+// How far back samples are kept when no rule needs a longer window
+const MIN_SAMPLE_RETENTION = '1h';
+
+/**
+ * Error raised when an alert is not in a state that allows the requested change
+ */
+class AlertStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AlertStateError';
+  }
+}
+
+/**
+ * Error raised when reloaded config files are invalid; the running config is kept
+ */
+class ConfigReloadError extends Error {
+  constructor(message, errors = [message]) {
+    super(message);
+    this.name = 'ConfigReloadError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Copy an alert for the notification outbox, without the metrics it was raised from
+ * @param {Object} alert - Alert object
+ * @returns {Object} - Alert copy
+ */
+function toOutboxAlert(alert) {
+  const copy = { ...alert };
+  delete copy.metrics;
+  return copy;
+}
+
+/**
+ * Replace keys of a JSON config file, keeping its other keys
+ *
+ * The file is written to a temporary path and renamed over the original, so
+ * a crash never leaves it half written.
+ * @param {string} filePath - Config file path
+ * @param {Object} values - New values by key, e.g. `{ rules: [...] }`
+ */
+async function writeConfigKeys(filePath, values) {
+  let data = {};
+  
+  try {
+    const parsedData = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    data = Array.isArray(parsedData) ? {} : parsedData;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  
+  const tempPath = `${filePath}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify({ ...data, ...values }, null, 2), 'utf-8');
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Compare two lists of config items by id
+ * @param {Map} previous - Current items by id
+ * @param {Array} items - New items
+ * @returns {{added: Array<string>, updated: Array<string>, removed: Array<string>}} - Changed ids
+ */
+function diffById(previous, items) {
+  const ids = new Set(items.map(item => item.id));
+  
+  return {
+    added: items.filter(item => !previous.has(item.id)).map(item => item.id),
+    updated: items
+      .filter(item => previous.has(item.id) && JSON.stringify(previous.get(item.id)) !== JSON.stringify(item))
+      .map(item => item.id),
+    removed: Array.from(previous.keys()).filter(id => !ids.has(id))
+  };
+}
+
+/**
+ * Compare a value against a threshold using a rule condition operator
+ * @param {number} value - Observed value
+ * @param {string} condition - Operator (>, >=, <, <=, ==, !=)
+ * @param {number} threshold - Threshold to compare against
+ * @returns {boolean} - Whether the condition holds
+ */
+function compareValues(value, condition, threshold) {
+  switch (condition) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==':
+    case '=': return value === threshold;
+    case '!=': return value !== threshold;
+    default:
+      throw new Error(`Unknown condition operator: ${condition}`);
+  }
+}
+
 class AlertManager extends EventEmitter {
   constructor() {
     super();
     this.alertRules = [];
+    this.ruleGroups = []; // Group definitions from the rules config; rules without a group are in `default`
+    this.ruleGroupStatus = new Map(); // Key: group name, Value: outcome of its evaluations
+    this.ruleGroupTimers = new Map(); // Key: group name, Value: timer of a group with an interval
+    this.latestMetrics = new Map(); // Key: metrics source, Value: metrics it sent last
+    this.rulesPath = path.join(process.cwd(), 'config', 'alerts', 'rules.json');
     this.channels = [];
-    this.activeAlerts = new Map(); // Key: alertId, Value: alert object
+    this.channelsPath = path.join(process.cwd(), 'config', 'alerts', 'channels.json');
+    this.aiConfig = {};
+    this.aiConfigPath = path.join(process.cwd(), 'config', 'ai-alerts', 'config.json');
+    this.configSaving = Promise.resolve(); // Rule and channel changes are written one at a time
+    this.configWatcher = null;
+    this.activeAlerts = new Map(); // Key: alert fingerprint, Value: alert object
     this.alertHistory = []; // Store alerts for historical analysis
+    this.seriesBuffer = new SeriesBuffer(); // Recent samples per series for look-back rules
+    this.silences = new SilenceStore(path.join(process.cwd(), 'config', 'alerts', 'silences.json'));
+    this.maintenanceWindows = new MaintenanceWindows(
+      path.join(process.cwd(), 'config', 'alerts', 'maintenance-windows.json')
+    );
+    this.activeMaintenanceWindowIds = new Set();
+    this.inhibitor = new Inhibitor(); // Inhibition rules from the rules config
+    this.dispatcher = new NotificationDispatcher({
+      notify: (notification, route) => this.sendGroupNotification(notification, route),
+      // Alerts silenced or inhibited after joining a group are left out of it
+      isMuted: (alert) => this.isSuppressed(alert),
+      logger
+    });
+    this.emailNotifiers = new Map(); // Key: channel ID, Value: EmailNotifier with its SMTP transport
+    // Deliveries to external channels, retried until they succeed or are dead-lettered
+    this.outbox = new NotificationOutbox({
+      filePath: path.join(process.cwd(), 'config', 'alerts', 'outbox.json'),
+      deliver: (entry) => this.deliverOutboxEntry(entry),
+      onResult: (entry, outcome) => {
+        recordNotificationDelivery(entry.channelId, entry.channelType, outcome);
+        setNotificationOutboxSize(this.outbox.getCounts());
+      },
+      logger
+    });
+    this.contacts = new Map(); // Key: contact ID, Value: contact with its notification methods
+    this.schedules = new OnCallSchedules(path.join(process.cwd(), 'config', 'alerts', 'schedules.json'));
+    // Re-notifies further targets while firing alerts stay unacknowledged
+    this.escalations = new EscalationManager({
+      notify: (alert, policy, stepIndex) => this.sendEscalation(alert, policy, stepIndex),
+      getAlert: (alertId) => this.activeAlerts.get(alertId),
+      logger
+    });
     this.wsServer = null;
     this.wsClients = new Set();
     this.initialized = false;
@@ -79,6 +271,14 @@ class AlertManager extends EventEmitter {
       // Load alert rules and notification channels
       await this.loadAlertRules();
       await this.loadNotificationChannels();
+      await this.loadAiConfig();
+      await this.loadContacts();
+      await this.loadSchedules();
+      await this.loadRouting();
+      await this.loadEscalationPolicies();
+      await this.loadSilences();
+      await this.loadMaintenanceWindows();
+      await this.loadOutbox();
       
       // Initialize AI integration
       await alertAnalyzer.initialize();
@@ -93,6 +293,7 @@ class AlertManager extends EventEmitter {
       }
       
       this.initialized = true;
+      this.scheduleRuleGroups();
       logger.info('Alert Manager initialized successfully');
       
       // Schedule regular AI-driven alert pattern analysis
@@ -132,7 +333,7 @@ class AlertManager extends EventEmitter {
    */
   async loadAlertRules() {
     try {
-      const rulesPath = path.join(process.cwd(), 'config', 'alerts', 'rules.json');
+      const rulesPath = this.rulesPath;
       
       // Check if file exists, create default if not
       try {
@@ -148,6 +349,13 @@ class AlertManager extends EventEmitter {
       // Support both flat array and { rules: [] } format
       this.alertRules = Array.isArray(parsedData) ? parsedData : 
                         (parsedData.rules || []);
+      this.loadRuleGroups(Array.isArray(parsedData) ? [] : (parsedData.groups || []));
+      
+      this.updateSampleRetention();
+      this.loadInhibitRules(Array.isArray(parsedData) ? [] : (parsedData.inhibit_rules || []));
+      
+      // Invalid rules are still loaded, so existing configs keep working
+      this.reportConfigProblems(rulesPath, lintConfig('rules', parsedData));
       
       logger.info('Alert rules loaded', { ruleCount: this.alertRules.length });
     } catch (error) {
@@ -157,12 +365,477 @@ class AlertManager extends EventEmitter {
     }
   }
 
+  /**
+   * Load the AI alerting config; without one the defaults apply
+   */
+  async loadAiConfig() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.aiConfigPath, 'utf-8'));
+      const result = lintConfig('ai', data);
+      this.reportConfigProblems(this.aiConfigPath, result);
+      
+      // An invalid config could schedule analysis every millisecond, so it is not used
+      this.aiConfig = result.errors.length > 0 ? {} : data;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load AI config, using defaults', { error: error.message });
+      }
+      this.aiConfig = {};
+    }
+  }
+
+  /**
+   * Log the problems and legacy settings found in a config file
+   * @param {string} filePath - Config file
+   * @param {{errors: Array<string>, migrations: Array<string>}} result - Result of lintConfig
+   */
+  reportConfigProblems(filePath, { errors, migrations }) {
+    const file = path.relative(process.cwd(), filePath);
+    if (errors.length > 0) {
+      logger.warn('Invalid config', { file, errors });
+    }
+    if (migrations.length > 0) {
+      logger.warn('Config uses legacy settings', { file, migrations });
+    }
+  }
+
+  /**
+   * Load the rule groups configured next to the alert rules
+   *
+   * Invalid groups are left out, so their rules are evaluated on ingest like
+   * rules without a group.
+   * @param {Array} ruleGroups - Rule groups from the rules config
+   */
+  loadRuleGroups(ruleGroups) {
+    if (!Array.isArray(ruleGroups)) {
+      logger.error('Invalid rule groups, ignoring them', { groups: ruleGroups });
+      this.ruleGroups = [];
+      return;
+    }
+    
+    this.ruleGroups = ruleGroups.filter((group, index) => {
+      const errors = getRuleGroupErrors(group, `groups[${index}]`);
+      if (errors.length > 0) {
+        logger.error('Invalid rule group, ignoring it', { group: group?.name, errors });
+      }
+      return errors.length === 0;
+    });
+  }
+
+  /**
+   * Load the inhibition rules configured next to the alert rules
+   * @param {Array} inhibitRules - Inhibition rules from the rules config
+   */
+  loadInhibitRules(inhibitRules) {
+    try {
+      this.inhibitor.setRules(inhibitRules);
+      logger.info('Inhibition rules loaded', { inhibitRuleCount: this.inhibitor.rules.length });
+    } catch (error) {
+      // Alerts are still delivered, just without inhibition
+      logger.error('Failed to load inhibition rules', { error: error.message });
+      this.inhibitor.setRules([]);
+    }
+  }
+
+  /**
+   * Size the sample buffer so it covers the longest rate-of-change window
+   * and the longest range selector of a threshold query
+   */
+  updateSampleRetention() {
+    let retention = parseDuration(MIN_SAMPLE_RETENTION);
+    
+    for (const rule of this.alertRules) {
+      try {
+        if (rule.type === 'rate_of_change') {
+          retention = Math.max(retention, parseDuration(rule.window));
+        } else if (rule.type === 'threshold') {
+          retention = Math.max(retention, getMaxRange(getQueryAst(rule.query)));
+        }
+      } catch (error) {
+        logger.warn('Invalid rule window or query', { ruleId: rule.id, error: error.message });
+      }
+    }
+    
+    this.seriesBuffer.setRetention(retention);
+  }
+
+  /**
+   * Get an alert rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Object|undefined} - Rule
+   */
+  getRule(ruleId) {
+    return this.alertRules.find(rule => rule.id === ruleId);
+  }
+
+  /**
+   * Add an alert rule, persist it and evaluate it straight away
+   * @param {Object} rule - Rule definition
+   * @returns {Promise<Object>} - The added rule
+   */
+  async createRule(rule) {
+    const created = { ...rule, enabled: rule?.enabled ?? true };
+    validateRule(created);
+    this.checkRuleGroup(created);
+    
+    await this.updateAlertRules((rules) => {
+      if (rules.some(existing => existing.id === created.id)) {
+        throw new RuleValidationError(`Rule ${created.id} already exists`);
+      }
+      return [...rules, created];
+    });
+    
+    logger.info('Alert rule created', { ruleId: created.id });
+    await this.reevaluateRule(created);
+    return created;
+  }
+
+  /**
+   * Add several alert rules at once, e.g. converted from a Prometheus rule file
+   * @param {Array<Object>} rules - Rule definitions
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.overwrite] - Replace rules and groups with the same id or name instead of skipping them
+   * @param {Array<Object>} [options.groups] - Rule groups of the rules; existing groups are kept unless overwritten
+   * @returns {Promise<{created: Array<string>, updated: Array<string>, skipped: Array<string>}>} - Ids of the
+   *   created and updated rules, and why others were skipped
+   */
+  async importRules(rules, { overwrite = false, groups = [] } = {}) {
+    const imported = rules.map(rule => ({ ...rule, enabled: rule?.enabled ?? true }));
+    imported.forEach(rule => validateRule(rule));
+    
+    const groupErrors = groups.flatMap((group, index) => getRuleGroupErrors(group, `groups[${index}]`));
+    if (groupErrors.length > 0) {
+      throw new RuleValidationError(`Invalid rule groups: ${groupErrors.join('; ')}`, groupErrors);
+    }
+    const ruleGroups = [...this.ruleGroups];
+    for (const group of groups) {
+      const index = ruleGroups.findIndex(existing => existing.name === group.name);
+      if (index === -1) {
+        ruleGroups.push(group);
+      } else if (overwrite) {
+        ruleGroups[index] = group;
+      }
+    }
+    imported.forEach(rule => this.checkRuleGroup(rule, ruleGroups));
+
+    const result = { created: [], updated: [], skipped: [] };
+    const applied = [];
+    const previous = new Map();
+
+    await this.updateAlertRules((current) => {
+      const next = [...current];
+      for (const rule of imported) {
+        const index = next.findIndex(existing => existing.id === rule.id);
+        if (index === -1) {
+          next.push(rule);
+          applied.push(rule);
+          result.created.push(rule.id);
+        } else if (overwrite) {
+          previous.set(rule.id, next[index]);
+          next[index] = rule;
+          applied.push(rule);
+          result.updated.push(rule.id);
+        } else {
+          result.skipped.push(`${rule.id}: a rule with this id already exists`);
+        }
+      }
+      return next;
+    }, ruleGroups);
+    logger.info('Alert rules imported', { created: result.created.length, updated: result.updated.length });
+    this.scheduleRuleGroups();
+
+    for (const rule of applied) {
+      if (previous.has(rule.id) && previous.get(rule.id).type !== rule.type) {
+        await this.clearRuleAlerts(rule.id, 'Rule changed');
+      }
+      await this.reevaluateRule(rule);
+    }
+    return result;
+  }
+
+  /**
+   * Replace an alert rule, persist it and evaluate it straight away
+   * @param {string} ruleId - ID of the rule to replace
+   * @param {Object} rule - New rule definition; its id cannot change
+   * @returns {Promise<Object|null>} - The updated rule, or null if it does not exist
+   */
+  async updateRule(ruleId, rule) {
+    const existing = this.getRule(ruleId);
+    if (!existing) {
+      return null;
+    }
+    
+    if (rule?.id !== undefined && rule.id !== ruleId) {
+      throw new RuleValidationError('id: cannot be changed');
+    }
+    const updated = { ...rule, id: ruleId, enabled: rule?.enabled ?? true };
+    validateRule(updated);
+    this.checkRuleGroup(updated);
+    
+    await this.updateAlertRules((rules) => rules.map(r => r.id === ruleId ? updated : r));
+    logger.info('Alert rule updated', { ruleId });
+    
+    // Alerts of a different rule type would never be cleared by the new evaluation
+    if (existing.type !== updated.type) {
+      await this.clearRuleAlerts(ruleId, 'Rule changed');
+    }
+    await this.reevaluateRule(updated);
+    return updated;
+  }
+
+  /**
+   * Enable or disable an alert rule; disabling resolves its alerts
+   * @param {string} ruleId - Rule ID
+   * @param {boolean} enabled - Whether the rule should be evaluated
+   * @returns {Promise<Object|null>} - The updated rule, or null if it does not exist
+   */
+  async setRuleEnabled(ruleId, enabled) {
+    const existing = this.getRule(ruleId);
+    if (!existing) {
+      return null;
+    }
+    
+    const updated = { ...existing, enabled };
+    await this.updateAlertRules((rules) => rules.map(r => r.id === ruleId ? updated : r));
+    logger.info(enabled ? 'Alert rule enabled' : 'Alert rule disabled', { ruleId });
+    
+    await this.reevaluateRule(updated);
+    return updated;
+  }
+
+  /**
+   * Delete an alert rule and resolve its alerts
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Object|null>} - The deleted rule, or null if it does not exist
+   */
+  async deleteRule(ruleId) {
+    const existing = this.getRule(ruleId);
+    if (!existing) {
+      return null;
+    }
+    
+    await this.updateAlertRules((rules) => rules.filter(r => r.id !== ruleId));
+    logger.info('Alert rule deleted', { ruleId });
+    
+    await this.clearRuleAlerts(ruleId, 'Rule deleted');
+    return existing;
+  }
+
+  /**
+   * Apply a change to the alert rules once it is written to the rules file
+   *
+   * Changes run one at a time against the latest rules, and the file is
+   * replaced atomically; other keys in it, like `inhibit_rules`, are kept.
+   * @param {Function} change - Receives the current rules and returns the new ones
+   * @param {Array<Object>} [ruleGroups] - New rule groups, saved along with the rules
+   * @returns {Promise<void>} - Resolves once the change is saved and applied
+   */
+  updateAlertRules(change, ruleGroups) {
+    return this.queueConfigChange(async () => {
+      const rules = change(this.alertRules);
+      await writeConfigKeys(this.rulesPath, ruleGroups ? { groups: ruleGroups, rules } : { rules });
+      
+      this.alertRules = rules;
+      if (ruleGroups) {
+        this.ruleGroups = ruleGroups;
+      }
+      this.updateSampleRetention();
+    });
+  }
+
+  /**
+   * Check that the group of a rule is defined
+   * @param {Object} rule - Rule definition
+   * @param {Array<Object>} [ruleGroups] - Rule groups to check against
+   * @throws {RuleValidationError} - If the group is unknown
+   */
+  checkRuleGroup(rule, ruleGroups = this.ruleGroups) {
+    if (rule.group !== undefined && rule.group !== DEFAULT_RULE_GROUP &&
+        !ruleGroups.some(group => group.name === rule.group)) {
+      throw new RuleValidationError(`Invalid rule ${rule.id}: group: "${rule.group}" is not defined`, [
+        `group: "${rule.group}" is not defined`
+      ]);
+    }
+  }
+
+  /**
+   * Run a config change once the previous ones are done
+   * @param {Function} run - Async change
+   * @returns {Promise<void>} - Resolves or rejects with the change
+   */
+  queueConfigChange(run) {
+    this.configSaving = this.configSaving.then(run, run);
+    return this.configSaving;
+  }
+
+  /**
+   * Re-read the rules and channels files and apply them
+   *
+   * Both files are validated first; if anything is invalid the running config
+   * is kept. Otherwise the new config replaces the old one in one step. Alerts
+   * of unchanged rules keep their state, alerts of deleted rules resolve, and
+   * new or changed rules are evaluated against the latest metrics.
+   * @returns {Promise<Object>} - Ids of the added, updated and removed rules and channels
+   * @throws {ConfigReloadError} - If a file cannot be read or is invalid
+   */
+  reloadConfig() {
+    return this.queueConfigChange(async () => {
+      let config;
+      try {
+        config = await this.readReloadedConfig();
+      } catch (error) {
+        logger.error('Config reload failed, keeping the current config', { errors: error.errors });
+        this.emit('config_reload_failed', error);
+        throw error;
+      }
+      
+      const previousRules = new Map(this.alertRules.map(rule => [rule.id, rule]));
+      const previousChannels = new Map(this.channels.map(channel => [channel.id, channel]));
+      const rules = diffById(previousRules, config.rules);
+      const channels = diffById(previousChannels, config.channels);
+      
+      this.alertRules = config.rules;
+      this.ruleGroups = config.ruleGroups;
+      this.updateSampleRetention();
+      this.inhibitor.setRules(config.inhibitRules);
+      this.channels = config.channels;
+      
+      for (const channelId of [...channels.updated, ...channels.removed]) {
+        this.releaseChannel(channelId);
+      }
+      if (this.initialized && !this.wsServer &&
+          this.channels.some(channel => channel.type === 'websocket' && channel.enabled)) {
+        this.initializeWebSocketServer();
+      }
+      
+      for (const ruleId of rules.removed) {
+        await this.clearRuleAlerts(ruleId, 'Rule deleted');
+      }
+      for (const ruleId of [...rules.added, ...rules.updated]) {
+        const rule = this.getRule(ruleId);
+        const previous = previousRules.get(ruleId);
+        if (previous && previous.type !== rule.type) {
+          await this.clearRuleAlerts(ruleId, 'Rule changed');
+        }
+        await this.reevaluateRule(rule);
+      }
+      
+      // Inhibition rules may have changed too
+      for (const alert of Array.from(this.activeAlerts.values())) {
+        await this.refreshSuppressionState(alert);
+      }
+      this.scheduleRuleGroups();
+      
+      const result = { rules, channels, reloadedAt: new Date() };
+      logger.info('Config reloaded', {
+        rules: Object.fromEntries(Object.entries(rules).map(([change, ids]) => [change, ids.length])),
+        channels: Object.fromEntries(Object.entries(channels).map(([change, ids]) => [change, ids.length]))
+      });
+      this.emit('config_reloaded', result);
+      return result;
+    });
+  }
+
+  /**
+   * Read and validate the rules and channels files for a reload
+   * @returns {Promise<Object>} - Rules, rule groups, inhibition rules and channels
+   * @throws {ConfigReloadError} - Listing every problem found, prefixed with its file
+   */
+  async readReloadedConfig() {
+    const errors = [];
+    
+    const readFile = async (filePath, kind) => {
+      const label = path.basename(filePath);
+      try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        errors.push(...lintConfig(kind, data).errors.map(error => `${label}: ${error}`));
+        return data;
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+        return null;
+      }
+    };
+    
+    const rulesData = await readFile(this.rulesPath, 'rules');
+    const channelsData = await readFile(this.channelsPath, 'channels');
+    
+    if (errors.length > 0) {
+      throw new ConfigReloadError(`Invalid config: ${errors.join('; ')}`, errors);
+    }
+    return {
+      rules: Array.isArray(rulesData) ? rulesData : rulesData.rules,
+      ruleGroups: Array.isArray(rulesData) ? [] : (rulesData.groups || []),
+      inhibitRules: Array.isArray(rulesData) ? [] : (rulesData.inhibit_rules || []),
+      channels: Array.isArray(channelsData) ? channelsData : channelsData.channels
+    };
+  }
+
+  /**
+   * Reload the config whenever the rules or channels file changes
+   * @returns {ConfigWatcher} - The running watcher
+   */
+  watchConfig() {
+    if (!this.configWatcher) {
+      this.configWatcher = new ConfigWatcher({
+        files: [this.rulesPath, this.channelsPath],
+        // Failures are logged and reported by reloadConfig
+        onChange: () => this.reloadConfig().catch(() => {}),
+        logger
+      });
+      this.configWatcher.start();
+      logger.info('Watching config files for changes', { files: this.configWatcher.files });
+    }
+    return this.configWatcher;
+  }
+
+  /**
+   * Evaluate a changed rule against the latest samples instead of waiting
+   * for the next metrics; disabled rules have their alerts resolved
+   * @param {Object} rule - Alert rule
+   */
+  async reevaluateRule(rule) {
+    if (!rule.enabled) {
+      await this.clearRuleAlerts(rule.id, 'Rule disabled');
+      return;
+    }
+    
+    if (!this.initialized || !this.lastProcessedMetrics || this.maintenanceWindows.findRuleWindow(rule)) {
+      return;
+    }
+    
+    try {
+      await this.evaluateRule(rule, this.lastProcessedMetrics);
+    } catch (error) {
+      logger.error('Error evaluating rule', { ruleId: rule.id, query: rule.query, error: error.message });
+    }
+    
+    // Alerts of the rule may inhibit others, so re-check every alert
+    for (const alert of Array.from(this.activeAlerts.values())) {
+      await this.refreshSuppressionState(alert);
+    }
+  }
+
+  /**
+   * Clear the pending alerts and resolve the firing alerts of a rule
+   * @param {string} ruleId - Rule ID
+   * @param {string} reason - Reason for resolution
+   */
+  async clearRuleAlerts(ruleId, reason) {
+    for (const alert of this.getRuleAlerts(ruleId)) {
+      if (alert.status === 'pending') {
+        this.clearPendingAlert(alert.id);
+      } else {
+        await this.resolveAlert(alert.id, reason);
+      }
+    }
+  }
+
   /**
    * Load notification channels from config file
    */
   async loadNotificationChannels() {
     try {
-      const channelsPath = path.join(process.cwd(), 'config', 'alerts', 'channels.json');
+      const channelsPath = this.channelsPath;
       
       // Check if file exists, create default if not
       try {
@@ -179,6 +852,9 @@ class AlertManager extends EventEmitter {
       this.channels = Array.isArray(parsedData) ? parsedData : 
                       (parsedData.channels || []);
       
+      // Invalid channels are still loaded; their deliveries fail with the reason
+      this.reportConfigProblems(channelsPath, lintConfig('channels', parsedData));
+      
       logger.info('Notification channels loaded', { channelCount: this.channels.length });
     } catch (error) {
       logger.error('Failed to load notification channels', { error: error.message });
@@ -187,6 +863,394 @@ class AlertManager extends EventEmitter {
     }
   }
 
+  /**
+   * Get a notification channel
+   * @param {string} channelId - Channel ID
+   * @returns {Object|undefined} - Channel
+   */
+  getChannel(channelId) {
+    return this.channels.find(channel => channel.id === channelId);
+  }
+
+  /**
+   * Add a notification channel and persist it
+   * @param {Object} channel - Channel definition
+   * @returns {Promise<Object>} - The added channel
+   */
+  async createChannel(channel) {
+    const created = { ...channel, enabled: channel?.enabled ?? true, config: channel?.config ?? {} };
+    validateChannel(created);
+    
+    await this.updateChannels((channels) => {
+      if (channels.some(existing => existing.id === created.id)) {
+        throw new ChannelValidationError(`Channel ${created.id} already exists`);
+      }
+      return [...channels, created];
+    });
+    
+    logger.info('Notification channel created', { channelId: created.id, type: created.type });
+    return created;
+  }
+
+  /**
+   * Replace a notification channel and persist it
+   *
+   * Secrets sent back redacted, as returned by the API, keep their stored value.
+   * @param {string} channelId - ID of the channel to replace
+   * @param {Object} channel - New channel definition; its id cannot change
+   * @returns {Promise<Object|null>} - The updated channel, or null if it does not exist
+   */
+  async updateChannel(channelId, channel) {
+    const existing = this.getChannel(channelId);
+    if (!existing) {
+      return null;
+    }
+    
+    if (channel?.id !== undefined && channel.id !== channelId) {
+      throw new ChannelValidationError('id: cannot be changed');
+    }
+    const updated = restoreChannelSecrets({
+      ...channel,
+      id: channelId,
+      enabled: channel?.enabled ?? true,
+      config: channel?.config ?? {}
+    }, existing);
+    validateChannel(updated);
+    
+    await this.updateChannels((channels) => channels.map(c => c.id === channelId ? updated : c));
+    this.releaseChannel(channelId);
+    logger.info('Notification channel updated', { channelId, type: updated.type });
+    return updated;
+  }
+
+  /**
+   * Delete a notification channel
+   *
+   * Routes, contacts and escalation steps still naming the channel are
+   * reported, like unknown receivers at startup, and skip it from then on.
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object|null>} - The deleted channel, or null if it does not exist
+   */
+  async deleteChannel(channelId) {
+    const existing = this.getChannel(channelId);
+    if (!existing) {
+      return null;
+    }
+    
+    await this.updateChannels((channels) => channels.filter(c => c.id !== channelId));
+    this.releaseChannel(channelId);
+    logger.info('Notification channel deleted', { channelId });
+    
+    const references = this.getChannelReferences(channelId);
+    if (references.length > 0) {
+      logger.warn('Deleted notification channel is still referenced', { channelId, references });
+    }
+    return existing;
+  }
+
+  /**
+   * Apply a change to the notification channels once it is written to the channels file
+   * @param {Function} change - Receives the current channels and returns the new ones
+   * @returns {Promise<void>} - Resolves once the change is saved and applied
+   */
+  updateChannels(change) {
+    return this.queueConfigChange(async () => {
+      const channels = change(this.channels);
+      await writeConfigKeys(this.channelsPath, { channels });
+      this.channels = channels;
+    });
+  }
+
+  /**
+   * Stop the email notifiers of a channel, including those of its contacts,
+   * so the next delivery uses the current channel config
+   * @param {string} channelId - Channel ID
+   */
+  releaseChannel(channelId) {
+    for (const [id, notifier] of Array.from(this.emailNotifiers.entries())) {
+      if (id === channelId || id.startsWith(`${channelId}:`)) {
+        notifier.stop();
+        this.emailNotifiers.delete(id);
+      }
+    }
+  }
+
+  /**
+   * List what still refers to a channel
+   * @param {string} channelId - Channel ID
+   * @returns {Array<string>} - References like `route:<id>`, `contact:<id>` or `escalation:<id>`
+   */
+  getChannelReferences(channelId) {
+    const namesChannel = (target) => target.type === 'channel' && target.id === channelId;
+    
+    return [
+      ...flattenRoutes(this.dispatcher.route)
+        .filter(route => (route.receivers || []).some(receiver => namesChannel(parseTarget(receiver))))
+        .map(route => `route:${route.id}`),
+      ...Array.from(this.contacts.values())
+        .filter(contact => contact.methods.some(method => method.channel === channelId))
+        .map(contact => `contact:${contact.id}`),
+      ...this.escalations.policies
+        .filter(policy => policy.steps.some(step => step.targets.some(namesChannel)))
+        .map(policy => `escalation:${policy.id}`)
+    ];
+  }
+
+  /**
+   * Send a sample alert to a channel through its usual delivery path
+   *
+   * Disabled channels can be tested too, so they can be checked before
+   * being enabled. Nothing is retried: the result reports the first error.
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object|null>} - Test result, or null if the channel does not exist
+   */
+  async testChannel(channelId) {
+    const channel = this.getChannel(channelId);
+    if (!channel) {
+      return null;
+    }
+    
+    // Critical so that channels with a minimum severity do not skip it
+    const alert = buildSampleAlert({
+      id: `test-${channel.id}`,
+      fingerprint: `test-${channel.id}`,
+      ruleId: 'channel_test',
+      ruleName: 'Notification Channel Test',
+      severity: 'critical',
+      labels: { alertname: 'Notification Channel Test', channel: channel.id },
+      annotations: {
+        summary: `Test notification for ${channel.name || channel.id}`,
+        description: 'This is a test alert sent to check the notification channel. No action is needed.'
+      }
+    });
+    
+    try {
+      if (REALTIME_CHANNEL_TYPES.includes(channel.type)) {
+        await this.deliverRealtimeNotification(channel, alert);
+      } else {
+        await this.deliverGroupNotification(channel, {
+          groupKey: `test:${channel.id}`,
+          groupLabels: { alertname: alert.ruleName },
+          route: null,
+          receivers: [channel.id],
+          status: 'firing',
+          alerts: [alert],
+          counts: { firing: 1, resolved: 0 },
+          commonLabels: { ...alert.labels },
+          commonAnnotations: { ...alert.annotations },
+          timestamp: new Date()
+        });
+      }
+      
+      logger.info('Notification channel test sent', { channelId });
+      return { channelId, success: true, sentAt: new Date() };
+    } catch (error) {
+      logger.warn('Notification channel test failed', { channelId, error: error.message });
+      return { channelId, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Load the notification routing tree from config file
+   */
+  async loadRouting() {
+    try {
+      const routingPath = path.join(process.cwd(), 'config', 'alerts', 'routing.json');
+      let route = {};
+
+      try {
+        const parsedData = JSON.parse(await fs.readFile(routingPath, 'utf-8'));
+        route = parsedData.route || {};
+      } catch (error) {
+        // Without a routing file every alert goes to every channel in one group
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.dispatcher.setRoute(route);
+      
+      // Unknown receivers are reported but do not stop the other routes
+      for (const { id, receivers } of flattenRoutes(this.dispatcher.route)) {
+        const unknown = (receivers || []).filter(receiver => !this.isKnownTarget(parseTarget(receiver)));
+        if (unknown.length > 0) {
+          logger.warn('Route references unknown receivers', { routeId: id, receivers: unknown });
+        }
+      }
+      
+      logger.info('Notification routing loaded', {
+        routeCount: flattenRoutes(this.dispatcher.route).length
+      });
+    } catch (error) {
+      logger.error('Failed to load notification routing', { error: error.message });
+    }
+  }
+
+  /**
+   * Load named contacts from config file
+   */
+  async loadContacts() {
+    try {
+      const contactsPath = path.join(process.cwd(), 'config', 'alerts', 'contacts.json');
+      let contacts = [];
+
+      try {
+        const parsedData = JSON.parse(await fs.readFile(contactsPath, 'utf-8'));
+        contacts = Array.isArray(parsedData) ? parsedData : (parsedData.contacts || []);
+      } catch (error) {
+        // Contacts are optional, escalations can target channels directly
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.contacts = new Map(contacts.map((contact, index) => {
+        const compiled = compileContact(contact, index);
+        return [compiled.id, compiled];
+      }));
+      
+      const channelIds = new Set(this.channels.map(channel => channel.id));
+      for (const contact of this.contacts.values()) {
+        const unknown = contact.methods
+          .map(method => method.channel)
+          .filter(channelId => !channelIds.has(channelId));
+        if (unknown.length > 0) {
+          logger.warn('Contact references unknown channels', { contactId: contact.id, channels: unknown });
+        }
+      }
+      
+      logger.info('Contacts loaded', { contactCount: this.contacts.size });
+    } catch (error) {
+      logger.error('Failed to load contacts', { error: error.message });
+      this.contacts = new Map();
+    }
+  }
+
+  /**
+   * Load on-call schedules from config file
+   */
+  async loadSchedules() {
+    try {
+      await this.schedules.load();
+      
+      for (const schedule of this.schedules.list()) {
+        const users = [...schedule.rotation.users, ...schedule.overrides.map(override => override.user)];
+        const unknown = Array.from(new Set(users)).filter(user => !this.contacts.has(user));
+        if (unknown.length > 0) {
+          logger.warn('Schedule references unknown contacts', { scheduleId: schedule.id, users: unknown });
+        }
+      }
+      
+      logger.info('On-call schedules loaded', { scheduleCount: this.schedules.list().length });
+    } catch (error) {
+      logger.error('Failed to load on-call schedules', { error: error.message });
+    }
+  }
+
+  /**
+   * Load escalation policies from config file
+   */
+  async loadEscalationPolicies() {
+    try {
+      const escalationPath = path.join(process.cwd(), 'config', 'alerts', 'escalation.json');
+      let policies = [];
+
+      try {
+        const parsedData = JSON.parse(await fs.readFile(escalationPath, 'utf-8'));
+        policies = Array.isArray(parsedData) ? parsedData : (parsedData.policies || []);
+      } catch (error) {
+        // Without an escalation file alerts are only notified through routing
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.escalations.setPolicies(policies);
+      
+      // Unknown targets are reported but do not stop the other steps
+      for (const policy of this.escalations.policies) {
+        const unknown = policy.steps
+          .flatMap(step => step.targets)
+          .filter(target => !this.isKnownTarget(target))
+          .map(formatTarget);
+        if (unknown.length > 0) {
+          logger.warn('Escalation policy references unknown targets', { policyId: policy.id, targets: unknown });
+        }
+      }
+      
+      logger.info('Escalation policies loaded', { policyCount: this.escalations.policies.length });
+    } catch (error) {
+      logger.error('Failed to load escalation policies', { error: error.message });
+      this.escalations.setPolicies([]);
+    }
+  }
+
+  /**
+   * Check whether a target names a configured channel, contact or schedule
+   * @param {{type: string, id: string}} target - Route or escalation target
+   * @returns {boolean} - Whether the target exists
+   */
+  isKnownTarget(target) {
+    switch (target.type) {
+      case 'user':
+        return this.contacts.has(target.id);
+      case 'schedule':
+        return Boolean(this.schedules.get(target.id));
+      default:
+        return this.channels.some(channel => channel.id === target.id);
+    }
+  }
+
+  /**
+   * Get the escalation policies in their API form
+   * @returns {Array} - Escalation policies
+   */
+  getEscalationPolicies() {
+    return this.escalations.policies.map(serializeEscalationPolicy);
+  }
+
+  /**
+   * Load silences from config file and start deleting old expired ones
+   */
+  async loadSilences() {
+    try {
+      await this.silences.load();
+      logger.info('Silences loaded', { silenceCount: this.silences.list().length });
+    } catch (error) {
+      // Alerting keeps working without silences rather than failing to start
+      logger.error('Failed to load silences', { error: error.message });
+    }
+    this.silences.startGc({ logger });
+  }
+
+  /**
+   * Load the notification outbox; pending deliveries are retried when due
+   */
+  async loadOutbox() {
+    try {
+      await this.outbox.load();
+      const counts = this.outbox.getCounts();
+      setNotificationOutboxSize(counts);
+      logger.info('Notification outbox loaded', counts);
+    } catch (error) {
+      logger.error('Failed to load notification outbox', { error: error.message });
+    }
+  }
+
+  /**
+   * Load maintenance windows from config file
+   */
+  async loadMaintenanceWindows() {
+    try {
+      await this.maintenanceWindows.load();
+      logger.info('Maintenance windows loaded', {
+        windowCount: this.maintenanceWindows.windows.length
+      });
+    } catch (error) {
+      logger.error('Failed to load maintenance windows', { error: error.message });
+    }
+  }
+
   /**
    * Create default alert rules configuration
    * @param {string} filePath - Path to write the config file
@@ -237,7 +1301,7 @@ class AlertManager extends EventEmitter {
           "type": "ai",
           "source": "ollama",
           "resourceType": "cpu",
-          "minSeverity": "warning",
+          "severity": "warning",
           "enabled": true,
           "labels": { "resource": "cpu", "team": "ai-ops" },
           "annotations": {
@@ -287,8 +1351,8 @@ class AlertManager extends EventEmitter {
           "enabled": true,
           "config": {
             "model": "llama2",
-            "feedbackType": "alert_analysis",
-            "minSeverity": "warning"
+            "feedback_type": "alert_analysis",
+            "min_severity": "warning"
           }
         }
       ]
@@ -328,7 +1392,8 @@ class AlertManager extends EventEmitter {
         logger.info('New WebSocket client connected', { clientCount: this.wsClients.size });
         
         // Send active alerts to new client
-        const activeAlertsList = Array.from(this.activeAlerts.values());
+        const activeAlertsList = Array.from(this.activeAlerts.values())
+          .map(alert => this.createSafeAlertCopy(alert));
         if (activeAlertsList.length > 0) {
           try {
             ws.send(JSON.stringify({
@@ -366,6 +1431,10 @@ class AlertManager extends EventEmitter {
 
   /**
    * Process incoming metrics and check against alert rules
+   *
+   * The metrics are added to the sample buffer. Rules of this source in
+   * groups without an interval are evaluated straight away; rules in groups
+   * with an interval read the buffer when their group runs.
    * @param {Object} metrics - Metrics data
    * @param {string} source - Source of the metrics (prometheus, azure, etc.)
    */
@@ -379,30 +1448,25 @@ class AlertManager extends EventEmitter {
     
     // Store metrics for later use
     this.lastProcessedMetrics = metrics;
+    this.latestMetrics.set(source, metrics);
     
-    // Filter rules for the current source
-    const applicableRules = this.alertRules.filter(rule => 
-      rule.enabled && (rule.source === source || rule.source === 'all')
-    );
+    // Keep a window of samples per series for rules that look back in time
+    this.seriesBuffer.ingest(metrics);
     
-    // Check each rule against the metrics
-    for (const rule of applicableRules) {
-      try {
-        const alertTriggered = await this.evaluateRule(rule, metrics);
-        
-        if (alertTriggered) {
-          // Check if this is an AI-driven rule
-          if (rule.type === 'ai_anomaly') {
-            await this.processAiAnomalyAlert(rule, metrics);
-          }
-        }
-      } catch (error) {
-        logger.error('Error evaluating rule', { 
-          ruleId: rule.id, 
-          ruleName: rule.name,
-          error: error.message 
-        });
-      }
+    await this.updateMaintenanceWindows();
+    
+    // Groups without an interval evaluate the rules of this source now, one
+    // group concurrently with the others; groups with one run on their timer
+    const groups = this.getRuleGroupRules();
+    await Promise.all(Array.from(groups)
+      .filter(([name]) => this.getRuleGroupInterval(name) === undefined)
+      .map(([name, rules]) => [name, rules.filter(rule => rule.source === source || rule.source === 'all')])
+      .filter(([, rules]) => rules.length > 0)
+      .map(([name, rules]) => this.evaluateRuleGroup(name, rules, metrics)));
+    
+    // Source alerts may have fired or resolved, so re-check inhibitions
+    for (const alert of Array.from(this.activeAlerts.values())) {
+      await this.refreshSuppressionState(alert);
     }
     
     // Broadcast metrics to WebSocket clients
@@ -410,324 +1474,358 @@ class AlertManager extends EventEmitter {
   }
 
   /**
-   * Evaluate a single rule against metrics
-   * @param {Object} rule - Alert rule to evaluate
-   * @param {Object} metrics - Metrics data
-   * @returns {boolean} - Whether an alert was triggered
+   * Enabled rules by group, in the order they are defined
+   * @returns {Map<string, Array<Object>>} - Rules keyed by group name
    */
-  async evaluateRule(rule, metrics) {
-    // Simple evaluation logic for demonstration
-    // In a real system, this would use more sophisticated query evaluation
-    
-    try {
-      let alertTriggered = false;
-      
-      switch(rule.type) {
-        case 'threshold':
-          alertTriggered = this.evaluateThresholdRule(rule, metrics);
-          break;
-          
-        case 'rate_of_change':
-          alertTriggered = this.evaluateRateOfChangeRule(rule, metrics);
-          break;
-          
-        case 'ai_anomaly':
-        case 'ai': // Support both ai_anomaly and ai types
-          // AI anomaly rules are processed differently
-          return false;
-          
-        default:
-          logger.warn('Unknown rule type', { ruleType: rule.type, ruleId: rule.id });
-          return false;
-      }
-      
-      if (alertTriggered) {
-        await this.createAlert(rule, metrics);
-        return true;
-      }
-      
-      // Check if we need to resolve an existing alert
-      if (this.activeAlerts.has(rule.id)) {
-        await this.resolveAlert(rule.id, 'Condition no longer met');
-      }
-      
-      return false;
-    } catch (error) {
-      logger.error('Error in rule evaluation', { 
-        ruleId: rule.id, 
-        error: error.message 
-      });
-      return false;
+  getRuleGroupRules() {
+    const groups = new Map();
+    for (const rule of this.alertRules.filter(rule => rule.enabled)) {
+      const name = rule.group || DEFAULT_RULE_GROUP;
+      groups.set(name, [...(groups.get(name) || []), rule]);
     }
+    return groups;
   }
 
   /**
-   * Evaluate a threshold-based rule
-   * @param {Object} rule - Threshold rule
-   * @param {Object} metrics - Metrics data
-   * @returns {boolean} - Whether the threshold was exceeded
+   * Get the evaluation interval of a rule group
+   * @param {string} name - Group name
+   * @returns {string|number|undefined} - Interval, undefined if the group is evaluated on ingest
+   */
+  getRuleGroupInterval(name) {
+    return this.ruleGroups.find(group => group.name === name)?.interval;
+  }
+
+  /**
+   * Evaluate the rules of a group one after the other
+   *
+   * Rules run in the order they are defined, like in a Prometheus rule group,
+   * so their alerts change in a predictable order. A failing rule keeps its
+   * alerts and does not stop the rules after it.
+   * @param {string} name - Group name
+   * @param {Array<Object>} rules - Rules to evaluate
+   * @param {Object} [metrics] - Metrics data, by default the latest metrics of the source of each rule
+   * @returns {Promise<void>} - Resolves once every rule was evaluated
    */
-  evaluateThresholdRule(rule, metrics) {
+  async evaluateRuleGroup(name, rules, metrics) {
+    const status = this.ruleGroupStatus.get(name) ||
+      { evaluationCount: 0, errorCount: 0, lastError: null, running: false };
+    this.ruleGroupStatus.set(name, status);
+    
+    const startedAt = Date.now();
+    let failures = 0;
+    let lastError = null;
+    status.running = true;
+    
     try {
-      // Extract the metric value using the query
-      let value;
-      
-      // Handle different query formats
-      if (rule.query.includes('{')) {
-        // Prometheus-style query with labels
-        const queryParts = rule.query.split(/\s+/);
-        const metricWithLabels = queryParts[0];
-        const operator = queryParts[1] || '>';
-        const threshold = parseFloat(queryParts[2] || rule.threshold);
-        
-        // Extract metric name and labels
-        const metricMatch = metricWithLabels.match(/^([^{]+)(?:\{(.+)\})?/);
-        if (!metricMatch) {
-          logger.warn('Invalid metric format in query', { query: rule.query });
-          return false;
-        }
-        
-        const metricName = metricMatch[1];
-        const labels = metricMatch[2] ? this.parseLabels(metricMatch[2]) : {};
-        
-        // Find matching metric
-        value = this.findMetricByNameAndLabels(metrics, metricName, labels);
-      } else if (rule.query.includes('.')) {
-        // Dot notation for nested objects
-        const metricPath = rule.query.split('.');
-        value = this.getValueByPath(metrics, metricPath);
-      } else {
-        // Simple metric name
-        value = metrics[rule.query];
-      }
-      
-      // If value is not found or not a number, return false
-      if (value === undefined || value === null) {
-        logger.debug('Metric not found in data', { 
-          ruleId: rule.id,
-          query: rule.query
-        });
-        return false;
-      }
-      
-      // If value is not a number, try to convert it
-      if (typeof value !== 'number') {
-        value = parseFloat(value);
-        if (isNaN(value)) {
-          logger.debug('Metric value is not a number', { 
+      for (const rule of rules) {
+        const maintenanceWindow = this.maintenanceWindows.findRuleWindow(rule);
+        if (maintenanceWindow) {
+          // Alerts of the rule keep their current state until the window closes
+          logger.debug('Skipping rule during maintenance window', {
             ruleId: rule.id,
-            value
+            windowId: maintenanceWindow.id
           });
-          return false;
+          continue;
         }
-      }
-      
-      // Get condition and threshold
-      const condition = rule.condition || '>';
-      const threshold = rule.threshold;
-      
-      // Check the threshold condition
-      switch (condition) {
-        case '>':
-          if (value > threshold) {
-            logger.debug('Threshold rule triggered (>)', { 
-              ruleId: rule.id, 
-              value, 
-              threshold 
-            });
-            return true;
-          }
-          break;
-          
-        case '>=':
-          if (value >= threshold) {
-            logger.debug('Threshold rule triggered (>=)', { 
-              ruleId: rule.id, 
-              value, 
-              threshold 
-            });
-            return true;
-          }
-          break;
-          
-        case '<':
-          if (value < threshold) {
-            logger.debug('Threshold rule triggered (<)', { 
-              ruleId: rule.id, 
-              value, 
-              threshold 
-            });
-            return true;
-          }
-          break;
-          
-        case '<=':
-          if (value <= threshold) {
-            logger.debug('Threshold rule triggered (<=)', { 
-              ruleId: rule.id, 
-              value, 
-              threshold 
-            });
-            return true;
-          }
-          break;
-          
-        case '==':
-        case '=':
-          if (value === threshold) {
-            logger.debug('Threshold rule triggered (==)', { 
-              ruleId: rule.id, 
-              value, 
-              threshold 
-            });
-            return true;
-          }
-          break;
+        
+        try {
+          const ruleMetrics = metrics || this.getLatestMetrics(rule);
+          const alertTriggered = await this.evaluateRule(rule, ruleMetrics);
           
-        case '!=':
-          if (value !== threshold) {
-            logger.debug('Threshold rule triggered (!=)', { 
-              ruleId: rule.id, 
-              value, 
-              threshold 
-            });
-            return true;
+          // Check if this is an AI-driven rule
+          if (alertTriggered && rule.type === 'ai_anomaly') {
+            await this.processAiAnomalyAlert(rule, ruleMetrics);
           }
-          break;
-          
-        default:
-          logger.warn('Unknown condition operator', { 
+        } catch (error) {
+          failures++;
+          lastError = `${rule.id}: ${error.message}`;
+          logger.error('Error evaluating rule', { 
             ruleId: rule.id, 
-            condition 
+            ruleName: rule.name,
+            group: name,
+            query: rule.query,
+            error: error.message 
           });
-          return false;
+        }
       }
-      
-      return false;
-    } catch (error) {
-      logger.error('Error evaluating threshold rule', { 
-        ruleId: rule.id, 
-        error: error.message 
-      });
-      return false;
+    } finally {
+      status.running = false;
     }
+    
+    const finishedAt = new Date();
+    Object.assign(status, {
+      lastEvaluation: finishedAt,
+      lastDurationMs: finishedAt.getTime() - startedAt,
+      evaluationCount: status.evaluationCount + 1,
+      errorCount: status.errorCount + failures,
+      lastError
+    });
+    recordRuleGroupEvaluation(name, { durationMs: status.lastDurationMs, finishedAt, failures });
   }
-  
+
   /**
-   * Parse Prometheus-style labels from a query
-   * @param {string} labelsString - Labels string in format 'label1="value1",label2="value2"'
-   * @returns {Object} - Parsed labels object
+   * Get the latest metrics a rule is evaluated against
+   * @param {Object} rule - Alert rule
+   * @returns {Object|undefined} - Latest metrics of the rule's source, of any source for `all`
    */
-  parseLabels(labelsString) {
-    const labels = {};
-    const labelParts = labelsString.split(',');
-    
-    for (const part of labelParts) {
-      const match = part.trim().match(/([^=]+)=(?:"([^"]*)"|\{([^}]*)\}|([^,]*))/);
-      if (match) {
-        const key = match[1].trim();
-        const value = match[2] || match[3] || match[4];
-        labels[key] = value;
-      }
+  getLatestMetrics(rule) {
+    return rule.source === 'all' ? this.lastProcessedMetrics : this.latestMetrics.get(rule.source);
+  }
+
+  /**
+   * Evaluate a rule group with an interval against the latest metrics
+   *
+   * Like on ingest, a rule is only evaluated once its source sent metrics.
+   * @param {string} name - Group name
+   * @returns {Promise<void>} - Resolves once the group was evaluated
+   */
+  async runRuleGroup(name) {
+    const rules = (this.getRuleGroupRules().get(name) || []).filter(rule => this.getLatestMetrics(rule));
+    if (rules.length === 0) {
+      return; // Nothing ingested for the rules yet
+    }
+    if (this.ruleGroupStatus.get(name)?.running) {
+      logger.warn('Rule group evaluation skipped, the previous one is still running', { group: name });
+      return;
     }
     
-    return labels;
+    await this.updateMaintenanceWindows();
+    await this.evaluateRuleGroup(name, rules);
+    
+    // Alerts of the group may inhibit others, so re-check every alert
+    for (const alert of Array.from(this.activeAlerts.values())) {
+      await this.refreshSuppressionState(alert);
+    }
   }
-  
+
   /**
-   * Find a metric by name and labels
-   * @param {Object} metrics - Metrics data
-   * @param {string} name - Metric name
-   * @param {Object} labels - Labels to match
-   * @returns {number|null} - Metric value
+   * (Re)start the timers of the rule groups with an interval
+   *
+   * Called whenever the groups may have changed; the status of groups that
+   * no longer exist is dropped.
    */
-  findMetricByNameAndLabels(metrics, name, labels) {
-    // Simple case: direct match
-    if (metrics[name] !== undefined) {
-      if (Object.keys(labels).length === 0) {
-        return metrics[name];
+  scheduleRuleGroups() {
+    this.stopRuleGroups();
+    
+    for (const group of this.ruleGroups.filter(group => group.interval !== undefined)) {
+      let interval;
+      try {
+        interval = parseDuration(group.interval);
+      } catch (error) {
+        interval = NaN;
+      }
+      // Groups are validated when loaded, but a timer must never run continuously
+      if (!(interval >= MIN_GROUP_INTERVAL_MS)) {
+        logger.error('Invalid rule group interval, the group is not scheduled', { group: group.name, interval: group.interval });
+        continue;
       }
       
-      // Check if the metric has labels
-      if (metrics[name].labels && typeof metrics[name].value === 'number') {
-        const matchingLabels = Object.keys(labels).every(key => 
-          metrics[name].labels[key] === labels[key]
-        );
-        
-        if (matchingLabels) {
-          return metrics[name].value;
-        }
+      const timer = setInterval(() => {
+        this.runRuleGroup(group.name).catch((error) => {
+          logger.error('Error evaluating rule group', { group: group.name, error: error.message });
+        });
+      }, interval);
+      timer.unref?.();
+      this.ruleGroupTimers.set(group.name, timer);
+    }
+    
+    const names = new Set(this.getRuleGroups().map(group => group.name));
+    for (const name of this.ruleGroupStatus.keys()) {
+      if (!names.has(name)) {
+        this.ruleGroupStatus.delete(name);
+        removeRuleGroupMetrics(name);
       }
     }
+  }
+
+  /**
+   * Stop the timers of the rule groups
+   */
+  stopRuleGroups() {
+    for (const timer of this.ruleGroupTimers.values()) {
+      clearInterval(timer);
+    }
+    this.ruleGroupTimers.clear();
+  }
+
+  /**
+   * Get the rule groups with the outcome of their evaluations
+   *
+   * Besides the defined groups this includes `default`, for rules without a
+   * group, and any group a rule names without it being defined.
+   * @returns {Array<Object>} - Groups with their rules and evaluation status
+   */
+  getRuleGroups() {
+    const names = new Set([
+      ...this.ruleGroups.map(group => group.name),
+      ...this.alertRules.map(rule => rule.group || DEFAULT_RULE_GROUP)
+    ]);
     
-    // Look for matching metrics in arrays
-    for (const metricKey in metrics) {
-      if (Array.isArray(metrics[metricKey])) {
-        for (const metric of metrics[metricKey]) {
-          if (metric.name === name || metricKey === name) {
-            if (Object.keys(labels).length === 0) {
-              return metric.value;
-            }
-            
-            if (metric.labels) {
-              const matchingLabels = Object.keys(labels).every(key => 
-                metric.labels[key] === labels[key]
-              );
-              
-              if (matchingLabels) {
-                return metric.value;
-              }
-            }
-          }
-        }
+    return Array.from(names, (name) => {
+      const status = this.ruleGroupStatus.get(name);
+      const interval = this.getRuleGroupInterval(name);
+      let health = 'unknown';
+      if (status?.lastEvaluation) {
+        health = status.lastError ? 'err' : 'ok';
+      }
+      
+      return {
+        name,
+        interval: interval ?? null,
+        rules: this.alertRules.filter(rule => (rule.group || DEFAULT_RULE_GROUP) === name).map(rule => rule.id),
+        health,
+        lastEvaluation: status?.lastEvaluation ?? null,
+        lastDurationMs: status?.lastDurationMs ?? null,
+        evaluationCount: status?.evaluationCount ?? 0,
+        errorCount: status?.errorCount ?? 0,
+        lastError: status?.lastError ?? null
+      };
+    });
+  }
+
+  /**
+   * Evaluate a single rule against metrics
+   *
+   * A rule produces one alert per matching series. Series that no longer
+   * match have their pending alert cleared or their firing alert resolved,
+   * independently of the other series of the same rule.
+   * @param {Object} rule - Alert rule to evaluate
+   * @param {Object} metrics - Metrics data
+   * @returns {boolean} - Whether an alert was triggered
+   * @throws {Error} - If the rule cannot be evaluated; its alerts then keep their state
+   */
+  async evaluateRule(rule, metrics) {
+    let triggeredSeries;
+    
+    switch(rule.type) {
+      case 'threshold':
+        triggeredSeries = this.evaluateThresholdRule(rule);
+        break;
+        
+      case 'rate_of_change':
+        triggeredSeries = this.evaluateRateOfChangeRule(rule);
+        break;
+        
+      case 'ai_anomaly':
+      case 'ai': // Support both ai_anomaly and ai types
+        // AI anomaly rules are processed differently
+        return false;
+        
+      default:
+        logger.warn('Unknown rule type', { ruleType: rule.type, ruleId: rule.id });
+        return false;
+    }
+    
+    const triggeredIds = new Set();
+    
+    for (const series of triggeredSeries) {
+      const alert = await this.createAlert(rule, metrics, series);
+      if (alert) {
+        triggeredIds.add(alert.id);
       }
     }
     
-    // Look for nested objects that might match
-    for (const key in metrics) {
-      if (typeof metrics[key] === 'object' && metrics[key] !== null) {
-        const nestedResult = this.findMetricByNameAndLabels(metrics[key], name, labels);
-        if (nestedResult !== null) {
-          return nestedResult;
-        }
+    // Clear or resolve the alerts of series that stopped matching
+    for (const existingAlert of this.getRuleAlerts(rule.id)) {
+      if (triggeredIds.has(existingAlert.id)) {
+        continue;
+      }
+      
+      if (existingAlert.status === 'pending') {
+        // Never fired, so there is nothing to resolve or notify about
+        this.clearPendingAlert(existingAlert.id);
+      } else {
+        await this.resolveAlert(existingAlert.id, 'Condition no longer met');
       }
     }
     
-    return null;
+    return triggeredSeries.length > 0;
   }
-  
+
   /**
-   * Get a value from an object by path
-   * @param {Object} obj - Object to get value from
-   * @param {Array} path - Path to the value
-   * @returns {*} - Value at the path
+   * Evaluate a threshold-based rule
+   *
+   * The rule query is a PromQL-style expression evaluated against the
+   * ingested samples. Queries that already contain a comparison
+   * (`avg(system_cpu_usage) > 80`) fire when they return any series; plain
+   * queries (`system_memory_usage_percent`) are compared against the rule's
+   * `condition` and `threshold`.
+   * @param {Object} rule - Threshold rule
+   * @returns {Array<{labels: Object, value: number}>} - Series that exceeded the threshold
+   * @throws {Error} - If the query cannot be parsed or evaluated
    */
-  getValueByPath(obj, path) {
-    let current = obj;
+  evaluateThresholdRule(rule) {
+    const ast = getQueryAst(rule.query);
+    let samples = resultToSamples(evaluateQuery(ast, this.seriesBuffer));
     
-    for (const segment of path) {
-      if (current === null || current === undefined || typeof current !== 'object') {
-        return undefined;
-      }
-      
-      current = current[segment];
+    if (!hasCondition(ast) && rule.threshold !== undefined) {
+      const condition = rule.condition || '>';
+      samples = samples.filter((sample) => compareValues(sample.value, condition, rule.threshold));
+    }
+    
+    if (samples.length > 0) {
+      logger.debug('Threshold rule triggered', { 
+        ruleId: rule.id, 
+        seriesCount: samples.length, 
+        threshold: rule.threshold 
+      });
     }
     
-    return current;
+    return samples;
   }
 
   /**
-   * Evaluate a rate-of-change rule
+   * Evaluate a rate-of-change rule against the buffered samples
+   *
+   * Supported `changeType` values:
+   * - `delta`: absolute change over the window
+   * - `percent`: change relative to the first sample in the window
+   * - `rate`: change per second, or per `per` (e.g. "1m") when set
+   *
+   * With `counter: true` the series is treated as a monotonically increasing
+   * counter and drops are handled as counter resets.
    * @param {Object} rule - Rate of change rule
-   * @param {Object} metrics - Metrics data
-   * @returns {boolean} - Whether the rate of change threshold was exceeded
+   * @returns {Array<{labels: Object, value: number}>} - Series whose change exceeded the threshold
+   * @throws {Error} - If the query is not a metric selector
    */
-  evaluateRateOfChangeRule(rule, metrics) {
-    // This would require historical data to compare against
-    // Simplified implementation for demonstration purposes
+  evaluateRateOfChangeRule(rule) {
+    const windowMs = parseDuration(rule.window || '5m');
+    const perMs = rule.per ? parseDuration(rule.per) : 1000;
+    const condition = rule.condition || '>';
+    
+    // Rule query is a plain series selector, e.g. disk_usage_percent{mountpoint="/"}
+    const selector = getQueryAst(rule.query);
+    if (selector.type !== 'selector' || !selector.name) {
+      throw new Error('Rate of change query must be a metric selector');
+    }
+    
+    const series = this.seriesBuffer.select(selector.name, (labels) =>
+      matchLabels(selector.matchers, labels)
+    );
+    
+    const triggered = [];
+    
+    for (const entry of series) {
+      const change = calculateChange(this.seriesBuffer.window(entry, windowMs), {
+        changeType: rule.changeType,
+        counter: rule.counter === true,
+        perMs
+      });
+      
+      if (change !== null && compareValues(change, condition, rule.threshold)) {
+        triggered.push({ labels: entry.labels, value: change });
+      }
+    }
+    
+    if (triggered.length > 0) {
+      logger.debug('Rate of change rule triggered', {
+        ruleId: rule.id,
+        seriesCount: triggered.length,
+        threshold: rule.threshold
+      });
+    }
     
-    logger.debug('Rate of change rules not fully implemented yet');
-    return false;
+    return triggered;
   }
 
   /**
@@ -806,6 +1904,7 @@ class AlertManager extends EventEmitter {
           // Create enhanced alert with AI information
           const alert = {
             id: alertId,
+            fingerprint: alertId,
             ruleId: rule.id,
             ruleName: rule.name,
             severity: anomaly.severity || explanation.severity || rule.severity,
@@ -815,7 +1914,7 @@ class AlertManager extends EventEmitter {
             metrics: relevantMetrics,
             labels: { ...rule.labels, resourceType },
             annotations: {
-              ...rule.annotations,
+              ...this.renderAnnotations(rule, { ...rule.labels, resourceType }, 'AI-detected anomaly'),
               description: anomaly.description,
               summary: `AI detected an anomaly in ${resourceType}: ${anomaly.description.substring(0, 100)}...`
             },
@@ -872,27 +1971,29 @@ class AlertManager extends EventEmitter {
         alert.metrics
       );
       
+      // The alert may have been acknowledged or resolved in the meantime
+      const activeAlert = this.activeAlerts.get(alert.id);
+      if (!activeAlert || activeAlert.status !== 'firing') {
+        return;
+      }
+      
       if (recommendations && recommendations.recommendations) {
-        // Update the alert with recommendations
-        const updatedAlert = {
-          ...alert,
+        // Update the alert in place, so its history entry and notification group see it
+        Object.assign(activeAlert, {
           annotations: {
-            ...alert.annotations,
+            ...activeAlert.annotations,
             recommendations: recommendations.recommendations
               .map(r => `[${r.priority.toUpperCase()}] ${r.description}`)
               .join('\n')
           },
           aiRecommendations: recommendations
-        };
-        
-        // Update in active alerts
-        this.activeAlerts.set(alert.id, updatedAlert);
+        });
         
         // Emit update event
-        this.emit('alert_update', updatedAlert);
+        this.emit('alert_update', activeAlert);
         
         // Send update via WebSocket
-        this.broadcastAlert(updatedAlert);
+        this.broadcastAlert(activeAlert);
         
         logger.info('Added AI recommendations to alert', { alertId: alert.id });
       }
@@ -905,11 +2006,76 @@ class AlertManager extends EventEmitter {
   }
 
   /**
-   * Create a new alert from a rule
+   * Expand the templates in a rule's annotations for one alert
+   *
+   * As in Prometheus rule files, annotations can refer to `$labels` and
+   * `$value`, e.g. "CPU usage on {{ $labels.instance }} is {{ $value }}%".
+   * An annotation that fails to render is kept as written.
+   * @param {Object} rule - Alert rule
+   * @param {Object} labels - Labels of the alert
+   * @param {*} value - Value that triggered the alert
+   * @returns {Object} - Rendered annotations
+   */
+  renderAnnotations(rule, labels, value) {
+    if (!rule.annotations) {
+      return {
+        summary: rule.name || 'Alert triggered',
+        description: rule.description || 'No description provided'
+      };
+    }
+
+    const context = {
+      $labels: labels,
+      $value: value,
+      rule: { id: rule.id, name: rule.name, severity: rule.severity }
+    };
+    const annotations = {};
+
+    for (const [name, text] of Object.entries(rule.annotations)) {
+      try {
+        annotations[name] = typeof text === 'string' ? renderTemplate(text, context) : text;
+      } catch (error) {
+        logger.warn('Error rendering annotation template', {
+          ruleId: rule.id,
+          annotation: name,
+          error: error.message
+        });
+        annotations[name] = text;
+      }
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Get how long a rule's condition must hold before its alert fires
+   * @param {Object} rule - Alert rule
+   * @returns {number} - Hold duration in milliseconds
+   */
+  getRuleHoldDuration(rule) {
+    try {
+      return parseDuration(rule.duration);
+    } catch (error) {
+      logger.warn('Invalid rule duration, firing immediately', {
+        ruleId: rule.id,
+        duration: rule.duration
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Create or update the alert of a series that matched a rule
+   *
+   * Alerts start out as "pending" and are promoted to "firing" once the
+   * condition has held for the rule's `duration`. Rules without a duration
+   * fire on the first matching sample.
    * @param {Object} rule - Alert rule that was triggered
    * @param {Object} metrics - Metrics data that triggered the alert
+   * @param {Object} [series] - Matching series ({ labels, value })
+   * @returns {Object|undefined} - The series' alert
    */
-  async createAlert(rule, metrics) {
+  async createAlert(rule, metrics, series = {}) {
     try {
       // Validate inputs
       if (!rule || !rule.id) {
@@ -917,188 +2083,670 @@ class AlertManager extends EventEmitter {
         return;
       }
 
-      // Check if the rule is already firing
-      if (this.activeAlerts.has(rule.id)) {
-        logger.debug('Alert already active for rule', { ruleId: rule.id });
-        return;
+      const labels = buildAlertLabels(rule, series.labels);
+      const fingerprint = alertFingerprint(rule.id, labels);
+      const value = series.value !== undefined ? series.value : 'N/A';
+      const holdDuration = this.getRuleHoldDuration(rule);
+      const existingAlert = this.activeAlerts.get(fingerprint);
+
+      if (existingAlert) {
+        if (existingAlert.status !== 'pending') {
+          logger.debug('Alert already active for series', { ruleId: rule.id, fingerprint });
+          await this.refreshSuppressionState(existingAlert);
+          return existingAlert;
+        }
+
+        // Keep the pending alert current so the dashboard shows the latest value
+        existingAlert.value = value;
+        existingAlert.metrics = metrics || {};
+        existingAlert.annotations = this.renderAnnotations(rule, labels, value);
+
+        if (Date.now() - existingAlert.pendingSince.getTime() >= holdDuration) {
+          await this.fireAlert(existingAlert);
+        }
+        return existingAlert;
       }
       
-      logger.info('Creating new alert', { ruleId: rule.id, ruleName: rule.name });
-      
       // Create the alert object with safe defaults
       const alert = {
-        id: rule.id,
+        id: fingerprint,
+        fingerprint,
         ruleId: rule.id,
         ruleName: rule.name || 'Unnamed Rule',
         severity: rule.severity || 'warning',
-        status: 'firing',
+        status: 'pending',
+        pendingSince: new Date(),
         timestamp: new Date(),
-        value: this.extractAlertValue(rule, metrics || {}),
+        value,
         metrics: metrics || {},
-        labels: rule.labels || {},
-        annotations: rule.annotations || {
-          summary: rule.name || 'Alert triggered',
-          description: rule.description || 'No description provided'
-        },
+        labels,
+        annotations: this.renderAnnotations(rule, labels, value),
         source: rule.source || 'unknown'
       };
+      this.applySuppression(alert);
       
       // Store the alert
-      this.activeAlerts.set(rule.id, alert);
+      this.activeAlerts.set(fingerprint, alert);
+
+      if (holdDuration > 0) {
+        logger.info('Alert pending', {
+          ruleId: rule.id,
+          ruleName: rule.name,
+          fingerprint,
+          duration: rule.duration
+        });
+
+        this.emit('alert_pending', alert);
+        this.broadcastAlert(alert);
+        return alert;
+      }
+
+      await this.fireAlert(alert);
+      return alert;
+    } catch (error) {
+      logger.error('Error creating alert', { 
+        ruleId: rule?.id || 'unknown', 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Promote a pending alert to firing and notify about it
+   * @param {Object} alert - Pending alert
+   */
+  async fireAlert(alert) {
+    logger.info('Creating new alert', {
+      ruleId: alert.ruleId,
+      ruleName: alert.ruleName,
+      fingerprint: alert.fingerprint
+    });
+
+    alert.status = 'firing';
+    alert.timestamp = new Date();
+    
+    // Add to history
+    this.alertHistory.push(alert);
+    
+    // Trim history if too large
+    if (this.alertHistory.length > 1000) {
+      this.alertHistory = this.alertHistory.slice(-1000);
+    }
+    
+    // Emit alert event
+    this.emit('alert', alert);
+    
+    // Send notifications
+    await this.sendNotifications(alert);
+  }
+
+  /**
+   * Drop a pending alert whose condition stopped holding before it fired
+   * @param {string} alertId - ID of the pending alert
+   */
+  clearPendingAlert(alertId) {
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert || alert.status !== 'pending') {
+      return;
+    }
+
+    logger.info('Pending alert cleared', { alertId, ruleName: alert.ruleName });
+
+    this.activeAlerts.delete(alertId);
+
+    const clearedAlert = { ...alert, status: 'inactive' };
+    this.emit('alert_pending_cleared', clearedAlert);
+    this.broadcastAlert(clearedAlert);
+  }
+
+  /**
+   * Resolve an active alert
+   * @param {string} alertId - ID of the alert to resolve
+   * @param {string} reason - Reason for resolution
+   * @param {Object} [details] - Extra fields recorded on the resolved alert
+   * @returns {Promise<Object|null>} - The resolved alert, or null if it is not active
+   */
+  async resolveAlert(alertId, reason, details = {}) {
+    if (!this.activeAlerts.has(alertId)) {
+      logger.debug('Cannot resolve alert, not active', { alertId });
+      return null;
+    }
+    
+    const alert = this.activeAlerts.get(alertId);
+    logger.info('Resolving alert', { alertId, ruleName: alert.ruleName });
+    
+    // Update the alert
+    const resolvedAlert = {
+      ...alert,
+      ...details,
+      status: 'resolved',
+      resolvedAt: new Date(),
+      resolutionReason: reason
+    };
+    
+    // Update history
+    this.alertHistory.push(resolvedAlert);
+    
+    // Remove from active alerts
+    this.activeAlerts.delete(alertId);
+    this.escalations.stop(alertId);
+    
+    // Emit resolved event
+    this.emit('alert_resolved', resolvedAlert);
+    
+    // Send notifications
+    await this.sendNotifications(resolvedAlert);
+    return resolvedAlert;
+  }
+
+  /**
+   * Resolve a firing alert on behalf of a user
+   *
+   * The rule keeps being evaluated, so the alert fires again if its
+   * condition still holds.
+   * @param {string} alertId - ID of the alert to resolve
+   * @param {Object} [options] - Resolution details
+   * @param {string} [options.user] - Who resolved the alert
+   * @param {string} [options.resolution] - What was done
+   * @param {string} [options.rootCause] - Why the alert fired
+   * @returns {Promise<Object|null>} - The resolved alert, or null if it is not active
+   */
+  async resolveAlertManually(alertId, options = {}) {
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert) {
+      logger.debug('Cannot resolve alert, not active', { alertId });
+      return null;
+    }
+    
+    if (alert.status !== 'firing') {
+      throw new AlertStateError(`Only firing alerts can be resolved, alert ${alertId} is ${alert.status}`);
+    }
+    
+    return this.resolveAlert(alertId, options.resolution || 'Resolved manually', {
+      resolvedBy: options.user || 'unknown',
+      resolution: options.resolution || null,
+      rootCause: options.rootCause || null
+    });
+  }
+
+  /**
+   * Acknowledge a firing alert
+   *
+   * The alert keeps firing, but PagerDuty incidents for it are acknowledged.
+   * @param {string} alertId - ID of the alert to acknowledge
+   * @param {Object} [options] - Acknowledgement details
+   * @param {string} [options.user] - Who acknowledged the alert
+   * @param {string} [options.comment] - Note from whoever acknowledged it
+   * @returns {Promise<Object|null>} - The alert, or null if it is not active
+   */
+  async acknowledgeAlert(alertId, options = {}) {
+    const alert = this.activeAlerts.get(alertId);
+    if (!alert) {
+      logger.debug('Cannot acknowledge alert, not active', { alertId });
+      return null;
+    }
+    
+    if (alert.status !== 'firing') {
+      throw new AlertStateError(`Only firing alerts can be acknowledged, alert ${alertId} is ${alert.status}`);
+    }
+    
+    if (alert.acknowledgedAt) {
+      return alert;
+    }
+    
+    alert.acknowledgedAt = new Date();
+    alert.acknowledgedBy = options.user || 'unknown';
+    alert.acknowledgementComment = options.comment || null;
+    this.escalations.stop(alertId);
+    logger.info('Alert acknowledged', { alertId, acknowledgedBy: alert.acknowledgedBy });
+    
+    this.emit('alert_acknowledged', alert);
+    this.broadcastAlert(alert, 'acknowledge');
+    
+    await this.sendAcknowledgements(alert);
+    return alert;
+  }
+
+  /**
+   * Tell the PagerDuty channels an alert is routed to that it was acknowledged
+   * @param {Object} alert - Acknowledged alert
+   */
+  async sendAcknowledgements(alert) {
+    const channels = new Map();
+    for (const route of this.dispatcher.getRoutes(alert)) {
+      for (const channel of this.getRouteChannels(route)) {
+        if (channel.type === 'pagerduty') {
+          channels.set(channel.id, channel);
+        }
+      }
+    }
+    
+    for (const channel of channels.values()) {
+      try {
+        await this.outbox.enqueue({ kind: 'acknowledge', channel, payload: { alert: toOutboxAlert(alert) } });
+      } catch (error) {
+        logger.error('Error queueing PagerDuty acknowledgement', { 
+          alertId: alert.id,
+          channelId: channel.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Send notifications for an alert
+   * @param {Object} alert - The alert to send notifications for
+   */
+  async sendNotifications(alert) {
+    if (this.applySuppression(alert)) {
+      logger.info('Alert suppressed, skipping notifications', {
+        alertId: alert.id,
+        status: alert.status,
+        silencedBy: alert.silencedBy,
+        maintenanceWindowId: alert.maintenanceWindowId,
+        inhibitedBy: alert.inhibitedBy
+      });
+      // Nobody is notified, but dashboards still track the alert
+      this.broadcastAlert(alert);
+      
+      // Groups still holding the alert as firing tell whoever saw it firing
+      if (alert.status === 'resolved') {
+        this.dispatcher.update(alert);
+      }
+      return;
+    }
+    
+    // Realtime channels get every state change straight away
+    const enabledChannels = this.channels.filter(channel => channel.enabled);
+    const realtimeChannels = enabledChannels.filter(channel =>
+      REALTIME_CHANNEL_TYPES.includes(channel.type)
+    );
+    
+    for (const channel of realtimeChannels) {
+      try {
+        await this.deliverRealtimeNotification(channel, alert);
+      } catch (error) {
+        logger.error('Error sending notification', { 
+          alertId: alert.id,
+          channelType: channel.type,
+          error: error.message
+        });
+      }
+    }
+    
+    // Other channels are notified per group, see sendGroupNotification
+    this.dispatchAlert(alert);
+    
+    if (alert.status === 'firing') {
+      this.startEscalation(alert);
+    }
+    
+    alert.notifiedAt = new Date();
+  }
+
+  /**
+   * Add an alert to its notification groups if any channel is notified per group
+   * @param {Object} alert - Firing or resolved alert
+   */
+  dispatchAlert(alert) {
+    if (this.channels.some(channel => channel.enabled && !REALTIME_CHANNEL_TYPES.includes(channel.type))) {
+      this.dispatcher.add(alert);
+    }
+  }
+
+  /**
+   * Start the escalation policy matching a firing alert, if any
+   * @param {Object} alert - Firing alert
+   */
+  startEscalation(alert) {
+    if (alert.acknowledgedAt) {
+      return;
+    }
+    
+    const state = this.escalations.start(alert);
+    if (state) {
+      alert.escalationPolicyId = state.policy.id;
+      alert.escalationHistory = alert.escalationHistory || [];
+    }
+  }
+
+  /**
+   * Notify the targets of an escalation step
+   * @param {Object} alert - Unacknowledged firing alert
+   * @param {Object} policy - Escalation policy
+   * @param {number} stepIndex - Index of the due step
+   */
+  async sendEscalation(alert, policy, stepIndex) {
+    const step = policy.steps[stepIndex];
+    const record = {
+      policyId: policy.id,
+      step: stepIndex + 1,
+      targets: step.targets.map(formatTarget),
+      escalatedAt: new Date()
+    };
+    
+    // Muted alerts keep escalating on schedule without paging anyone
+    if (this.isSuppressed(alert)) {
+      record.skipped = 'suppressed';
+    } else {
+      const notification = buildEscalationNotification(alert, policy, stepIndex);
+      const payload = { ...notification, alerts: notification.alerts.map(toOutboxAlert) };
       
-      // Add to history
-      this.alertHistory.push(alert);
+      for (const delivery of this.getTargetDeliveries(step.targets)) {
+        try {
+          await this.outbox.enqueue({ kind: 'group', payload, ...delivery });
+        } catch (error) {
+          logger.error('Error queueing escalation', { 
+            alertId: alert.id,
+            channelId: delivery.channel.id,
+            error: error.message
+          });
+        }
+      }
+    }
+    
+    alert.escalationHistory = [...(alert.escalationHistory || []), record];
+    logger.info('Alert escalated', { 
+      alertId: alert.id,
+      policyId: policy.id,
+      step: record.step,
+      targets: record.targets,
+      skipped: record.skipped
+    });
+    
+    this.emit('alert_escalated', alert, record);
+    this.broadcastAlert(alert);
+  }
+
+  /**
+   * Resolve targets into the deliveries to make
+   *
+   * Schedules resolve to whoever is on call right now. Disabled and realtime
+   * channels are skipped, and a contact reached through several targets is
+   * only notified once per channel.
+   * @param {Array} targets - Parsed route or escalation targets
+   * @returns {Array} - Deliveries with a channel and, for contacts, the config overrides
+   */
+  getTargetDeliveries(targets) {
+    const findChannel = (channelId) => this.channels.find(channel =>
+      channel.id === channelId && channel.enabled && !REALTIME_CHANNEL_TYPES.includes(channel.type)
+    );
+    const deliveries = new Map(); // Key: channel ID plus contact ID, Value: delivery
+    
+    const addContact = (contactId) => {
+      const contact = this.contacts.get(contactId);
+      if (!contact) {
+        logger.warn('Notification target contact not found', { contactId });
+        return;
+      }
       
-      // Trim history if too large
-      if (this.alertHistory.length > 1000) {
-        this.alertHistory = this.alertHistory.slice(-1000);
+      for (const method of contact.methods) {
+        const channel = findChannel(method.channel);
+        if (channel) {
+          deliveries.set(`${channel.id}:${contact.id}`, { channel, channelConfig: method.config, contactId: contact.id });
+        }
+      }
+    };
+    
+    for (const target of targets) {
+      if (target.type === 'user') {
+        addContact(target.id);
+      } else if (target.type === 'schedule') {
+        const schedule = this.schedules.get(target.id);
+        if (!schedule) {
+          logger.warn('Notification target schedule not found', { scheduleId: target.id });
+          continue;
+        }
+        addContact(this.schedules.getOnCall(schedule).user);
+      } else {
+        const channel = findChannel(target.id);
+        if (channel) {
+          deliveries.set(channel.id, { channel });
+        }
       }
-      
-      // Emit alert event
-      this.emit('alert', alert);
-      
-      // Send notifications
-      await this.sendNotifications(alert);
-    } catch (error) {
-      logger.error('Error creating alert', { 
-        ruleId: rule?.id || 'unknown', 
-        error: error.message 
-      });
     }
+    
+    return Array.from(deliveries.values());
   }
 
   /**
-   * Resolve an active alert
-   * @param {string} alertId - ID of the alert to resolve
-   * @param {string} reason - Reason for resolution
+   * Get the deliveries a route makes
+   * @param {Object} route - Compiled route
+   * @returns {Array} - Deliveries, see getTargetDeliveries
    */
-  async resolveAlert(alertId, reason) {
-    if (!this.activeAlerts.has(alertId)) {
-      logger.debug('Cannot resolve alert, not active', { alertId });
-      return;
+  getRouteDeliveries(route) {
+    if (route.receivers === null) {
+      return this.getRouteChannels(route).map(channel => ({ channel }));
     }
+    return this.getTargetDeliveries(route.receivers.map(parseTarget));
+  }
+
+  /**
+   * Get the enabled external channels a route delivers to
+   * @param {Object} route - Compiled route
+   * @returns {Array} - Notification channels
+   */
+  getRouteChannels(route) {
+    const channels = this.channels.filter(channel =>
+      channel.enabled && !REALTIME_CHANNEL_TYPES.includes(channel.type)
+    );
     
-    const alert = this.activeAlerts.get(alertId);
-    logger.info('Resolving alert', { alertId, ruleName: alert.ruleName });
+    if (route.receivers === null) {
+      return channels;
+    }
+    return channels.filter(channel => route.receivers.includes(channel.id));
+  }
+
+  /**
+   * Send a grouped notification to the channels of its route
+   *
+   * Each channel gets its own outbox entry, so a failing channel is retried
+   * without repeating the notification on the others.
+   * @param {Object} notification - Group notification from the dispatcher
+   * @param {Object} route - Route the group belongs to
+   */
+  async sendGroupNotification(notification, route) {
+    const payload = { ...notification, alerts: notification.alerts.map(toOutboxAlert) };
     
-    // Update the alert
-    const resolvedAlert = {
-      ...alert,
-      status: 'resolved',
-      resolvedAt: new Date(),
-      resolutionReason: reason
-    };
+    for (const delivery of this.getRouteDeliveries(route)) {
+      try {
+        await this.outbox.enqueue({ kind: 'group', payload, ...delivery });
+      } catch (error) {
+        logger.error('Error queueing group notification', { 
+          groupKey: notification.groupKey,
+          channelId: delivery.channel.id,
+          error: error.message
+        });
+      }
+    }
     
-    // Update history
-    this.alertHistory.push(resolvedAlert);
+    this.emit('notification_group', notification);
+  }
+
+  /**
+   * Deliver an outbox entry to its channel
+   * @param {Object} entry - Outbox entry
+   */
+  async deliverOutboxEntry(entry) {
+    const baseChannel = this.channels.find(c => c.id === entry.channelId);
+    if (!baseChannel) {
+      throw new Error(`Notification channel ${entry.channelId} no longer exists`);
+    }
     
-    // Remove from active alerts
-    this.activeAlerts.delete(alertId);
+    // Contact deliveries get their own id so per-channel state, like email batches, stays separate
+    const channel = entry.channelConfig ? {
+      ...baseChannel,
+      id: entry.contactId ? `${baseChannel.id}:${entry.contactId}` : baseChannel.id,
+      config: { ...baseChannel.config, ...entry.channelConfig }
+    } : baseChannel;
     
-    // Emit resolved event
-    this.emit('alert_resolved', resolvedAlert);
+    if (entry.kind === 'acknowledge') {
+      await sendPagerDutyEvent(channel, entry.payload.alert, 'acknowledge');
+      logger.info('PagerDuty acknowledgement sent', { 
+        alertId: entry.payload.alert.id,
+        channelId: channel.id
+      });
+      return;
+    }
     
-    // Send notifications
-    await this.sendNotifications(resolvedAlert);
+    if (entry.kind === 'resolved_batch') {
+      await this.getEmailNotifier(channel).sendResolved(entry.payload.alerts);
+      logger.info('Resolved email batch sent', { 
+        channelId: channel.id,
+        alertCount: entry.payload.alerts.length
+      });
+      return;
+    }
+    
+    await this.deliverGroupNotification(channel, entry.payload, {
+      queueResolved: (alerts, waitMs) => this.queueResolvedBatch(baseChannel, entry, alerts, waitMs)
+    });
   }
 
   /**
-   * Extract the value that triggered the alert
-   * @param {Object} rule - The alert rule
-   * @param {Object} metrics - Metrics data
-   * @returns {*} - The value that triggered the alert
+   * Queue resolved alerts for the batch email of a channel
+   *
+   * The batch is an outbox entry that waits `resolved_batch_wait` before its
+   * first attempt, and alerts resolving meanwhile join it. That way it
+   * survives restarts and is retried like any other delivery.
+   * @param {Object} channel - Email notification channel
+   * @param {Object} entry - Outbox entry of the group notification
+   * @param {Array} alerts - Resolved alerts
+   * @param {number} waitMs - How long the batch collects alerts
    */
-  extractAlertValue(rule, metrics) {
-    try {
-      if (!rule.query) {
-        return 'N/A';
-      }
+  async queueResolvedBatch(channel, entry, alerts, waitMs) {
+    const batch = this.outbox.findUnattempted({
+      kind: 'resolved_batch',
+      channelId: channel.id,
+      contactId: entry.contactId
+    });
+    
+    if (!batch) {
+      await this.outbox.enqueue({
+        kind: 'resolved_batch',
+        channel,
+        payload: { alerts },
+        channelConfig: entry.channelConfig,
+        contactId: entry.contactId,
+        delayMs: waitMs
+      });
+      return;
+    }
+    
+    // Notices of the same alert, e.g. from a retried group, are sent once
+    const queued = new Map(batch.payload.alerts.map(alert => [alert.fingerprint || alert.id, alert]));
+    for (const alert of alerts) {
+      queued.set(alert.fingerprint || alert.id, JSON.parse(JSON.stringify(alert)));
+    }
+    batch.payload.alerts = Array.from(queued.values());
+    await this.outbox.save();
+  }
 
-      // Handle different query formats
-      if (rule.query.includes('{')) {
-        // Prometheus-style query with labels
-        const metricMatch = rule.query.match(/^([^{]+)(?:\{(.+)\})?/);
-        if (!metricMatch) {
-          return 'N/A';
-        }
+  /**
+   * Notify a realtime channel about one alert
+   * @param {Object} channel - Console, WebSocket or AI feedback channel
+   * @param {Object} alert - Alert to notify about
+   */
+  async deliverRealtimeNotification(channel, alert) {
+    switch(channel.type) {
+      case 'console':
+        this.sendConsoleNotification(channel, alert);
+        break;
         
-        const metricName = metricMatch[1];
-        const labels = metricMatch[2] ? this.parseLabels(metricMatch[2]) : {};
+      case 'websocket':
+        this.sendWebSocketNotification(channel, alert);
+        break;
         
-        return this.findMetricByNameAndLabels(metrics, metricName, labels) || 'N/A';
-      } else if (rule.query.includes('.')) {
-        // Use getValueByPath for nested queries
-        const metricPath = rule.query.split('.');
-        const value = this.getValueByPath(metrics, metricPath);
-        return value !== undefined ? value : 'N/A';
-      } else {
-        // Simple metric name
-        return metrics[rule.query] !== undefined ? metrics[rule.query] : 'N/A';
-      }
-    } catch (error) {
-      logger.error('Error extracting alert value', { error: error.message });
-      return 'Error';
+      case 'ai_feedback':
+        await this.sendAiFeedbackNotification(channel, alert);
+        break;
+        
+      default:
+        throw new Error(`Unsupported notification channel type: ${channel.type}`);
     }
   }
 
   /**
-   * Send notifications for an alert
-   * @param {Object} alert - The alert to send notifications for
+   * Deliver a grouped notification to one channel
+   * @param {Object} channel - Notification channel
+   * @param {Object} notification - Group notification from the dispatcher
+   * @param {Object} [options] - Delivery options, passed on to the email notifier
    */
-  async sendNotifications(alert) {
-    // Get enabled notification channels
-    const enabledChannels = this.channels.filter(channel => channel.enabled);
+  async deliverGroupNotification(channel, notification, options = {}) {
+    const details = {
+      groupKey: notification.groupKey,
+      alertCount: notification.alerts.length,
+      firing: notification.counts.firing,
+      resolved: notification.counts.resolved
+    };
     
-    for (const channel of enabledChannels) {
-      try {
-        switch(channel.type) {
-          case 'console':
-            this.sendConsoleNotification(channel, alert);
-            break;
-            
-          case 'websocket':
-            this.sendWebSocketNotification(channel, alert);
-            break;
-            
-          case 'email':
-            // In a real system, this would send an email
-            logger.info('Email notification would be sent', { 
-              alertId: alert.id,
-              emailTo: channel.config.recipients.join(', ')
-            });
-            break;
-            
-          case 'slack':
-            // In a real system, this would send a Slack message
-            logger.info('Slack notification would be sent', { 
-              alertId: alert.id,
-              slackChannel: channel.config.channel
-            });
-            break;
-            
-          case 'pagerduty':
-            // In a real system, this would send a PagerDuty alert
-            logger.info('PagerDuty notification would be sent', { 
-              alertId: alert.id,
-              severity: alert.severity
-            });
-            break;
-            
-          case 'ai_feedback':
-            await this.sendAiFeedbackNotification(channel, alert);
-            break;
-            
-          default:
-            logger.warn('Unknown notification channel type', { type: channel.type });
-        }
-      } catch (error) {
-        logger.error('Error sending notification', { 
-          alertId: alert.id,
-          channelType: channel.type,
-          error: error.message
+    switch(channel.type) {
+      case 'email':
+        await this.getEmailNotifier(channel).send(notification, options);
+        logger.info('Email notification sent', { 
+          ...details,
+          channelId: channel.id
+        });
+        break;
+        
+      case 'slack':
+        await sendSlackNotification(channel, notification);
+        logger.info('Slack notification sent', { 
+          ...details,
+          slackChannel: channel.config.channel
+        });
+        break;
+        
+      case 'pagerduty': {
+        const eventCount = await sendPagerDutyNotification(channel, notification);
+        logger.info('PagerDuty events sent', { 
+          ...details,
+          channelId: channel.id,
+          eventCount
         });
+        break;
       }
+        
+      case 'msteams':
+        await sendTeamsNotification(channel, notification);
+        logger.info('Teams notification sent', { 
+          ...details,
+          channelId: channel.id
+        });
+        break;
+        
+      case 'webhook':
+        await sendWebhookNotification(channel, notification);
+        logger.info('Webhook notification sent', { 
+          ...details,
+          channelId: channel.id
+        });
+        break;
+        
+      default:
+        throw new Error(`Unsupported notification channel type: ${channel.type}`);
+    }
+  }
+
+  /**
+   * Get the notifier of an email channel, recreating it when the channel
+   * config changed so SMTP settings are picked up
+   * @param {Object} channel - Email notification channel
+   * @returns {EmailNotifier} - Notifier
+   */
+  getEmailNotifier(channel) {
+    const existing = this.emailNotifiers.get(channel.id);
+    if (existing && JSON.stringify(existing.channel.config) === JSON.stringify(channel.config)) {
+      return existing;
+    }
+    
+    if (existing) {
+      existing.stop();
     }
+    const notifier = new EmailNotifier(channel, { logger });
+    this.emailNotifiers.set(channel.id, notifier);
+    return notifier;
   }
 
   /**
@@ -1115,7 +2763,9 @@ class AlertManager extends EventEmitter {
       status: alert.status === 'firing' ? 'active' : 'resolved',
       timestamp: alert.timestamp || new Date().toISOString(),
       service: alert.labels?.service || alert.labels?.app || 'monitoring',
-      message: alert.annotations?.summary || `${alert.ruleName} alert`,
+      message: channel.config?.message_template
+        ? renderTemplate(channel.config.message_template, buildAlertContext(alert))
+        : alert.annotations?.summary || `${alert.ruleName} alert`,
       description: alert.annotations?.description || ''
     };
     
@@ -1144,19 +2794,22 @@ class AlertManager extends EventEmitter {
   async sendAiFeedbackNotification(channel, alert) {
     // Only process alerts with severity meeting minimum threshold
     const alertSeverityLevel = SEVERITY_LEVELS[alert.severity] || 0;
-    const minSeverityLevel = SEVERITY_LEVELS[channel.config.minSeverity || 'info'] || 0;
+    // Older configs used camelCase keys
+    const minSeverity = channel.config.min_severity || channel.config.minSeverity || 'info';
+    const feedbackType = channel.config.feedback_type || channel.config.feedbackType;
+    const minSeverityLevel = SEVERITY_LEVELS[minSeverity] || 0;
     
     if (alertSeverityLevel < minSeverityLevel) {
       logger.debug('Alert severity below minimum for AI feedback', {
         alertSeverity: alert.severity,
-        minSeverity: channel.config.minSeverity
+        minSeverity
       });
       return;
     }
     
     try {
       // Use the appropriate AI function based on feedback type
-      if (channel.config.feedbackType === 'explanation') {
+      if (feedbackType === 'explanation') {
         // Get explanation for the alert
         const explanation = await alertAnalyzer.explainAnomaly(alert.metrics, {
           resourceType: alert.labels?.resource || 'general',
@@ -1164,31 +2817,25 @@ class AlertManager extends EventEmitter {
         });
         
         if (explanation && explanation.explanation) {
-          // Update the alert with explanation
-          const updatedAlert = {
-            ...alert,
+          // Update the alert in place, so the active alert and its notification group see it
+          Object.assign(alert, {
             annotations: {
               ...alert.annotations,
               explanation: explanation.explanation
             },
             aiAnalysis: explanation
-          };
-          
-          // Update in active alerts if still active
-          if (updatedAlert.status === 'firing' && this.activeAlerts.has(alert.id)) {
-            this.activeAlerts.set(alert.id, updatedAlert);
-          }
+          });
           
           // Emit update event
-          this.emit('alert_update', updatedAlert);
+          this.emit('alert_update', alert);
           
           // Send update via WebSocket
-          this.broadcastAlert(updatedAlert);
+          this.broadcastAlert(alert);
           
           logger.info('Added AI explanation to alert', { alertId: alert.id });
         }
-      } else if (channel.config.feedbackType === 'recommendation' || 
-                 channel.config.feedbackType === 'alert_analysis') {
+      } else if (feedbackType === 'recommendation' || 
+                 feedbackType === 'alert_analysis') {
         const recommendations = await alertAnalyzer.generateRecommendations(
           alert,
           this.alertHistory.slice(-10),
@@ -1196,9 +2843,8 @@ class AlertManager extends EventEmitter {
         );
         
         if (recommendations && recommendations.recommendations) {
-          // Update the alert with recommendations
-          const updatedAlert = {
-            ...alert,
+          // Add the recommendations to the alert itself
+          Object.assign(alert, {
             annotations: {
               ...alert.annotations,
               recommendations: recommendations.recommendations
@@ -1206,22 +2852,17 @@ class AlertManager extends EventEmitter {
                 .join('\n')
             },
             aiRecommendations: recommendations
-          };
-          
-          // Update in active alerts if still active
-          if (updatedAlert.status === 'firing' && this.activeAlerts.has(alert.id)) {
-            this.activeAlerts.set(alert.id, updatedAlert);
-          }
+          });
           
           // Emit update event
-          this.emit('alert_update', updatedAlert);
+          this.emit('alert_update', alert);
           
           // Send update via WebSocket
-          this.broadcastAlert(updatedAlert);
+          this.broadcastAlert(alert);
           
           logger.info('Added AI recommendations to alert', { alertId: alert.id });
         }
-      } else if (channel.config.feedbackType === 'correlation') {
+      } else if (feedbackType === 'correlation') {
         // Request metrics correlation analysis
         const correlation = await alertAnalyzer.analyzeCorrelations(
           alert,
@@ -1232,9 +2873,8 @@ class AlertManager extends EventEmitter {
         );
         
         if (correlation && correlation.correlations) {
-          // Update the alert with correlation information
-          const updatedAlert = {
-            ...alert,
+          // Add the correlations to the alert itself
+          Object.assign(alert, {
             annotations: {
               ...alert.annotations,
               correlations: correlation.correlations
@@ -1242,18 +2882,13 @@ class AlertManager extends EventEmitter {
                 .join('\n')
             },
             aiCorrelations: correlation
-          };
-          
-          // Update in active alerts if still active
-          if (updatedAlert.status === 'firing' && this.activeAlerts.has(alert.id)) {
-            this.activeAlerts.set(alert.id, updatedAlert);
-          }
+          });
           
           // Emit update event
-          this.emit('alert_update', updatedAlert);
+          this.emit('alert_update', alert);
           
           // Send update via WebSocket
-          this.broadcastAlert(updatedAlert);
+          this.broadcastAlert(alert);
           
           logger.info('Added AI correlations to alert', { alertId: alert.id });
         }
@@ -1269,8 +2904,9 @@ class AlertManager extends EventEmitter {
   /**
    * Broadcast an alert to all connected WebSocket clients
    * @param {Object} alert - Alert to broadcast
+   * @param {string} [type] - Message type, derived from the alert status by default
    */
-  broadcastAlert(alert) {
+  broadcastAlert(alert, type = WS_MESSAGE_TYPES[alert.status] || 'alert') {
     if (!this.wsServer || this.wsClients.size === 0) {
       return;
     }
@@ -1280,7 +2916,7 @@ class AlertManager extends EventEmitter {
       const safeAlert = this.createSafeAlertCopy(alert);
       
       const message = JSON.stringify({
-        type: alert.status === 'firing' ? 'alert' : 'resolve',
+        type,
         alert: safeAlert
       });
       
@@ -1373,6 +3009,36 @@ class AlertManager extends EventEmitter {
     }
   }
 
+  /**
+   * Broadcast the currently open maintenance windows to all connected WebSocket clients
+   */
+  broadcastMaintenance() {
+    if (!this.wsServer || this.wsClients.size === 0) {
+      return;
+    }
+    
+    try {
+      const message = JSON.stringify({
+        type: 'maintenance',
+        windows: this.getMaintenanceWindows({ active: true })
+      });
+      
+      for (const client of this.wsClients) {
+        if (client.readyState === WebSocket.OPEN) {
+          try {
+            client.send(message);
+          } catch (error) {
+            logger.error('Error sending maintenance update to WebSocket client', { error: error.message });
+            client.terminate();
+            this.wsClients.delete(client);
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error broadcasting maintenance windows', { error: error.message });
+    }
+  }
+
   /**
    * Broadcast metrics to all connected WebSocket clients
    * @param {Object} metrics - Metrics data to broadcast
@@ -1448,11 +3114,24 @@ class AlertManager extends EventEmitter {
       // Create a simplified version of the alert, omitting potentially problematic properties
       const safeAlert = {
         id: alert.id,
+        fingerprint: alert.fingerprint,
         ruleId: alert.ruleId,
         ruleName: alert.ruleName,
         severity: alert.severity,
         status: alert.status,
         timestamp: alert.timestamp,
+        pendingSince: alert.pendingSince,
+        silencedBy: alert.silencedBy || [],
+        maintenanceWindowId: alert.maintenanceWindowId || null,
+        inhibitedBy: alert.inhibitedBy || [],
+        acknowledgedAt: alert.acknowledgedAt || null,
+        acknowledgedBy: alert.acknowledgedBy || null,
+        acknowledgementComment: alert.acknowledgementComment || null,
+        resolvedAt: alert.resolvedAt || null,
+        resolvedBy: alert.resolvedBy || null,
+        escalationPolicyId: alert.escalationPolicyId || null,
+        escalationHistory: alert.escalationHistory || [],
+        nextEscalationAt: this.escalations.get(alert.id)?.nextStepAt || null,
         value: alert.value,
         labels: { ...alert.labels },
         annotations: { ...alert.annotations },
@@ -1486,11 +3165,288 @@ class AlertManager extends EventEmitter {
   }
 
   /**
-   * Get active alerts
+   * Record which silences, maintenance windows and inhibiting alerts
+   * currently mute an alert
+   * @param {Object} alert - Alert object
+   * @returns {boolean} - Whether notifications for the alert are suppressed
+   */
+  applySuppression(alert) {
+    const maintenanceWindow = this.maintenanceWindows.findAlertWindow(alert);
+    
+    alert.silencedBy = this.silences.getSilencingIds(alert);
+    alert.maintenanceWindowId = maintenanceWindow ? maintenanceWindow.id : null;
+    alert.inhibitedBy = this.inhibitor.getInhibitingIds(alert, this.getActiveAlerts());
+    
+    return this.isSuppressed(alert);
+  }
+
+  /**
+   * Check the suppression state last computed for an alert, without
+   * re-evaluating silences, maintenance windows or inhibition
+   * @param {Object} alert - Alert object
+   * @returns {boolean} - Whether the alert is suppressed
+   */
+  isSuppressed(alert) {
+    return (alert.silencedBy || []).length > 0 ||
+      Boolean(alert.maintenanceWindowId) ||
+      (alert.inhibitedBy || []).length > 0;
+  }
+
+  /**
+   * Describe what currently mutes an alert, for change detection
+   * @param {Object} alert - Alert object
+   * @returns {string} - Suppression state key
+   */
+  getSuppressionKey(alert) {
+    return [
+      (alert.silencedBy || []).join(','),
+      alert.maintenanceWindowId || '',
+      (alert.inhibitedBy || []).join(',')
+    ].join('|');
+  }
+
+  /**
+   * Recompute whether an active alert is silenced, in maintenance or inhibited
+   *
+   * A firing alert that was suppressed before anyone heard about it is
+   * notified once nothing mutes it any more; one that was notified before
+   * rejoins its notification groups.
+   * @param {Object} alert - Active alert
+   * @returns {Promise<boolean>} - Whether the alert is suppressed
+   */
+  async refreshSuppressionState(alert) {
+    const previous = this.getSuppressionKey(alert);
+    const suppressed = this.applySuppression(alert);
+    
+    if (previous !== this.getSuppressionKey(alert)) {
+      logger.info(suppressed ? 'Alert suppressed' : 'Alert no longer suppressed', {
+        alertId: alert.id,
+        silencedBy: alert.silencedBy,
+        maintenanceWindowId: alert.maintenanceWindowId,
+        inhibitedBy: alert.inhibitedBy
+      });
+      this.emit('alert_update', alert);
+      this.broadcastAlert(alert);
+      
+      if (!suppressed && alert.status === 'firing') {
+        if (alert.notifiedAt) {
+          this.dispatchAlert(alert);
+        } else {
+          await this.sendNotifications(alert);
+        }
+      }
+    }
+    
+    return suppressed;
+  }
+
+  /**
+   * Detect maintenance windows opening or closing since the last check
+   *
+   * The open windows found here are used by every rule and alert checked
+   * until the next update.
+   */
+  async updateMaintenanceWindows() {
+    const active = this.maintenanceWindows.refreshActiveWindows();
+    const activeIds = new Set(active.map(({ window }) => window.id));
+    let changed = false;
+    
+    for (const { window, state } of active) {
+      if (!this.activeMaintenanceWindowIds.has(window.id)) {
+        changed = true;
+        logger.info('Maintenance window started', {
+          windowId: window.id,
+          action: window.action,
+          endsAt: state.endsAt
+        });
+        this.emit('maintenance_window_started', this.maintenanceWindows.serialize(window));
+      }
+    }
+    
+    for (const windowId of this.activeMaintenanceWindowIds) {
+      if (!activeIds.has(windowId)) {
+        changed = true;
+        logger.info('Maintenance window ended', { windowId });
+        this.emit('maintenance_window_ended', { id: windowId });
+      }
+    }
+    
+    this.activeMaintenanceWindowIds = activeIds;
+    
+    if (changed) {
+      this.broadcastMaintenance();
+      
+      for (const alert of Array.from(this.activeAlerts.values())) {
+        await this.refreshSuppressionState(alert);
+      }
+    }
+  }
+
+  /**
+   * Get maintenance windows with their current state
+   * @param {Object} [options] - Filter options
+   * @param {boolean} [options.active] - Only return windows that are open right now
+   * @returns {Array} - List of maintenance windows
+   */
+  getMaintenanceWindows(options = {}) {
+    const windows = this.maintenanceWindows.list();
+    return options.active ? windows.filter((window) => window.active) : windows;
+  }
+
+  /**
+   * Create a silence and apply it to the active alerts
+   * @param {Object} definition - Silence definition (matchers, startsAt, endsAt, createdBy, comment)
+   * @returns {Promise<Object>} - Created silence
+   */
+  async createSilence(definition) {
+    const silence = await this.silences.create(definition);
+    logger.info('Silence created', { silenceId: silence.id, createdBy: silence.createdBy });
+    
+    for (const alert of Array.from(this.activeAlerts.values())) {
+      await this.refreshSuppressionState(alert);
+    }
+    
+    return silence;
+  }
+
+  /**
+   * Expire a silence and lift it from the active alerts
+   * @param {string} silenceId - Silence ID
+   * @returns {Promise<Object|null>} - Expired silence, or null if not found
+   */
+  async expireSilence(silenceId) {
+    const silence = await this.silences.expire(silenceId);
+    if (!silence) {
+      return null;
+    }
+    
+    logger.info('Silence expired', { silenceId });
+    
+    for (const alert of Array.from(this.activeAlerts.values())) {
+      await this.refreshSuppressionState(alert);
+    }
+    
+    return silence;
+  }
+
+  /**
+   * Get silences
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.state] - Only return silences in this state (pending, active, expired)
+   * @returns {Array} - List of silences
+   */
+  getSilences(options = {}) {
+    return this.silences.list(options);
+  }
+
+  /**
+   * Get the routing tree
+   * @returns {Object} - Root route in API form
+   */
+  getRoutes() {
+    return serializeRoute(this.dispatcher.route);
+  }
+
+  /**
+   * Work out where an alert with the given labels would be delivered
+   * @param {Object} labels - Alert labels; alertname, rule_id and severity are matched like any other label
+   * @returns {Object} - Matching routes and the channels they notify
+   */
+  testRoutes(labels) {
+    const alert = { labels };
+    const realtimeChannels = this.channels
+      .filter(channel => channel.enabled && REALTIME_CHANNEL_TYPES.includes(channel.type))
+      .map(channel => channel.id);
+    const routes = this.dispatcher.getRoutes(alert).map(route => ({
+      id: route.id,
+      receivers: this.getRouteDeliveries(route).map(({ channel, contactId }) =>
+        contactId ? `${channel.id}:${contactId}` : channel.id
+      ),
+      groupLabels: getGroupLabels(route, alert),
+      group_wait: route.group_wait,
+      group_interval: route.group_interval,
+      repeat_interval: route.repeat_interval
+    }));
+    
+    return {
+      routes,
+      // Every channel that would hear about the alert, realtime ones included
+      channels: Array.from(new Set([
+        ...realtimeChannels,
+        ...routes.flatMap(route => route.receivers)
+      ]))
+    };
+  }
+
+  /**
+   * Render a template the way channels and rule annotations would
+   *
+   * The template sees a group notification holding the alerts (one example
+   * alert by default), so both alert and group templates can be tried out,
+   * plus `$labels` and `$value` of the first alert for annotation templates.
+   * @param {string} template - Template text
+   * @param {Object} [options] - Preview options
+   * @param {Array<Object>} [options.alerts] - Fields overriding the example alert, one entry per alert
+   * @param {string} [options.alertId] - Render against this active alert instead
+   * @returns {string|null} - Rendered text, or null if the alert does not exist
+   */
+  previewTemplate(template, options = {}) {
+    let alerts;
+    if (options.alertId) {
+      const alert = this.activeAlerts.get(options.alertId);
+      if (!alert) {
+        return null;
+      }
+      alerts = [alert];
+    } else {
+      alerts = (options.alerts && options.alerts.length > 0 ? options.alerts : [{}])
+        .map((overrides, index) => buildSampleAlert({
+          ...(index > 0 && { id: `sample-alert-${index + 1}`, fingerprint: `sample-alert-${index + 1}` }),
+          ...overrides
+        }));
+    }
+
+    const firing = alerts.filter(alert => alert.status === 'firing').length;
+    const context = buildNotificationContext({
+      status: firing > 0 ? 'firing' : 'resolved',
+      counts: { firing, resolved: alerts.length - firing },
+      groupLabels: {},
+      alerts
+    });
+
+    return renderTemplate(template, {
+      ...context,
+      $labels: alerts[0].labels || {},
+      $value: alerts[0].value
+    });
+  }
+
+  /**
+   * Get active alerts, including pending ones that are about to fire
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.status] - Only return alerts in this state (pending, firing)
    * @returns {Array} - List of active alerts
    */
-  getActiveAlerts() {
-    return Array.from(this.activeAlerts.values());
+  getActiveAlerts(options = {}) {
+    const alerts = Array.from(this.activeAlerts.values());
+    return options.status ? alerts.filter((alert) => alert.status === options.status) : alerts;
+  }
+
+  /**
+   * Get the active alerts produced by a rule, one per matching series
+   * @param {string} ruleId - Rule ID
+   * @returns {Array} - List of active alerts for the rule
+   */
+  getRuleAlerts(ruleId) {
+    return this.getActiveAlerts().filter((alert) => alert.ruleId === ruleId);
+  }
+
+  /**
+   * Get alerts whose condition holds but has not yet lasted the rule's duration
+   * @returns {Array} - List of pending alerts
+   */
+  getPendingAlerts() {
+    return this.getActiveAlerts({ status: 'pending' });
   }
 
   /**
@@ -1502,12 +3458,28 @@ class AlertManager extends EventEmitter {
     return this.alertHistory.slice(-limit);
   }
 
+  /**
+   * Get an alert by id, falling back to its latest state in the history
+   * @param {string} alertId - Alert ID
+   * @returns {Object|undefined} - Active or most recently resolved alert
+   */
+  getAlert(alertId) {
+    return this.activeAlerts.get(alertId) ||
+      this.alertHistory.findLast((alert) => alert.id === alertId);
+  }
+
   /**
    * Schedule regular AI-driven alert pattern analysis
    */
   scheduleAlertPatternAnalysis() {
-    // Run alert pattern analysis every hour
-    const analysisInterval = 60 * 60 * 1000; // 1 hour
+    const settings = this.aiConfig.analysis?.patternAnalysis || {};
+    if (settings.enabled === false) {
+      return;
+    }
+    
+    // Run alert pattern analysis every hour unless configured otherwise
+    const analysisInterval = settings.interval || 60 * 60 * 1000;
+    const minAlerts = settings.minAlertsForAnalysis || 10;
     
     setInterval(async () => {
       try {
@@ -1535,7 +3507,7 @@ class AlertManager extends EventEmitter {
     
     // Also run once at startup if we have enough history
     setTimeout(async () => {
-      if (this.alertHistory.length > 10) {
+      if (this.alertHistory.length >= minAlerts) {
         try {
           logger.info('Running initial alert pattern analysis');
           
@@ -1560,4 +3532,6 @@ class AlertManager extends EventEmitter {
   }
 }
 
-export default new AlertManager(); 
\ No newline at end of file
+export { AlertManager, AlertStateError, ConfigReloadError };
+
+export default new AlertManager();
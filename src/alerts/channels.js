@@ -0,0 +1,236 @@
+/**
+ * Validation and redaction of notification channel definitions
+ *
+ * Channel configs hold credentials (webhook URLs embed their token, PagerDuty
+ * service keys, SMTP passwords, webhook signing secrets), so the API only
+ * returns them redacted. A redacted value sent back in an update keeps the
+ * stored secret, which lets clients edit a channel they fetched.
+ *
+ * The shape of a channel, including the config fields of each type, is
+ * described by `CHANNEL_SCHEMA`. Config keys are snake_case; the camelCase
+ * `minSeverity`/`feedbackType` of older configs still work, and
+ * `getChannelMigrations` suggests their replacements.
+ */
+
+import { compileSchema, getSchemaErrors, joinPath } from '../utils/schema.js';
+import { WEBHOOK_FORMATS, WEBHOOK_METHODS } from './notifiers/webhook.js';
+import { SEVERITY_LEVELS } from './notifiers/format.js';
+
+export const CHANNEL_TYPES = ['console', 'websocket', 'ai_feedback', 'email', 'slack', 'pagerduty', 'msteams', 'webhook'];
+export const REDACTED = '********';
+
+export const AI_FEEDBACK_TYPES = ['explanation', 'recommendation', 'alert_analysis', 'correlation'];
+
+// Config keys holding secrets, compared case-insensitively at any depth
+const SECRET_KEYS = ['webhook_url', 'service_key', 'secret', 'pass', 'password', 'token', 'api_key', 'authorization'];
+
+// camelCase keys older configs used, by the snake_case key that replaced them
+const LEGACY_CONFIG_KEYS = {
+  minSeverity: 'min_severity',
+  feedbackType: 'feedback_type'
+};
+
+const duration = { type: ['string', 'number'], format: 'duration', minimum: 0 };
+const severity = { enum: Object.keys(SEVERITY_LEVELS) };
+
+/**
+ * Schema of a channel of one type; the config fields are checked on top of the common ones
+ * @param {string} type - Channel type
+ * @param {Object} config - Config properties and required keys of the type
+ * @returns {Object} - Conditional schema
+ */
+function configFor(type, { properties, required = [] }) {
+  return {
+    if: { properties: { type: { const: type } } },
+    then: {
+      ...(required.length > 0 && { required: ['config'] }),
+      properties: { config: { type: 'object', required, properties } }
+    }
+  };
+}
+
+export const CHANNEL_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type'],
+  properties: {
+    id: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+    name: { type: 'string' },
+    type: { enum: CHANNEL_TYPES },
+    enabled: { type: 'boolean' },
+    config: {
+      type: 'object',
+      properties: {
+        timeout: duration
+      }
+    }
+  },
+  allOf: [
+    configFor('email', {
+      properties: {
+        recipients: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        from: { type: 'string' },
+        smtp: { type: 'object' },
+        resolved_batch_wait: duration
+      }
+    }),
+    // webhook_url may be relative to webhook_base_url, and falls back to SLACK_WEBHOOK_URL
+    configFor('slack', { properties: { webhook_url: { type: 'string' } } }),
+    configFor('msteams', { required: ['webhook_url'], properties: { webhook_url: { type: 'string', format: 'url' } } }),
+    configFor('pagerduty', {
+      properties: {
+        service_key: { type: 'string' },
+        min_severity: severity,
+        severity_mapping: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    }),
+    configFor('webhook', {
+      required: ['url'],
+      properties: {
+        url: { type: 'string', format: 'url' },
+        // Methods are case-insensitive
+        method: { enum: [...WEBHOOK_METHODS, ...WEBHOOK_METHODS.map((method) => method.toLowerCase())] },
+        format: { enum: WEBHOOK_FORMATS },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        secret: { type: 'string' }
+      }
+    }),
+    configFor('ai_feedback', {
+      properties: {
+        model: { type: 'string' },
+        min_severity: severity,
+        feedback_type: { enum: AI_FEEDBACK_TYPES },
+        minSeverity: severity,
+        feedbackType: { enum: AI_FEEDBACK_TYPES }
+      }
+    })
+  ]
+};
+
+const validateChannelSchema = compileSchema(CHANNEL_SCHEMA);
+
+/**
+ * Error raised for invalid channel definitions, listing every problem found
+ */
+export class ChannelValidationError extends Error {
+  constructor(message, errors = [message]) {
+    super(message);
+    this.name = 'ChannelValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check whether a config key holds a secret
+ * @param {string} key - Config key
+ * @returns {boolean} - Whether the value must be redacted
+ */
+function isSecretKey(key) {
+  return SECRET_KEYS.includes(key.toLowerCase());
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is an object and not an array
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Replace the secrets of a config with a placeholder
+ * @param {*} value - Config value
+ * @returns {*} - Copy with secrets redacted
+ */
+function redactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (!isObject(value)) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    isSecretKey(key) && entry !== '' && entry !== null && entry !== undefined ? REDACTED : redactValue(entry)
+  ]));
+}
+
+/**
+ * Put stored secrets back where an update sent the placeholder
+ * @param {*} value - Config value from the update
+ * @param {*} previous - Stored config value at the same place
+ * @returns {*} - Config with the placeholders replaced
+ */
+function restoreValue(value, previous) {
+  if (!isObject(value)) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    isSecretKey(key) && entry === REDACTED ? previous?.[key] : restoreValue(entry, isObject(previous) ? previous[key] : undefined)
+  ]));
+}
+
+/**
+ * Get a channel as returned by the API, with its secrets redacted
+ * @param {Object} channel - Notification channel
+ * @returns {Object} - Redacted copy
+ */
+export function redactChannel(channel) {
+  return { ...channel, config: redactValue(channel.config || {}) };
+}
+
+/**
+ * Keep the stored secrets of a channel an update sent back redacted
+ * @param {Object} channel - Updated channel definition
+ * @param {Object} previous - Stored channel
+ * @returns {Object} - Channel with its secrets restored
+ */
+export function restoreChannelSecrets(channel, previous) {
+  if (!isObject(channel?.config)) {
+    return channel;
+  }
+  return { ...channel, config: restoreValue(channel.config, previous?.config) };
+}
+
+/**
+ * Collect the problems of a channel definition
+ * @param {Object} channel - Channel definition
+ * @param {string} [base] - Path of the channel in its file, e.g. `channels[2]`
+ * @returns {Array<string>} - Problems, empty if the channel is valid
+ */
+export function getChannelErrors(channel, base = '') {
+  return getSchemaErrors(validateChannelSchema, channel, base);
+}
+
+/**
+ * Suggest how to update legacy channel config keys
+ * @param {Object} channel - Channel definition
+ * @param {string} [base] - Path of the channel in its file
+ * @returns {Array<string>} - Suggestions as `<path>: <suggestion>`
+ */
+export function getChannelMigrations(channel, base = '') {
+  if (!isObject(channel?.config)) {
+    return [];
+  }
+
+  const configPath = joinPath(base, 'config');
+  return Object.entries(LEGACY_CONFIG_KEYS)
+    .filter(([legacyKey]) => channel.config[legacyKey] !== undefined)
+    .map(([legacyKey, key]) => channel.config[key] === undefined
+      ? `${joinPath(configPath, legacyKey)}: rename to "${key}"`
+      : `${joinPath(configPath, legacyKey)}: remove it, "${key}" is set and takes precedence`);
+}
+
+/**
+ * Validate a channel definition
+ * @param {Object} channel - Channel definition
+ * @throws {ChannelValidationError} - If the channel is invalid
+ */
+export function validateChannel(channel) {
+  const errors = getChannelErrors(channel);
+  if (errors.length > 0) {
+    const id = typeof channel?.id === 'string' && channel.id ? channel.id : 'without id';
+    throw new ChannelValidationError(`Invalid channel ${id}: ${errors.join('; ')}`, errors);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Checks of whole config files
+ *
+ * Used by the `lint` command, by hot reloads and when configs are loaded.
+ * Each file kind is checked against its schema (see rule-validation.js,
+ * channels.js and ai-integration/config-schema.js) plus what a schema cannot
+ * express, like duplicate ids. Legacy settings that still work are reported
+ * separately as migrations, with what to change them to.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_RULE_GROUP, getRuleErrors, getRuleGroupErrors, getRuleMigrations } from './rule-validation.js';
+import { getChannelErrors, getChannelMigrations } from './channels.js';
+import { compileInhibitRule } from './inhibitor.js';
+import { getAiConfigErrors } from '../ai-integration/config-schema.js';
+import { joinPath } from '../utils/schema.js';
+
+export const CONFIG_KINDS = ['rules', 'channels', 'ai'];
+
+// Config files of a default setup, relative to the working directory
+export const DEFAULT_CONFIG_FILES = [
+  path.join('config', 'alerts', 'rules.json'),
+  path.join('config', 'alerts', 'channels.json'),
+  path.join('config', 'ai-alerts', 'config.json')
+];
+
+/**
+ * Work out what a config file holds
+ * @param {string} filePath - Path of the file
+ * @param {*} data - Parsed file content
+ * @returns {string|null} - One of CONFIG_KINDS, or null if unknown
+ */
+export function detectConfigKind(filePath, data) {
+  if (data && !Array.isArray(data) && typeof data === 'object') {
+    if (Array.isArray(data.rules)) {
+      return 'rules';
+    }
+    if (Array.isArray(data.channels)) {
+      return 'channels';
+    }
+    if (data.analysis || data.models || data.notifications) {
+      return 'ai';
+    }
+  }
+
+  // Flat arrays are only told apart by the file name
+  const name = path.basename(filePath);
+  if (/rules/.test(name)) {
+    return 'rules';
+  }
+  if (/channels/.test(name)) {
+    return 'channels';
+  }
+  return null;
+}
+
+/**
+ * Check a list of items with ids
+ * @param {*} data - Parsed file content
+ * @param {string} key - Key holding the list
+ * @param {Object} checks - Per-item checks
+ * @param {Function} checks.getErrors - Returns the problems of an item at a path
+ * @param {Function} checks.getMigrations - Returns the migrations of an item at a path
+ * @returns {{errors: Array<string>, migrations: Array<string>}} - Problems and suggested migrations
+ */
+function lintList(data, key, { getErrors, getMigrations }) {
+  const errors = [];
+  const migrations = [];
+
+  let items = data?.[key];
+  let base = key;
+  if (Array.isArray(data)) {
+    items = data;
+    base = '';
+    migrations.push(`(root): wrap the list in { "${key}": [...] }`);
+  } else if (!Array.isArray(items)) {
+    errors.push(`${key}: must be an array`);
+    return { errors, migrations };
+  }
+
+  const seen = new Set();
+  items.forEach((item, index) => {
+    const itemPath = joinPath(base, index);
+    errors.push(...getErrors(item, itemPath));
+    migrations.push(...getMigrations(item, itemPath));
+
+    if (typeof item?.id === 'string') {
+      if (seen.has(item.id)) {
+        errors.push(`${joinPath(itemPath, 'id')}: "${item.id}" is used more than once`);
+      }
+      seen.add(item.id);
+    }
+  });
+
+  return { errors, migrations };
+}
+
+/**
+ * Check the rule groups of a rules file and the groups its rules refer to
+ * @param {Object} data - Parsed rules file
+ * @returns {Array<string>} - Problems
+ */
+function lintRuleGroups(data) {
+  const groups = data?.groups ?? [];
+  if (!Array.isArray(groups)) {
+    return ['groups: must be an array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  groups.forEach((group, index) => {
+    const groupPath = joinPath('groups', index);
+    errors.push(...getRuleGroupErrors(group, groupPath));
+
+    if (typeof group?.name === 'string') {
+      if (names.has(group.name)) {
+        errors.push(`${joinPath(groupPath, 'name')}: "${group.name}" is used more than once`);
+      }
+      names.add(group.name);
+    }
+  });
+
+  // The default group exists without being defined
+  names.add(DEFAULT_RULE_GROUP);
+  (Array.isArray(data?.rules) ? data.rules : []).forEach((rule, index) => {
+    if (typeof rule?.group === 'string' && rule.group && !names.has(rule.group)) {
+      errors.push(`${joinPath(joinPath('rules', index), 'group')}: "${rule.group}" is not defined in groups`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check the content of a config file
+ * @param {string} kind - One of CONFIG_KINDS
+ * @param {*} data - Parsed file content
+ * @returns {{errors: Array<string>, migrations: Array<string>}} - Problems and suggested migrations
+ */
+export function lintConfig(kind, data) {
+  switch (kind) {
+    case 'rules': {
+      const result = lintList(data, 'rules', { getErrors: getRuleErrors, getMigrations: getRuleMigrations });
+      if (!Array.isArray(data)) {
+        result.errors.push(...lintRuleGroups(data));
+      }
+      const inhibitRules = Array.isArray(data) ? [] : (data?.inhibit_rules ?? []);
+
+      if (!Array.isArray(inhibitRules)) {
+        result.errors.push('inhibit_rules: must be an array');
+      } else {
+        inhibitRules.forEach((rule, index) => {
+          try {
+            compileInhibitRule(rule, index);
+          } catch (error) {
+            result.errors.push(`${joinPath('inhibit_rules', index)}: ${error.message}`);
+          }
+        });
+      }
+      return result;
+    }
+
+    case 'channels':
+      return lintList(data, 'channels', { getErrors: getChannelErrors, getMigrations: getChannelMigrations });
+
+    case 'ai':
+      return { errors: getAiConfigErrors(data), migrations: [] };
+
+    default:
+      throw new Error(`Unknown config kind: ${kind}`);
+  }
+}
+
+/**
+ * Read and check a config file
+ * @param {string} filePath - Path of the file
+ * @param {string} [kind] - One of CONFIG_KINDS, detected from the file by default
+ * @returns {Promise<Object>} - The file, its kind, problems and suggested migrations
+ */
+export async function lintConfigFile(filePath, kind) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    return { file: filePath, kind: kind || null, errors: [error.message], migrations: [] };
+  }
+
+  const fileKind = kind || detectConfigKind(filePath, data);
+  if (!fileKind) {
+    return {
+      file: filePath,
+      kind: null,
+      errors: [`cannot tell what the file configures, pass its kind (${CONFIG_KINDS.join(', ')})`],
+      migrations: []
+    };
+  }
+
+  return { file: filePath, kind: fileKind, ...lintConfig(fileKind, data) };
+}
@@ -0,0 +1,90 @@
+/**
+ * Watches config files and reports when they changed
+ *
+ * The directories holding the files are watched rather than the files
+ * themselves: editors and atomic writes replace a file by renaming another
+ * over it, which ends a watch on the file. Bursts of events, like a save
+ * followed by a rename, are reported once after `debounce`.
+ */
+
+import { watch } from 'fs';
+import path from 'path';
+import { parseDuration } from '../utils/duration.js';
+
+export class ConfigWatcher {
+  /**
+   * @param {Object} options - Watcher options
+   * @param {Array<string>} options.files - Paths of the files to watch
+   * @param {Function} options.onChange - Called with the changed paths once events settle
+   * @param {string|number} [options.debounce] - How long to wait for further events
+   * @param {Object} [options.logger] - Logger for watch errors
+   */
+  constructor(options) {
+    this.files = options.files.map((file) => path.resolve(file));
+    this.onChange = options.onChange;
+    this.debounceMs = parseDuration(options.debounce ?? '500ms');
+    this.logger = options.logger || console;
+    this.watchers = [];
+    this.changed = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Start watching; calling it again has no effect
+   */
+  start() {
+    if (this.watchers.length > 0) {
+      return;
+    }
+
+    for (const dir of new Set(this.files.map((file) => path.dirname(file)))) {
+      const watcher = watch(dir, (eventType, filename) => {
+        const file = filename && path.join(dir, filename.toString());
+        if (file && this.files.includes(file)) {
+          this.schedule(file);
+        }
+      });
+      watcher.on('error', (error) => {
+        this.logger.error('Error watching config directory', { dir, error: error.message });
+      });
+      this.watchers.push(watcher);
+    }
+  }
+
+  /**
+   * Report a changed file once no further events arrive
+   * @param {string} file - Changed file
+   */
+  schedule(file) {
+    this.changed.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const files = Array.from(this.changed);
+      this.changed.clear();
+      this.timer = null;
+      Promise.resolve()
+        .then(() => this.onChange(files))
+        .catch((error) => {
+          this.logger.error('Error handling config change', { files, error: error.message });
+        });
+    }, this.debounceMs);
+
+    // Watching should not keep the process alive on shutdown
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.changed.clear();
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Named user contacts
+ *
+ * A contact lists the ways a person can be reached. Each method points at a
+ * configured notification channel and can override parts of its config,
+ * e.g. the email recipients or the Slack channel, so paging a person reuses
+ * the delivery code of the channel:
+ *
+ *   { "id": "alice", "name": "Alice Smith", "methods": [
+ *     { "channel": "email_ops", "config": { "recipients": ["alice@example.com"] } },
+ *     { "channel": "slack_ops", "config": { "channel": "@alice" } }
+ *   ] }
+ *
+ * Routes and escalation policies reach contacts through targets: a plain
+ * channel id, `user:<contact id>` or `schedule:<schedule id>` for whoever is
+ * on call.
+ */
+
+export const TARGET_TYPES = ['channel', 'user', 'schedule'];
+
+/**
+ * Parse a notification target
+ * @param {string} target - Channel id, `user:<contact id>` or `schedule:<schedule id>`
+ * @returns {{type: string, id: string}} - Target
+ */
+export function parseTarget(target) {
+  if (typeof target !== 'string' || target.trim() === '') {
+    throw new Error('Targets must be non-empty strings');
+  }
+
+  const separator = target.indexOf(':');
+  const prefix = separator > 0 ? target.slice(0, separator) : null;
+  if (prefix && TARGET_TYPES.includes(prefix) && prefix !== 'channel') {
+    return { type: prefix, id: target.slice(separator + 1) };
+  }
+  return { type: 'channel', id: target };
+}
+
+/**
+ * Format a notification target back into its config form
+ * @param {{type: string, id: string}} target - Target
+ * @returns {string} - Channel id or `<type>:<id>`
+ */
+export function formatTarget(target) {
+  return target.type === 'channel' ? target.id : `${target.type}:${target.id}`;
+}
+
+/**
+ * Validate a contact from config
+ * @param {Object} contact - Contact from config
+ * @param {number} index - Position in the config, for error messages
+ * @returns {Object} - Contact with normalized methods
+ */
+export function compileContact(contact, index) {
+  if (!contact || typeof contact.id !== 'string' || contact.id === '') {
+    throw new Error(`Contact ${index}: id must be a non-empty string`);
+  }
+
+  const label = `Contact ${contact.id}`;
+  if (!Array.isArray(contact.methods) || contact.methods.length === 0) {
+    throw new Error(`${label}: methods must be a non-empty array`);
+  }
+
+  const methods = contact.methods.map((method, methodIndex) => {
+    if (!method || typeof method.channel !== 'string' || method.channel === '') {
+      throw new Error(`${label}: method ${methodIndex} needs a channel id`);
+    }
+    if (method.config !== undefined && (typeof method.config !== 'object' || Array.isArray(method.config))) {
+      throw new Error(`${label}: method ${methodIndex} config must be an object`);
+    }
+    return { channel: method.channel, config: method.config || {} };
+  });
+
+  return { id: contact.id, name: contact.name || contact.id, methods };
+}
@@ -0,0 +1,262 @@
+/**
+ * Groups alerts and paces notifications to external channels
+ *
+ * Alerts are collected into aggregation groups keyed by the route they
+ * matched and the values of that route's `group_by` labels. A new group
+ * waits `group_wait` before its first notification so related alerts arrive
+ * together; afterwards the group is checked every `group_interval` and
+ * notified when alerts were added or resolved, or when `repeat_interval` has
+ * passed since the last notification.
+ */
+
+import { getAlertMatchLabels } from './matchers.js';
+import { compileRoute, matchRoutes } from './routing.js';
+import { seriesKey } from './series-buffer.js';
+
+// `group_by: ['...']` groups by every label, i.e. one group per alert
+const GROUP_BY_ALL = '...';
+
+/**
+ * Get the labels an alert is grouped by on a route
+ * @param {Object} route - Compiled route
+ * @param {Object} alert - Alert object
+ * @returns {Object} - Group labels
+ */
+export function getGroupLabels(route, alert) {
+  const labels = getAlertMatchLabels(alert);
+  const names = route.group_by.includes(GROUP_BY_ALL) ? Object.keys(labels) : route.group_by;
+
+  const groupLabels = {};
+  for (const name of names) {
+    if (labels[name] !== undefined) {
+      groupLabels[name] = labels[name];
+    }
+  }
+  return groupLabels;
+}
+
+/**
+ * Get the labels or annotations shared by every alert
+ * @param {Array} alerts - Alerts
+ * @param {string} field - labels or annotations
+ * @returns {Object} - Common values
+ */
+function getCommonValues(alerts, field) {
+  if (alerts.length === 0) {
+    return {};
+  }
+
+  const [first, ...rest] = alerts.map((alert) => alert[field] || {});
+  const common = { ...first };
+
+  for (const labels of rest) {
+    for (const name of Object.keys(common)) {
+      if (labels[name] !== common[name]) {
+        delete common[name];
+      }
+    }
+  }
+  return common;
+}
+
+export class NotificationDispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {Function} options.notify - Async callback receiving a grouped notification
+   * @param {Function} [options.isMuted] - Returns true for alerts that must not be notified
+   * @param {Object} [options.logger] - Logger for delivery errors
+   */
+  constructor(options) {
+    this.notify = options.notify;
+    this.isMuted = options.isMuted || (() => false);
+    this.logger = options.logger || console;
+    this.route = compileRoute();
+    this.groups = new Map(); // Key: group key, Value: aggregation group
+  }
+
+  /**
+   * Replace the routing tree
+   * @param {Object} route - Root route config
+   */
+  setRoute(route) {
+    this.route = compileRoute(route);
+  }
+
+  /**
+   * Get the routes an alert is dispatched on
+   * @param {Object} alert - Alert object
+   * @returns {Array} - Compiled routes
+   */
+  getRoutes(alert) {
+    return matchRoutes(this.route, getAlertMatchLabels(alert));
+  }
+
+  /**
+   * Add a firing or resolved alert to its groups
+   * @param {Object} alert - Alert object
+   */
+  add(alert) {
+    for (const route of this.getRoutes(alert)) {
+      const labels = getGroupLabels(route, alert);
+      const key = `${route.id}:${seriesKey('', labels)}`;
+      let group = this.groups.get(key);
+
+      if (!group) {
+        group = {
+          key,
+          labels,
+          route,
+          alerts: new Map(), // Key: fingerprint, Value: latest alert state
+          notifiedFiring: new Set(),
+          lastNotifiedAt: null,
+          timer: null
+        };
+        this.groups.set(key, group);
+        this.schedule(group, route.groupWaitMs);
+      }
+
+      group.alerts.set(alert.fingerprint || alert.id, alert);
+    }
+  }
+
+  /**
+   * Replace the state of an alert already in a group, e.g. after it gained
+   * annotations, without starting new groups for it
+   * @param {Object} alert - Alert object
+   */
+  update(alert) {
+    const fingerprint = alert.fingerprint || alert.id;
+    for (const group of this.groups.values()) {
+      if (group.alerts.has(fingerprint)) {
+        group.alerts.set(fingerprint, alert);
+      }
+    }
+  }
+
+  /**
+   * Schedule the next flush of a group
+   * @param {Object} group - Aggregation group
+   * @param {number} delayMs - Delay in milliseconds
+   */
+  schedule(group, delayMs) {
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => {
+      this.flush(group).catch((error) => {
+        this.logger.error('Error flushing notification group', { groupKey: group.key, error: error.message });
+      });
+    }, delayMs);
+
+    // Pending notifications should not keep the process alive on shutdown
+    if (group.timer.unref) {
+      group.timer.unref();
+    }
+  }
+
+  /**
+   * Notify a group if anything changed or the repeat interval passed
+   * @param {Object} group - Aggregation group
+   * @returns {Promise<Object|null>} - The notification sent, if any
+   */
+  async flush(group) {
+    const now = Date.now();
+    const firing = [];
+    const resolved = [];
+    const mutedFiring = [];
+
+    for (const [fingerprint, alert] of group.alerts) {
+      if (alert.status === 'resolved') {
+        // Only tell channels about resolutions of alerts they have seen
+        // firing, but do so even if the alert is muted by now
+        if (group.notifiedFiring.has(fingerprint)) {
+          resolved.push(alert);
+        }
+      } else if (alert.status === 'firing') {
+        (this.isMuted(alert) ? mutedFiring : firing).push(alert);
+      }
+    }
+
+    const hasNewAlerts = firing.some((alert) => !group.notifiedFiring.has(alert.fingerprint || alert.id));
+    const repeatDue = group.lastNotifiedAt !== null &&
+      now - group.lastNotifiedAt >= group.route.repeatIntervalMs;
+    let notification = null;
+
+    if (hasNewAlerts || resolved.length > 0 || (repeatDue && firing.length > 0)) {
+      const alerts = [...firing, ...resolved];
+      notification = {
+        groupKey: group.key,
+        groupLabels: { ...group.labels },
+        route: group.route.id,
+        receivers: group.route.receivers,
+        status: firing.length > 0 ? 'firing' : 'resolved',
+        alerts,
+        counts: { firing: firing.length, resolved: resolved.length },
+        commonLabels: getCommonValues(alerts, 'labels'),
+        commonAnnotations: getCommonValues(alerts, 'annotations'),
+        timestamp: new Date(now)
+      };
+
+      group.lastNotifiedAt = now;
+      // Muted alerts seen firing before still need their resolution sent
+      group.notifiedFiring = new Set([
+        ...firing.map((alert) => alert.fingerprint || alert.id),
+        ...mutedFiring.map((alert) => alert.fingerprint || alert.id).filter((id) => group.notifiedFiring.has(id))
+      ]);
+
+      try {
+        await this.notify(notification, group.route);
+      } catch (error) {
+        this.logger.error('Error sending group notification', { groupKey: group.key, error: error.message });
+      }
+    }
+
+    // Resolved alerts leave the group once they have been dealt with
+    for (const [fingerprint, alert] of group.alerts) {
+      if (alert.status === 'resolved') {
+        group.alerts.delete(fingerprint);
+        group.notifiedFiring.delete(fingerprint);
+      }
+    }
+
+    // Empty groups and groups of muted alerts nobody saw firing have nothing
+    // to send; an alert that is unmuted is added again
+    const idle = Array.from(group.alerts).every(([fingerprint, alert]) =>
+      this.isMuted(alert) && !group.notifiedFiring.has(fingerprint));
+
+    if (idle) {
+      clearTimeout(group.timer);
+      this.groups.delete(group.key);
+    } else {
+      this.schedule(group, group.route.groupIntervalMs);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Get a summary of the current aggregation groups
+   * @returns {Array} - Groups with their alert counts
+   */
+  getGroups() {
+    return Array.from(this.groups.values()).map((group) => {
+      const alerts = Array.from(group.alerts.values());
+      return {
+        groupKey: group.key,
+        groupLabels: group.labels,
+        route: group.route.id,
+        firing: alerts.filter((alert) => alert.status === 'firing').length,
+        resolved: alerts.filter((alert) => alert.status === 'resolved').length,
+        lastNotifiedAt: group.lastNotifiedAt ? new Date(group.lastNotifiedAt) : null
+      };
+    });
+  }
+
+  /**
+   * Cancel all pending flushes and drop the groups
+   */
+  stop() {
+    for (const group of this.groups.values()) {
+      clearTimeout(group.timer);
+    }
+    this.groups.clear();
+  }
+}
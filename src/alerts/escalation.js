@@ -0,0 +1,248 @@
+/**
+ * Escalation policies
+ *
+ * A policy applies to the alerts matching its `matchers` (the first matching
+ * policy wins) and has ordered steps. Once an alert fires, each step waits
+ * its `delay` after the previous one and then notifies its targets, as long
+ * as the alert is still firing and nobody acknowledged it. Acknowledging or
+ * resolving the alert ends its escalation.
+ *
+ * Targets are channel ids, named contacts written as `user:<contact id>` or
+ * on-call schedules written as `schedule:<schedule id>`.
+ */
+
+import { parseMatchers, serializeMatcher, alertMatches } from './matchers.js';
+import { parseDuration } from '../utils/duration.js';
+import { parseTarget, formatTarget } from './contacts.js';
+
+/**
+ * Validate an escalation policy and compile its matchers and delays
+ * @param {Object} policy - Policy from config
+ * @param {number} index - Position in the config, for error messages
+ * @returns {Object} - Compiled policy
+ */
+export function compileEscalationPolicy(policy, index) {
+  const id = policy?.id || `escalation_${index}`;
+  const label = `Escalation policy ${id}`;
+
+  if (!policy || !Array.isArray(policy.steps) || policy.steps.length === 0) {
+    throw new Error(`${label}: steps must be a non-empty array`);
+  }
+  if (policy.matchers !== undefined && !Array.isArray(policy.matchers)) {
+    throw new Error(`${label}: matchers must be an array`);
+  }
+
+  try {
+    const steps = policy.steps.map((step, stepIndex) => {
+      if (!step || !Array.isArray(step.targets) || step.targets.length === 0) {
+        throw new Error(`step ${stepIndex + 1}: targets must be a non-empty array`);
+      }
+
+      let delayMs;
+      try {
+        delayMs = parseDuration(step.delay || 0);
+      } catch (error) {
+        throw new Error(`step ${stepIndex + 1}: delay: ${error.message}`);
+      }
+
+      return {
+        delay: step.delay || '0s',
+        delayMs,
+        targets: step.targets.map(parseTarget)
+      };
+    });
+
+    return {
+      id,
+      name: policy.name || id,
+      matchers: parseMatchers(policy.matchers || []),
+      steps
+    };
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a compiled policy to its API form
+ * @param {Object} policy - Compiled policy
+ * @returns {Object} - Serializable policy
+ */
+export function serializeEscalationPolicy(policy) {
+  return {
+    id: policy.id,
+    name: policy.name,
+    matchers: policy.matchers.map(serializeMatcher),
+    steps: policy.steps.map((step) => ({
+      delay: step.delay,
+      targets: step.targets.map(formatTarget)
+    }))
+  };
+}
+
+/**
+ * Build the notification sent to the targets of an escalation step
+ * @param {Object} alert - Escalated alert
+ * @param {Object} policy - Compiled policy
+ * @param {number} stepIndex - Index of the step
+ * @returns {Object} - Notification shaped like the dispatcher's group notifications
+ */
+export function buildEscalationNotification(alert, policy, stepIndex) {
+  return {
+    groupKey: `escalation:${policy.id}:${alert.fingerprint || alert.id}`,
+    groupLabels: { alertname: alert.ruleName },
+    route: null,
+    receivers: null,
+    status: 'firing',
+    alerts: [alert],
+    counts: { firing: 1, resolved: 0 },
+    commonLabels: { ...alert.labels },
+    commonAnnotations: { ...alert.annotations },
+    escalation: { policyId: policy.id, step: stepIndex + 1, steps: policy.steps.length },
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Runs the escalation steps of firing alerts
+ */
+export class EscalationManager {
+  /**
+   * @param {Object} options - Escalation options
+   * @param {Function} options.notify - Async callback receiving the alert, policy and step index of a due step
+   * @param {Function} options.getAlert - Returns the current state of an alert by id
+   * @param {Object} [options.logger] - Logger for notification errors
+   */
+  constructor(options) {
+    this.notify = options.notify;
+    this.getAlert = options.getAlert;
+    this.logger = options.logger || console;
+    this.policies = [];
+    this.escalations = new Map(); // Key: alert id, Value: escalation state
+  }
+
+  /**
+   * Replace the escalation policies; running escalations keep their policy
+   * @param {Array} policies - Policies from config
+   */
+  setPolicies(policies = []) {
+    this.policies = policies.map(compileEscalationPolicy);
+  }
+
+  /**
+   * Get the policy that applies to an alert
+   * @param {Object} alert - Alert object
+   * @returns {Object|undefined} - First matching policy
+   */
+  getPolicy(alert) {
+    return this.policies.find((policy) => alertMatches(policy.matchers, alert));
+  }
+
+  /**
+   * Start escalating a firing alert
+   * @param {Object} alert - Alert object
+   * @returns {Object|null} - Escalation state, or null if no policy applies
+   */
+  start(alert) {
+    const existing = this.escalations.get(alert.id);
+    if (existing) {
+      return existing;
+    }
+
+    const policy = this.getPolicy(alert);
+    if (!policy) {
+      return null;
+    }
+
+    const state = { alertId: alert.id, policy, stepIndex: 0, nextStepAt: null, timer: null };
+    this.escalations.set(alert.id, state);
+    this.schedule(state);
+    return state;
+  }
+
+  /**
+   * Set the timer for the next step of an escalation
+   * @param {Object} state - Escalation state
+   */
+  schedule(state) {
+    const { delayMs } = state.policy.steps[state.stepIndex];
+    state.nextStepAt = new Date(Date.now() + delayMs);
+    state.timer = setTimeout(() => {
+      this.runStep(state).catch((error) => {
+        this.logger.error('Error running escalation step', { alertId: state.alertId, error: error.message });
+      });
+    }, delayMs);
+
+    // Escalations should not keep the process alive on shutdown
+    if (state.timer.unref) {
+      state.timer.unref();
+    }
+  }
+
+  /**
+   * Notify the targets of the due step and schedule the next one
+   * @param {Object} state - Escalation state
+   */
+  async runStep(state) {
+    state.timer = null;
+
+    const alert = this.getAlert(state.alertId);
+    if (!alert || alert.status !== 'firing' || alert.acknowledgedAt) {
+      this.stop(state.alertId);
+      return;
+    }
+
+    try {
+      await this.notify(alert, state.policy, state.stepIndex);
+    } catch (error) {
+      this.logger.error('Error sending escalation', {
+        alertId: state.alertId,
+        policyId: state.policy.id,
+        step: state.stepIndex + 1,
+        error: error.message
+      });
+    }
+
+    // The escalation may have been stopped while notifying
+    if (this.escalations.get(state.alertId) !== state) {
+      return;
+    }
+
+    state.stepIndex++;
+    if (state.stepIndex < state.policy.steps.length) {
+      this.schedule(state);
+    } else {
+      this.escalations.delete(state.alertId);
+    }
+  }
+
+  /**
+   * Get the escalation of an alert
+   * @param {string} alertId - Alert id
+   * @returns {Object|undefined} - Escalation state
+   */
+  get(alertId) {
+    return this.escalations.get(alertId);
+  }
+
+  /**
+   * Stop escalating an alert
+   * @param {string} alertId - Alert id
+   */
+  stop(alertId) {
+    const state = this.escalations.get(alertId);
+    if (state) {
+      clearTimeout(state.timer);
+      this.escalations.delete(alertId);
+    }
+  }
+
+  /**
+   * Stop every escalation
+   */
+  stopAll() {
+    for (const alertId of Array.from(this.escalations.keys())) {
+      this.stop(alertId);
+    }
+  }
+}
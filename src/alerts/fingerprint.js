@@ -0,0 +1,40 @@
+/**
+ * Stable identifiers for per-series alerts
+ *
+ * A rule produces one alert per matching label set. The fingerprint of the
+ * rule id plus the alert labels is used as the alert id, so the same series
+ * maps to the same alert across evaluations regardless of label order.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Build the label set of an alert from the series that triggered it
+ * @param {Object} rule - Alert rule
+ * @param {Object} seriesLabels - Labels of the matching series
+ * @returns {Object} - Series labels (without __name__) overlaid with the rule's labels
+ */
+export function buildAlertLabels(rule, seriesLabels = {}) {
+  const labels = { ...seriesLabels };
+  delete labels.__name__;
+  return { ...labels, ...(rule.labels || {}) };
+}
+
+/**
+ * Compute the fingerprint of an alert
+ * @param {string} ruleId - ID of the rule that produced the alert
+ * @param {Object} labels - Alert labels
+ * @returns {string} - 16 character hex fingerprint
+ */
+export function alertFingerprint(ruleId, labels = {}) {
+  const canonical = Object.keys(labels)
+    .sort()
+    .map((name) => `${name}=${JSON.stringify(String(labels[name]))}`)
+    .join(',');
+
+  return crypto
+    .createHash('sha256')
+    .update(`${ruleId}{${canonical}}`)
+    .digest('hex')
+    .slice(0, 16);
+}
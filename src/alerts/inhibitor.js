@@ -0,0 +1,102 @@
+/**
+ * Alertmanager-style inhibition
+ *
+ * While an alert matching an inhibition rule's `source_matchers` is firing,
+ * alerts matching its `target_matchers` that have the same values for every
+ * label in `equal` are inhibited: they stay tracked but are not notified.
+ */
+
+import { parseMatchers, getAlertMatchLabels } from './matchers.js';
+import { matchLabels } from './query-parser.js';
+
+/**
+ * Validate an inhibition rule and compile its matchers
+ * @param {Object} rule - Inhibition rule from config
+ * @param {number} index - Position in the config, for error messages
+ * @returns {Object} - Compiled inhibition rule
+ */
+export function compileInhibitRule(rule, index) {
+  const label = `Inhibit rule ${rule?.id || index}`;
+
+  if (!rule || !Array.isArray(rule.source_matchers) || rule.source_matchers.length === 0) {
+    throw new Error(`${label}: source_matchers must be a non-empty array`);
+  }
+  if (!Array.isArray(rule.target_matchers) || rule.target_matchers.length === 0) {
+    throw new Error(`${label}: target_matchers must be a non-empty array`);
+  }
+  if (rule.equal !== undefined && !Array.isArray(rule.equal)) {
+    throw new Error(`${label}: equal must be an array of label names`);
+  }
+
+  try {
+    return {
+      id: rule.id || `inhibit_${index}`,
+      sourceMatchers: parseMatchers(rule.source_matchers),
+      targetMatchers: parseMatchers(rule.target_matchers),
+      equal: rule.equal || []
+    };
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Evaluates inhibition rules against the active alerts
+ */
+export class Inhibitor {
+  constructor() {
+    this.rules = [];
+  }
+
+  /**
+   * Replace the inhibition rules
+   * @param {Array} rules - Inhibition rules from config
+   */
+  setRules(rules = []) {
+    this.rules = rules.map(compileInhibitRule);
+  }
+
+  /**
+   * Get the firing alerts that inhibit an alert
+   * @param {Object} alert - Alert to check
+   * @param {Array} activeAlerts - Currently active alerts
+   * @returns {Array<string>} - IDs of the inhibiting alerts
+   */
+  getInhibitingIds(alert, activeAlerts) {
+    if (this.rules.length === 0) {
+      return [];
+    }
+
+    const targetLabels = getAlertMatchLabels(alert);
+    const inhibitingIds = new Set();
+
+    for (const rule of this.rules) {
+      if (!matchLabels(rule.targetMatchers, targetLabels)) {
+        continue;
+      }
+
+      for (const source of activeAlerts) {
+        // An alert never inhibits itself, even if it matches both sides
+        if (source.id === alert.id || source.status !== 'firing') {
+          continue;
+        }
+
+        const sourceLabels = getAlertMatchLabels(source);
+        if (!matchLabels(rule.sourceMatchers, sourceLabels)) {
+          continue;
+        }
+
+        // Labels missing on both sides count as equal, as in Alertmanager
+        const equal = rule.equal.every((name) =>
+          (sourceLabels[name] ?? '') === (targetLabels[name] ?? '')
+        );
+
+        if (equal) {
+          inhibitingIds.add(source.id);
+        }
+      }
+    }
+
+    return Array.from(inhibitingIds);
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Recurring maintenance windows
+ *
+ * A window opens every time its cron `schedule` fires (in its `timezone`)
+ * and stays open for `duration`. While open it either skips evaluation of
+ * the rules it targets or suppresses their notifications. Rules are
+ * targeted by id (`rule_ids`) or by label matchers (`matchers`); a window
+ * with neither applies to every rule.
+ */
+
+import fs from 'fs/promises';
+import { parseDuration } from '../utils/duration.js';
+import { parseCron, previousCronTime, nextCronTime, isValidTimeZone } from '../utils/cron.js';
+import { parseMatchers, serializeMatcher, getAlertMatchLabels, getRuleMatchLabels } from './matchers.js';
+import { matchLabels } from './query-parser.js';
+
+export const MAINTENANCE_ACTIONS = ['skip_evaluation', 'suppress_notifications'];
+
+/**
+ * Validate a maintenance window definition and precompute its schedule
+ * @param {Object} window - Window definition from config
+ * @returns {Object} - Compiled window
+ */
+export function compileMaintenanceWindow(window) {
+  const id = window?.id;
+  if (!id) {
+    throw new Error('Maintenance window is missing an id');
+  }
+
+  const action = window.action || 'suppress_notifications';
+  if (!MAINTENANCE_ACTIONS.includes(action)) {
+    throw new Error(`Maintenance window ${id}: action must be one of ${MAINTENANCE_ACTIONS.join(', ')}`);
+  }
+
+  const timezone = window.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Maintenance window ${id}: unknown timezone "${timezone}"`);
+  }
+
+  let schedule;
+  let durationMs;
+  let matchers;
+  try {
+    schedule = parseCron(window.schedule);
+    durationMs = parseDuration(window.duration);
+    matchers = parseMatchers(window.matchers || []);
+  } catch (error) {
+    throw new Error(`Maintenance window ${id}: ${error.message}`);
+  }
+
+  if (durationMs <= 0) {
+    throw new Error(`Maintenance window ${id}: duration must be greater than zero`);
+  }
+
+  return {
+    ...window,
+    action,
+    timezone,
+    enabled: window.enabled !== false,
+    rule_ids: window.rule_ids || [],
+    compiled: { schedule, matchers, durationMs }
+  };
+}
+
+/**
+ * Store of maintenance windows loaded from a JSON file
+ */
+export class MaintenanceWindows {
+  /**
+   * @param {string} filePath - Path of the maintenance windows file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.windows = [];
+    this.activeWindows = null; // Open windows found by the last refresh
+  }
+
+  /**
+   * Load windows from disk; a missing file means no windows
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.windows = [];
+        this.activeWindows = null;
+        return;
+      }
+      throw error;
+    }
+
+    const windows = Array.isArray(data) ? data : (data.windows || []);
+    this.windows = windows.map(compileMaintenanceWindow);
+    this.activeWindows = null;
+  }
+
+  /**
+   * Get the occurrence of a window that is open at a point in time, without
+   * looking for the next one
+   * @param {Object} window - Compiled window
+   * @param {number} now - Current time in milliseconds
+   * @returns {{active: boolean, startsAt: Date, endsAt: Date}|null} - Current occurrence, null if the window is closed
+   */
+  getCurrentState(window, now) {
+    if (!window.enabled) {
+      return null;
+    }
+
+    const startedAt = previousCronTime(window.compiled.schedule, now, {
+      timeZone: window.timezone,
+      lookbackMs: window.compiled.durationMs
+    });
+    if (startedAt === null || now >= startedAt + window.compiled.durationMs) {
+      return null;
+    }
+    return {
+      active: true,
+      startsAt: new Date(startedAt),
+      endsAt: new Date(startedAt + window.compiled.durationMs)
+    };
+  }
+
+  /**
+   * Work out whether a window is open at a point in time
+   * @param {Object} window - Compiled window
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{active: boolean, startsAt: Date|null, endsAt: Date|null}} - Current or next occurrence
+   */
+  getWindowState(window, now = Date.now()) {
+    const current = this.getCurrentState(window, now);
+    if (current) {
+      return current;
+    }
+
+    const nextStart = window.enabled ? nextCronTime(window.compiled.schedule, now, { timeZone: window.timezone }) : null;
+    return {
+      active: false,
+      startsAt: nextStart !== null ? new Date(nextStart) : null,
+      endsAt: nextStart !== null ? new Date(nextStart + window.compiled.durationMs) : null
+    };
+  }
+
+  /**
+   * Check whether a window targets a rule or alert
+   * @param {Object} window - Compiled window
+   * @param {string} ruleId - Rule ID
+   * @param {Object} labels - Labels to match the window's matchers against
+   * @returns {boolean} - Whether the window applies
+   */
+  targets(window, ruleId, labels) {
+    const hasRuleIds = window.rule_ids.length > 0;
+    const hasMatchers = window.compiled.matchers.length > 0;
+
+    if (!hasRuleIds && !hasMatchers) {
+      return true;
+    }
+
+    return (hasRuleIds && window.rule_ids.includes(ruleId)) ||
+      (hasMatchers && matchLabels(window.compiled.matchers, labels));
+  }
+
+  /**
+   * Get the windows that are open right now
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Array} - Compiled windows with their current state
+   */
+  getActiveWindows(now = Date.now()) {
+    return this.windows
+      .map((window) => ({ window, state: this.getCurrentState(window, now) }))
+      .filter(({ state }) => state !== null);
+  }
+
+  /**
+   * Find the windows that are open right now and keep them for the lookups
+   * that follow, e.g. those of one metrics ingest
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Array} - Compiled windows with their current state
+   */
+  refreshActiveWindows(now = Date.now()) {
+    this.activeWindows = this.getActiveWindows(now);
+    return this.activeWindows;
+  }
+
+  /**
+   * Get the open windows at a point in time, or those of the last refresh
+   * @param {number} [now] - Time in milliseconds; the last refresh is used without one
+   * @returns {Array} - Compiled windows with their current state
+   */
+  getOpenWindows(now) {
+    if (now !== undefined) {
+      return this.getActiveWindows(now);
+    }
+    return this.activeWindows || this.refreshActiveWindows();
+  }
+
+  /**
+   * Find an open window that skips evaluation of a rule
+   * @param {Object} rule - Alert rule
+   * @param {number} [now] - Current time in milliseconds, the time of the last refresh by default
+   * @returns {Object|null} - Matching window
+   */
+  findRuleWindow(rule, now) {
+    const labels = getRuleMatchLabels(rule);
+    const match = this.getOpenWindows(now).find(({ window }) =>
+      window.action === 'skip_evaluation' && this.targets(window, rule.id, labels)
+    );
+    return match ? match.window : null;
+  }
+
+  /**
+   * Find an open window that suppresses notifications for an alert
+   * @param {Object} alert - Alert object
+   * @param {number} [now] - Current time in milliseconds, the time of the last refresh by default
+   * @returns {Object|null} - Matching window
+   */
+  findAlertWindow(alert, now) {
+    const labels = getAlertMatchLabels(alert);
+    const match = this.getOpenWindows(now).find(({ window }) =>
+      window.action === 'suppress_notifications' && this.targets(window, alert.ruleId, labels)
+    );
+    return match ? match.window : null;
+  }
+
+  /**
+   * Convert a window to its API form
+   * @param {Object} window - Compiled window
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object} - Serializable window including its current state
+   */
+  serialize(window, now = Date.now()) {
+    const { compiled, ...rest } = window;
+    const state = this.getWindowState(window, now);
+
+    return {
+      ...rest,
+      matchers: compiled.matchers.map(serializeMatcher),
+      active: state.active,
+      // While active these describe the current occurrence, otherwise the next one
+      startsAt: state.startsAt,
+      endsAt: state.endsAt
+    };
+  }
+
+  /**
+   * List all windows
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Array} - Windows in API form
+   */
+  list(now = Date.now()) {
+    return this.windows.map((window) => this.serialize(window, now));
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Label matchers shared by silences, inhibition rules and routing
+ *
+ * Matchers can be given in Alertmanager's object form
+ * (`{ name: 'core', value: 'core-[03]', isRegex: true, isEqual: true }`) or
+ * as strings (`core=~"core-[03]"`, `severity!="info"`).
+ */
+
+import { createMatcher, matchLabels } from './query-parser.js';
+
+const MATCHER_PATTERN = /^\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*(=~|!~|!=|=)\s*(?:"((?:[^"\\]|\\.)*)"|(\S*))\s*$/;
+
+/**
+ * Parse a single matcher
+ * @param {string|Object} matcher - Matcher string or object
+ * @returns {{name: string, type: string, value: string, regex?: RegExp}} - Compiled matcher
+ */
+export function parseMatcher(matcher) {
+  if (typeof matcher === 'string') {
+    const match = matcher.match(MATCHER_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid matcher: ${matcher}`);
+    }
+
+    const value = match[3] !== undefined ? match[3].replace(/\\(.)/g, '$1') : match[4];
+    return createMatcher(match[1], match[2], value);
+  }
+
+  if (!matcher || typeof matcher !== 'object' || !matcher.name) {
+    throw new Error('Matcher must be a string or an object with a name');
+  }
+
+  if (matcher.value === undefined || matcher.value === null) {
+    throw new Error(`Matcher "${matcher.name}" has no value`);
+  }
+
+  const isEqual = matcher.isEqual !== false;
+  const type = matcher.isRegex ? (isEqual ? '=~' : '!~') : (isEqual ? '=' : '!=');
+
+  return createMatcher(matcher.name, type, String(matcher.value));
+}
+
+/**
+ * Parse a list of matchers
+ * @param {Array<string|Object>} matchers - Matchers
+ * @returns {Array<Object>} - Compiled matchers
+ */
+export function parseMatchers(matchers = []) {
+  if (!Array.isArray(matchers)) {
+    throw new Error('Matchers must be an array');
+  }
+
+  return matchers.map(parseMatcher);
+}
+
+/**
+ * Convert a compiled matcher back to Alertmanager's object form
+ * @param {Object} matcher - Compiled matcher
+ * @returns {{name: string, value: string, isRegex: boolean, isEqual: boolean}} - Serializable matcher
+ */
+export function serializeMatcher(matcher) {
+  return {
+    name: matcher.name,
+    value: matcher.value,
+    isRegex: matcher.type === '=~' || matcher.type === '!~',
+    isEqual: matcher.type === '=' || matcher.type === '=~'
+  };
+}
+
+/**
+ * Get the label set matchers are evaluated against
+ *
+ * Besides its own labels, an alert exposes `alertname`, `rule_id` and
+ * `severity` so they can be matched like any other label.
+ * @param {Object} alert - Alert object
+ * @returns {Object} - Labels to match against
+ */
+export function getAlertMatchLabels(alert) {
+  return {
+    alertname: alert.ruleName,
+    rule_id: alert.ruleId,
+    severity: alert.severity,
+    ...(alert.labels || {})
+  };
+}
+
+/**
+ * Get the label set matchers are evaluated against for a rule, mirroring
+ * what the rule's alerts expose before series labels are added
+ * @param {Object} rule - Alert rule
+ * @returns {Object} - Labels to match against
+ */
+export function getRuleMatchLabels(rule) {
+  return {
+    alertname: rule.name,
+    rule_id: rule.id,
+    severity: rule.severity,
+    ...(rule.labels || {})
+  };
+}
+
+/**
+ * Check whether an alert satisfies every matcher
+ * @param {Array<Object>} matchers - Compiled matchers
+ * @param {Object} alert - Alert object
+ * @returns {boolean} - Whether all matchers match
+ */
+export function alertMatches(matchers, alert) {
+  return matchLabels(matchers, getAlertMatchLabels(alert));
+}
@@ -0,0 +1,274 @@
+/**
+ * SMTP email notifications
+ *
+ * Firing alerts are mailed as soon as their group is notified, one email per
+ * group with a section per alert. Resolved notices are collected for
+ * `resolved_batch_wait` and mailed together so a recovering incident does
+ * not flood inboxes with one "resolved" email per alert. The caller may queue
+ * the batch itself, e.g. in the notification outbox; otherwise it is kept in
+ * memory.
+ */
+
+import nodemailer from 'nodemailer';
+import { parseDuration } from '../../utils/duration.js';
+import { renderTemplate } from '../../utils/template.js';
+import {
+  buildAlertContext,
+  buildNotificationContext,
+  formatGroupTitle,
+  getAlertColor,
+  getAlertDuration
+} from './format.js';
+
+const DEFAULT_SUBJECT_TEMPLATE = '[{{alert.severity | uppercase}}] {{alert.name}}';
+const DEFAULT_BODY_TEMPLATE = 'Alert: {{alert.name}}\nSeverity: {{alert.severity}}\nStatus: {{alert.status}}\n' +
+  'Start: {{alert.startsAt}}\n\n{{alert.annotations.description}}';
+const DEFAULT_RESOLVED_BATCH_WAIT = '5m';
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build nodemailer transport options from a channel config, falling back to
+ * the EMAIL_* environment variables
+ * @param {Object} config - Email channel config
+ * @returns {Object} - Transport options
+ */
+export function buildTransportOptions(config = {}) {
+  const smtp = config.smtp || {};
+  const port = Number(smtp.port || process.env.EMAIL_SMTP_PORT || 587);
+  const user = smtp.auth?.user ?? process.env.EMAIL_USER;
+  const pass = smtp.auth?.pass ?? process.env.EMAIL_PASSWORD;
+
+  return {
+    host: smtp.host || process.env.EMAIL_SMTP_HOST || 'localhost',
+    port,
+    // Implicit TLS on 465; otherwise STARTTLS is used when the server offers it
+    secure: smtp.secure ?? port === 465,
+    requireTLS: smtp.require_tls === true,
+    ignoreTLS: smtp.ignore_tls === true,
+    tls: { rejectUnauthorized: smtp.reject_unauthorized !== false },
+    auth: user ? { user, pass } : undefined
+  };
+}
+
+/**
+ * Render the subject of an email about some alerts
+ *
+ * The subject template sees the first alert as `alert` and all of them as
+ * `alerts`, like other group-level templates.
+ * @param {Array} alerts - Alerts in the email
+ * @param {Object} config - Email channel config
+ * @param {Object} [groupLabels] - Labels of the group the alerts belong to
+ * @returns {string} - Subject line
+ */
+function renderSubject(alerts, config, groupLabels = {}) {
+  const firing = alerts.filter((alert) => alert.status === 'firing').length;
+  const subject = renderTemplate(
+    config.subject_template || DEFAULT_SUBJECT_TEMPLATE,
+    buildNotificationContext({
+      status: firing > 0 ? 'firing' : 'resolved',
+      counts: { firing, resolved: alerts.length - firing },
+      groupLabels,
+      alerts
+    })
+  );
+  return alerts.length > 1 ? `${subject} (+${alerts.length - 1} more)` : subject;
+}
+
+/**
+ * Render the plain-text and HTML bodies of an email about some alerts
+ * @param {string} title - Heading of the email
+ * @param {Array} alerts - Alerts in the email
+ * @param {Object} config - Email channel config
+ * @returns {{text: string, html: string}} - Bodies
+ */
+export function renderEmailBodies(title, alerts, config = {}) {
+  const sections = alerts.map((alert) => {
+    let text = renderTemplate(config.body_template || DEFAULT_BODY_TEMPLATE, buildAlertContext(alert));
+    if (alert.status === 'resolved') {
+      text += `\n\nResolved after ${getAlertDuration(alert)}`;
+    } else if (alert.annotations?.recommendations) {
+      text += `\n\nAI recommendations:\n${alert.annotations.recommendations}`;
+    }
+
+    const labels = Object.entries(alert.labels || {});
+    return { alert, text, labels };
+  });
+
+  const text = [
+    title,
+    ...sections.map(({ text: body, labels }) => {
+      const labelText = labels.map(([name, value]) => `${name}=${value}`).join(', ');
+      return labelText ? `${body}\nLabels: ${labelText}` : body;
+    })
+  ].join('\n\n----------------------------------------\n\n');
+
+  const html = [
+    `<h2 style="font-family:sans-serif">${escapeHtml(title)}</h2>`,
+    ...sections.map(({ alert, text: body, labels }) => {
+      const labelRows = labels
+        .map(([name, value]) => `<tr><td><b>${escapeHtml(name)}</b></td><td>${escapeHtml(value)}</td></tr>`)
+        .join('');
+      return `<div style="border-left:4px solid ${getAlertColor(alert)};padding:8px 12px;margin:12px 0;font-family:sans-serif">` +
+        `<div style="white-space:pre-wrap">${escapeHtml(body)}</div>` +
+        (labelRows ? `<table style="margin-top:8px;font-size:12px">${labelRows}</table>` : '') +
+        '</div>';
+    })
+  ].join('\n');
+
+  return { text, html };
+}
+
+/**
+ * Sends the notifications of one email channel
+ */
+export class EmailNotifier {
+  /**
+   * @param {Object} channel - Email notification channel
+   * @param {Object} [options] - Notifier options
+   * @param {Object} [options.transport] - Nodemailer transport, created from the channel config by default
+   * @param {Object} [options.logger] - Logger for batch delivery errors
+   */
+  constructor(channel, options = {}) {
+    this.channel = channel;
+    this.config = channel.config || {};
+    this.transport = options.transport || nodemailer.createTransport(buildTransportOptions(this.config));
+    this.logger = options.logger || console;
+    this.resolvedBatchWaitMs = parseDuration(this.config.resolved_batch_wait ?? DEFAULT_RESOLVED_BATCH_WAIT);
+    this.resolvedBatch = new Map(); // Key: fingerprint, Value: resolved alert
+    this.batchTimer = null;
+  }
+
+  /**
+   * Get the recipients of the channel
+   * @returns {Array<string>} - Email addresses
+   */
+  getRecipients() {
+    const recipients = this.config.recipients ||
+      (process.env.EMAIL_RECIPIENTS ? process.env.EMAIL_RECIPIENTS.split(',').map((r) => r.trim()) : []);
+
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error(`Email channel ${this.channel.id} has no recipients`);
+    }
+    return recipients;
+  }
+
+  /**
+   * Send one email
+   * @param {string} subject - Subject line
+   * @param {string} title - Heading of the email
+   * @param {Array} alerts - Alerts in the email
+   * @returns {Promise<Object>} - Nodemailer delivery info
+   */
+  async sendMail(subject, title, alerts) {
+    const { text, html } = renderEmailBodies(title, alerts, this.config);
+
+    return this.transport.sendMail({
+      from: this.config.from || process.env.EMAIL_USER,
+      to: this.getRecipients().join(', '),
+      subject,
+      text,
+      html
+    });
+  }
+
+  /**
+   * Email a group notification; resolved alerts join the resolved batch
+   * @param {Object} notification - Group notification from the dispatcher
+   * @param {Object} [options] - Send options
+   * @param {Function} [options.queueResolved] - Async callback receiving the resolved alerts and the batch wait
+   *   in milliseconds, to queue them for sendResolved instead of batching them in memory
+   * @returns {Promise<Object|null>} - Delivery info of the email sent straight away, if any
+   */
+  async send(notification, options = {}) {
+    // Fail before queueing anything if the channel cannot deliver at all
+    this.getRecipients();
+
+    const firing = notification.alerts.filter((alert) => alert.status === 'firing');
+    const resolved = notification.alerts.filter((alert) => alert.status === 'resolved');
+
+    if (this.resolvedBatchWaitMs === 0) {
+      return this.sendMail(
+        renderSubject(notification.alerts, this.config, notification.groupLabels),
+        formatGroupTitle(notification),
+        notification.alerts
+      );
+    }
+
+    if (options.queueResolved) {
+      if (resolved.length > 0) {
+        await options.queueResolved(resolved, this.resolvedBatchWaitMs);
+      }
+    } else {
+      for (const alert of resolved) {
+        this.resolvedBatch.set(alert.fingerprint || alert.id, alert);
+      }
+    }
+    if (this.resolvedBatch.size > 0 && !this.batchTimer) {
+      this.batchTimer = setTimeout(() => {
+        this.flushResolved().catch((error) => {
+          this.logger.error('Error sending resolved email batch', { channelId: this.channel.id, error: error.message });
+        });
+      }, this.resolvedBatchWaitMs);
+      if (this.batchTimer.unref) {
+        this.batchTimer.unref();
+      }
+    }
+
+    if (firing.length === 0) {
+      return null;
+    }
+
+    const title = formatGroupTitle({ ...notification, status: 'firing', counts: { firing: firing.length, resolved: 0 } });
+    return this.sendMail(renderSubject(firing, this.config, notification.groupLabels), title, firing);
+  }
+
+  /**
+   * Email every queued resolved notice at once
+   * @returns {Promise<Object|null>} - Delivery info, or null when nothing was queued
+   */
+  async flushResolved() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+
+    const alerts = Array.from(this.resolvedBatch.values());
+    this.resolvedBatch.clear();
+    return this.sendResolved(alerts);
+  }
+
+  /**
+   * Email a batch of resolved notices
+   * @param {Array} alerts - Resolved alerts
+   * @returns {Promise<Object|null>} - Delivery info, or null without alerts
+   */
+  async sendResolved(alerts) {
+    if (alerts.length === 0) {
+      return null;
+    }
+
+    const subject = alerts.length === 1
+      ? `[RESOLVED] ${renderSubject(alerts, this.config)}`
+      : `[RESOLVED] ${alerts.length} alerts resolved`;
+    return this.sendMail(subject, `[RESOLVED:${alerts.length}]`, alerts);
+  }
+
+  /**
+   * Cancel the pending resolved batch
+   */
+  stop() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    this.resolvedBatch.clear();
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Formatting helpers shared by the external notification channels
+ */
+
+import { formatDuration } from '../../utils/duration.js';
+
+// Alert severity levels
+export const SEVERITY_LEVELS = {
+  info: 0,
+  warning: 1,
+  error: 2,
+  critical: 3
+};
+
+// Colours used for alert severities by chat integrations
+export const SEVERITY_COLORS = {
+  critical: '#D32F2F',
+  error: '#F57C00',
+  warning: '#FBC02D',
+  info: '#1976D2'
+};
+
+export const RESOLVED_COLOR = '#2E7D32';
+
+const DEFAULT_DASHBOARD_URL = 'http://localhost:3000';
+
+/**
+ * Get the colour for an alert, green once it is resolved
+ * @param {Object} alert - Alert object
+ * @returns {string} - Hex colour
+ */
+export function getAlertColor(alert) {
+  if (alert.status === 'resolved') {
+    return RESOLVED_COLOR;
+  }
+  return SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info;
+}
+
+/**
+ * Get the dashboard address links in notifications point to
+ * @param {Object} [config] - Channel config, may set `dashboard_url`
+ * @returns {string} - Dashboard base URL without a trailing slash
+ */
+export function getDashboardUrl(config = {}) {
+  return (config.dashboard_url || process.env.DASHBOARD_URL || DEFAULT_DASHBOARD_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Get the dashboard link of an alert
+ * @param {string} dashboardUrl - Dashboard base URL
+ * @param {Object} alert - Alert object
+ * @returns {string} - URL that opens the dashboard on the alert
+ */
+export function getAlertUrl(dashboardUrl, alert) {
+  return `${dashboardUrl.replace(/\/+$/, '')}/?alert=${encodeURIComponent(alert.id)}`;
+}
+
+/**
+ * Build an example alert, e.g. for previewing templates
+ * @param {Object} [overrides] - Fields replacing those of the example
+ * @returns {Object} - Firing alert object
+ */
+export function buildSampleAlert(overrides = {}) {
+  const startsAt = new Date(Date.now() - 5 * 60 * 1000);
+
+  return {
+    id: 'sample-alert',
+    fingerprint: 'sample-alert',
+    ruleId: 'cpu_high',
+    ruleName: 'High CPU Usage',
+    severity: 'warning',
+    status: 'firing',
+    timestamp: startsAt,
+    pendingSince: startsAt,
+    value: 92.5,
+    labels: { team: 'infrastructure', resource: 'cpu', instance: 'web-1:9100' },
+    annotations: {
+      summary: 'High CPU Usage detected',
+      description: 'CPU usage on web-1:9100 has been above 80% for more than 5 minutes'
+    },
+    source: 'prometheus',
+    ...overrides
+  };
+}
+
+/**
+ * Build the values message templates can refer to for an alert
+ *
+ * Templates use `alert.name`, `alert.severity`, `alert.status`,
+ * `alert.startsAt`, `alert.endsAt`, `alert.labels.<name>` and
+ * `alert.annotations.<name>`; `severity`, `status`, `labels` and
+ * `annotations` are also available at the top level as shorthands.
+ * @param {Object} alert - Alert object
+ * @returns {Object} - Template context
+ */
+export function buildAlertContext(alert) {
+  const context = {
+    id: alert.id,
+    fingerprint: alert.fingerprint || alert.id,
+    name: alert.ruleName,
+    ruleId: alert.ruleId,
+    severity: alert.severity,
+    status: alert.status,
+    value: alert.value,
+    startsAt: alert.timestamp,
+    endsAt: alert.resolvedAt || null,
+    labels: alert.labels || {},
+    annotations: alert.annotations || {}
+  };
+
+  return {
+    alert: context,
+    severity: context.severity,
+    status: context.status,
+    labels: context.labels,
+    annotations: context.annotations
+  };
+}
+
+/**
+ * Build the values group-level templates can refer to for a notification
+ *
+ * Besides everything an alert template sees for the group's first alert,
+ * group templates get `alerts` (all alerts, for loops), `firing`, `resolved`,
+ * `counts`, `groupLabels`, `commonLabels`, `commonAnnotations` and `title`;
+ * `status` is the status of the group.
+ * @param {Object} notification - Group notification from the dispatcher
+ * @returns {Object} - Template context
+ */
+export function buildNotificationContext(notification) {
+  const alerts = notification.alerts.map((alert) => buildAlertContext(alert).alert);
+
+  return {
+    ...buildAlertContext(notification.alerts[0] || {}),
+    status: notification.status,
+    alerts,
+    firing: alerts.filter((alert) => alert.status === 'firing'),
+    resolved: alerts.filter((alert) => alert.status === 'resolved'),
+    counts: notification.counts,
+    groupLabels: notification.groupLabels || {},
+    commonLabels: notification.commonLabels || {},
+    commonAnnotations: notification.commonAnnotations || {},
+    title: formatGroupTitle(notification)
+  };
+}
+
+/**
+ * Describe how long an alert has been (or was) firing
+ * @param {Object} alert - Alert object
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} - Duration such as "1h5m"
+ */
+export function getAlertDuration(alert, now = Date.now()) {
+  const start = alert.timestamp ? new Date(alert.timestamp).getTime() : now;
+  const end = alert.resolvedAt ? new Date(alert.resolvedAt).getTime() : now;
+  return formatDuration(end - start);
+}
+
+/**
+ * Summarise a group notification in one line, e.g. "[FIRING:2] team=infrastructure"
+ * or "[FIRING:1 ESCALATION:2/3] alertname=High CPU Usage" for escalations
+ * @param {Object} notification - Group notification from the dispatcher
+ * @returns {string} - Summary
+ */
+export function formatGroupTitle(notification) {
+  const { firing, resolved } = notification.counts;
+  let counts = notification.status === 'firing'
+    ? `FIRING:${firing}${resolved > 0 ? ` RESOLVED:${resolved}` : ''}`
+    : `RESOLVED:${resolved}`;
+  if (notification.escalation) {
+    counts += ` ESCALATION:${notification.escalation.step}/${notification.escalation.steps}`;
+  }
+  const labels = Object.entries(notification.groupLabels)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(' ');
+
+  return labels ? `[${counts}] ${labels}` : `[${counts}]`;
+}
@@ -0,0 +1,170 @@
+/**
+ * Microsoft Teams notifications as Adaptive Cards
+ *
+ * A group notification becomes one card posted to a Teams incoming webhook
+ * (or a Workflows webhook): a summary header followed by a container per
+ * alert, styled by severity, with buttons linking back to the dashboard.
+ */
+
+import axios from 'axios';
+import { parseDuration } from '../../utils/duration.js';
+import { renderTemplate } from '../../utils/template.js';
+import {
+  SEVERITY_LEVELS,
+  buildAlertContext,
+  buildNotificationContext,
+  formatGroupTitle,
+  getAlertDuration,
+  getAlertUrl,
+  getDashboardUrl
+} from './format.js';
+
+// Teams rejects cards over 28 KB, so long groups are cut short
+const MAX_ALERTS = 15;
+
+const DEFAULT_TITLE_TEMPLATE = '[{{alert.severity | uppercase}}] {{alert.name}}';
+const DEFAULT_MESSAGE_TEMPLATE = '{{alert.annotations.description}}';
+
+// Adaptive Card container styles and text colours per severity
+const SEVERITY_STYLES = {
+  critical: { style: 'attention', color: 'attention' },
+  error: { style: 'attention', color: 'attention' },
+  warning: { style: 'warning', color: 'warning' },
+  info: { style: 'accent', color: 'accent' }
+};
+
+const RESOLVED_STYLE = { style: 'good', color: 'good' };
+
+/**
+ * Get the card style of an alert
+ * @param {Object} alert - Alert object
+ * @returns {{style: string, color: string}} - Container style and text colour
+ */
+function getAlertStyle(alert) {
+  if (alert.status === 'resolved') {
+    return RESOLVED_STYLE;
+  }
+  return SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.info;
+}
+
+/**
+ * Build the card section for one alert
+ * @param {Object} alert - Alert object
+ * @param {Object} config - Teams channel config
+ * @param {string} dashboardUrl - Dashboard base URL
+ * @returns {Object} - Adaptive Card container
+ */
+function buildAlertContainer(alert, config, dashboardUrl) {
+  const context = buildAlertContext(alert);
+  const { style, color } = getAlertStyle(alert);
+  const items = [
+    {
+      type: 'TextBlock',
+      text: renderTemplate(config.title_template || DEFAULT_TITLE_TEMPLATE, context),
+      weight: 'Bolder',
+      color,
+      wrap: true
+    },
+    {
+      type: 'TextBlock',
+      text: renderTemplate(config.message_template || DEFAULT_MESSAGE_TEMPLATE, context),
+      wrap: true
+    }
+  ];
+
+  const facts = Object.entries(alert.labels || {}).map(([title, value]) => ({ title, value: String(value) }));
+  if (facts.length > 0) {
+    items.push({ type: 'FactSet', facts });
+  }
+
+  if (alert.status === 'resolved') {
+    items.push({ type: 'TextBlock', text: `Resolved after ${getAlertDuration(alert)}`, color, isSubtle: true, wrap: true });
+  } else if (alert.annotations?.recommendations) {
+    items.push(
+      { type: 'TextBlock', text: 'AI recommendations', weight: 'Bolder', spacing: 'Medium' },
+      { type: 'TextBlock', text: alert.annotations.recommendations, wrap: true }
+    );
+  }
+
+  items.push({
+    type: 'ActionSet',
+    actions: [{ type: 'Action.OpenUrl', title: 'View alert', url: getAlertUrl(dashboardUrl, alert) }]
+  });
+
+  return { type: 'Container', style, separator: true, spacing: 'Medium', items };
+}
+
+/**
+ * Build the webhook payload for a group notification
+ * @param {Object} notification - Group notification from the dispatcher
+ * @param {Object} [config] - Teams channel config
+ * @returns {Object} - Teams message with an Adaptive Card attachment
+ */
+export function buildTeamsPayload(notification, config = {}) {
+  const dashboardUrl = getDashboardUrl(config);
+  const alerts = notification.alerts.slice(0, MAX_ALERTS);
+
+  // The header takes the style of the most severe firing alert
+  const [worst] = notification.alerts
+    .filter((alert) => alert.status === 'firing')
+    .sort((a, b) => (SEVERITY_LEVELS[b.severity] || 0) - (SEVERITY_LEVELS[a.severity] || 0));
+  const headerStyle = worst ? getAlertStyle(worst).style : RESOLVED_STYLE.style;
+  const title = config.group_title_template
+    ? renderTemplate(config.group_title_template, buildNotificationContext(notification))
+    : formatGroupTitle(notification);
+
+  const body = [
+    {
+      type: 'Container',
+      style: headerStyle,
+      bleed: true,
+      items: [{ type: 'TextBlock', text: title, size: 'Large', weight: 'Bolder', wrap: true }]
+    },
+    ...alerts.map((alert) => buildAlertContainer(alert, config, dashboardUrl))
+  ];
+
+  if (notification.alerts.length > alerts.length) {
+    body.push({
+      type: 'TextBlock',
+      text: `…and ${notification.alerts.length - alerts.length} more alerts`,
+      isSubtle: true
+    });
+  }
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        msteams: { width: 'Full' },
+        body,
+        actions: [{ type: 'Action.OpenUrl', title: 'Open dashboard', url: dashboardUrl }]
+      }
+    }]
+  };
+}
+
+/**
+ * Post a group notification to a Teams webhook
+ * @param {Object} channel - Teams notification channel
+ * @param {Object} notification - Group notification from the dispatcher
+ * @returns {Promise<number>} - HTTP status of the webhook response
+ */
+export async function sendTeamsNotification(channel, notification) {
+  const config = channel.config || {};
+
+  if (!config.webhook_url) {
+    throw new Error(`Teams channel ${channel.id} has no webhook_url`);
+  }
+
+  const response = await axios.post(config.webhook_url, buildTeamsPayload(notification, config), {
+    timeout: parseDuration(config.timeout || '10s'),
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  return response.status;
+}
@@ -0,0 +1,146 @@
+/**
+ * PagerDuty Events API v2 notifications
+ *
+ * Each alert maps to one PagerDuty incident through a dedup key derived from
+ * its fingerprint, so repeated triggers update the same incident and local
+ * acknowledgements and resolutions reach it too.
+ */
+
+import axios from 'axios';
+import { parseDuration } from '../../utils/duration.js';
+import { renderTemplate } from '../../utils/template.js';
+import { SEVERITY_LEVELS, buildAlertContext } from './format.js';
+
+export const DEFAULT_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+// Severities accepted by the Events API
+const PAGERDUTY_SEVERITIES = ['critical', 'error', 'warning', 'info'];
+
+// Longest summary PagerDuty accepts
+const MAX_SUMMARY_LENGTH = 1024;
+
+/**
+ * Get the dedup key of an alert
+ * @param {Object} alert - Alert object
+ * @returns {string} - Dedup key
+ */
+export function getDedupKey(alert) {
+  return `alert-${alert.fingerprint || alert.id}`;
+}
+
+/**
+ * Check whether an alert is severe enough for a PagerDuty channel
+ * @param {Object} config - PagerDuty channel config
+ * @param {Object} alert - Alert object
+ * @returns {boolean} - Whether the channel handles the alert
+ */
+export function meetsMinSeverity(config, alert) {
+  const minLevel = SEVERITY_LEVELS[config.min_severity || 'info'] || 0;
+  return (SEVERITY_LEVELS[alert.severity] || 0) >= minLevel;
+}
+
+/**
+ * Build an Events API v2 event for an alert
+ * @param {Object} config - PagerDuty channel config
+ * @param {Object} alert - Alert object
+ * @param {string} action - trigger, acknowledge or resolve
+ * @returns {Object} - Event body
+ */
+export function buildPagerDutyEvent(config, alert, action) {
+  const event = {
+    routing_key: config.service_key || process.env.PAGERDUTY_SERVICE_KEY,
+    event_action: action,
+    dedup_key: getDedupKey(alert)
+  };
+
+  // Acknowledge and resolve events only need the dedup key
+  if (action !== 'trigger') {
+    return event;
+  }
+
+  const severity = (config.severity_mapping || {})[alert.severity] || alert.severity;
+  if (!PAGERDUTY_SEVERITIES.includes(severity)) {
+    throw new Error(`Severity "${alert.severity}" maps to "${severity}", which PagerDuty does not accept`);
+  }
+
+  const labels = alert.labels || {};
+  const annotations = alert.annotations || {};
+  let summary = annotations.summary ? `${alert.ruleName}: ${annotations.summary}` : alert.ruleName;
+  if (config.summary_template) {
+    summary = renderTemplate(config.summary_template, buildAlertContext(alert));
+  }
+
+  event.payload = {
+    summary: summary.slice(0, MAX_SUMMARY_LENGTH),
+    source: labels.instance || labels.host || labels.service || 'realtime-alerting',
+    severity,
+    timestamp: new Date(alert.timestamp || Date.now()).toISOString(),
+    component: labels.resource,
+    group: labels.team,
+    class: alert.ruleId,
+    custom_details: {
+      value: alert.value,
+      labels,
+      description: annotations.description,
+      recommendations: annotations.recommendations
+    }
+  };
+  event.client = 'Realtime Alerting and Monitoring System';
+  if (config.client_url) {
+    event.client_url = config.client_url;
+  }
+
+  return event;
+}
+
+/**
+ * Send one event to the Events API
+ * @param {Object} channel - PagerDuty notification channel
+ * @param {Object} alert - Alert object
+ * @param {string} action - trigger, acknowledge or resolve
+ * @returns {Promise<Object|null>} - API response body, or null if the alert is below min_severity
+ */
+export async function sendPagerDutyEvent(channel, alert, action) {
+  const config = channel.config || {};
+
+  if (!meetsMinSeverity(config, alert)) {
+    return null;
+  }
+
+  const event = buildPagerDutyEvent(config, alert, action);
+  if (!event.routing_key) {
+    throw new Error(`PagerDuty channel ${channel.id} has no service_key`);
+  }
+
+  const url = config.events_url || process.env.PAGERDUTY_EVENTS_URL || DEFAULT_EVENTS_URL;
+  const response = await axios.post(url, event, {
+    timeout: parseDuration(config.timeout || '10s'),
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  return response.data;
+}
+
+/**
+ * Send trigger and resolve events for the alerts of a group notification
+ * @param {Object} channel - PagerDuty notification channel
+ * @param {Object} notification - Group notification from the dispatcher
+ * @returns {Promise<number>} - Number of events sent
+ */
+export async function sendPagerDutyNotification(channel, notification) {
+  let sent = 0;
+
+  for (const alert of notification.alerts) {
+    // Acknowledged incidents are not triggered again by repeat notifications
+    if (alert.status === 'firing' && alert.acknowledgedAt) {
+      continue;
+    }
+
+    const action = alert.status === 'resolved' ? 'resolve' : 'trigger';
+    if (await sendPagerDutyEvent(channel, alert, action)) {
+      sent++;
+    }
+  }
+
+  return sent;
+}
@@ -0,0 +1,150 @@
+/**
+ * Slack incoming-webhook notifications
+ *
+ * A group notification becomes one Slack message: a summary line followed by
+ * one coloured attachment per alert, built from Block Kit blocks. Resolved
+ * alerts are posted as green follow-ups.
+ */
+
+import axios from 'axios';
+import { parseDuration } from '../../utils/duration.js';
+import { renderTemplate } from '../../utils/template.js';
+import {
+  buildAlertContext,
+  buildNotificationContext,
+  formatGroupTitle,
+  getAlertColor,
+  getAlertDuration
+} from './format.js';
+
+// Slack rejects messages with more attachments or longer text blocks
+const MAX_ATTACHMENTS = 20;
+const MAX_TEXT_LENGTH = 3000;
+
+const DEFAULT_MESSAGE_TEMPLATE =
+  '*[{{alert.severity | uppercase}}] {{alert.name}}*\n{{alert.annotations.description}}';
+
+/**
+ * Shorten text to what Slack accepts in a single block
+ * @param {string} text - Text
+ * @returns {string} - Text of at most MAX_TEXT_LENGTH characters
+ */
+function truncate(text) {
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Swap the scheme and host of a webhook URL for a different base URL
+ * @param {string} webhookUrl - Webhook URL issued by Slack
+ * @param {string} [baseUrl] - Replacement base URL, e.g. a local stub
+ * @returns {string} - URL to post to
+ */
+export function resolveWebhookUrl(webhookUrl, baseUrl) {
+  if (!baseUrl) {
+    return webhookUrl;
+  }
+
+  const url = new URL(webhookUrl);
+  return `${baseUrl.replace(/\/+$/, '')}${url.pathname}${url.search}`;
+}
+
+/**
+ * Build the Block Kit attachment for one alert
+ * @param {Object} alert - Alert object
+ * @param {Object} config - Slack channel config
+ * @returns {Object} - Slack attachment
+ */
+function buildAlertAttachment(alert, config) {
+  const context = buildAlertContext(alert);
+  const message = renderTemplate(config.message_template || DEFAULT_MESSAGE_TEMPLATE, context);
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: truncate(message) } }
+  ];
+
+  const labels = Object.entries(alert.labels || {})
+    .map(([name, value]) => `\`${name}=${value}\``)
+    .join('  ');
+  if (labels) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: truncate(labels) }] });
+  }
+
+  if (alert.status === 'resolved') {
+    const reason = alert.resolutionReason ? ` (${alert.resolutionReason})` : '';
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `:white_check_mark: Resolved after ${getAlertDuration(alert)}${reason}` }]
+    });
+  } else if (alert.annotations?.recommendations) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`*AI recommendations*\n${alert.annotations.recommendations}`) }
+    });
+  }
+
+  return {
+    color: getAlertColor(alert),
+    fallback: `[${alert.status.toUpperCase()}] ${alert.ruleName}`,
+    blocks
+  };
+}
+
+/**
+ * Build the webhook payload for a group notification
+ * @param {Object} notification - Group notification from the dispatcher
+ * @param {Object} [config] - Slack channel config
+ * @returns {Object} - Slack message payload
+ */
+export function buildSlackPayload(notification, config = {}) {
+  const title = config.group_title_template
+    ? renderTemplate(config.group_title_template, buildNotificationContext(notification))
+    : formatGroupTitle(notification);
+  const alerts = notification.alerts.slice(0, MAX_ATTACHMENTS);
+  const attachments = alerts.map((alert) => buildAlertAttachment(alert, config));
+
+  if (notification.alerts.length > alerts.length) {
+    attachments.push({
+      blocks: [{
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `…and ${notification.alerts.length - alerts.length} more alerts` }]
+      }]
+    });
+  }
+
+  const payload = {
+    text: title,
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `*${title}*` } }],
+    attachments
+  };
+
+  // Only override the webhook's own defaults when the channel sets them
+  for (const key of ['channel', 'username', 'icon_emoji']) {
+    if (config[key]) {
+      payload[key] = config[key];
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Post a group notification to a Slack incoming webhook
+ * @param {Object} channel - Slack notification channel
+ * @param {Object} notification - Group notification from the dispatcher
+ * @returns {Promise<number>} - HTTP status of the webhook response
+ */
+export async function sendSlackNotification(channel, notification) {
+  const config = channel.config || {};
+  const webhookUrl = config.webhook_url || process.env.SLACK_WEBHOOK_URL;
+
+  if (!webhookUrl) {
+    throw new Error(`Slack channel ${channel.id} has no webhook_url`);
+  }
+
+  const url = resolveWebhookUrl(webhookUrl, config.webhook_base_url || process.env.SLACK_WEBHOOK_BASE_URL);
+  const response = await axios.post(url, buildSlackPayload(notification, config), {
+    timeout: parseDuration(config.timeout || '10s'),
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  return response.status;
+}
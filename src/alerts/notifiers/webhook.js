@@ -0,0 +1,158 @@
+/**
+ * Generic outbound webhooks
+ *
+ * Group notifications are sent as JSON, either in this system's own format
+ * or in the Prometheus Alertmanager webhook format (version 4) so existing
+ * Alertmanager receivers work unchanged. The `template` format sends the
+ * rendered `body_template` instead, for receivers expecting their own shape. When a `secret` is configured the
+ * body is signed with HMAC-SHA256 so receivers can verify where it came from.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { parseDuration } from '../../utils/duration.js';
+import { renderTemplate } from '../../utils/template.js';
+import { buildNotificationContext, getAlertUrl, getDashboardUrl } from './format.js';
+
+export const WEBHOOK_FORMATS = ['native', 'alertmanager', 'template'];
+
+export const WEBHOOK_METHODS = ['POST', 'PUT', 'PATCH'];
+const DEFAULT_SIGNATURE_HEADER = 'X-Signature-256';
+
+// Alertmanager's zero time, used as endsAt while an alert is firing
+const ZERO_TIME = '0001-01-01T00:00:00Z';
+
+/**
+ * Convert a date to an ISO string
+ * @param {Date|string|number} [value] - Date
+ * @returns {string|null} - ISO string, or null without a date
+ */
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Build the native payload for a group notification
+ * @param {Object} notification - Group notification from the dispatcher
+ * @param {Object} channel - Webhook notification channel
+ * @returns {Object} - Payload
+ */
+export function buildNativePayload(notification, channel) {
+  return {
+    version: '1',
+    receiver: channel.id,
+    groupKey: notification.groupKey,
+    status: notification.status,
+    groupLabels: notification.groupLabels,
+    commonLabels: notification.commonLabels,
+    counts: notification.counts,
+    timestamp: toIsoString(notification.timestamp || Date.now()),
+    alerts: notification.alerts.map((alert) => ({
+      id: alert.id,
+      fingerprint: alert.fingerprint || alert.id,
+      ruleId: alert.ruleId,
+      ruleName: alert.ruleName,
+      severity: alert.severity,
+      status: alert.status,
+      value: alert.value,
+      labels: alert.labels || {},
+      annotations: alert.annotations || {},
+      startsAt: toIsoString(alert.timestamp),
+      endsAt: toIsoString(alert.resolvedAt),
+      acknowledgedAt: toIsoString(alert.acknowledgedAt),
+      acknowledgedBy: alert.acknowledgedBy || null
+    }))
+  };
+}
+
+/**
+ * Build an Alertmanager webhook (version 4) payload for a group notification
+ * @param {Object} notification - Group notification from the dispatcher
+ * @param {Object} channel - Webhook notification channel
+ * @returns {Object} - Payload
+ */
+export function buildAlertmanagerPayload(notification, channel) {
+  const dashboardUrl = getDashboardUrl(channel.config);
+
+  return {
+    version: '4',
+    groupKey: notification.groupKey,
+    truncatedAlerts: 0,
+    status: notification.status,
+    receiver: channel.id,
+    groupLabels: notification.groupLabels,
+    commonLabels: notification.commonLabels,
+    commonAnnotations: notification.commonAnnotations || {},
+    externalURL: dashboardUrl,
+    alerts: notification.alerts.map((alert) => ({
+      status: alert.status,
+      // Alertmanager keeps the alert name and severity among the labels
+      labels: { alertname: alert.ruleName, severity: alert.severity, ...(alert.labels || {}) },
+      annotations: alert.annotations || {},
+      startsAt: toIsoString(alert.timestamp),
+      endsAt: toIsoString(alert.resolvedAt) || ZERO_TIME,
+      generatorURL: getAlertUrl(dashboardUrl, alert),
+      fingerprint: alert.fingerprint || alert.id
+    }))
+  };
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Shared secret
+ * @param {string} body - Raw request body
+ * @returns {string} - Signature in the form "sha256=<hex digest>"
+ */
+export function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Send a group notification to a webhook
+ * @param {Object} channel - Webhook notification channel
+ * @param {Object} notification - Group notification from the dispatcher
+ * @returns {Promise<number>} - HTTP status of the response
+ */
+export async function sendWebhookNotification(channel, notification) {
+  const config = channel.config || {};
+  const format = config.format || 'native';
+  const method = (config.method || 'POST').toUpperCase();
+
+  if (!config.url) {
+    throw new Error(`Webhook channel ${channel.id} has no url`);
+  }
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`Webhook channel ${channel.id}: format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (!WEBHOOK_METHODS.includes(method)) {
+    throw new Error(`Webhook channel ${channel.id}: method must be one of ${WEBHOOK_METHODS.join(', ')}`);
+  }
+
+  if (format === 'template' && !config.body_template) {
+    throw new Error(`Webhook channel ${channel.id}: the template format needs a body_template`);
+  }
+
+  // Sign the exact bytes that are sent
+  let body;
+  if (format === 'template') {
+    body = renderTemplate(config.body_template, buildNotificationContext(notification));
+  } else if (format === 'alertmanager') {
+    body = JSON.stringify(buildAlertmanagerPayload(notification, channel));
+  } else {
+    body = JSON.stringify(buildNativePayload(notification, channel));
+  }
+  const headers = { 'Content-Type': 'application/json', ...(config.headers || {}) };
+  if (config.secret) {
+    headers[config.signature_header || DEFAULT_SIGNATURE_HEADER] = signPayload(config.secret, body);
+  }
+
+  const response = await axios.request({
+    method,
+    url: config.url,
+    data: body,
+    headers,
+    timeout: parseDuration(config.timeout || '10s')
+  });
+
+  return response.status;
+}
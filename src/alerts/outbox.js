@@ -0,0 +1,383 @@
+/**
+ * Durable outbox for notifications to external channels
+ *
+ * Every delivery to a channel is written to disk before it is attempted and
+ * removed once it succeeds. Failed deliveries are retried with exponential
+ * backoff; after `max_attempts` failures they move to the dead-letter list,
+ * where they stay until they are replayed or discarded. Pending deliveries
+ * survive restarts and are retried after loading.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { parseDuration } from '../utils/duration.js';
+
+export const OUTBOX_STATUSES = ['pending', 'dead'];
+
+export const DEFAULT_RETRY_POLICY = {
+  max_attempts: 8,
+  initial_backoff: '30s',
+  max_backoff: '30m'
+};
+
+// Attempts kept per entry for inspection
+const MAX_ATTEMPT_HISTORY = 20;
+
+/**
+ * Resolve a channel's retry settings into milliseconds
+ * @param {Object} [retry] - Retry settings from a channel config
+ * @returns {{maxAttempts: number, initialBackoffMs: number, maxBackoffMs: number}} - Retry policy
+ */
+export function resolveRetryPolicy(retry = {}) {
+  const settings = { ...DEFAULT_RETRY_POLICY, ...retry };
+  const maxAttempts = Number(settings.max_attempts);
+
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error('retry.max_attempts must be a positive integer');
+  }
+
+  return {
+    maxAttempts,
+    initialBackoffMs: parseDuration(settings.initial_backoff),
+    maxBackoffMs: parseDuration(settings.max_backoff)
+  };
+}
+
+/**
+ * Get the delay before the next attempt
+ * @param {Object} policy - Retry policy
+ * @param {number} failures - Failed attempts so far
+ * @returns {number} - Delay in milliseconds, doubling with every failure
+ */
+export function getBackoffDelay(policy, failures) {
+  return Math.min(policy.initialBackoffMs * 2 ** Math.max(0, failures - 1), policy.maxBackoffMs);
+}
+
+export class NotificationOutbox {
+  /**
+   * @param {Object} options - Outbox options
+   * @param {Function} options.deliver - Async callback delivering an entry; throws on failure
+   * @param {string} [options.filePath] - Where entries are persisted once loaded; kept in memory only without one
+   * @param {Function} [options.onResult] - Called with the entry and "success", "failure" or "dead" after each attempt
+   * @param {Object} [options.logger] - Logger for delivery errors
+   */
+  constructor(options) {
+    this.deliver = options.deliver;
+    this.filePath = options.filePath || null;
+    this.onResult = options.onResult || (() => {});
+    this.logger = options.logger || console;
+    this.entries = new Map(); // Key: entry id, Value: pending or dead entry
+    this.inFlight = new Set(); // Ids of entries being attempted
+    this.timer = null;
+    this.saving = Promise.resolve();
+    // Nothing is written before the file was read, so existing entries are never overwritten
+    this.loaded = false;
+  }
+
+  /**
+   * Load entries from disk and schedule the pending ones; a missing file means an empty outbox
+   */
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      data = {};
+    }
+
+    // Deliveries queued before loading are kept alongside the stored ones
+    for (const entry of data.entries || []) {
+      this.entries.set(entry.id, entry);
+    }
+    this.loaded = true;
+    await this.save();
+    this.schedule();
+  }
+
+  /**
+   * Write entries to disk atomically, one write at a time
+   * @returns {Promise<void>} - Resolves once the current state is written
+   */
+  save() {
+    if (!this.filePath || !this.loaded) {
+      return Promise.resolve();
+    }
+
+    const write = async () => {
+      const data = { entries: Array.from(this.entries.values()) };
+      const tempPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+      await fs.rename(tempPath, this.filePath);
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+
+  /**
+   * Add a delivery to the outbox and attempt it straight away
+   * @param {Object} delivery - Delivery to make
+   * @param {string} delivery.kind - What to deliver, e.g. "group", "acknowledge" or "resolved_batch"
+   * @param {Object} delivery.channel - Notification channel
+   * @param {Object} delivery.payload - Serializable payload for the channel
+   * @param {Object} [delivery.channelConfig] - Overrides merged into the channel config on delivery
+   * @param {string} [delivery.contactId] - Contact the delivery is for, when paging a person
+   * @param {number} [delivery.delayMs] - Wait before the first attempt instead of attempting straight away
+   * @returns {Promise<Object|null>} - The entry if it still needs delivering, null once delivered
+   */
+  async enqueue({ kind, channel, payload, channelConfig = null, contactId = null, delayMs = 0 }) {
+    const policy = resolveRetryPolicy(channel.config?.retry);
+    const entry = {
+      id: uuidv4(),
+      kind,
+      channelId: channel.id,
+      channelType: channel.type,
+      channelConfig,
+      contactId,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date(Date.now() + delayMs).toISOString(),
+      attemptCount: 0,
+      maxAttempts: policy.maxAttempts,
+      retry: channel.config?.retry || null,
+      lastError: null,
+      attempts: [],
+      // Round-tripped through JSON so retries see exactly what was stored
+      payload: JSON.parse(JSON.stringify(payload))
+    };
+
+    this.entries.set(entry.id, entry);
+    await this.save();
+
+    if (delayMs > 0) {
+      this.schedule();
+      return entry;
+    }
+    return this.attempt(entry);
+  }
+
+  /**
+   * Find a pending entry that was not attempted yet, e.g. a batch that can
+   * still take more payload; changes to it are persisted with save()
+   * @param {Object} match - Fields the entry must have
+   * @param {string} match.kind - What the entry delivers
+   * @param {string} match.channelId - Channel ID
+   * @param {string} [match.contactId] - Contact ID
+   * @returns {Object|undefined} - Entry
+   */
+  findUnattempted({ kind, channelId, contactId = null }) {
+    return Array.from(this.entries.values()).find((entry) => entry.status === 'pending' &&
+      entry.attemptCount === 0 && !this.inFlight.has(entry.id) &&
+      entry.kind === kind && entry.channelId === channelId && entry.contactId === contactId);
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<Object|null>} - The entry if it still needs delivering, null once delivered
+   */
+  async attempt(entry) {
+    if (this.inFlight.has(entry.id)) {
+      return entry;
+    }
+
+    this.inFlight.add(entry.id);
+    const attemptedAt = new Date();
+
+    try {
+      await this.deliver(entry);
+
+      this.entries.delete(entry.id);
+      this.onResult(entry, 'success');
+      return null;
+    } catch (error) {
+      entry.attemptCount++;
+      entry.lastError = error.message;
+      entry.attempts = [...entry.attempts, { attemptedAt: attemptedAt.toISOString(), error: error.message }]
+        .slice(-MAX_ATTEMPT_HISTORY);
+
+      if (entry.attemptCount >= entry.maxAttempts) {
+        entry.status = 'dead';
+        entry.nextAttemptAt = null;
+        entry.deadAt = new Date().toISOString();
+        this.logger.error('Notification moved to dead-letter list', {
+          entryId: entry.id,
+          channelId: entry.channelId,
+          attempts: entry.attemptCount,
+          error: error.message
+        });
+        this.onResult(entry, 'dead');
+      } else {
+        const delay = getBackoffDelay(resolveRetryPolicy(entry.retry || {}), entry.attemptCount);
+        entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.logger.warn('Notification delivery failed, will retry', {
+          entryId: entry.id,
+          channelId: entry.channelId,
+          attempt: entry.attemptCount,
+          nextAttemptAt: entry.nextAttemptAt,
+          error: error.message
+        });
+        this.onResult(entry, 'failure');
+      }
+      return entry;
+    } finally {
+      this.inFlight.delete(entry.id);
+      await this.save();
+      this.schedule();
+    }
+  }
+
+  /**
+   * Set the timer for the next pending entry that is due
+   */
+  schedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const times = Array.from(this.entries.values())
+      .filter((entry) => entry.status === 'pending' && !this.inFlight.has(entry.id))
+      .map((entry) => new Date(entry.nextAttemptAt).getTime());
+    if (times.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(0, Math.min(...times) - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processDue().catch((error) => {
+        this.logger.error('Error processing notification outbox', { error: error.message });
+      });
+    }, delay);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Attempt every pending entry that is due, oldest first
+   */
+  async processDue() {
+    const now = Date.now();
+    const due = Array.from(this.entries.values())
+      .filter((entry) => entry.status === 'pending' && new Date(entry.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const entry of due) {
+      await this.attempt(entry);
+    }
+    this.schedule();
+  }
+
+  /**
+   * Get an entry
+   * @param {string} id - Entry id
+   * @returns {Object|undefined} - Entry
+   */
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  /**
+   * List entries, oldest first
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.status] - Only return entries with this status (pending, dead)
+   * @param {string} [options.channelId] - Only return entries for this channel
+   * @returns {Array} - Entries
+   */
+  list(options = {}) {
+    return Array.from(this.entries.values())
+      .filter((entry) => !options.status || entry.status === options.status)
+      .filter((entry) => !options.channelId || entry.channelId === options.channelId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Count entries by status
+   * @returns {Object} - Counts keyed by status
+   */
+  getCounts() {
+    const counts = Object.fromEntries(OUTBOX_STATUSES.map((status) => [status, 0]));
+    for (const entry of this.entries.values()) {
+      counts[entry.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Deliver an entry again now, with a fresh set of attempts
+   * @param {string} id - Entry id
+   * @returns {Promise<{entry: Object, delivered: boolean}|null>} - Outcome, or null if the entry does not exist
+   */
+  async replay(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = 'pending';
+    entry.attemptCount = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    delete entry.deadAt;
+
+    const remaining = await this.attempt(entry);
+    return { entry, delivered: remaining === null };
+  }
+
+  /**
+   * Replay every dead-lettered entry
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.channelId] - Only replay entries for this channel
+   * @returns {Promise<{replayed: number, delivered: number}>} - How many were replayed and delivered
+   */
+  async replayDead(options = {}) {
+    const dead = this.list({ ...options, status: 'dead' });
+    let delivered = 0;
+
+    for (const entry of dead) {
+      const result = await this.replay(entry.id);
+      if (result?.delivered) {
+        delivered++;
+      }
+    }
+    return { replayed: dead.length, delivered };
+  }
+
+  /**
+   * Discard an entry
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} - Discarded entry, or null if it does not exist
+   */
+  async remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    this.entries.delete(id);
+    await this.save();
+    this.schedule();
+    return entry;
+  }
+
+  /**
+   * Cancel the retry timer
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * Conversion between Prometheus alerting rule files and alert rules
+ *
+ * Prometheus rule files hold `groups`, each with a list of `rules`. Alerting
+ * rules (`alert`, `expr`, `for`, `labels`, `annotations`) become threshold
+ * rules whose query is the `expr`: like in Prometheus, every series the
+ * query returns fires. The `severity` label becomes the rule severity. Each
+ * group becomes a rule group with the same `interval`.
+ *
+ * Anything that cannot be converted is reported as `<path>: <problem>`:
+ * rules that are left out under `skipped`, settings that are dropped or
+ * may behave differently under `warnings`.
+ */
+
+import yaml from 'js-yaml';
+import { parseQuery, hasCondition } from './query-parser.js';
+import { FUNCTIONS } from './query-evaluator.js';
+import { DEFAULT_RULE_GROUP, getRuleErrors, getRuleGroupErrors } from './rule-validation.js';
+import { SEVERITY_LEVELS } from './notifiers/format.js';
+import { formatDuration, parseDuration } from '../utils/duration.js';
+import { joinPath } from '../utils/schema.js';
+import { compileTemplate } from '../utils/template.js';
+
+// Rule fields Prometheus has no equivalent for; they are dropped on import
+const UNSUPPORTED_RULE_FIELDS = ['keep_firing_for'];
+const UNSUPPORTED_GROUP_FIELDS = ['limit', 'query_offset'];
+
+/**
+ * Error raised when a rule file cannot be read at all
+ */
+export class PrometheusRulesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PrometheusRulesError';
+  }
+}
+
+/**
+ * Turn an alert name into a rule id, e.g. HighCPUUsage into high_cpu_usage
+ * @param {string} name - Alert name
+ * @returns {string} - Rule id
+ */
+function toRuleId(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9_.-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase() || 'alert';
+}
+
+/**
+ * Find the functions of a query that the evaluator does not implement
+ * @param {Object} node - AST node
+ * @param {Set<string>} [found] - Names found so far
+ * @returns {Set<string>} - Function names
+ */
+function findUnsupportedFunctions(node, found = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => findUnsupportedFunctions(child, found));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'call' && !FUNCTIONS.includes(node.name)) {
+      found.add(node.name);
+    }
+    Object.values(node).forEach((child) => findUnsupportedFunctions(child, found));
+  }
+  return found;
+}
+
+/**
+ * Convert one Prometheus alerting rule
+ * @param {Object} promRule - Prometheus rule
+ * @param {string} rulePath - Path of the rule in the file
+ * @param {Object} options - Import options
+ * @returns {{rule: Object|null, skipped: Array<string>, warnings: Array<string>}} - Converted rule and problems
+ */
+function convertRule(promRule, rulePath, { source, severity }) {
+  const warnings = [];
+  let label = rulePath;
+  const skip = (problem) => ({ rule: null, skipped: [`${label}: ${problem}`], warnings });
+
+  if (!promRule || typeof promRule !== 'object') {
+    return skip('must be an object');
+  }
+  if (promRule.record !== undefined) {
+    return skip(`recording rule ${promRule.record} is not supported`);
+  }
+  if (typeof promRule.alert !== 'string' || !promRule.alert) {
+    return skip('alert: is required');
+  }
+
+  label = `${rulePath} (${promRule.alert})`;
+  const expr = typeof promRule.expr === 'number' ? String(promRule.expr) : promRule.expr;
+  try {
+    const unsupported = [...findUnsupportedFunctions(parseQuery(expr))];
+    if (unsupported.length > 0) {
+      return skip(`expr: ${unsupported.join(', ')} ${unsupported.length === 1 ? 'is' : 'are'} not supported`);
+    }
+  } catch (error) {
+    return skip(`expr: ${error.message}`);
+  }
+
+  const { severity: severityLabel, ...labels } = promRule.labels || {};
+  let ruleSeverity = severity;
+  if (Object.hasOwn(SEVERITY_LEVELS, severityLabel)) {
+    ruleSeverity = severityLabel;
+  } else if (severityLabel !== undefined) {
+    warnings.push(`${label}: severity "${severityLabel}" is not one of ${Object.keys(SEVERITY_LEVELS).join(', ')}, using ${severity}`);
+  }
+
+  for (const [name, value] of Object.entries(labels)) {
+    if (typeof value === 'string' && value.includes('{{')) {
+      warnings.push(`${label}: labels.${name}: templates in labels are not rendered`);
+    }
+  }
+  // Annotations that fail to render are sent as written, e.g. Go template functions
+  for (const [name, text] of Object.entries(promRule.annotations || {})) {
+    try {
+      compileTemplate(String(text));
+    } catch (error) {
+      warnings.push(`${label}: annotations.${name}: ${error.message}, it is sent as written`);
+    }
+  }
+  for (const field of UNSUPPORTED_RULE_FIELDS.filter((key) => promRule[key] !== undefined)) {
+    warnings.push(`${label}: ${field} is not supported and was dropped`);
+  }
+
+  const rule = {
+    id: toRuleId(promRule.alert),
+    name: promRule.alert,
+    type: 'threshold',
+    source,
+    query: expr,
+    severity: ruleSeverity,
+    enabled: true
+  };
+  if (promRule.for !== undefined) {
+    rule.duration = promRule.for;
+  }
+  if (Object.keys(labels).length > 0) {
+    rule.labels = labels;
+  }
+  if (promRule.annotations) {
+    rule.annotations = promRule.annotations;
+  }
+
+  const errors = getRuleErrors(rule);
+  if (errors.length > 0) {
+    return skip(errors.join('; '));
+  }
+  return { rule, skipped: [], warnings };
+}
+
+/**
+ * Convert a Prometheus rule file to alert rules
+ * @param {string} text - YAML content of the rule file
+ * @param {Object} [options] - Import options
+ * @param {string} [options.source] - Source of the metrics the rules query
+ * @param {string} [options.severity] - Severity of rules without a valid `severity` label
+ * @returns {{rules: Array<Object>, groups: Array<Object>, skipped: Array<string>, warnings: Array<string>}} - Rules,
+ *   their rule groups and what could not be converted
+ * @throws {PrometheusRulesError} - If the file is not a Prometheus rule file
+ */
+export function importPrometheusRules(text, { source = 'prometheus', severity = 'warning' } = {}) {
+  let data;
+  try {
+    data = yaml.load(text);
+  } catch (error) {
+    throw new PrometheusRulesError(`Invalid YAML: ${error.reason || error.message}`);
+  }
+  if (!data || !Array.isArray(data.groups)) {
+    throw new PrometheusRulesError('groups: must be a list of rule groups');
+  }
+
+  const rules = [];
+  const groups = [];
+  const skipped = [];
+  const warnings = [];
+  const ids = new Set();
+
+  data.groups.forEach((group, groupIndex) => {
+    const groupPath = joinPath('groups', groupIndex);
+    if (!Array.isArray(group?.rules)) {
+      skipped.push(`${groupPath}.rules: must be a list of rules`);
+      return;
+    }
+    for (const field of UNSUPPORTED_GROUP_FIELDS.filter((key) => group[key] !== undefined)) {
+      warnings.push(`${groupPath} (${group.name}): ${field} is not supported and was dropped`);
+    }
+
+    // Group names may hold characters rule group names cannot
+    const ruleGroup = { name: String(group.name ?? `group_${groupIndex}`).replace(/[^A-Za-z0-9_.-]+/g, '_') };
+    if (group.interval !== undefined) {
+      ruleGroup.interval = group.interval;
+    }
+    const groupErrors = getRuleGroupErrors(ruleGroup);
+    if (groupErrors.length > 0) {
+      warnings.push(`${groupPath} (${group.name}): ${groupErrors.join('; ')}, the group is evaluated when metrics arrive`);
+      delete ruleGroup.interval;
+    }
+    if (groups.some((existing) => existing.name === ruleGroup.name)) {
+      warnings.push(`${groupPath} (${group.name}): group name is used more than once, the groups are merged`);
+    } else {
+      groups.push(ruleGroup);
+    }
+
+    group.rules.forEach((promRule, ruleIndex) => {
+      const result = convertRule(promRule, joinPath(joinPath(groupPath, 'rules'), ruleIndex), { source, severity });
+      skipped.push(...result.skipped);
+      warnings.push(...result.warnings);
+      if (!result.rule) {
+        return;
+      }
+
+      // Prometheus often repeats an alert name with different thresholds per severity
+      let id = result.rule.id;
+      for (let n = 2; ids.has(id); n++) {
+        id = `${result.rule.id}_${n}`;
+      }
+      ids.add(id);
+      rules.push({ ...result.rule, id, group: ruleGroup.name });
+    });
+  });
+
+  return { rules, groups, skipped, warnings };
+}
+
+/**
+ * Build the Prometheus expression of a rule
+ * @param {Object} rule - Alert rule
+ * @returns {string} - PromQL expression
+ * @throws {Error} - If the rule has no Prometheus equivalent
+ */
+function toExpression(rule) {
+  switch (rule.type) {
+    case 'threshold': {
+      const ast = parseQuery(rule.query);
+      if (hasCondition(ast) || rule.threshold === undefined) {
+        return rule.query;
+      }
+      const query = ast.type === 'binary' ? `(${rule.query})` : rule.query;
+      const condition = rule.condition === '=' ? '==' : (rule.condition || '>');
+      return `${query} ${condition} ${rule.threshold}`;
+    }
+
+    case 'rate_of_change': {
+      const windowMs = parseDuration(rule.window || '5m');
+      const condition = rule.condition || '>';
+      const selector = `${rule.query}[${formatDuration(windowMs)}]`;
+
+      switch (rule.changeType) {
+        case 'delta':
+          return `${rule.counter ? 'increase' : 'delta'}(${selector}) ${condition} ${rule.threshold}`;
+        case 'rate': {
+          const perSeconds = (rule.per ? parseDuration(rule.per) : 1000) / 1000;
+          const rate = rule.counter ? `rate(${selector})` : `delta(${selector}) / ${windowMs / 1000}`;
+          return `${perSeconds === 1 ? rate : `${rate} * ${perSeconds}`} ${condition} ${rule.threshold}`;
+        }
+        default:
+          throw new Error(`changeType ${rule.changeType} has no Prometheus equivalent`);
+      }
+    }
+
+    default:
+      throw new Error(`${rule.type} rules are evaluated by the AI integration`);
+  }
+}
+
+/**
+ * Convert alert rules to a Prometheus rule file
+ * @param {Array<Object>} rules - Alert rules
+ * @param {Object} [options] - Export options
+ * @param {Array<Object>} [options.groups] - Rule groups, for their intervals
+ * @param {string} [options.group] - Name of the group for rules in the default group
+ * @returns {{yaml: string, skipped: Array<string>}} - Rule file, listing the rules that could not be
+ *   converted in a comment, and those rules
+ */
+export function exportPrometheusRules(rules, { groups = [], group = 'alerting-monitor' } = {}) {
+  const promGroups = new Map();
+  const skipped = [];
+
+  rules.forEach((rule, index) => {
+    const rulePath = `${joinPath('rules', index)} (${rule.id})`;
+    if (rule.enabled === false) {
+      skipped.push(`${rulePath}: rule is disabled`);
+      return;
+    }
+
+    let expr;
+    try {
+      expr = toExpression(rule);
+    } catch (error) {
+      skipped.push(`${rulePath}: ${error.message}`);
+      return;
+    }
+
+    const promRule = { alert: rule.name || rule.id, expr };
+    if (rule.duration !== undefined) {
+      promRule.for = formatDuration(parseDuration(rule.duration));
+    }
+    promRule.labels = { ...rule.labels, severity: rule.severity };
+
+    const annotations = { ...rule.annotations };
+    if (rule.description && annotations.description === undefined) {
+      annotations.description = rule.description;
+    }
+    if (Object.keys(annotations).length > 0) {
+      promRule.annotations = annotations;
+    }
+
+    const groupName = rule.group || DEFAULT_RULE_GROUP;
+    if (!promGroups.has(groupName)) {
+      const promGroup = { name: groupName === DEFAULT_RULE_GROUP ? group : groupName };
+      const interval = groups.find((ruleGroup) => ruleGroup.name === groupName)?.interval;
+      if (interval !== undefined) {
+        promGroup.interval = formatDuration(parseDuration(interval));
+      }
+      promGroups.set(groupName, { ...promGroup, rules: [] });
+    }
+    promGroups.get(groupName).rules.push(promRule);
+  });
+
+  // The file itself lists what is missing, so it is not mistaken for a full copy
+  const header = skipped.length > 0
+    ? `# Not exported:\n${skipped.map((problem) => `#   ${problem}\n`).join('')}`
+    : '';
+  return {
+    yaml: header + yaml.dump({ groups: Array.from(promGroups.values()) }, { lineWidth: -1, noRefs: true }),
+    skipped
+  };
+}
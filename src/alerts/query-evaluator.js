@@ -0,0 +1,634 @@
+/**
+ * Evaluator for rule queries parsed by query-parser.js.
+ *
+ * Queries are evaluated against the samples the alert manager has ingested
+ * into its SeriesBuffer. Results follow Prometheus semantics:
+ * - `{ type: 'scalar', value }`
+ * - `{ type: 'vector', samples: [{ labels, value }] }` (instant vector)
+ * - `{ type: 'matrix', series: [{ labels, samples }] }` (range vector)
+ *
+ * Range functions do not extrapolate to the window boundaries the way
+ * Prometheus does; they use the samples actually inside the window.
+ */
+
+import { parseQuery, matchLabels, COMPARISON_OPERATORS } from './query-parser.js';
+import { calculateChange } from './series-buffer.js';
+
+// How old the latest sample of a series may be and still count as current
+const DEFAULT_LOOKBACK_MS = 5 * 60 * 1000;
+
+// Parsed queries, keyed by query string
+const astCache = new Map();
+const AST_CACHE_LIMIT = 500;
+
+/**
+ * Error raised when a query is valid syntax but cannot be evaluated
+ */
+export class QueryEvaluationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryEvaluationError';
+  }
+}
+
+/**
+ * Range-vector functions: (samples) => value or null
+ */
+const RANGE_FUNCTIONS = {
+  rate: (samples) => calculateChange(samples, { changeType: 'rate', counter: true }),
+  increase: (samples) => calculateChange(samples, { changeType: 'delta', counter: true }),
+  delta: (samples) => calculateChange(samples, { changeType: 'delta' }),
+  avg_over_time: (samples) => samples.reduce((sum, s) => sum + s.value, 0) / samples.length,
+  min_over_time: (samples) => Math.min(...samples.map((s) => s.value)),
+  max_over_time: (samples) => Math.max(...samples.map((s) => s.value)),
+  sum_over_time: (samples) => samples.reduce((sum, s) => sum + s.value, 0),
+  count_over_time: (samples) => samples.length
+};
+
+/**
+ * Instant-vector functions: (value) => value
+ */
+const INSTANT_FUNCTIONS = {
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: Math.round
+};
+
+export const FUNCTIONS = [
+  ...Object.keys(RANGE_FUNCTIONS),
+  ...Object.keys(INSTANT_FUNCTIONS),
+  'histogram_quantile',
+  'scalar',
+  'vector'
+];
+
+/**
+ * Parse a query, reusing the cached AST when possible
+ * @param {string} query - Query string
+ * @returns {Object} - AST root node
+ */
+export function getQueryAst(query) {
+  let ast = astCache.get(query);
+  if (!ast) {
+    ast = parseQuery(query);
+    if (astCache.size >= AST_CACHE_LIMIT) {
+      astCache.delete(astCache.keys().next().value);
+    }
+    astCache.set(query, ast);
+  }
+  return ast;
+}
+
+/**
+ * Evaluate a query against buffered samples
+ * @param {string|Object} query - Query string or AST
+ * @param {SeriesBuffer} buffer - Sample buffer to read from
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.now] - Evaluation time
+ * @param {number} [options.lookbackMs] - Staleness window for instant selectors
+ * @returns {Object} - Scalar, vector or matrix result
+ */
+export function evaluateQuery(query, buffer, options = {}) {
+  const ast = typeof query === 'string' ? getQueryAst(query) : query;
+  const context = {
+    buffer,
+    now: options.now ?? Date.now(),
+    lookbackMs: options.lookbackMs ?? DEFAULT_LOOKBACK_MS
+  };
+  return evaluateNode(ast, context);
+}
+
+/**
+ * Convert a result into a list of samples (scalars become one unlabelled sample)
+ * @param {Object} result - Result from evaluateQuery
+ * @returns {Array<{labels: Object, value: number}>} - Samples
+ */
+export function resultToSamples(result) {
+  if (result.type === 'scalar') {
+    return Number.isNaN(result.value) ? [] : [{ labels: {}, value: result.value }];
+  }
+  if (result.type === 'vector') {
+    return result.samples;
+  }
+  throw new QueryEvaluationError('Range vector results cannot be used as an alert condition');
+}
+
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'number':
+      return { type: 'scalar', value: node.value };
+
+    case 'string':
+      throw new QueryEvaluationError('String literals are only allowed as function arguments');
+
+    case 'paren':
+      return evaluateNode(node.expr, context);
+
+    case 'unary': {
+      const operand = evaluateNode(node.operand, context);
+      if (operand.type === 'scalar') {
+        return { type: 'scalar', value: -operand.value };
+      }
+      return {
+        type: 'vector',
+        samples: expectVector(operand).samples.map((sample) => ({
+          labels: dropMetricName(sample.labels),
+          value: -sample.value
+        }))
+      };
+    }
+
+    case 'selector':
+      return selectInstant(node, context);
+
+    case 'range_selector':
+      return selectRange(node, context);
+
+    case 'aggregation':
+      return aggregate(node, context);
+
+    case 'call':
+      return callFunction(node, context);
+
+    case 'binary':
+      return evaluateBinary(node, context);
+
+    default:
+      throw new QueryEvaluationError(`Unsupported expression type: ${node.type}`);
+  }
+}
+
+function selectorLabels(entry) {
+  return { __name__: entry.name, ...entry.labels };
+}
+
+function findSeries(node, context) {
+  const { buffer } = context;
+  if (node.name) {
+    return buffer.select(node.name, (labels) => matchLabels(node.matchers, labels));
+  }
+  return Array.from(buffer.series.values())
+    .filter((entry) => matchLabels(node.matchers, selectorLabels(entry)));
+}
+
+function selectInstant(node, context) {
+  const samples = [];
+
+  for (const entry of findSeries(node, context)) {
+    const latest = entry.samples[entry.samples.length - 1];
+    if (latest && latest.timestamp <= context.now &&
+        context.now - latest.timestamp <= context.lookbackMs) {
+      samples.push({ labels: selectorLabels(entry), value: latest.value });
+    }
+  }
+
+  return { type: 'vector', samples };
+}
+
+function selectRange(node, context) {
+  const series = [];
+
+  for (const entry of findSeries(node, context)) {
+    const samples = context.buffer.window(entry, node.rangeMs, context.now);
+    if (samples.length > 0) {
+      series.push({ labels: selectorLabels(entry), samples });
+    }
+  }
+
+  return { type: 'matrix', series };
+}
+
+/**
+ * Check that a function exists and is called with the arguments it expects
+ * @param {Object} node - Call node
+ * @throws {QueryEvaluationError} - If the function is unknown or its arguments do not fit
+ */
+function checkCall(node) {
+  if (RANGE_FUNCTIONS[node.name]) {
+    if (node.args.length !== 1 || node.args[0].type !== 'range_selector') {
+      throw new QueryEvaluationError(`${node.name}() expects a single range vector argument`);
+    }
+  } else if (INSTANT_FUNCTIONS[node.name]) {
+    if (node.args.length !== 1) {
+      throw new QueryEvaluationError(`${node.name}() expects a single argument`);
+    }
+  } else if (node.name === 'histogram_quantile') {
+    if (node.args.length !== 2) {
+      throw new QueryEvaluationError('histogram_quantile() expects a quantile and a vector');
+    }
+  } else if (node.name === 'vector' || node.name === 'scalar') {
+    if (node.args.length !== 1) {
+      throw new QueryEvaluationError(`${node.name}() expects exactly one argument`);
+    }
+  } else {
+    throw new QueryEvaluationError(`Unknown function: ${node.name}()`);
+  }
+}
+
+/**
+ * Find the function calls of a query that evaluation would reject
+ * @param {Object} node - AST node, usually the root
+ * @param {Array<string>} [errors] - Problems found so far
+ * @returns {Array<string>} - Problems, empty if every call is valid
+ */
+export function getCallErrors(node, errors = []) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => getCallErrors(child, errors));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'call') {
+      try {
+        checkCall(node);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    Object.values(node).forEach((child) => getCallErrors(child, errors));
+  }
+  return errors;
+}
+
+function callFunction(node, context) {
+  checkCall(node);
+
+  if (RANGE_FUNCTIONS[node.name]) {
+    const matrix = evaluateNode(node.args[0], context);
+    const samples = [];
+
+    for (const series of matrix.series) {
+      const value = RANGE_FUNCTIONS[node.name](series.samples);
+      if (value !== null && !Number.isNaN(value)) {
+        samples.push({ labels: dropMetricName(series.labels), value });
+      }
+    }
+
+    return { type: 'vector', samples };
+  }
+
+  if (INSTANT_FUNCTIONS[node.name]) {
+    const arg = evaluateNode(node.args[0], context);
+    const fn = INSTANT_FUNCTIONS[node.name];
+
+    if (arg.type === 'scalar') {
+      return { type: 'scalar', value: fn(arg.value) };
+    }
+
+    return {
+      type: 'vector',
+      samples: expectVector(arg).samples.map((sample) => ({
+        labels: dropMetricName(sample.labels),
+        value: fn(sample.value)
+      }))
+    };
+  }
+
+  if (node.name === 'histogram_quantile') {
+    const quantile = expectScalar(evaluateNode(node.args[0], context)).value;
+    return histogramQuantile(quantile, expectVector(evaluateNode(node.args[1], context)));
+  }
+
+  // vector() or scalar()
+  const arg = evaluateNode(node.args[0], context);
+  if (node.name === 'vector') {
+    return { type: 'vector', samples: [{ labels: {}, value: expectScalar(arg).value }] };
+  }
+  const samples = expectVector(arg).samples;
+  return { type: 'scalar', value: samples.length === 1 ? samples[0].value : NaN };
+}
+
+/**
+ * Estimate a quantile from cumulative `le` buckets, interpolating linearly
+ * inside the bucket that contains the quantile (as Prometheus does)
+ */
+function histogramQuantile(quantile, vector) {
+  const histograms = new Map();
+
+  for (const sample of vector.samples) {
+    if (sample.labels.le === undefined) {
+      continue;
+    }
+    const labels = groupingLabels(sample.labels, { mode: 'without', labels: ['le'] });
+    const key = signature(labels);
+    if (!histograms.has(key)) {
+      histograms.set(key, { labels, buckets: [] });
+    }
+    histograms.get(key).buckets.push({ upperBound: parseFloat(sample.labels.le), count: sample.value });
+  }
+
+  const samples = [];
+
+  for (const { labels, buckets } of histograms.values()) {
+    buckets.sort((a, b) => a.upperBound - b.upperBound);
+
+    const total = buckets[buckets.length - 1];
+    if (buckets.length < 2 || total.upperBound !== Infinity || total.count === 0) {
+      continue;
+    }
+
+    let value;
+    if (quantile < 0) {
+      value = -Infinity;
+    } else if (quantile > 1) {
+      value = Infinity;
+    } else {
+      const rank = quantile * total.count;
+      const index = buckets.findIndex((bucket) => bucket.count >= rank);
+      const bucket = buckets[index];
+
+      if (bucket.upperBound === Infinity) {
+        value = buckets[buckets.length - 2].upperBound;
+      } else {
+        const lowerBound = index > 0 ? buckets[index - 1].upperBound : 0;
+        const lowerCount = index > 0 ? buckets[index - 1].count : 0;
+        const bucketCount = bucket.count - lowerCount;
+        value = bucketCount > 0
+          ? lowerBound + (bucket.upperBound - lowerBound) * ((rank - lowerCount) / bucketCount)
+          : bucket.upperBound;
+      }
+    }
+
+    samples.push({ labels, value });
+  }
+
+  return { type: 'vector', samples };
+}
+
+function aggregate(node, context) {
+  const input = expectVector(evaluateNode(node.expr, context));
+  const groups = new Map();
+
+  for (const sample of input.samples) {
+    const groupLabels = groupingLabels(sample.labels, node.grouping);
+    const key = signature(groupLabels);
+
+    if (!groups.has(key)) {
+      groups.set(key, { labels: groupLabels, values: [] });
+    }
+    groups.get(key).values.push(sample.value);
+  }
+
+  const samples = [];
+
+  for (const group of groups.values()) {
+    const { values } = group;
+    let value;
+
+    switch (node.op) {
+      case 'sum': value = values.reduce((a, b) => a + b, 0); break;
+      case 'avg': value = values.reduce((a, b) => a + b, 0) / values.length; break;
+      case 'min': value = Math.min(...values); break;
+      case 'max': value = Math.max(...values); break;
+      case 'count': value = values.length; break;
+      default:
+        throw new QueryEvaluationError(`Unknown aggregation: ${node.op}`);
+    }
+
+    samples.push({ labels: group.labels, value });
+  }
+
+  return { type: 'vector', samples };
+}
+
+function groupingLabels(labels, grouping) {
+  const result = {};
+
+  if (grouping.mode === 'by') {
+    for (const name of grouping.labels) {
+      if (labels[name] !== undefined) {
+        result[name] = labels[name];
+      }
+    }
+  } else {
+    for (const [name, value] of Object.entries(labels)) {
+      if (name !== '__name__' && !grouping.labels.includes(name)) {
+        result[name] = value;
+      }
+    }
+  }
+
+  return result;
+}
+
+function evaluateBinary(node, context) {
+  const left = evaluateNode(node.left, context);
+  const right = evaluateNode(node.right, context);
+
+  if (['and', 'or', 'unless'].includes(node.op)) {
+    return evaluateSetOperation(node, expectVector(left), expectVector(right));
+  }
+
+  if (left.type === 'scalar' && right.type === 'scalar') {
+    const value = applyOperator(node.op, left.value, right.value);
+    if (COMPARISON_OPERATORS.includes(node.op)) {
+      return { type: 'scalar', value: value ? 1 : 0 };
+    }
+    return { type: 'scalar', value };
+  }
+
+  if (left.type === 'scalar' || right.type === 'scalar') {
+    const vector = expectVector(left.type === 'scalar' ? right : left);
+    const scalar = left.type === 'scalar' ? left.value : right.value;
+    const samples = [];
+
+    for (const sample of vector.samples) {
+      const lhs = left.type === 'scalar' ? scalar : sample.value;
+      const rhs = left.type === 'scalar' ? sample.value : scalar;
+      const result = combine(node, lhs, rhs, sample.value);
+      if (result !== null) {
+        samples.push({
+          labels: keepsMetricName(node) ? sample.labels : dropMetricName(sample.labels),
+          value: result
+        });
+      }
+    }
+
+    return { type: 'vector', samples };
+  }
+
+  return evaluateVectorBinary(node, expectVector(left), expectVector(right));
+}
+
+function evaluateVectorBinary(node, left, right) {
+  const rightBySignature = new Map();
+
+  for (const sample of right.samples) {
+    const key = matchingSignature(sample.labels, node.matching);
+    if (rightBySignature.has(key)) {
+      throw new QueryEvaluationError(
+        `Many-to-many matching not allowed: multiple series on the right side of "${node.op}" ` +
+        'share the same labels; use on() or ignoring() to select matching labels'
+      );
+    }
+    rightBySignature.set(key, sample);
+  }
+
+  const samples = [];
+  const seen = new Set();
+
+  for (const sample of left.samples) {
+    const key = matchingSignature(sample.labels, node.matching);
+    const match = rightBySignature.get(key);
+    if (!match) {
+      continue;
+    }
+    if (seen.has(key)) {
+      throw new QueryEvaluationError(
+        `Many-to-many matching not allowed: multiple series on the left side of "${node.op}" ` +
+        'share the same labels'
+      );
+    }
+    seen.add(key);
+
+    const result = combine(node, sample.value, match.value, sample.value);
+    if (result !== null) {
+      samples.push({ labels: resultLabels(sample.labels, node), value: result });
+    }
+  }
+
+  return { type: 'vector', samples };
+}
+
+function evaluateSetOperation(node, left, right) {
+  const rightSignatures = new Set(
+    right.samples.map((sample) => matchingSignature(sample.labels, node.matching))
+  );
+
+  switch (node.op) {
+    case 'and':
+      return {
+        type: 'vector',
+        samples: left.samples.filter((sample) =>
+          rightSignatures.has(matchingSignature(sample.labels, node.matching)))
+      };
+
+    case 'unless':
+      return {
+        type: 'vector',
+        samples: left.samples.filter((sample) =>
+          !rightSignatures.has(matchingSignature(sample.labels, node.matching)))
+      };
+
+    case 'or': {
+      const leftSignatures = new Set(
+        left.samples.map((sample) => matchingSignature(sample.labels, node.matching))
+      );
+      return {
+        type: 'vector',
+        samples: [
+          ...left.samples,
+          ...right.samples.filter((sample) =>
+            !leftSignatures.has(matchingSignature(sample.labels, node.matching)))
+        ]
+      };
+    }
+
+    default:
+      throw new QueryEvaluationError(`Unknown set operator: ${node.op}`);
+  }
+}
+
+/**
+ * Apply an operator to two sample values
+ * @returns {number|null} - Result, or null when a comparison filters the sample out
+ */
+function combine(node, lhs, rhs, filterValue) {
+  const result = applyOperator(node.op, lhs, rhs);
+
+  if (!COMPARISON_OPERATORS.includes(node.op)) {
+    return result;
+  }
+
+  if (node.returnBool) {
+    return result ? 1 : 0;
+  }
+
+  return result ? filterValue : null;
+}
+
+function applyOperator(op, lhs, rhs) {
+  switch (op) {
+    case '+': return lhs + rhs;
+    case '-': return lhs - rhs;
+    case '*': return lhs * rhs;
+    case '/': return lhs / rhs;
+    case '%': return lhs % rhs;
+    case '^': return Math.pow(lhs, rhs);
+    case '==': return lhs === rhs;
+    case '!=': return lhs !== rhs;
+    case '>': return lhs > rhs;
+    case '<': return lhs < rhs;
+    case '>=': return lhs >= rhs;
+    case '<=': return lhs <= rhs;
+    default:
+      throw new QueryEvaluationError(`Unknown operator: ${op}`);
+  }
+}
+
+function keepsMetricName(node) {
+  return COMPARISON_OPERATORS.includes(node.op) && !node.returnBool;
+}
+
+function resultLabels(labels, node) {
+  let result = keepsMetricName(node) ? { ...labels } : dropMetricName(labels);
+
+  if (node.matching?.mode === 'on') {
+    result = {};
+    for (const name of node.matching.labels) {
+      if (labels[name] !== undefined) {
+        result[name] = labels[name];
+      }
+    }
+  } else if (node.matching?.mode === 'ignoring') {
+    for (const name of node.matching.labels) {
+      delete result[name];
+    }
+  }
+
+  return result;
+}
+
+function matchingSignature(labels, matching) {
+  if (matching?.mode === 'on') {
+    return signature(groupingLabels(labels, { mode: 'by', labels: matching.labels }));
+  }
+  const ignored = matching?.mode === 'ignoring' ? matching.labels : [];
+  return signature(groupingLabels(labels, { mode: 'without', labels: ignored }));
+}
+
+/**
+ * Build a key that is equal for equal label sets, whatever their order
+ * @param {Object} labels - Labels
+ * @returns {string} - Signature
+ */
+function signature(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map((name) => `${name}=${labels[name]}`)
+    .join('\u0000');
+}
+
+/**
+ * Copy labels without the metric name, as functions and operators change
+ * what the value means
+ * @param {Object} labels - Labels
+ * @returns {Object} - Labels without __name__
+ */
+function dropMetricName(labels) {
+  const rest = { ...labels };
+  delete rest.__name__;
+  return rest;
+}
+
+function expectVector(result) {
+  if (result.type !== 'vector') {
+    throw new QueryEvaluationError(`Expected an instant vector but got a ${result.type}`);
+  }
+  return result;
+}
+
+function expectScalar(result) {
+  if (result.type !== 'scalar') {
+    throw new QueryEvaluationError(`Expected a scalar but got a ${result.type}`);
+  }
+  return result;
+}
@@ -0,0 +1,516 @@
+/**
+ * Parser for the PromQL subset used in alert rule queries.
+ *
+ * Supported syntax:
+ * - Vector selectors with label matchers: `metric{a="x", b!="y", c=~"re", d!~"re"}`
+ * - Range selectors for functions: `rate(metric[5m])`
+ * - Arithmetic: `+ - * / % ^`, comparison: `== != > < >= <=` (optionally `bool`)
+ * - Set operators: `and`, `or`, `unless`
+ * - Vector matching modifiers: `on(labels)`, `ignoring(labels)`
+ * - Aggregations: `sum`, `avg`, `min`, `max`, `count` with `by (...)` or `without (...)`
+ * - Functions: see FUNCTIONS in query-evaluator.js
+ *
+ * The parser produces a plain-object AST consumed by query-evaluator.js.
+ */
+
+import { parseDuration } from '../utils/duration.js';
+
+export const AGGREGATIONS = ['sum', 'avg', 'min', 'max', 'count'];
+export const COMPARISON_OPERATORS = ['==', '!=', '>', '<', '>=', '<='];
+export const SET_OPERATORS = ['and', 'or', 'unless'];
+
+// Binary operator precedence, lowest first (`^` is handled by parsePower)
+const PRECEDENCE = [
+  ['or'],
+  ['and', 'unless'],
+  COMPARISON_OPERATORS,
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const KEYWORDS = ['and', 'or', 'unless', 'by', 'without', 'on', 'ignoring', 'bool'];
+
+/**
+ * Error raised for malformed queries, with the position of the problem
+ */
+export class QueryParseError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} at position ${position}` : message);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a query string into tokens
+ * @param {string} input - Query string
+ * @returns {Array<{type: string, value: string, position: number}>} - Tokens
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    // Range duration: [5m]
+    if (char === '[') {
+      const end = input.indexOf(']', i);
+      if (end === -1) {
+        throw new QueryParseError('Unterminated range selector', i);
+      }
+      tokens.push({ type: 'range', value: input.slice(i + 1, end).trim(), position: start });
+      i = end + 1;
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === '\'' || char === '`') {
+      let value = '';
+      i++;
+      while (i < input.length && input[i] !== char) {
+        if (input[i] === '\\' && char !== '`' && i + 1 < input.length) {
+          const next = input[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+        } else {
+          value += input[i++];
+        }
+      }
+      if (i >= input.length) {
+        throw new QueryParseError('Unterminated string', start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    // Numbers (including scientific notation)
+    const numberMatch = input.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: numberMatch[0], position: start });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    // Identifiers, metric names and keywords. Dots are accepted so that
+    // legacy dot-path queries like `cpu.usage` keep working.
+    const identMatch = input.slice(i).match(/^[a-zA-Z_:][a-zA-Z0-9_:.]*/);
+    if (identMatch) {
+      const value = identMatch[0];
+      const lower = value.toLowerCase();
+      if (KEYWORDS.includes(lower)) {
+        tokens.push({ type: 'keyword', value: lower, position: start });
+      } else if (lower === 'inf' || lower === 'nan') {
+        tokens.push({ type: 'number', value: lower === 'inf' ? 'Infinity' : 'NaN', position: start });
+      } else {
+        tokens.push({ type: 'ident', value, position: start });
+      }
+      i += value.length;
+      continue;
+    }
+
+    // Multi-character operators first
+    const twoChars = input.slice(i, i + 2);
+    if (['==', '!=', '>=', '<=', '=~', '!~'].includes(twoChars)) {
+      tokens.push({ type: 'op', value: twoChars, position: start });
+      i += 2;
+      continue;
+    }
+
+    if ('+-*/%^<>='.includes(char)) {
+      tokens.push({ type: 'op', value: char, position: start });
+      i++;
+      continue;
+    }
+
+    if ('(){},'.includes(char)) {
+      tokens.push({ type: 'punct', value: char, position: start });
+      i++;
+      continue;
+    }
+
+    throw new QueryParseError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'eof', value: '', position: input.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over the token list
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isToken(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      const expected = value !== undefined ? `"${value}"` : type;
+      const found = token.type === 'eof' ? 'end of query' : `"${token.value}"`;
+      throw new QueryParseError(`Expected ${expected} but found ${found}`, token.position);
+    }
+    return token;
+  }
+
+  parse() {
+    const expr = this.parseBinary(0);
+    if (!this.isToken('eof')) {
+      const token = this.peek();
+      throw new QueryParseError(`Unexpected "${token.value}"`, token.position);
+    }
+    return expr;
+  }
+
+  /**
+   * Get the binary operator at the current position, if any
+   */
+  peekBinaryOperator() {
+    const token = this.peek();
+    if (token.type === 'op' && !['=', '=~', '!~'].includes(token.value)) {
+      return token.value;
+    }
+    if (token.type === 'keyword' && SET_OPERATORS.includes(token.value)) {
+      return token.value;
+    }
+    return null;
+  }
+
+  parseBinary(level) {
+    if (level >= PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+
+    for (;;) {
+      const op = this.peekBinaryOperator();
+      if (!op || !PRECEDENCE[level].includes(op)) {
+        return left;
+      }
+      this.next();
+
+      const modifiers = this.parseBinaryModifiers(op);
+      const right = this.parseBinary(level + 1);
+
+      left = { type: 'binary', op, left, right, ...modifiers };
+    }
+  }
+
+  parseBinaryModifiers(op) {
+    const modifiers = { returnBool: false, matching: null };
+
+    if (this.isToken('keyword', 'bool')) {
+      if (!COMPARISON_OPERATORS.includes(op)) {
+        throw new QueryParseError('bool modifier is only allowed on comparison operators',
+          this.peek().position);
+      }
+      this.next();
+      modifiers.returnBool = true;
+    }
+
+    if (this.isToken('keyword', 'on') || this.isToken('keyword', 'ignoring')) {
+      const mode = this.next().value;
+      modifiers.matching = { mode, labels: this.parseLabelList() };
+    }
+
+    return modifiers;
+  }
+
+  parseUnary() {
+    if (this.isToken('op', '-') || this.isToken('op', '+')) {
+      const op = this.next().value;
+      const operand = this.parseUnary();
+      return op === '-' ? { type: 'unary', op, operand } : operand;
+    }
+    return this.parsePower();
+  }
+
+  // `^` binds tighter than unary minus and is right associative: -2 ^ 2 == -4
+  parsePower() {
+    const base = this.parsePrimary();
+
+    if (!this.isToken('op', '^')) {
+      return base;
+    }
+    this.next();
+
+    const modifiers = this.parseBinaryModifiers('^');
+    return { type: 'binary', op: '^', left: base, right: this.parseUnary(), ...modifiers };
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'number') {
+      this.next();
+      return { type: 'number', value: parseFloat(token.value) };
+    }
+
+    if (token.type === 'string') {
+      this.next();
+      return { type: 'string', value: token.value };
+    }
+
+    if (this.isToken('punct', '(')) {
+      this.next();
+      const expr = this.parseBinary(0);
+      this.expect('punct', ')');
+      return { type: 'paren', expr };
+    }
+
+    if (this.isToken('punct', '{')) {
+      return this.parseSelector(null);
+    }
+
+    if (token.type === 'ident') {
+      this.next();
+      const name = token.value;
+
+      if (AGGREGATIONS.includes(name) &&
+          (this.isToken('punct', '(') || this.isToken('keyword', 'by') ||
+           this.isToken('keyword', 'without'))) {
+        return this.parseAggregation(name);
+      }
+
+      if (this.isToken('punct', '(')) {
+        return this.parseFunctionCall(name, token.position);
+      }
+
+      return this.parseSelector(name);
+    }
+
+    const found = token.type === 'eof' ? 'end of query' : `"${token.value}"`;
+    throw new QueryParseError(`Unexpected ${found}`, token.position);
+  }
+
+  parseSelector(name) {
+    const matchers = [];
+
+    if (this.isToken('punct', '{')) {
+      this.next();
+      while (!this.isToken('punct', '}')) {
+        const labelToken = this.next();
+        if (labelToken.type !== 'ident' && labelToken.type !== 'keyword') {
+          throw new QueryParseError('Expected label name', labelToken.position);
+        }
+
+        const opToken = this.expect('op');
+        if (!['=', '!=', '=~', '!~'].includes(opToken.value)) {
+          throw new QueryParseError(`Invalid label matcher operator "${opToken.value}"`,
+            opToken.position);
+        }
+
+        const valueToken = this.expect('string');
+        matchers.push(createMatcher(labelToken.value, opToken.value, valueToken.value,
+          valueToken.position));
+
+        if (!this.isToken('punct', '}')) {
+          this.expect('punct', ',');
+        }
+      }
+      this.next();
+    }
+
+    // `{__name__="x"}` is equivalent to `x`
+    const nameMatcher = matchers.find((m) => m.name === '__name__' && m.type === '=');
+    const metricName = name ? name.replace(/\./g, '_') : nameMatcher?.value || null;
+
+    if (!metricName && matchers.length === 0) {
+      throw new QueryParseError('Vector selector must contain a metric name or label matcher',
+        this.peek().position);
+    }
+
+    const selector = {
+      type: 'selector',
+      name: metricName,
+      matchers: matchers.filter((m) => m !== nameMatcher)
+    };
+
+    if (this.isToken('range')) {
+      const rangeToken = this.next();
+      try {
+        selector.rangeMs = parseDuration(rangeToken.value);
+      } catch (error) {
+        throw new QueryParseError(`Invalid range duration "${rangeToken.value}"`,
+          rangeToken.position);
+      }
+      selector.type = 'range_selector';
+    }
+
+    return selector;
+  }
+
+  parseAggregation(op) {
+    let grouping = this.parseGrouping();
+
+    this.expect('punct', '(');
+    const expr = this.parseBinary(0);
+    this.expect('punct', ')');
+
+    // Grouping may also follow the expression: sum(x) by (label)
+    if (!grouping) {
+      grouping = this.parseGrouping();
+    }
+
+    return {
+      type: 'aggregation',
+      op,
+      expr,
+      grouping: grouping || { mode: 'by', labels: [] }
+    };
+  }
+
+  parseGrouping() {
+    if (this.isToken('keyword', 'by') || this.isToken('keyword', 'without')) {
+      const mode = this.next().value;
+      return { mode, labels: this.parseLabelList() };
+    }
+    return null;
+  }
+
+  parseLabelList() {
+    const labels = [];
+    this.expect('punct', '(');
+    while (!this.isToken('punct', ')')) {
+      const token = this.next();
+      if (token.type !== 'ident' && token.type !== 'keyword') {
+        throw new QueryParseError('Expected label name', token.position);
+      }
+      labels.push(token.value);
+      if (!this.isToken('punct', ')')) {
+        this.expect('punct', ',');
+      }
+    }
+    this.next();
+    return labels;
+  }
+
+  parseFunctionCall(name, position) {
+    const args = [];
+    this.expect('punct', '(');
+    while (!this.isToken('punct', ')')) {
+      args.push(this.parseBinary(0));
+      if (!this.isToken('punct', ')')) {
+        this.expect('punct', ',');
+      }
+    }
+    this.next();
+    return { type: 'call', name, args, position };
+  }
+}
+
+/**
+ * Build a label matcher, compiling regular expressions once
+ * @param {string} name - Label name
+ * @param {string} type - Operator (=, !=, =~, !~)
+ * @param {string} value - Value or pattern
+ * @param {number} [position] - Position in the query, for errors
+ * @returns {Object} - Label matcher
+ */
+export function createMatcher(name, type, value, position) {
+  const matcher = { name, type, value };
+
+  if (type === '=~' || type === '!~') {
+    try {
+      // Regex matchers are fully anchored, as in Prometheus
+      matcher.regex = new RegExp(`^(?:${value})$`);
+    } catch (error) {
+      throw new QueryParseError(`Invalid regular expression "${value}"`, position);
+    }
+  }
+
+  return matcher;
+}
+
+/**
+ * Check a label set against selector matchers
+ * @param {Array} matchers - Matchers from a selector
+ * @param {Object} labels - Label set
+ * @returns {boolean} - Whether every matcher is satisfied
+ */
+export function matchLabels(matchers, labels) {
+  return matchers.every((matcher) => {
+    const value = labels[matcher.name] !== undefined ? String(labels[matcher.name]) : '';
+    switch (matcher.type) {
+      case '=': return value === matcher.value;
+      case '!=': return value !== matcher.value;
+      case '=~': return matcher.regex.test(value);
+      case '!~': return !matcher.regex.test(value);
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Parse a query into an AST
+ * @param {string} query - Query string
+ * @returns {Object} - AST root node
+ */
+export function parseQuery(query) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new QueryParseError('Query must be a non-empty string');
+  }
+  return new Parser(tokenize(query)).parse();
+}
+
+/**
+ * Whether a query already contains its alert condition, i.e. its result is
+ * filtered by a comparison or set operator at the top level
+ * @param {Object} ast - AST from parseQuery
+ * @returns {boolean} - True for queries like `x > 80`
+ */
+export function hasCondition(ast) {
+  let node = ast;
+  while (node.type === 'paren') {
+    node = node.expr;
+  }
+
+  if (node.type !== 'binary') {
+    return false;
+  }
+
+  if (SET_OPERATORS.includes(node.op)) {
+    return true;
+  }
+
+  return COMPARISON_OPERATORS.includes(node.op) && !node.returnBool;
+}
+
+/**
+ * Get the longest range a query reads, e.g. 2h for `rate(x[5m]) + max_over_time(x[2h])`
+ * @param {Object} ast - AST from parseQuery
+ * @returns {number} - Range in milliseconds, 0 for queries without range selectors
+ */
+export function getMaxRange(ast) {
+  if (Array.isArray(ast)) {
+    return Math.max(0, ...ast.map(getMaxRange));
+  }
+  if (!ast || typeof ast !== 'object') {
+    return 0;
+  }
+  return Math.max(ast.rangeMs || 0, ...Object.values(ast).map(getMaxRange));
+}
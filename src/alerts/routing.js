@@ -0,0 +1,154 @@
+/**
+ * Alertmanager-style routing tree
+ *
+ * Every alert enters at the root route and walks down the child routes whose
+ * matchers it satisfies. The deepest matching routes decide which channels
+ * (`receivers`, by channel id, or `user:<id>` and `schedule:<id>` targets)
+ * are notified and how alerts are grouped.
+ * Siblings are tried in order and the walk stops at the first match unless
+ * that route sets `continue`. Child routes inherit every setting they do not
+ * override from their parent.
+ */
+
+import { parseDuration } from '../utils/duration.js';
+import { parseMatchers, serializeMatcher } from './matchers.js';
+import { matchLabels } from './query-parser.js';
+
+export const DEFAULT_ROUTE = {
+  // null means every enabled external channel
+  receivers: null,
+  group_by: [],
+  group_wait: '30s',
+  group_interval: '5m',
+  repeat_interval: '4h'
+};
+
+const INHERITED_SETTINGS = Object.keys(DEFAULT_ROUTE);
+
+/**
+ * Validate a route and its children, filling in inherited settings
+ * @param {Object} [route] - Route config
+ * @param {Object} [parent] - Compiled parent route
+ * @param {string} [defaultId] - ID used when the route has none
+ * @returns {Object} - Compiled route tree
+ */
+export function compileRoute(route = {}, parent = null, defaultId = 'root') {
+  const id = route.id || defaultId;
+  const settings = {};
+
+  for (const name of INHERITED_SETTINGS) {
+    settings[name] = parent ? parent[name] : DEFAULT_ROUTE[name];
+    if (route[name] !== undefined) {
+      settings[name] = route[name];
+    }
+  }
+
+  // Alertmanager's single `receiver` is accepted as well
+  if (route.receiver !== undefined) {
+    settings.receivers = [route.receiver];
+  }
+
+  if (settings.receivers !== null &&
+      (!Array.isArray(settings.receivers) || !settings.receivers.every((r) => typeof r === 'string' && r !== ''))) {
+    throw new Error(`Route ${id}: receivers must be an array of channel ids or targets`);
+  }
+  if (!Array.isArray(settings.group_by)) {
+    throw new Error(`Route ${id}: group_by must be an array of label names`);
+  }
+  if (!parent && route.matchers && route.matchers.length > 0) {
+    throw new Error(`Route ${id}: the root route matches every alert and cannot have matchers`);
+  }
+  if (route.routes !== undefined && !Array.isArray(route.routes)) {
+    throw new Error(`Route ${id}: routes must be an array`);
+  }
+
+  const timers = {};
+  for (const name of ['group_wait', 'group_interval', 'repeat_interval']) {
+    try {
+      timers[name] = parseDuration(settings[name]);
+    } catch (error) {
+      throw new Error(`Route ${id}: ${name}: ${error.message}`);
+    }
+  }
+
+  let matchers;
+  try {
+    matchers = parseMatchers(route.matchers || []);
+  } catch (error) {
+    throw new Error(`Route ${id}: ${error.message}`);
+  }
+
+  if (timers.group_interval <= 0 || timers.repeat_interval <= 0) {
+    throw new Error(`Route ${id}: group_interval and repeat_interval must be greater than zero`);
+  }
+
+  const compiled = {
+    id,
+    ...settings,
+    matchers,
+    continue: route.continue === true,
+    groupWaitMs: timers.group_wait,
+    groupIntervalMs: timers.group_interval,
+    repeatIntervalMs: timers.repeat_interval
+  };
+
+  compiled.routes = (route.routes || []).map((child, index) =>
+    compileRoute(child, compiled, `${id}.${index}`)
+  );
+
+  return compiled;
+}
+
+/**
+ * Find the routes an alert is delivered on
+ * @param {Object} route - Compiled route tree
+ * @param {Object} labels - Alert labels, including alertname, rule_id and severity
+ * @returns {Array} - Matching routes, deepest first, in tree order
+ */
+export function matchRoutes(route, labels) {
+  if (!matchLabels(route.matchers, labels)) {
+    return [];
+  }
+
+  const matched = [];
+  for (const child of route.routes) {
+    const childMatches = matchRoutes(child, labels);
+    if (childMatches.length > 0) {
+      matched.push(...childMatches);
+      if (!child.continue) {
+        break;
+      }
+    }
+  }
+
+  // A route no child claims handles the alert itself
+  return matched.length > 0 ? matched : [route];
+}
+
+/**
+ * Collect every route in a tree
+ * @param {Object} route - Compiled route tree
+ * @returns {Array<Object>} - Routes in depth-first order
+ */
+export function flattenRoutes(route) {
+  return [route, ...route.routes.flatMap(flattenRoutes)];
+}
+
+/**
+ * Convert a compiled route tree to its API form
+ * @param {Object} route - Compiled route tree
+ * @returns {Object} - Serializable route
+ */
+export function serializeRoute(route) {
+  return {
+    id: route.id,
+    matchers: route.matchers.map(serializeMatcher),
+    receivers: route.receivers,
+    group_by: route.group_by,
+    group_wait: route.group_wait,
+    group_interval: route.group_interval,
+    repeat_interval: route.repeat_interval,
+    continue: route.continue,
+    routes: route.routes.map(serializeRoute)
+  };
+}
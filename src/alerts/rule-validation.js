@@ -0,0 +1,189 @@
+/**
+ * Validation of alert rule definitions
+ *
+ * Every rule needs an id, a name, a type, a source and a severity. The
+ * remaining fields depend on the type:
+ * - `threshold`: a `query`, plus `condition`/`threshold` when the query has
+ *   no comparison of its own
+ * - `rate_of_change`: a metric selector `query`, a `changeType`, a `window`
+ *   and a `threshold`
+ * - `ai` / `ai_anomaly`: evaluated by the AI integration, optionally limited
+ *   to a `resourceType`
+ *
+ * Rules may name the rule `group` they are evaluated in (see
+ * `RULE_GROUP_SCHEMA`); rules without one belong to the `default` group.
+ *
+ * The shape of a rule is described by `RULE_SCHEMA`; queries are parsed on
+ * top of it, and their function calls checked against what the evaluator
+ * supports. All problems are reported at once, each prefixed with the path
+ * of the field it is about.
+ */
+
+import { compileSchema, getSchemaErrors, joinPath } from '../utils/schema.js';
+import { parseDuration } from '../utils/duration.js';
+import { parseQuery, hasCondition, COMPARISON_OPERATORS } from './query-parser.js';
+import { getCallErrors } from './query-evaluator.js';
+import { SEVERITY_LEVELS } from './notifiers/format.js';
+
+export const RULE_TYPES = ['threshold', 'rate_of_change', 'ai', 'ai_anomaly'];
+export const CHANGE_TYPES = ['delta', 'percent', 'rate'];
+export const DEFAULT_RULE_GROUP = 'default';
+
+// Shortest group interval, so a typo cannot make a group run continuously
+export const MIN_GROUP_INTERVAL_MS = 1000;
+
+// Rule types of the old config/alert-rules.json, which named the source instead
+const LEGACY_RULE_TYPES = ['prometheus', 'azure', 'gcp'];
+
+// Rule conditions also accept `=` for equality
+const CONDITIONS = [...COMPARISON_OPERATORS, '='];
+
+// Durations are strings like "5m" or milliseconds
+const duration = { type: ['string', 'number'], format: 'duration', minimum: 0 };
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+export const RULE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'type', 'source', 'severity'],
+  properties: {
+    id: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    type: { enum: RULE_TYPES },
+    source: { type: 'string', minLength: 1 },
+    severity: { enum: Object.keys(SEVERITY_LEVELS) },
+    enabled: { type: 'boolean' },
+    duration,
+    labels: stringMap,
+    annotations: stringMap,
+    query: { type: 'string', minLength: 1 },
+    condition: { enum: CONDITIONS },
+    threshold: { type: 'number' },
+    changeType: { enum: CHANGE_TYPES },
+    counter: { type: 'boolean' },
+    window: duration,
+    per: duration,
+    resourceType: { type: 'string' },
+    group: { type: 'string', minLength: 1 }
+  },
+  allOf: [
+    { if: { properties: { type: { const: 'threshold' } } }, then: { required: ['query'] } },
+    { if: { properties: { type: { const: 'rate_of_change' } } }, then: { required: ['query', 'threshold'] } }
+  ]
+};
+
+// Without an `interval` a group is evaluated whenever metrics are ingested
+export const RULE_GROUP_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$' },
+    interval: duration
+  }
+};
+
+const validateRuleSchema = compileSchema(RULE_SCHEMA);
+const validateRuleGroupSchema = compileSchema(RULE_GROUP_SCHEMA);
+
+/**
+ * Error raised for invalid rule definitions, listing every problem found
+ */
+export class RuleValidationError extends Error {
+  constructor(message, errors = [message]) {
+    super(message);
+    this.name = 'RuleValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Collect the problems of a rule definition
+ * @param {Object} rule - Rule definition
+ * @param {string} [base] - Path of the rule in its file, e.g. `rules[2]`
+ * @returns {Array<string>} - Problems, empty if the rule is valid
+ */
+export function getRuleErrors(rule, base = '') {
+  const errors = getSchemaErrors(validateRuleSchema, rule, base);
+
+  const queryPath = joinPath(base, 'query');
+  if (['threshold', 'rate_of_change'].includes(rule?.type) && typeof rule.query === 'string' && rule.query) {
+    try {
+      const ast = parseQuery(rule.query);
+      if (rule.type === 'rate_of_change' && (ast.type !== 'selector' || !ast.name)) {
+        errors.push(`${queryPath}: must be a metric selector such as disk_usage_percent{mountpoint="/"}`);
+      }
+      // Without a comparison in the query every series would fire
+      if (rule.type === 'threshold' && !hasCondition(ast)) {
+        if (rule.threshold === undefined) {
+          errors.push(`${joinPath(base, 'threshold')}: is required when the query has no comparison`);
+        }
+        if (rule.condition === undefined) {
+          errors.push(`${joinPath(base, 'condition')}: is required when the query has no comparison`);
+        }
+      }
+      errors.push(...getCallErrors(ast).map((error) => `${queryPath}: ${error}`));
+    } catch (error) {
+      errors.push(`${queryPath}: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Collect the problems of a rule group definition
+ * @param {Object} group - Rule group definition
+ * @param {string} [base] - Path of the group in its file, e.g. `groups[0]`
+ * @returns {Array<string>} - Problems, empty if the group is valid
+ */
+export function getRuleGroupErrors(group, base = '') {
+  const errors = getSchemaErrors(validateRuleGroupSchema, group, base);
+
+  if (errors.length === 0 && group.interval !== undefined && parseDuration(group.interval) < MIN_GROUP_INTERVAL_MS) {
+    errors.push(`${joinPath(base, 'interval')}: must be at least 1s`);
+  }
+  return errors;
+}
+
+/**
+ * Suggest how to update legacy rule fields
+ * @param {Object} rule - Rule definition
+ * @param {string} [base] - Path of the rule in its file
+ * @returns {Array<string>} - Suggestions as `<path>: <suggestion>`
+ */
+export function getRuleMigrations(rule, base = '') {
+  const migrations = [];
+  if (!rule || typeof rule !== 'object') {
+    return migrations;
+  }
+
+  if (LEGACY_RULE_TYPES.includes(rule.type)) {
+    migrations.push(`${joinPath(base, 'type')}: "${rule.type}" is a legacy rule type, ` +
+      `use "type": "threshold" with "source": "${rule.type}"`);
+  }
+  // AI rules used to name their lowest severity `minSeverity`, which is not read
+  if (rule.minSeverity !== undefined) {
+    migrations.push(rule.severity === undefined
+      ? `${joinPath(base, 'minSeverity')}: rename to "severity"`
+      : `${joinPath(base, 'minSeverity')}: remove it, "severity" takes precedence`);
+  }
+  if (rule.metricName !== undefined && rule.query === undefined) {
+    migrations.push(`${joinPath(base, 'metricName')}: use "query": "${rule.metricName}" instead`);
+  }
+
+  return migrations;
+}
+
+/**
+ * Validate a rule definition
+ * @param {Object} rule - Rule definition
+ * @throws {RuleValidationError} - If the rule is invalid
+ */
+export function validateRule(rule) {
+  const errors = getRuleErrors(rule);
+  if (errors.length > 0) {
+    const id = typeof rule?.id === 'string' && rule.id ? rule.id : 'without id';
+    throw new RuleValidationError(`Invalid rule ${id}: ${errors.join('; ')}`, errors);
+  }
+}
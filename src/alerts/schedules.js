@@ -0,0 +1,369 @@
+/**
+ * On-call schedules
+ *
+ * A schedule rotates through a list of users (contact ids) daily or weekly,
+ * handing off at `handoff_time` (and on `handoff_day` for weekly rotations)
+ * in the schedule's `timezone`. The first user takes over at the first
+ * handoff on the rotation's `start` date. Overrides put another user on
+ * call for a fixed period, e.g. to cover a holiday; the most recently added
+ * override wins where they overlap.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { parseCron, previousCronTime, nextCronTime, getZonedFields, isValidTimeZone } from '../utils/cron.js';
+
+export const ROTATION_TYPES = ['daily', 'weekly'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Far enough to always reach the previous or next handoff of a weekly rotation
+const HANDOFF_SEARCH_MS = 8 * DAY_MS;
+
+/**
+ * Error raised for invalid schedules and overrides
+ */
+export class ScheduleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleValidationError';
+  }
+}
+
+/**
+ * Parse a timestamp field of an override
+ * @param {*} value - ISO string, epoch milliseconds or Date
+ * @param {string} field - Field name, for error messages
+ * @returns {Date} - Parsed date
+ */
+function parseTime(value, field) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw new ScheduleValidationError(`${field} is not a valid time`);
+  }
+  return date;
+}
+
+/**
+ * Count the days from the epoch to a calendar date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {number} - Day number
+ */
+function toDayNumber(year, month, day) {
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+/**
+ * Validate an override
+ * @param {Object} override - Override with `user`, `start` and `end`
+ * @returns {Object} - Override with parsed times and an id
+ */
+export function compileOverride(override) {
+  if (!override || typeof override.user !== 'string' || override.user === '') {
+    throw new ScheduleValidationError('An override needs a user');
+  }
+
+  const start = parseTime(override.start, 'start');
+  const end = parseTime(override.end, 'end');
+  if (end <= start) {
+    throw new ScheduleValidationError('An override must end after it starts');
+  }
+
+  return { ...override, id: override.id || uuidv4(), start, end };
+}
+
+/**
+ * Validate a schedule and precompute its handoffs
+ * @param {Object} schedule - Schedule from config
+ * @returns {Object} - Compiled schedule
+ */
+export function compileSchedule(schedule) {
+  const id = schedule?.id;
+  if (!id) {
+    throw new ScheduleValidationError('Schedule is missing an id');
+  }
+
+  const label = `Schedule ${id}`;
+  const timezone = schedule.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    throw new ScheduleValidationError(`${label}: unknown timezone "${timezone}"`);
+  }
+
+  const rotation = { handoff_time: '09:00', ...schedule.rotation };
+  if (!ROTATION_TYPES.includes(rotation.type)) {
+    throw new ScheduleValidationError(`${label}: rotation type must be one of ${ROTATION_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(rotation.users) || rotation.users.length === 0 ||
+      !rotation.users.every((user) => typeof user === 'string' && user !== '')) {
+    throw new ScheduleValidationError(`${label}: rotation users must be a non-empty array of contact ids`);
+  }
+
+  const time = /^(\d{1,2}):(\d{2})$/.exec(rotation.handoff_time);
+  if (!time || Number(time[1]) > 23 || Number(time[2]) > 59) {
+    throw new ScheduleValidationError(`${label}: handoff_time must be HH:MM`);
+  }
+
+  const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(rotation.start || '');
+  if (!date) {
+    throw new ScheduleValidationError(`${label}: rotation start must be a YYYY-MM-DD date`);
+  }
+  const startDay = toDayNumber(Number(date[1]), Number(date[2]), Number(date[3]));
+
+  let dayOfWeek = '*';
+  if (rotation.type === 'weekly') {
+    rotation.handoff_day = (rotation.handoff_day || 'monday').toLowerCase();
+    dayOfWeek = WEEKDAYS.indexOf(rotation.handoff_day);
+    if (dayOfWeek === -1) {
+      throw new ScheduleValidationError(`${label}: handoff_day must be a day of the week`);
+    }
+    // Counting weeks from the start date only works if it is a handoff day
+    if (new Date(startDay * DAY_MS).getUTCDay() !== dayOfWeek) {
+      throw new ScheduleValidationError(`${label}: rotation start must be a ${rotation.handoff_day}`);
+    }
+  }
+
+  let overrides;
+  try {
+    overrides = (schedule.overrides || []).map(compileOverride);
+  } catch (error) {
+    throw new ScheduleValidationError(`${label}: ${error.message}`);
+  }
+
+  return {
+    ...schedule,
+    name: schedule.name || id,
+    timezone,
+    rotation,
+    overrides,
+    compiled: {
+      handoff: parseCron(`${Number(time[2])} ${Number(time[1])} * * ${dayOfWeek}`),
+      startDay
+    }
+  };
+}
+
+/**
+ * Store of on-call schedules loaded from a JSON file
+ */
+export class OnCallSchedules {
+  /**
+   * @param {string} filePath - Path of the schedules file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.schedules = new Map(); // Key: schedule id, Value: compiled schedule
+  }
+
+  /**
+   * Load schedules from disk; a missing file means no schedules
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.schedules.clear();
+        return;
+      }
+      throw error;
+    }
+
+    const schedules = Array.isArray(data) ? data : (data.schedules || []);
+    this.setSchedules(schedules);
+  }
+
+  /**
+   * Replace the schedules
+   * @param {Array} schedules - Schedules from config
+   */
+  setSchedules(schedules) {
+    const compiled = schedules.map(compileSchedule);
+    this.schedules = new Map(compiled.map((schedule) => [schedule.id, schedule]));
+  }
+
+  /**
+   * Write schedules, including their overrides, to disk atomically
+   */
+  async save() {
+    const data = {
+      schedules: Array.from(this.schedules.values()).map((schedule) => this.toRecord(schedule))
+    };
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Get a schedule
+   * @param {string} id - Schedule id
+   * @returns {Object|undefined} - Compiled schedule
+   */
+  get(id) {
+    return this.schedules.get(id);
+  }
+
+  /**
+   * List the schedules
+   * @returns {Array} - Compiled schedules
+   */
+  list() {
+    return Array.from(this.schedules.values());
+  }
+
+  /**
+   * Get the user the rotation puts on call for the shift starting at a handoff
+   * @param {Object} schedule - Compiled schedule
+   * @param {number} shiftStart - Handoff time in milliseconds
+   * @returns {string} - User id
+   */
+  getRotationUser(schedule, shiftStart) {
+    const { year, month, dayOfMonth } = getZonedFields(shiftStart, schedule.timezone);
+    const days = toDayNumber(year, month, dayOfMonth) - schedule.compiled.startDay;
+    const index = schedule.rotation.type === 'weekly' ? Math.floor(days / 7) : days;
+    const { users } = schedule.rotation;
+
+    return users[((index % users.length) + users.length) % users.length];
+  }
+
+  /**
+   * Get the rotation shifts overlapping a period, without overrides
+   * @param {Object} schedule - Compiled schedule
+   * @param {number} from - Start of the period in milliseconds
+   * @param {number} to - End of the period in milliseconds
+   * @returns {Array} - Shifts with `user`, `start` and `end` in milliseconds
+   */
+  getRotationShifts(schedule, from, to) {
+    const options = { timeZone: schedule.timezone };
+    const shifts = [];
+    let start = previousCronTime(schedule.compiled.handoff, from, { ...options, lookbackMs: HANDOFF_SEARCH_MS });
+
+    while (start < to) {
+      const end = nextCronTime(schedule.compiled.handoff, start + 60 * 1000, { ...options, horizonMs: HANDOFF_SEARCH_MS });
+      shifts.push({ user: this.getRotationUser(schedule, start), start, end });
+      start = end;
+    }
+    return shifts;
+  }
+
+  /**
+   * Work out who is on call over a period, overrides included
+   * @param {Object} schedule - Compiled schedule
+   * @param {number} from - Start of the period in milliseconds
+   * @param {number} to - End of the period in milliseconds
+   * @returns {Array} - Consecutive shifts with `user`, `start`, `end` and the override that set them, if any
+   */
+  getShifts(schedule, from, to) {
+    const rotation = this.getRotationShifts(schedule, from, to);
+    const overrides = schedule.overrides.filter((override) =>
+      override.start.getTime() < to && override.end.getTime() > from
+    );
+
+    const boundaries = new Set([from, to]);
+    for (const { start, end } of [...rotation, ...overrides]) {
+      for (const time of [new Date(start).getTime(), new Date(end).getTime()]) {
+        if (time > from && time < to) {
+          boundaries.add(time);
+        }
+      }
+    }
+
+    const points = Array.from(boundaries).sort((a, b) => a - b);
+    const shifts = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const start = points[i];
+      // The latest override covering the segment wins
+      const override = overrides.filter((o) => o.start.getTime() <= start && o.end.getTime() > start).pop();
+      const user = override ? override.user : rotation.find((shift) => shift.start <= start && shift.end > start).user;
+      const overrideId = override ? override.id : null;
+
+      const previous = shifts[shifts.length - 1];
+      if (previous && previous.user === user && previous.overrideId === overrideId) {
+        previous.end = points[i + 1];
+      } else {
+        shifts.push({ user, start, end: points[i + 1], overrideId });
+      }
+    }
+
+    return shifts.map((shift) => ({ ...shift, start: new Date(shift.start), end: new Date(shift.end) }));
+  }
+
+  /**
+   * Get who is on call at a point in time
+   * @param {Object} schedule - Compiled schedule
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{user: string, start: Date, end: Date, overrideId: string|null}} - Current shift, starting now
+   */
+  getOnCall(schedule, now = Date.now()) {
+    return this.getShifts(schedule, now, now + HANDOFF_SEARCH_MS)[0];
+  }
+
+  /**
+   * Add an override to a schedule and persist it
+   * @param {string} id - Schedule id
+   * @param {Object} override - Override with `user`, `start` and `end`
+   * @returns {Promise<Object|null>} - Compiled override, or null if the schedule does not exist
+   */
+  async addOverride(id, override) {
+    const schedule = this.schedules.get(id);
+    if (!schedule) {
+      return null;
+    }
+
+    const compiled = compileOverride({ ...override, id: uuidv4(), createdAt: new Date().toISOString() });
+    schedule.overrides = [...schedule.overrides, compiled];
+    await this.save();
+    return compiled;
+  }
+
+  /**
+   * Remove an override and persist the schedule
+   * @param {string} id - Schedule id
+   * @param {string} overrideId - Override id
+   * @returns {Promise<Object|null>} - Removed override, or null if it does not exist
+   */
+  async removeOverride(id, overrideId) {
+    const schedule = this.schedules.get(id);
+    const override = schedule?.overrides.find((o) => o.id === overrideId);
+    if (!override) {
+      return null;
+    }
+
+    schedule.overrides = schedule.overrides.filter((o) => o !== override);
+    await this.save();
+    return override;
+  }
+
+  /**
+   * Convert a schedule to its persisted form
+   * @param {Object} schedule - Compiled schedule
+   * @returns {Object} - Serializable schedule
+   */
+  toRecord(schedule) {
+    const record = { ...schedule };
+    delete record.compiled;
+    return {
+      ...record,
+      overrides: schedule.overrides.map((override) => ({
+        ...override,
+        start: override.start.toISOString(),
+        end: override.end.toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Convert a schedule to its API form
+   * @param {Object} schedule - Compiled schedule
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object} - Serializable schedule including who is on call now
+   */
+  serialize(schedule, now = Date.now()) {
+    return { ...this.toRecord(schedule), onCall: this.getOnCall(schedule, now) };
+  }
+}
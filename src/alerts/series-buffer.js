@@ -0,0 +1,294 @@
+/**
+ * Per-series sample buffer for the alert manager.
+ *
+ * Incoming metrics arrive as loosely structured objects (plain numbers, nested
+ * objects, arrays of `{ name, value, labels }`). They are flattened into
+ * Prometheus-style series (metric name + label set) and a bounded window of
+ * recent samples is kept for each series, so rules can look back in time.
+ */
+
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_SAMPLES = 1000;
+
+/**
+ * Build a stable key for a series from its name and labels
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label set
+ * @returns {string} - Series key, e.g. `system_cpu_usage{core="0"}`
+ */
+export function seriesKey(name, labels = {}) {
+  const labelPairs = Object.keys(labels)
+    .sort()
+    .map((key) => `${key}=${JSON.stringify(String(labels[key]))}`);
+
+  return labelPairs.length > 0 ? `${name}{${labelPairs.join(',')}}` : name;
+}
+
+/**
+ * Flatten a metrics payload into a list of series samples
+ *
+ * - `{ system_cpu_usage: 85 }` becomes `system_cpu_usage`
+ * - `{ cpu: { usage: 85 } }` becomes `cpu_usage`
+ * - `{ cpu: { cores: [{ core: '0', usage: 90 }] } }` becomes `cpu_cores_usage{core="0"}`
+ * - `{ requests: { value: 3, labels: { code: '500' } } }` becomes `requests{code="500"}`
+ * - `{ x: [{ name: 'y', value: 1, labels: {...} }] }` becomes `y{...}`
+ * - `{ x: [{ core: '0', value: 90 }] }` becomes `x{core="0"}`
+ *
+ * @param {Object} metrics - Metrics payload
+ * @returns {Array<{name: string, labels: Object, value: number}>} - Flattened samples
+ */
+export function flattenMetrics(metrics) {
+  const samples = [];
+
+  if (!metrics || typeof metrics !== 'object') {
+    return samples;
+  }
+
+  for (const [key, value] of Object.entries(metrics)) {
+    flattenValue(samples, value, key, {});
+  }
+
+  return samples;
+}
+
+/**
+ * Recursively flatten a single metrics value
+ * @param {Array} samples - Output list
+ * @param {*} value - Value to flatten
+ * @param {string} name - Metric name built so far
+ * @param {Object} labels - Labels inherited from parents
+ */
+function flattenValue(samples, value, name, labels) {
+  if (typeof value === 'number') {
+    if (Number.isFinite(value)) {
+      samples.push({ name, labels, value });
+    }
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        flattenObject(samples, item, name, labels, true);
+      }
+    }
+    return;
+  }
+
+  if (value && typeof value === 'object') {
+    flattenObject(samples, value, name, labels, false);
+  }
+}
+
+/**
+ * Flatten an object, treating string fields of array items as labels
+ * @param {Array} samples - Output list
+ * @param {Object} obj - Object to flatten
+ * @param {string} name - Metric name built so far
+ * @param {Object} labels - Labels inherited from parents
+ * @param {boolean} isArrayItem - Whether the object is an element of an array
+ */
+function flattenObject(samples, obj, name, labels, isArrayItem) {
+  let itemLabels = labels;
+
+  if (isArrayItem) {
+    // Scalar string fields identify the item (e.g. { core: '0', usage: 90 })
+    itemLabels = { ...labels };
+    for (const [key, fieldValue] of Object.entries(obj)) {
+      if (typeof fieldValue === 'string' && key !== 'name') {
+        itemLabels[key] = fieldValue;
+      }
+    }
+  }
+
+  // Explicit sample: { value, labels?, name? }
+  if (typeof obj.value === 'number') {
+    if (Number.isFinite(obj.value)) {
+      samples.push({
+        name: obj.name || name,
+        labels: { ...itemLabels, ...(obj.labels || {}) },
+        value: obj.value
+      });
+    }
+    return;
+  }
+
+  for (const [key, fieldValue] of Object.entries(obj)) {
+    if (typeof fieldValue !== 'string') {
+      flattenValue(samples, fieldValue, `${name}_${key}`, itemLabels);
+    }
+  }
+}
+
+/**
+ * Compute how much a series changed over a window of samples
+ * @param {Array<{timestamp: number, value: number}>} samples - Samples ordered by time
+ * @param {Object} options - Calculation options
+ * @param {string} [options.changeType='delta'] - delta, percent or rate
+ * @param {boolean} [options.counter=false] - Treat the series as a monotonically increasing counter
+ * @param {number} [options.perMs=1000] - Unit for rates (1000 = per second)
+ * @returns {number|null} - Computed change, or null when it cannot be calculated
+ */
+export function calculateChange(samples, options = {}) {
+  if (!samples || samples.length < 2) {
+    return null;
+  }
+
+  const { changeType = 'delta', counter = false, perMs = 1000 } = options;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+
+  let delta;
+  if (counter) {
+    // Sum the increases between samples; a drop means the counter restarted from zero
+    delta = 0;
+    for (let i = 1; i < samples.length; i++) {
+      const previous = samples[i - 1].value;
+      const current = samples[i].value;
+      delta += current >= previous ? current - previous : current;
+    }
+  } else {
+    delta = last.value - first.value;
+  }
+
+  switch (changeType) {
+    case 'delta':
+      return delta;
+
+    case 'percent':
+      if (first.value === 0) {
+        return null;
+      }
+      return (delta / Math.abs(first.value)) * 100;
+
+    case 'rate': {
+      const elapsedMs = last.timestamp - first.timestamp;
+      if (elapsedMs <= 0) {
+        return null;
+      }
+      return (delta / elapsedMs) * perMs;
+    }
+
+    default:
+      throw new Error(`Unknown change type: ${changeType}`);
+  }
+}
+
+/**
+ * Bounded in-memory store of recent samples per series
+ */
+export class SeriesBuffer {
+  /**
+   * @param {Object} [options] - Buffer options
+   * @param {number} [options.retentionMs] - How long samples are kept
+   * @param {number} [options.maxSamplesPerSeries] - Upper bound on samples per series
+   */
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.maxSamplesPerSeries = options.maxSamplesPerSeries || DEFAULT_MAX_SAMPLES;
+    this.series = new Map(); // Key: series key, Value: { name, labels, samples }
+  }
+
+  /**
+   * Change how long samples are kept
+   * @param {number} retentionMs - Retention in milliseconds
+   */
+  setRetention(retentionMs) {
+    this.retentionMs = Math.max(retentionMs, 1);
+  }
+
+  /**
+   * Flatten a metrics payload and append every sample
+   * @param {Object} metrics - Metrics payload
+   * @param {number} [timestamp] - Sample time, defaults to now
+   * @returns {number} - Number of samples ingested
+   */
+  ingest(metrics, timestamp = Date.now()) {
+    const samples = flattenMetrics(metrics);
+
+    for (const sample of samples) {
+      this.append(sample.name, sample.labels, sample.value, timestamp);
+    }
+
+    this.prune(timestamp);
+    return samples.length;
+  }
+
+  /**
+   * Append a single sample
+   * @param {string} name - Metric name
+   * @param {Object} labels - Label set
+   * @param {number} value - Sample value
+   * @param {number} [timestamp] - Sample time, defaults to now
+   */
+  append(name, labels, value, timestamp = Date.now()) {
+    const key = seriesKey(name, labels);
+    let entry = this.series.get(key);
+
+    if (!entry) {
+      entry = { name, labels: { ...labels }, samples: [] };
+      this.series.set(key, entry);
+    }
+
+    entry.samples.push({ timestamp, value });
+
+    if (entry.samples.length > this.maxSamplesPerSeries) {
+      entry.samples.splice(0, entry.samples.length - this.maxSamplesPerSeries);
+    }
+  }
+
+  /**
+   * Drop samples older than the retention window and empty series
+   * @param {number} [now] - Current time
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionMs;
+
+    for (const [key, entry] of this.series) {
+      const firstKept = entry.samples.findIndex((sample) => sample.timestamp >= cutoff);
+
+      if (firstKept === -1) {
+        this.series.delete(key);
+      } else if (firstKept > 0) {
+        entry.samples.splice(0, firstKept);
+      }
+    }
+  }
+
+  /**
+   * Find all series with a name whose labels satisfy a predicate
+   * @param {string} name - Metric name
+   * @param {Function} [labelFilter] - Called with the series labels
+   * @returns {Array<{name: string, labels: Object, samples: Array}>} - Matching series
+   */
+  select(name, labelFilter = () => true) {
+    const result = [];
+
+    for (const entry of this.series.values()) {
+      if (entry.name === name && labelFilter(entry.labels)) {
+        result.push(entry);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the samples of a series inside a time window
+   * @param {Object} entry - Series entry from select()
+   * @param {number} windowMs - Window length in milliseconds
+   * @param {number} [now] - End of the window
+   * @returns {Array<{timestamp: number, value: number}>} - Samples in the window
+   */
+  window(entry, windowMs, now = Date.now()) {
+    const start = now - windowMs;
+    return entry.samples.filter((sample) => sample.timestamp >= start && sample.timestamp <= now);
+  }
+
+  /**
+   * Remove every series
+   */
+  clear() {
+    this.series.clear();
+  }
+}
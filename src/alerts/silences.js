@@ -0,0 +1,307 @@
+/**
+ * Silences mute notifications for alerts matching a set of label matchers
+ * during a time window. Silenced alerts are still evaluated and tracked;
+ * only their notifications are suppressed.
+ *
+ * Expired silences stay listed for a retention period, then they are
+ * deleted when the store is loaded or garbage-collected.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { parseDuration } from '../utils/duration.js';
+import { parseMatchers, serializeMatcher, alertMatches } from './matchers.js';
+
+export const SILENCE_STATES = ['pending', 'active', 'expired'];
+
+// Same defaults as Alertmanager's data retention and maintenance interval
+const DEFAULT_RETENTION = '120h';
+const DEFAULT_GC_INTERVAL = '15m';
+
+/**
+ * Error raised for invalid silence definitions
+ */
+export class SilenceValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SilenceValidationError';
+  }
+}
+
+/**
+ * Parse a timestamp field of a silence
+ * @param {*} value - ISO string, epoch milliseconds or Date
+ * @param {string} field - Field name, for error messages
+ * @returns {Date} - Parsed date
+ */
+function parseTime(value, field) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SilenceValidationError(`${field} is not a valid time`);
+  }
+  return date;
+}
+
+/**
+ * Get the state of a silence at a point in time
+ * @param {Object} silence - Silence
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} - pending, active or expired
+ */
+export function getSilenceState(silence, now = Date.now()) {
+  if (new Date(silence.endsAt).getTime() <= now) {
+    return 'expired';
+  }
+  if (new Date(silence.startsAt).getTime() > now) {
+    return 'pending';
+  }
+  return 'active';
+}
+
+/**
+ * Persistent store of silences backed by a JSON file
+ */
+export class SilenceStore {
+  /**
+   * @param {string} filePath - Path of the silences file
+   * @param {Object} [options] - Store options
+   * @param {string|number} [options.retention] - How long expired silences are kept
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.retentionMs = parseDuration(options.retention ?? DEFAULT_RETENTION);
+    this.silences = new Map(); // Key: silence id, Value: silence with compiled matchers
+    this.gcTimer = null;
+  }
+
+  /**
+   * Load silences from disk; a missing file means no silences
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.silences.clear();
+        return;
+      }
+      throw error;
+    }
+
+    const silences = Array.isArray(data) ? data : (data.silences || []);
+    this.silences.clear();
+
+    for (const silence of silences) {
+      this.silences.set(silence.id, this.compile(silence));
+    }
+    await this.gc();
+  }
+
+  /**
+   * Delete silences that expired longer than the retention period ago
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<number>} - Number of silences deleted
+   */
+  async gc(now = Date.now()) {
+    let removed = 0;
+    for (const [id, silence] of this.silences) {
+      if (new Date(silence.endsAt).getTime() + this.retentionMs <= now) {
+        this.silences.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Garbage-collect expired silences periodically
+   * @param {Object} [options] - Timer options
+   * @param {string|number} [options.interval] - Time between collections
+   * @param {Object} [options.logger] - Logger for collection errors
+   */
+  startGc({ interval = DEFAULT_GC_INTERVAL, logger = console } = {}) {
+    this.stopGc();
+    this.gcTimer = setInterval(() => {
+      this.gc().catch((error) => {
+        logger.error('Error deleting expired silences', { error: error.message });
+      });
+    }, parseDuration(interval));
+
+    // Collection should not keep the process alive on shutdown
+    if (this.gcTimer.unref) {
+      this.gcTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the periodic garbage collection
+   */
+  stopGc() {
+    clearInterval(this.gcTimer);
+    this.gcTimer = null;
+  }
+
+  /**
+   * Write silences to disk atomically
+   */
+  async save() {
+    // The state is derived from the time window, so it is not persisted
+    const data = {
+      silences: Array.from(this.silences.values()).map((silence) => this.toRecord(silence))
+    };
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Validate a silence definition and compile its matchers
+   * @param {Object} silence - Silence definition
+   * @returns {Object} - Silence with compiled matchers
+   */
+  compile(silence) {
+    if (!Array.isArray(silence.matchers) || silence.matchers.length === 0) {
+      throw new SilenceValidationError('A silence needs at least one matcher');
+    }
+
+    let compiledMatchers;
+    try {
+      compiledMatchers = parseMatchers(silence.matchers);
+    } catch (error) {
+      throw new SilenceValidationError(error.message);
+    }
+
+    return {
+      ...silence,
+      startsAt: parseTime(silence.startsAt ?? Date.now(), 'startsAt'),
+      endsAt: parseTime(silence.endsAt, 'endsAt'),
+      compiledMatchers
+    };
+  }
+
+  /**
+   * Convert a silence to its persisted form
+   * @param {Object} silence - Silence
+   * @returns {Object} - Serializable silence
+   */
+  toRecord(silence) {
+    const { compiledMatchers, ...rest } = silence;
+    return { ...rest, matchers: compiledMatchers.map(serializeMatcher) };
+  }
+
+  /**
+   * Convert a silence to its API form
+   * @param {Object} silence - Silence
+   * @returns {Object} - Serializable silence including its current state
+   */
+  serialize(silence) {
+    return { ...this.toRecord(silence), status: { state: getSilenceState(silence) } };
+  }
+
+  /**
+   * Create a silence
+   * @param {Object} definition - Silence definition
+   * @param {Array} definition.matchers - Label matchers
+   * @param {string|number} [definition.startsAt] - Start time, defaults to now
+   * @param {string|number} definition.endsAt - End time
+   * @param {string} definition.createdBy - Who created the silence
+   * @param {string} [definition.comment] - Why the alerts are silenced
+   * @returns {Promise<Object>} - Created silence
+   */
+  async create(definition) {
+    if (!definition.createdBy) {
+      throw new SilenceValidationError('createdBy is required');
+    }
+
+    const silence = this.compile({
+      id: uuidv4(),
+      matchers: definition.matchers,
+      startsAt: definition.startsAt,
+      endsAt: definition.endsAt,
+      createdBy: definition.createdBy,
+      comment: definition.comment || '',
+      createdAt: new Date().toISOString()
+    });
+
+    if (silence.endsAt <= silence.startsAt) {
+      throw new SilenceValidationError('endsAt must be after startsAt');
+    }
+
+    this.silences.set(silence.id, silence);
+    await this.save();
+
+    return this.serialize(silence);
+  }
+
+  /**
+   * Expire a silence immediately
+   * @param {string} id - Silence ID
+   * @returns {Promise<Object|null>} - Expired silence, or null if not found
+   */
+  async expire(id) {
+    const silence = this.silences.get(id);
+    if (!silence) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (getSilenceState(silence, now) !== 'expired') {
+      silence.endsAt = new Date(now);
+      // A silence that never started ends where it would have begun
+      if (silence.startsAt > silence.endsAt) {
+        silence.startsAt = silence.endsAt;
+      }
+      await this.save();
+    }
+
+    return this.serialize(silence);
+  }
+
+  /**
+   * Get a silence by ID
+   * @param {string} id - Silence ID
+   * @returns {Object|null} - Silence in API form
+   */
+  get(id) {
+    const silence = this.silences.get(id);
+    return silence ? this.serialize(silence) : null;
+  }
+
+  /**
+   * List silences
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.state] - Only return silences in this state
+   * @returns {Array} - Silences in API form
+   */
+  list(options = {}) {
+    const silences = Array.from(this.silences.values());
+    const filtered = options.state
+      ? silences.filter((silence) => getSilenceState(silence) === options.state)
+      : silences;
+    return filtered.map((silence) => this.serialize(silence));
+  }
+
+  /**
+   * Get the IDs of the active silences that match an alert
+   * @param {Object} alert - Alert object
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Array<string>} - Matching silence IDs
+   */
+  getSilencingIds(alert, now = Date.now()) {
+    const ids = [];
+    for (const silence of this.silences.values()) {
+      if (getSilenceState(silence, now) === 'active' && alertMatches(silence.compiledMatchers, alert)) {
+        ids.push(silence.id);
+      }
+    }
+    return ids;
+  }
+}
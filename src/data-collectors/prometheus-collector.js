@@ -52,11 +52,131 @@ const alertsCounter = new client.Counter({
   labelNames: ['severity', 'type']
 });
 
+const notificationDeliveriesCounter = new client.Counter({
+  name: 'notification_deliveries_total',
+  help: 'Total number of notifications delivered to external channels',
+  labelNames: ['channel', 'type']
+});
+
+const notificationFailuresCounter = new client.Counter({
+  name: 'notification_delivery_failures_total',
+  help: 'Total number of failed notification delivery attempts',
+  labelNames: ['channel', 'type']
+});
+
+const notificationDeadLettersCounter = new client.Counter({
+  name: 'notification_dead_letters_total',
+  help: 'Total number of notifications moved to the dead-letter list after their last attempt',
+  labelNames: ['channel', 'type']
+});
+
+const notificationOutboxGauge = new client.Gauge({
+  name: 'notification_outbox_entries',
+  help: 'Notifications waiting in the outbox, by status (pending, dead)',
+  labelNames: ['status']
+});
+
+const ruleGroupDurationGauge = new client.Gauge({
+  name: 'rule_group_last_duration_seconds',
+  help: 'Duration of the last evaluation of a rule group in seconds',
+  labelNames: ['rule_group']
+});
+
+const ruleGroupLastEvaluationGauge = new client.Gauge({
+  name: 'rule_group_last_evaluation_timestamp_seconds',
+  help: 'Time of the last evaluation of a rule group as a Unix timestamp',
+  labelNames: ['rule_group']
+});
+
+const ruleGroupEvaluationsCounter = new client.Counter({
+  name: 'rule_group_evaluations_total',
+  help: 'Total number of rule group evaluations',
+  labelNames: ['rule_group']
+});
+
+const ruleGroupFailuresCounter = new client.Counter({
+  name: 'rule_group_evaluation_failures_total',
+  help: 'Total number of rules that failed to evaluate, by rule group',
+  labelNames: ['rule_group']
+});
+
 // Register all custom metrics
 register.registerMetric(httpRequestDurationMicroseconds);
 register.registerMetric(cpuUsageGauge);
 register.registerMetric(memoryUsageGauge);
 register.registerMetric(alertsCounter);
+register.registerMetric(notificationDeliveriesCounter);
+register.registerMetric(notificationFailuresCounter);
+register.registerMetric(notificationDeadLettersCounter);
+register.registerMetric(notificationOutboxGauge);
+register.registerMetric(ruleGroupDurationGauge);
+register.registerMetric(ruleGroupLastEvaluationGauge);
+register.registerMetric(ruleGroupEvaluationsCounter);
+register.registerMetric(ruleGroupFailuresCounter);
+
+/**
+ * Record the outcome of a notification delivery attempt
+ * @param {string} channel - Channel id
+ * @param {string} type - Channel type
+ * @param {string} outcome - success, failure, or dead for a failed last attempt
+ */
+export function recordNotificationDelivery(channel, type, outcome) {
+  if (outcome === 'success') {
+    notificationDeliveriesCounter.labels(channel, type).inc();
+    return;
+  }
+
+  notificationFailuresCounter.labels(channel, type).inc();
+  if (outcome === 'dead') {
+    notificationDeadLettersCounter.labels(channel, type).inc();
+  }
+}
+
+/**
+ * Update the number of notifications waiting in the outbox
+ * @param {Object} counts - Entry counts keyed by status
+ */
+export function setNotificationOutboxSize(counts) {
+  for (const [status, count] of Object.entries(counts)) {
+    notificationOutboxGauge.labels(status).set(count);
+  }
+}
+
+/**
+ * Record an evaluation of a rule group
+ * @param {string} group - Rule group name
+ * @param {Object} evaluation - Evaluation outcome
+ * @param {number} evaluation.durationMs - How long the evaluation took
+ * @param {Date} evaluation.finishedAt - When the evaluation finished
+ * @param {number} evaluation.failures - Number of rules that failed to evaluate
+ */
+export function recordRuleGroupEvaluation(group, { durationMs, finishedAt, failures }) {
+  ruleGroupDurationGauge.labels(group).set(durationMs / 1000);
+  ruleGroupLastEvaluationGauge.labels(group).set(finishedAt.getTime() / 1000);
+  ruleGroupEvaluationsCounter.labels(group).inc();
+  // Touch the counter so the series exists before the first failure
+  ruleGroupFailuresCounter.labels(group).inc(failures);
+}
+
+/**
+ * Drop the metrics of a rule group that no longer exists
+ * @param {string} group - Rule group name
+ */
+export function removeRuleGroupMetrics(group) {
+  for (const metric of [ruleGroupDurationGauge, ruleGroupLastEvaluationGauge, ruleGroupEvaluationsCounter, ruleGroupFailuresCounter]) {
+    metric.remove(group);
+  }
+}
+
+/**
+ * Get the metrics of the registry in the Prometheus exposition format
+ * @returns {Promise<string>} - Metrics text
+ */
+export function getMetrics() {
+  return register.metrics();
+}
+
+export const metricsContentType = register.contentType;
 
 /**
  * Fetches metrics from an external Prometheus server
@@ -112,7 +232,11 @@ export async function setupPrometheus() {
       httpRequestDurationMicroseconds,
       cpuUsageGauge,
       memoryUsageGauge,
-      alertsCounter
+      alertsCounter,
+      notificationDeliveriesCounter,
+      notificationFailuresCounter,
+      notificationDeadLettersCounter,
+      notificationOutboxGauge
     }
   };
 }
@@ -0,0 +1,278 @@
+/**
+ * Cron expression matching with time zone support
+ *
+ * node-cron only schedules callbacks; maintenance windows and on-call
+ * rotations also need to ask "when did this schedule last fire" and "when
+ * will it fire next" in a given time zone.
+ *
+ * Expressions use the standard five fields (minute hour day-of-month month
+ * day-of-week) with `*`, lists, ranges, steps and month/day names.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_SEARCH_MS = 366 * 24 * 60 * MINUTE_MS;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits dates into fields in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} - Whether the time zone is valid
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Split a timestamp into calendar fields in a time zone
+ * @param {number} timestamp - Time in milliseconds
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {{year: number, month: number, dayOfMonth: number, hour: number, minute: number, dayOfWeek: number}} - Fields
+ */
+export function getZonedFields(timestamp, timeZone = 'UTC') {
+  const fields = {};
+
+  for (const part of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+    switch (part.type) {
+      case 'year': fields.year = Number(part.value); break;
+      case 'month': fields.month = Number(part.value); break;
+      case 'day': fields.dayOfMonth = Number(part.value); break;
+      case 'hour': fields.hour = Number(part.value); break;
+      case 'minute': fields.minute = Number(part.value); break;
+      case 'weekday': fields.dayOfWeek = WEEKDAYS[part.value]; break;
+      default: break;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a single value of a cron field, accepting names
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {number} - Numeric value
+ */
+function parseFieldValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + (field.name === 'month' ? 1 : 0);
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+/**
+ * Expand one cron field into the set of values it allows
+ * @param {string} expression - Field expression, e.g. "1-5" or "*\/15"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} - Allowed values
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseFieldValue(from, field);
+      end = parseFieldValue(to, field);
+      if (end < start) {
+        throw new Error(`Invalid range "${range}" in ${field.name} field`);
+      }
+    } else {
+      start = parseFieldValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // 7 is an alias for Sunday
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} - Parsed schedule
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have ${FIELDS.length} fields`);
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // Standard cron: when both day fields are restricted, either may match
+  schedule.restrictedDayOfMonth = parts[2] !== '*';
+  schedule.restrictedDayOfWeek = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Check whether the date part of zoned fields matches a schedule
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} fields - Zoned fields
+ * @returns {boolean} - Whether the day matches
+ */
+function matchesDay(schedule, fields) {
+  if (!schedule.month.has(fields.month)) {
+    return false;
+  }
+
+  const domMatch = schedule.dayOfMonth.has(fields.dayOfMonth);
+  const dowMatch = schedule.dayOfWeek.has(fields.dayOfWeek);
+
+  if (schedule.restrictedDayOfMonth && schedule.restrictedDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Search minute by minute for a time the schedule fires, skipping whole
+ * days and hours that cannot match
+ * @param {Object} schedule - Parsed schedule
+ * @param {number} from - Start of the search (inclusive), in milliseconds
+ * @param {number} limit - End of the search (inclusive), in milliseconds
+ * @param {number} direction - 1 to search forwards, -1 backwards
+ * @param {string} timeZone - IANA time zone
+ * @returns {number|null} - Matching time in milliseconds, or null
+ */
+function search(schedule, from, limit, direction, timeZone) {
+  let time = Math.floor(from / MINUTE_MS) * MINUTE_MS;
+  if (direction > 0 && time < from) {
+    time += MINUTE_MS;
+  }
+
+  while (direction > 0 ? time <= limit : time >= limit) {
+    const fields = getZonedFields(time, timeZone);
+
+    if (!matchesDay(schedule, fields)) {
+      // Jump to the next (or previous) local day
+      const minutesIntoDay = fields.hour * 60 + fields.minute;
+      time += direction > 0
+        ? (24 * 60 - minutesIntoDay) * MINUTE_MS
+        : -(minutesIntoDay + 1) * MINUTE_MS;
+      continue;
+    }
+
+    if (!schedule.hour.has(fields.hour)) {
+      time += direction > 0
+        ? (60 - fields.minute) * MINUTE_MS
+        : -(fields.minute + 1) * MINUTE_MS;
+      continue;
+    }
+
+    if (schedule.minute.has(fields.minute)) {
+      return time;
+    }
+
+    time += direction * MINUTE_MS;
+  }
+
+  return null;
+}
+
+/**
+ * Find the most recent time at or before `before` that the schedule fired
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {number} before - Upper bound in milliseconds
+ * @param {Object} [options] - Search options
+ * @param {number} [options.lookbackMs] - How far back to search (default 366 days)
+ * @param {string} [options.timeZone='UTC'] - IANA time zone
+ * @returns {number|null} - Fire time in milliseconds, or null if none in range
+ */
+export function previousCronTime(schedule, before, options = {}) {
+  const { lookbackMs = DEFAULT_SEARCH_MS, timeZone = 'UTC' } = options;
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  return search(parsed, before, before - lookbackMs, -1, timeZone);
+}
+
+/**
+ * Find the next time at or after `after` that the schedule fires
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {number} after - Lower bound in milliseconds
+ * @param {Object} [options] - Search options
+ * @param {number} [options.horizonMs] - How far ahead to search (default 366 days)
+ * @param {string} [options.timeZone='UTC'] - IANA time zone
+ * @returns {number|null} - Fire time in milliseconds, or null if none in range
+ */
+export function nextCronTime(schedule, after, options = {}) {
+  const { horizonMs = DEFAULT_SEARCH_MS, timeZone = 'UTC' } = options;
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  return search(parsed, after, after + horizonMs, 1, timeZone);
+}
@@ -0,0 +1,78 @@
+/**
+ * Duration helpers shared by alert rules and scheduling code.
+ *
+ * Durations use the Prometheus notation ("30s", "5m", "1h30m", "7d") so rule
+ * files can be copied between Prometheus and this system unchanged.
+ */
+
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+const DURATION_PATTERN = /^((\d+(\.\d+)?)(ms|s|m|h|d|w|y))+$/;
+const SEGMENT_PATTERN = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w|y)/g;
+
+/**
+ * Parse a duration into milliseconds
+ * @param {string|number} value - Duration string ("5m", "1h30m") or milliseconds
+ * @returns {number} - Duration in milliseconds
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid duration: ${value}`);
+    }
+    return value;
+  }
+
+  const trimmed = String(value).trim();
+
+  if (!DURATION_PATTERN.test(trimmed)) {
+    throw new Error(`Invalid duration: "${value}"`);
+  }
+
+  let total = 0;
+  for (const [, amount, unit] of trimmed.matchAll(SEGMENT_PATTERN)) {
+    total += parseFloat(amount) * UNIT_MS[unit];
+  }
+
+  return total;
+}
+
+/**
+ * Format milliseconds as a compact duration string
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Duration such as "1h30m" or "45s"
+ */
+export function formatDuration(ms) {
+  if (!ms || ms < 0) {
+    return '0s';
+  }
+
+  const parts = [];
+  let remaining = Math.round(ms);
+
+  for (const unit of ['d', 'h', 'm', 's']) {
+    const size = UNIT_MS[unit];
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+
+  if (remaining > 0 && parts.length === 0) {
+    parts.push(`${remaining}ms`);
+  }
+
+  return parts.join('') || '0s';
+}
@@ -0,0 +1,132 @@
+/**
+ * JSON Schema validation for config files
+ *
+ * Schemas are compiled with Ajv. Besides the standard keywords they can use
+ * the `duration` format (Prometheus durations such as "5m", see duration.js)
+ * and the `url` format for absolute URLs.
+ *
+ * Errors are reported as `<path>: <problem>`, with paths written the way
+ * they would be in JavaScript, e.g. `rules[2].labels.team: must be a string`.
+ */
+
+import Ajv from 'ajv';
+import { parseDuration } from './duration.js';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+ajv.addFormat('duration', {
+  type: 'string',
+  validate: (value) => {
+    try {
+      parseDuration(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+});
+ajv.addFormat('url', { type: 'string', validate: (value) => URL.canParse(value) });
+
+const FORMAT_MESSAGES = {
+  duration: 'must be a duration such as "30s", "5m" or "1h30m"',
+  url: 'must be a URL'
+};
+
+/**
+ * Compile a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} - Ajv validate function
+ */
+export function compileSchema(schema) {
+  return ajv.compile(schema);
+}
+
+/**
+ * Append a property name or array index to a path
+ * @param {string} base - Path so far, empty for the root
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Extended path
+ */
+export function joinPath(base, key) {
+  if (typeof key === 'number' || /^\d+$/.test(key)) {
+    return `${base}[${key}]`;
+  }
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return base ? `${base}.${key}` : key;
+  }
+  return `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Convert an Ajv instance path (a JSON pointer) to a property path
+ * @param {string} instancePath - JSON pointer such as `/rules/2/labels`
+ * @param {string} [base] - Path the validated value is at
+ * @returns {string} - Property path such as `rules[2].labels`
+ */
+function toPath(instancePath, base = '') {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce(joinPath, base);
+}
+
+/**
+ * Describe an Ajv error in plain words
+ * @param {Object} error - Ajv error
+ * @returns {string} - Problem description
+ */
+function describeError(error) {
+  const { keyword, params } = error;
+
+  switch (keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not a known setting';
+    case 'enum':
+      return `must be one of ${params.allowedValues.join(', ')}`;
+    case 'const':
+      return `must be ${JSON.stringify(params.allowedValue)}`;
+    case 'type': {
+      const types = [].concat(params.type).join(' or ');
+      return `must be ${/^[aeiou]/.test(types) ? 'an' : 'a'} ${types}`;
+    }
+    case 'format':
+      return FORMAT_MESSAGES[params.format] || `must be a valid ${params.format}`;
+    case 'minLength':
+      return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters long`;
+    case 'minItems':
+      return params.limit === 1 ? 'must not be empty' : `must have at least ${params.limit} items`;
+    case 'pattern':
+      return `must match ${params.pattern}`;
+    default:
+      return error.message;
+  }
+}
+
+/**
+ * Validate a value against a compiled schema
+ * @param {Function} validate - Compiled schema
+ * @param {*} value - Value to validate
+ * @param {string} [base] - Path the value is at, prefixed to every error
+ * @returns {Array<string>} - Problems as `<path>: <problem>`, empty if the value is valid
+ */
+export function getSchemaErrors(validate, value, base = '') {
+  if (validate(value)) {
+    return [];
+  }
+
+  return validate.errors
+    // `if` only reports that its `then` failed, which is reported on its own
+    .filter((error) => error.keyword !== 'if')
+    .map((error) => {
+      let errorPath = toPath(error.instancePath, base);
+      if (error.keyword === 'required') {
+        errorPath = joinPath(errorPath, error.params.missingProperty);
+      } else if (error.keyword === 'additionalProperties') {
+        errorPath = joinPath(errorPath, error.params.additionalProperty);
+      }
+      return `${errorPath || '(root)'}: ${describeError(error)}`;
+    });
+}
@@ -0,0 +1,779 @@
+/**
+ * Templates for notification messages and rule annotations
+ *
+ * The syntax is a small Jinja/Liquid-like subset:
+ * - Output: `{{ alert.labels.host }}`, `{{ $labels.instance }}`, optionally
+ *   piped through filters: `{{ alert.name | truncate: 40 | uppercase }}`
+ * - Conditionals: `{% if status == "firing" and counts.firing > 1 %}`,
+ *   `{% elif ... %}`, `{% else %}`, `{% endif %}`
+ * - Loops: `{% for alert in alerts %}...{% else %}...{% endfor %}`, also over
+ *   objects with `{% for name, value in labels %}`. Inside a loop `loop.index`,
+ *   `loop.index0`, `loop.first`, `loop.last` and `loop.length` are available.
+ * - A `-` next to a delimiter (`{{-`, `-%}`) trims the whitespace on that side.
+ *
+ * Missing values render as an empty string so a template written for one
+ * channel never breaks delivery on another. Syntax errors and unknown filters
+ * raise a TemplateError.
+ */
+
+const TAG_PATTERN = /\{\{(-?)([\s\S]*?)(-?)\}\}|\{%(-?)([\s\S]*?)(-?)%\}/g;
+
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<'];
+
+// Compiled templates by source; templates come from configs, so only a few
+// are in use at a time
+const MAX_CACHED_TEMPLATES = 200;
+const compiledTemplates = new Map();
+
+/**
+ * Error raised for malformed templates, with the position of the problem
+ */
+export class TemplateError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} at position ${position}` : message);
+    this.name = 'TemplateError';
+    this.position = position;
+  }
+}
+
+/**
+ * Check whether a value counts as missing
+ * @param {*} value - Value
+ * @returns {boolean} - Whether the value is undefined or null
+ */
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Wrap a filter that works on text so missing values pass through unchanged
+ * @param {Function} fn - Filter taking the value as a string
+ * @returns {Function} - Filter
+ */
+function textFilter(fn) {
+  return (value, ...args) => (isMissing(value) ? value : fn(String(value), ...args));
+}
+
+/**
+ * Scale a number to a unit, e.g. 1536 bytes to "1.5 KiB"
+ * @param {number} value - Number
+ * @param {number} base - Factor between units
+ * @param {Array<string>} units - Unit names, smallest first
+ * @returns {string} - Scaled number with unit
+ */
+function humanize(value, base, units) {
+  let scaled = Math.abs(value);
+  let unit = 0;
+  while (scaled >= base && unit < units.length - 1) {
+    scaled /= base;
+    unit++;
+  }
+  const sign = value < 0 ? '-' : '';
+  return `${sign}${Number(scaled.toPrecision(3))} ${units[unit]}`;
+}
+
+/**
+ * Format a date with strftime-style directives
+ *
+ * Supports %Y %m %d %H %M %S %b %a %Z and %%. Dates are shown in UTC unless
+ * an IANA time zone is given.
+ * @param {Date} date - Date
+ * @param {string} format - Format string
+ * @param {string} [timeZone] - IANA time zone, e.g. "Europe/Berlin"
+ * @returns {string} - Formatted date
+ */
+function formatDate(date, format, timeZone = 'UTC') {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    timeZoneName: 'short'
+  });
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  const monthName = new Intl.DateTimeFormat('en-US', { timeZone, month: 'short' }).format(date);
+
+  const directives = {
+    Y: parts.year,
+    m: parts.month,
+    d: parts.day,
+    H: parts.hour,
+    M: parts.minute,
+    S: parts.second,
+    b: monthName,
+    a: parts.weekday,
+    Z: parts.timeZoneName,
+    '%': '%'
+  };
+
+  return format.replace(/%(.)/g, (match, directive) => directives[directive] ?? match);
+}
+
+const FILTERS = {
+  uppercase: textFilter((value) => value.toUpperCase()),
+  lowercase: textFilter((value) => value.toLowerCase()),
+  truncate: textFilter((value, length = 80, suffix = '…') => (
+    value.length > length ? `${value.slice(0, Math.max(0, length - suffix.length))}${suffix}` : value
+  )),
+  date: (value, format = '%Y-%m-%d %H:%M:%S %Z', timeZone) => {
+    if (isMissing(value)) {
+      return value;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return value;
+    }
+    try {
+      return formatDate(date, format, timeZone);
+    } catch {
+      throw new TemplateError(`Unknown time zone "${timeZone}"`);
+    }
+  },
+  humanize_bytes: (value) => (
+    Number.isFinite(Number(value)) && value !== '' && !isMissing(value)
+      ? humanize(Number(value), 1024, ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'])
+      : value
+  ),
+  // Ratios, as in Prometheus' humanizePercentage: 0.123 becomes "12.3%"
+  humanize_percent: (value) => (
+    Number.isFinite(Number(value)) && value !== '' && !isMissing(value)
+      ? `${Number((Number(value) * 100).toPrecision(3))}%`
+      : value
+  ),
+  json: (value, indent) => JSON.stringify(value === undefined ? null : value, null, indent),
+  default: (value, fallback = '') => (isMissing(value) || value === '' ? fallback : value),
+  length: (value) => {
+    if (isMissing(value)) {
+      return 0;
+    }
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      return Object.keys(value).length;
+    }
+    return Array.isArray(value) ? value.length : String(value).length;
+  },
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value)
+};
+
+export const TEMPLATE_FILTERS = Object.keys(FILTERS);
+
+/**
+ * Look up a dotted path in an object
+ *
+ * Only own properties are followed, so `labels.constructor` is missing
+ * rather than a function.
+ * @param {Object} context - Object to search
+ * @param {string} path - Path such as "alert.labels.host"
+ * @returns {*} - Value, or undefined when any segment is missing
+ */
+export function resolvePath(context, path) {
+  return path.split('.').reduce(
+    (value, key) => (isMissing(value) || !Object.hasOwn(Object(value), key) ? undefined : value[key]),
+    context
+  );
+}
+
+/**
+ * Convert a template value to text
+ * @param {*} value - Value from the context
+ * @returns {string} - Text to insert
+ */
+function stringify(value) {
+  if (isMissing(value)) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Check whether a value counts as true in a condition
+ * @param {*} value - Value
+ * @returns {boolean} - Truthiness; empty lists and objects are false
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).length > 0;
+  }
+  return Boolean(value);
+}
+
+/**
+ * Compare two values, numerically when both look like numbers
+ * @param {string} operator - Comparison operator
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {boolean} - Result
+ */
+function compare(operator, left, right) {
+  const numeric = [left, right].every((value) => (
+    typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))
+  ));
+  const a = numeric ? Number(left) : stringify(left);
+  const b = numeric ? Number(right) : stringify(right);
+
+  if (operator === '==') {
+    return a === b;
+  }
+  if (operator === '!=') {
+    return a !== b;
+  }
+  // Ordering a number against text (e.g. a value of "N/A") is never true
+  if (!numeric && (typeof left !== 'string' || typeof right !== 'string')) {
+    return false;
+  }
+
+  switch (operator) {
+    case '>': return a > b;
+    case '<': return a < b;
+    case '>=': return a >= b;
+    default: return a <= b;
+  }
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} input - Expression text
+ * @param {number} offset - Position of the expression in the template
+ * @returns {Array<{type: string, value: *, position: number}>} - Tokens
+ */
+function tokenize(input, offset) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    const position = offset + i;
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      let value = '';
+      let j = i + 1;
+      while (j < input.length && input[j] !== char) {
+        if (input[j] === '\\' && j + 1 < input.length) {
+          j++;
+          value += { n: '\n', t: '\t' }[input[j]] ?? input[j];
+        } else {
+          value += input[j];
+        }
+        j++;
+      }
+      if (j >= input.length) {
+        throw new TemplateError('Unterminated string', position);
+      }
+      tokens.push({ type: 'literal', value, position });
+      i = j + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(input.slice(i));
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), position });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[$A-Za-z_][$\w]*(\.[$\w]+)*/.exec(input.slice(i));
+    if (word) {
+      const value = word[0];
+      if (['and', 'or', 'not', 'in'].includes(value)) {
+        tokens.push({ type: 'keyword', value, position });
+      } else if (['true', 'false', 'null'].includes(value)) {
+        tokens.push({ type: 'literal', value: JSON.parse(value), position });
+      } else {
+        tokens.push({ type: 'path', value, position });
+      }
+      i += value.length;
+      continue;
+    }
+
+    const operator = COMPARISON_OPERATORS.find((op) => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position });
+      i += operator.length;
+      continue;
+    }
+
+    if ('|:,()'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position });
+      i++;
+      continue;
+    }
+
+    throw new TemplateError(`Unexpected character "${char}"`, position);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parser for the expressions inside `{{ }}` and `{% %}` tags
+ */
+class ExpressionParser {
+  /**
+   * @param {string} input - Expression text
+   * @param {number} offset - Position of the expression in the template
+   */
+  constructor(input, offset) {
+    this.tokens = tokenize(input, offset);
+    this.index = 0;
+    this.end = offset + input.length;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  accept(type, value) {
+    const token = this.peek();
+    if (token && token.type === type && (value === undefined || token.value === value)) {
+      this.index++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw new TemplateError(
+        `Expected ${value ? `"${value}"` : type}`,
+        found ? found.position : this.end
+      );
+    }
+    return token;
+  }
+
+  /**
+   * Fail unless every token was consumed
+   */
+  done() {
+    const token = this.peek();
+    if (token) {
+      throw new TemplateError(`Unexpected "${token.value}"`, token.position);
+    }
+  }
+
+  parseExpression() {
+    let node = this.parseAnd();
+    while (this.accept('keyword', 'or')) {
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.accept('keyword', 'and')) {
+      node = { type: 'and', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.accept('keyword', 'not')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseFiltered();
+    const operator = this.accept('operator');
+    if (!operator) {
+      return left;
+    }
+    return { type: 'compare', operator: operator.value, left, right: this.parseFiltered() };
+  }
+
+  parseFiltered() {
+    let node = this.parsePrimary();
+
+    while (this.accept('punctuation', '|')) {
+      const name = this.expect('path');
+      if (!FILTERS[name.value]) {
+        throw new TemplateError(`Unknown template filter "${name.value}"`, name.position);
+      }
+
+      const args = [];
+      if (this.accept('punctuation', ':')) {
+        do {
+          args.push(this.parsePrimary());
+        } while (this.accept('punctuation', ','));
+      }
+      node = { type: 'filter', name: name.value, input: node, args };
+    }
+
+    return node;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) {
+      throw new TemplateError('Expected a value', this.end);
+    }
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'path') {
+      return { type: 'path', path: token.value };
+    }
+    if (token.type === 'punctuation' && token.value === '(') {
+      const node = this.parseExpression();
+      this.expect('punctuation', ')');
+      return node;
+    }
+
+    throw new TemplateError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  /**
+   * Parse the head of a for tag: `name in expr` or `key, value in expr`
+   * @returns {{names: Array<string>, iterable: Object}} - Loop variables and source
+   */
+  parseLoop() {
+    const names = [this.expect('path')];
+    if (this.accept('punctuation', ',')) {
+      names.push(this.expect('path'));
+    }
+    for (const name of names) {
+      if (name.value.includes('.')) {
+        throw new TemplateError(`Invalid loop variable "${name.value}"`, name.position);
+      }
+    }
+    this.expect('keyword', 'in');
+    const iterable = this.parseExpression();
+    this.done();
+    return { names: names.map((name) => name.value), iterable };
+  }
+}
+
+/**
+ * Parse one expression
+ * @param {string} input - Expression text
+ * @param {number} offset - Position of the expression in the template
+ * @returns {Object} - Expression node
+ */
+function parseExpression(input, offset) {
+  const parser = new ExpressionParser(input, offset);
+  const node = parser.parseExpression();
+  parser.done();
+  return node;
+}
+
+/**
+ * Split a template into text, output and tag tokens, applying `-` trimming
+ * @param {string} template - Template text
+ * @returns {Array<Object>} - Tokens
+ */
+function scanTemplate(template) {
+  const tokens = [];
+  let last = 0;
+  let trimNext = false;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    let text = template.slice(last, match.index);
+    if (trimNext) {
+      text = text.trimStart();
+    }
+    const isOutput = match[2] !== undefined;
+    const trimBefore = isOutput ? match[1] : match[4];
+    if (trimBefore) {
+      text = text.trimEnd();
+    }
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+    }
+
+    const body = isOutput ? match[2] : match[5];
+    // Position of the tag body, for error messages
+    const position = match.index + 2 + (trimBefore ? 1 : 0);
+    tokens.push({ type: isOutput ? 'output' : 'tag', value: body, position });
+
+    trimNext = Boolean(isOutput ? match[3] : match[6]);
+    last = match.index + match[0].length;
+  }
+
+  let text = template.slice(last);
+  if (trimNext) {
+    text = text.trimStart();
+  }
+  if (text) {
+    tokens.push({ type: 'text', value: text });
+  }
+
+  const stray = /\{\{|\{%/.exec(tokens.filter((token) => token.type === 'text').map((token) => token.value).join(''));
+  if (stray) {
+    throw new TemplateError(`Unclosed "${stray[0]}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Build the node tree of a template
+ * @param {string} template - Template text
+ * @returns {Array<Object>} - Nodes
+ */
+function parseTemplate(template) {
+  const root = { nodes: [] };
+  const stack = [];
+  let current = root.nodes;
+
+  for (const token of scanTemplate(template)) {
+    if (token.type === 'text') {
+      current.push({ type: 'text', value: token.value });
+      continue;
+    }
+    if (token.type === 'output') {
+      current.push({ type: 'output', expression: parseExpression(token.value, token.position) });
+      continue;
+    }
+
+    const source = token.value.trim();
+    const [keyword] = source.split(/\s+/, 1);
+    const rest = source.slice(keyword.length);
+    const restOffset = token.position + token.value.indexOf(source) + keyword.length;
+    const open = stack[stack.length - 1];
+
+    switch (keyword) {
+      case 'if': {
+        const node = { type: 'if', branches: [{ condition: parseExpression(rest, restOffset), nodes: [] }] };
+        current.push(node);
+        stack.push({ keyword, node, position: token.position });
+        current = node.branches[0].nodes;
+        break;
+      }
+
+      case 'elif': {
+        if (!open || open.keyword !== 'if' || open.node.otherwise) {
+          throw new TemplateError('Unexpected "elif"', token.position);
+        }
+        const branch = { condition: parseExpression(rest, restOffset), nodes: [] };
+        open.node.branches.push(branch);
+        current = branch.nodes;
+        break;
+      }
+
+      case 'for': {
+        const parser = new ExpressionParser(rest, restOffset);
+        const node = { type: 'for', ...parser.parseLoop(), nodes: [] };
+        current.push(node);
+        stack.push({ keyword, node, position: token.position });
+        current = node.nodes;
+        break;
+      }
+
+      case 'else':
+        if (!open || rest.trim() || open.node.otherwise) {
+          throw new TemplateError('Unexpected "else"', token.position);
+        }
+        open.node.otherwise = [];
+        current = open.node.otherwise;
+        break;
+
+      case 'endif':
+      case 'endfor':
+        if (!open || `end${open.keyword}` !== keyword || rest.trim()) {
+          throw new TemplateError(`Unexpected "${keyword}"`, token.position);
+        }
+        stack.pop();
+        current = stack.length > 0 ? currentNodes(stack[stack.length - 1].node) : root.nodes;
+        break;
+
+      default:
+        throw new TemplateError(`Unknown tag "${keyword}"`, token.position);
+    }
+  }
+
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed "${open.keyword}"`, open.position);
+  }
+
+  return root.nodes;
+}
+
+/**
+ * Get the node list new nodes are added to for an open block
+ * @param {Object} node - Open if or for node
+ * @returns {Array<Object>} - Nodes of the innermost open branch
+ */
+function currentNodes(node) {
+  if (node.otherwise) {
+    return node.otherwise;
+  }
+  return node.type === 'if' ? node.branches[node.branches.length - 1].nodes : node.nodes;
+}
+
+/**
+ * Look up a variable in the scope chain, innermost loop first
+ * @param {Array<Object>} scopes - Scopes, the context first
+ * @param {string} path - Dotted path
+ * @returns {*} - Value
+ */
+function lookup(scopes, path) {
+  const [name] = path.split('.', 1);
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (!isMissing(scopes[i]) && Object.hasOwn(Object(scopes[i]), name)) {
+      return resolvePath(scopes[i], path);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Evaluate an expression node
+ * @param {Object} node - Expression node
+ * @param {Array<Object>} scopes - Scope chain
+ * @returns {*} - Value
+ */
+function evaluate(node, scopes) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return lookup(scopes, node.path);
+    case 'filter':
+      return FILTERS[node.name](
+        evaluate(node.input, scopes),
+        ...node.args.map((arg) => evaluate(arg, scopes))
+      );
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, scopes), evaluate(node.right, scopes));
+    case 'not':
+      return !isTruthy(evaluate(node.operand, scopes));
+    case 'and':
+      return isTruthy(evaluate(node.left, scopes)) && isTruthy(evaluate(node.right, scopes));
+    default:
+      return isTruthy(evaluate(node.left, scopes)) || isTruthy(evaluate(node.right, scopes));
+  }
+}
+
+/**
+ * Render a list of nodes
+ * @param {Array<Object>} nodes - Nodes
+ * @param {Array<Object>} scopes - Scope chain
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'output':
+        output += stringify(evaluate(node.expression, scopes));
+        break;
+
+      case 'if': {
+        const branch = node.branches.find(({ condition }) => isTruthy(evaluate(condition, scopes)));
+        const body = branch ? branch.nodes : node.otherwise;
+        if (body) {
+          output += renderNodes(body, scopes);
+        }
+        break;
+      }
+
+      default: {
+        const iterable = evaluate(node.iterable, scopes);
+        let entries = [];
+        if (Array.isArray(iterable)) {
+          entries = iterable.map((value, index) => [index, value]);
+        } else if (iterable && typeof iterable === 'object') {
+          entries = Object.entries(iterable);
+        }
+
+        if (entries.length === 0) {
+          if (node.otherwise) {
+            output += renderNodes(node.otherwise, scopes);
+          }
+          break;
+        }
+
+        entries.forEach(([key, value], index) => {
+          const scope = {
+            loop: {
+              index: index + 1,
+              index0: index,
+              first: index === 0,
+              last: index === entries.length - 1,
+              length: entries.length
+            }
+          };
+          if (node.names.length === 2) {
+            scope[node.names[0]] = key;
+            scope[node.names[1]] = value;
+          } else {
+            scope[node.names[0]] = value;
+          }
+          output += renderNodes(node.nodes, [...scopes, scope]);
+        });
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Compile a template, checking its syntax
+ * @param {string} template - Template text
+ * @returns {Function} - Function rendering the template against a context
+ */
+export function compileTemplate(template) {
+  const source = String(template);
+  let nodes = compiledTemplates.get(source);
+
+  if (!nodes) {
+    nodes = parseTemplate(source);
+    if (compiledTemplates.size >= MAX_CACHED_TEMPLATES) {
+      compiledTemplates.delete(compiledTemplates.keys().next().value);
+    }
+    compiledTemplates.set(source, nodes);
+  }
+
+  return (context) => renderNodes(nodes, [context || {}]);
+}
+
+/**
+ * Render a template against a context
+ * @param {string} template - Template text
+ * @param {Object} context - Values available to placeholders
+ * @returns {string} - Rendered text
+ */
+export function renderTemplate(template, context) {
+  if (!template) {
+    return '';
+  }
+
+  return compileTemplate(template)(context);
+}